@@ -1,5 +1,141 @@
-import { TodoService } from './services.js';
-import { TodoNotFoundException } from './repositories.js';
+import {
+  TodoService,
+  TagService,
+  ListService,
+  CommentService,
+  AttachmentService,
+  BatchService,
+  HistoryService,
+  AuditService,
+  IdempotencyService,
+  RevisionService,
+  todoETag
+} from './services.js';
+import {
+  TodoNotFoundException,
+  TagNotFoundException,
+  DuplicateTagException,
+  ListNotFoundException,
+  DefaultListException,
+  InvalidParentException,
+  InvalidMoveException,
+  InvalidArchiveException,
+  CommentNotFoundException,
+  AttachmentNotFoundException,
+  UnsupportedAttachmentTypeException,
+  InvalidCursorException,
+  InvalidSortException,
+  BatchOperationException,
+  HistoryEmptyException,
+  RevisionNotFoundException,
+  VersionMismatchException,
+  PatchConflictException,
+  UnprocessablePatchException,
+  IdempotencyKeyReusedException,
+  IdempotencyKeyInProgressException
+} from './repositories.js';
+import { todoDocumentSchema } from './schemas.js';
+import { PATCH_MEDIA_TYPES } from './patch.js';
+
+/**
+ * Request header carrying the client session ID that todo changes are logged under for undo
+ */
+const SESSION_HEADER = 'x-session-id';
+
+/**
+ * Request header carrying the key that makes a POST safe to retry
+ */
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+/**
+ * Response headers stored with an idempotent response and sent again when it is replayed
+ */
+const REPLAYED_HEADERS = ['content-type', 'etag', 'location'];
+
+/**
+ * Client session a request was made in
+ * @param {Object} request - Fastify request object
+ * @returns {string|undefined} Session ID, if the client sent one
+ */
+function clientSession(request) {
+  return request.headers[SESSION_HEADER] || undefined;
+}
+
+/**
+ * Entity tags named by a request's If-Match header
+ * If-Match compares strongly (RFC 9110), so weak tags are dropped: they can never match.
+ * @param {Object} request - Fastify request object
+ * @returns {Array<string>|undefined} Quoted strong tags, or '*'; undefined without the header
+ */
+function ifMatchTags(request) {
+  const header = request.headers['if-match'];
+  if (header === undefined) {
+    return undefined;
+  }
+  return header.split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag === '*' || /^"[^"]*"$/.test(tag));
+}
+
+/**
+ * Validators of a collection-level resource, from the tag and time the service reports
+ * The tag is weak: it changes whenever the content may have, not only when it did.
+ * @param {{tag: string, modified_at: string|null}} validators - From the service
+ * @returns {{etag: string, modifiedAt: string|null}} Entity tag and modification time
+ */
+function collectionValidators({ tag, modified_at }) {
+  return { etag: `W/"${tag}"`, modifiedAt: modified_at };
+}
+
+/**
+ * Whether a conditional GET's copy of a resource is still current, so 304 can be sent
+ * If-None-Match decides when present (compared weakly); otherwise If-Modified-Since, to the second.
+ * @param {Object} request - Fastify request object
+ * @param {{etag: string, modifiedAt: string|null}} validators - The resource's validators
+ * @returns {boolean} True if the client's copy is current
+ */
+function isNotModified(request, { etag, modifiedAt }) {
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch !== undefined) {
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(opaque).includes(opaque(etag));
+  }
+  const since = Date.parse(request.headers['if-modified-since']);
+  if (!modifiedAt || isNaN(since)) {
+    return false;
+  }
+  return Math.floor(Date.parse(modifiedAt) / 1000) * 1000 <= since;
+}
+
+/**
+ * Set a resource's validators on a response, asking caches to revalidate before reuse
+ * @param {Object} reply - Fastify reply object
+ * @param {{etag: string, modifiedAt: string|null}} validators - The resource's validators
+ * @returns {Object} The reply
+ */
+function withValidators(reply, { etag, modifiedAt }) {
+  reply.header('ETag', etag).header('Cache-Control', 'no-cache');
+  if (modifiedAt) {
+    reply.header('Last-Modified', new Date(modifiedAt).toUTCString());
+  }
+  return reply;
+}
+
+/**
+ * HTTP status describing why one todo of a bulk action failed
+ * @param {Error} error - Error thrown for the todo
+ * @returns {number} Status code
+ */
+function bulkErrorStatus(error) {
+  if (error instanceof TodoNotFoundException) {
+    return 404;
+  }
+  if (error instanceof ListNotFoundException || error instanceof InvalidParentException ||
+    error.message.includes('required') || error.message.includes('must be')) {
+    return 400;
+  }
+  return 500;
+}
 
 /**
  * Controller class for todo API endpoints
@@ -11,20 +147,51 @@ export class TodoController {
   }
 
   /**
-   * Get all todos
+   * Get all todos matching the query filters, or one page of them when a `limit` or `cursor` is given
+   * With `envelope=true` the page comes wrapped with its `next_cursor` and the `total` count.
    * @param {Object} request - Fastify request object
    * @param {Object} reply - Fastify reply object
-   * @returns {Promise<Array>} Array of all todos
+   * @returns {Promise<Array|Object>} Array of todos, or the page envelope
    */
   async getAllTodos(request, reply) {
     try {
-      const todos = await this.service.getAllTodos();
-      return reply.code(200).send(todos);
+      // The route schema has already dropped every parameter it does not whitelist
+      const { envelope, ...options } = request.query;
+      // Validators are read first: a change made meanwhile leaves the tag older than the todos, never newer
+      const validators = collectionValidators(await this.service.getCollectionValidators());
+      if (isNotModified(request, validators)) {
+        return withValidators(reply, validators).code(304).send();
+      }
+      const page = await this.service.getTodoPage(options);
+      return withValidators(reply, validators).code(200).send(envelope ? page : page.items);
     } catch (error) {
+      if (error instanceof InvalidCursorException || error instanceof InvalidSortException ||
+        error.message.includes('must be')) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
       return this.handleError(reply, error, 'Failed to retrieve todos');
     }
   }
 
+  /**
+   * Search todos by title and description
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Matching todos, best match first
+   */
+  async searchTodos(request, reply) {
+    try {
+      const { q, list_id, limit } = request.query;
+      const todos = await this.service.searchTodos(q, { list_id, limit });
+      return reply.code(200).send(todos);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to search todos');
+    }
+  }
+
   /**
    * Get a specific todo by ID
    * @param {Object} request - Fastify request object
@@ -44,7 +211,11 @@ export class TodoController {
       }
 
       const todo = await this.service.getTodoById(id);
-      return reply.code(200).send(todo);
+      const validators = { etag: todoETag(todo), modifiedAt: await this.service.getTodoModifiedAt(todo) };
+      if (isNotModified(request, validators)) {
+        return withValidators(reply, validators).code(304).send();
+      }
+      return withValidators(reply, validators).code(200).send(todo);
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
         return reply.code(404).send({ 
@@ -70,9 +241,15 @@ export class TodoController {
       // Additional business validation
       this.service.validateTodoData(todoData);
       
-      const todo = await this.service.createTodo(todoData);
-      return reply.code(200).send(todo);
+      const todo = await this.service.createTodo(todoData, { session: clientSession(request) });
+      return reply.code(200).header('ETag', todoETag(todo)).send(todo);
     } catch (error) {
+      if (error instanceof ListNotFoundException || error instanceof InvalidParentException) {
+        return reply.code(400).send({ 
+          error: 'Bad Request', 
+          message: error.message 
+        });
+      }
       if (error.message.includes('required') || error.message.includes('must be')) {
         return reply.code(400).send({ 
           error: 'Bad Request', 
@@ -83,6 +260,74 @@ export class TodoController {
     }
   }
 
+  /**
+   * Move a todo directly before or after another todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The moved todo
+   */
+  async moveTodo(request, reply) {
+    try {
+      const { todoId } = request.params;
+      const id = parseInt(todoId, 10);
+      
+      if (isNaN(id)) {
+        return reply.code(400).send({ 
+          error: 'Bad Request', 
+          message: 'Todo ID must be a valid number' 
+        });
+      }
+
+      const todo = await this.service.moveTodo(id, request.body);
+      return reply.code(200).send(todo);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        return reply.code(404).send({ 
+          error: 'Not Found', 
+          message: error.message 
+        });
+      }
+      if (error instanceof InvalidMoveException) {
+        return reply.code(400).send({ 
+          error: 'Bad Request', 
+          message: error.message 
+        });
+      }
+      return this.handleError(reply, error, 'Failed to move todo');
+    }
+  }
+
+  /**
+   * Get the direct subtasks of a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Subtasks of the todo
+   */
+  async getSubtasks(request, reply) {
+    try {
+      const { todoId } = request.params;
+      const id = parseInt(todoId, 10);
+      
+      if (isNaN(id)) {
+        return reply.code(400).send({ 
+          error: 'Bad Request', 
+          message: 'Todo ID must be a valid number' 
+        });
+      }
+
+      const subtasks = await this.service.getSubtasks(id);
+      return reply.code(200).send(subtasks);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        return reply.code(404).send({ 
+          error: 'Not Found', 
+          message: error.message 
+        });
+      }
+      return this.handleError(reply, error, 'Failed to retrieve subtasks');
+    }
+  }
+
   /**
    * Update a todo's details
    * @param {Object} request - Fastify request object
@@ -106,8 +351,11 @@ export class TodoController {
       // Additional business validation
       this.service.validateUpdateData(updateData);
       
-      const todo = await this.service.updateTodo(id, updateData);
-      return reply.code(200).send(todo);
+      const todo = await this.service.updateTodo(id, updateData, {
+        session: clientSession(request),
+        ifMatch: ifMatchTags(request)
+      });
+      return reply.code(200).header('ETag', todoETag(todo)).send(todo);
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
         return reply.code(404).send({ 
@@ -115,6 +363,15 @@ export class TodoController {
           message: error.message 
         });
       }
+      if (error instanceof VersionMismatchException) {
+        return this.sendPreconditionFailed(reply, error);
+      }
+      if (error instanceof ListNotFoundException || error instanceof InvalidParentException) {
+        return reply.code(400).send({ 
+          error: 'Bad Request', 
+          message: error.message 
+        });
+      }
       if (error.message.includes('must be') || error.message.includes('required')) {
         return reply.code(400).send({ 
           error: 'Bad Request', 
@@ -125,6 +382,67 @@ export class TodoController {
     }
   }
 
+  /**
+   * Patch a todo with a JSON Merge Patch or a JSON Patch, told apart by the Content-Type
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The patched todo
+   */
+  async patchTodo(request, reply) {
+    try {
+      const { todoId } = request.params;
+      const id = parseInt(todoId, 10);
+
+      if (isNaN(id)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Todo ID must be a valid number'
+        });
+      }
+
+      const mediaType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!PATCH_MEDIA_TYPES.includes(mediaType)) {
+        return reply.code(415).header('Accept-Patch', PATCH_MEDIA_TYPES.join(', ')).send({
+          error: 'Unsupported Media Type',
+          message: `Patch Content-Type must be one of: ${PATCH_MEDIA_TYPES.join(', ')}`
+        });
+      }
+
+      const todo = await this.service.patchTodo(id, request.body, {
+        mediaType,
+        validate: request.compileValidationSchema(todoDocumentSchema),
+        session: clientSession(request),
+        ifMatch: ifMatchTags(request)
+      });
+      return reply.code(200).header('ETag', todoETag(todo)).send(todo);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: error.message
+        });
+      }
+      if (error instanceof VersionMismatchException) {
+        return this.sendPreconditionFailed(reply, error);
+      }
+      if (error instanceof PatchConflictException) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+      // The patch applied, but the todo it describes cannot be saved
+      if (error instanceof UnprocessablePatchException || error instanceof ListNotFoundException ||
+          error instanceof InvalidParentException || error.message.includes('must be')) {
+        return reply.code(422).send({
+          error: 'Unprocessable Entity',
+          message: error.message
+        });
+      }
+      return this.handleError(reply, error, 'Failed to patch todo');
+    }
+  }
+
   /**
    * Toggle a todo's completion status
    * @param {Object} request - Fastify request object
@@ -143,8 +461,11 @@ export class TodoController {
         });
       }
 
-      const todo = await this.service.toggleTodoCompletion(id);
-      return reply.code(200).send(todo);
+      const todo = await this.service.toggleTodoCompletion(id, {
+        session: clientSession(request),
+        ifMatch: ifMatchTags(request)
+      });
+      return reply.code(200).header('ETag', todoETag(todo)).send(todo);
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
         return reply.code(404).send({ 
@@ -152,6 +473,9 @@ export class TodoController {
           message: error.message 
         });
       }
+      if (error instanceof VersionMismatchException) {
+        return this.sendPreconditionFailed(reply, error);
+      }
       return this.handleError(reply, error, 'Failed to toggle todo completion');
     }
   }
@@ -174,7 +498,10 @@ export class TodoController {
         });
       }
 
-      const result = await this.service.deleteTodo(id);
+      const result = await this.service.deleteTodo(id, {
+        session: clientSession(request),
+        ifMatch: ifMatchTags(request)
+      });
       return reply.code(200).send(result);
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
@@ -183,6 +510,9 @@ export class TodoController {
           message: error.message 
         });
       }
+      if (error instanceof VersionMismatchException) {
+        return this.sendPreconditionFailed(reply, error);
+      }
       return this.handleError(reply, error, 'Failed to delete todo');
     }
   }
@@ -195,15 +525,54 @@ export class TodoController {
    */
   async getTodoStats(request, reply) {
     try {
-      const stats = await this.service.getTodoStats();
-      return reply.code(200).send(stats);
+      const { include_archived } = request.query;
+      const validators = collectionValidators(await this.service.getStatsValidators());
+      if (isNotModified(request, validators)) {
+        return withValidators(reply, validators).code(304).send();
+      }
+      const stats = await this.service.getTodoStats({ include_archived });
+      return withValidators(reply, validators).code(200).send(stats);
     } catch (error) {
       return this.handleError(reply, error, 'Failed to get todo statistics');
     }
   }
 
+  /**
+   * Apply one action to many todos at once
+   * Answers 200 with a result per todo even when some of them failed; `failed` counts those.
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The action, success and failure counts and the per-todo results
+   */
+  async bulkTodos(request, reply) {
+    try {
+      const { action } = request.body;
+      const results = (await this.service.bulkAction(request.body, { session: clientSession(request) })).map(({ id, todo, error }) => {
+        if (!error) {
+          return todo ? { id, ok: true, todo } : { id, ok: true };
+        }
+        const status = bulkErrorStatus(error);
+        if (status === 500) {
+          console.error(`Bulk ${action} failed for todo ${id}:`, error);
+        }
+        return { id, ok: false, status, error: status === 500 ? 'An unexpected error occurred' : error.message };
+      });
+      const failed = results.filter(result => !result.ok).length;
+      return reply.code(200).send({ action, succeeded: results.length - failed, failed, results });
+    } catch (error) {
+      if (error.message.includes('required') || error.message.includes('must be')) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      return this.handleError(reply, error, 'Failed to apply bulk action');
+    }
+  }
+
   /**
    * Get todos by completion status
+   * Kept as an alias of `GET /api/todos?completed=` for existing clients.
    * @param {Object} request - Fastify request object
    * @param {Object} reply - Fastify reply object
    * @returns {Promise<Array>} Todos filtered by completion status
@@ -225,13 +594,59 @@ export class TodoController {
         });
       }
 
-      const todos = await this.service.getTodosByStatus(completedStatus);
+      const todos = await this.service.getAllTodos({ completed: completedStatus });
       return reply.code(200).send(todos);
     } catch (error) {
       return this.handleError(reply, error, 'Failed to get todos by status');
     }
   }
 
+  /**
+   * Get incomplete todos that are past their due date
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Overdue todos
+   */
+  async getOverdueTodos(request, reply) {
+    try {
+      const todos = await this.service.getOverdueTodos();
+      return reply.code(200).send(todos);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to get overdue todos');
+    }
+  }
+
+  /**
+   * Get incomplete todos due within the next `days` days
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Upcoming todos
+   */
+  async getUpcomingTodos(request, reply) {
+    try {
+      const { days } = request.query;
+      const todos = await this.service.getUpcomingTodos(days);
+      return reply.code(200).send(todos);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to get upcoming todos');
+    }
+  }
+
+  /**
+   * Refuse a conditional change with 412, sending the todo as it is now and its ETag
+   * @param {Object} reply - Fastify reply object
+   * @param {VersionMismatchException} error - The failed version check
+   * @returns {Promise<Object>} Error response
+   */
+  async sendPreconditionFailed(reply, error) {
+    const current = this.service.toResponseFormat(error.todo);
+    return reply.code(412).header('ETag', todoETag(current)).send({
+      error: 'Precondition Failed',
+      message: error.message,
+      current
+    });
+  }
+
   /**
    * Handle errors consistently across all endpoints
    * @param {Object} reply - Fastify reply object
@@ -248,32 +663,999 @@ export class TodoController {
       message: 'An unexpected error occurred' 
     });
   }
+}
+
+/**
+ * Controller class for tag API endpoints
+ */
+export class TagController {
+  constructor() {
+    this.service = new TagService();
+  }
 
   /**
-   * Register all routes with Fastify instance
-   * @param {Object} fastify - Fastify instance
-   */
-  registerRoutes(fastify) {
-    // Bind controller methods to preserve 'this' context
-    const getAllTodos = this.getAllTodos.bind(this);
-    const getTodo = this.getTodo.bind(this);
-    const createTodo = this.createTodo.bind(this);
-    const updateTodo = this.updateTodo.bind(this);
-    const toggleTodoCompletion = this.toggleTodoCompletion.bind(this);
-    const deleteTodo = this.deleteTodo.bind(this);
-    const getTodoStats = this.getTodoStats.bind(this);
-    const getTodosByStatus = this.getTodosByStatus.bind(this);
-
-    // Register routes
-    fastify.get('/api/todos', getAllTodos);
-    fastify.get('/api/todos/:todoId', getTodo);
-    fastify.post('/api/todos', createTodo);
-    fastify.put('/api/todos/:todoId', updateTodo);
-    fastify.post('/api/todos/:todoId/toggle', toggleTodoCompletion);
-    fastify.delete('/api/todos/:todoId', deleteTodo);
-    
-    // Additional routes for enhanced functionality
-    fastify.get('/api/todos/stats', getTodoStats);
-    fastify.get('/api/todos/filter/status', getTodosByStatus);
+   * Get all tags
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Array of all tags
+   */
+  async getAllTags(request, reply) {
+    try {
+      const tags = await this.service.getAllTags();
+      return reply.code(200).send(tags);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve tags');
+    }
+  }
+
+  /**
+   * Get a specific tag by ID
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The requested tag
+   */
+  async getTag(request, reply) {
+    try {
+      const id = parseInt(request.params.tagId, 10);
+      const tag = await this.service.getTagById(id);
+      return reply.code(200).send(tag);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve tag');
+    }
+  }
+
+  /**
+   * Create a new tag
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The created tag
+   */
+  async createTag(request, reply) {
+    try {
+      const tag = await this.service.createTag(request.body);
+      return reply.code(200).send(tag);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to create tag');
+    }
+  }
+
+  /**
+   * Rename a tag
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The updated tag
+   */
+  async updateTag(request, reply) {
+    try {
+      const id = parseInt(request.params.tagId, 10);
+      const tag = await this.service.updateTag(id, request.body);
+      return reply.code(200).send(tag);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to update tag');
+    }
+  }
+
+  /**
+   * Delete a tag
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteTag(request, reply) {
+    try {
+      const id = parseInt(request.params.tagId, 10);
+      const result = await this.service.deleteTag(id);
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to delete tag');
+    }
+  }
+
+  /**
+   * Translate tag errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TagNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error instanceof DuplicateTagException) {
+      return reply.code(409).send({ error: 'Conflict', message: error.message });
+    }
+    if (error.message.includes('required') || error.message.includes('must be')) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for list API endpoints
+ */
+export class ListController {
+  constructor() {
+    this.service = new ListService();
+  }
+
+  /**
+   * Get all lists
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Array of all lists
+   */
+  async getAllLists(request, reply) {
+    try {
+      const lists = await this.service.getAllLists();
+      return reply.code(200).send(lists);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve lists');
+    }
+  }
+
+  /**
+   * Get a specific list by ID
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The requested list
+   */
+  async getList(request, reply) {
+    try {
+      const id = parseInt(request.params.listId, 10);
+      const list = await this.service.getListById(id);
+      return reply.code(200).send(list);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve list');
+    }
+  }
+
+  /**
+   * Create a new list
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The created list
+   */
+  async createList(request, reply) {
+    try {
+      const list = await this.service.createList(request.body);
+      return reply.code(200).send(list);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to create list');
+    }
+  }
+
+  /**
+   * Rename a list
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The updated list
+   */
+  async updateList(request, reply) {
+    try {
+      const id = parseInt(request.params.listId, 10);
+      const list = await this.service.updateList(id, request.body);
+      return reply.code(200).send(list);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to update list');
+    }
+  }
+
+  /**
+   * Delete a list
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteList(request, reply) {
+    try {
+      const id = parseInt(request.params.listId, 10);
+      const result = await this.service.deleteList(id);
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to delete list');
+    }
+  }
+
+  /**
+   * Get the todos of a list
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Todos in the list
+   */
+  async getListTodos(request, reply) {
+    try {
+      const id = parseInt(request.params.listId, 10);
+      const { sort, tag } = request.query;
+      const todos = await this.service.getListTodos(id, { sort, tag });
+      return reply.code(200).send(todos);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve list todos');
+    }
+  }
+
+  /**
+   * Get statistics for a list
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Todo statistics for the list
+   */
+  async getListStats(request, reply) {
+    try {
+      const id = parseInt(request.params.listId, 10);
+      const { include_archived } = request.query;
+      const stats = await this.service.getListStats(id, { include_archived });
+      return reply.code(200).send(stats);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to get list statistics');
+    }
+  }
+
+  /**
+   * Translate list errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof ListNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error instanceof DefaultListException) {
+      return reply.code(409).send({ error: 'Conflict', message: error.message });
+    }
+    if (error.message.includes('required') || error.message.includes('must be')) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for the trash: soft-deleted todos awaiting restore or permanent deletion
+ */
+export class TrashController {
+  constructor() {
+    this.service = new TodoService();
+  }
+
+  /**
+   * Get the todos in the trash
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Trashed todos
+   */
+  async getTrash(request, reply) {
+    try {
+      const todos = await this.service.getTrash();
+      return reply.code(200).send(todos);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve trash');
+    }
+  }
+
+  /**
+   * Restore a todo from the trash
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The restored todo
+   */
+  async restoreTodo(request, reply) {
+    try {
+      const id = parseInt(request.params.todoId, 10);
+      const todo = await this.service.restoreTodo(id);
+      return reply.code(200).send(todo);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to restore todo');
+    }
+  }
+
+  /**
+   * Permanently delete a todo from the trash
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message
+   */
+  async destroyTodo(request, reply) {
+    try {
+      const id = parseInt(request.params.todoId, 10);
+      const result = await this.service.destroyTodo(id);
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to permanently delete todo');
+    }
+  }
+
+  /**
+   * Permanently delete every todo in the trash
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message and number of todos deleted
+   */
+  async emptyTrash(request, reply) {
+    try {
+      const result = await this.service.emptyTrash();
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to empty trash');
+    }
+  }
+
+  /**
+   * Translate trash errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TodoNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for archiving completed todos out of the active views
+ */
+export class ArchiveController {
+  constructor() {
+    this.service = new TodoService();
+  }
+
+  /**
+   * Archive a completed todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The archived todo
+   */
+  async archiveTodo(request, reply) {
+    try {
+      const id = parseInt(request.params.todoId, 10);
+      const todo = await this.service.archiveTodo(id);
+      return reply.code(200).send(todo);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to archive todo');
+    }
+  }
+
+  /**
+   * Take a todo out of the archive
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The unarchived todo
+   */
+  async unarchiveTodo(request, reply) {
+    try {
+      const id = parseInt(request.params.todoId, 10);
+      const todo = await this.service.unarchiveTodo(id);
+      return reply.code(200).send(todo);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to unarchive todo');
+    }
+  }
+
+  /**
+   * Archive every completed todo, optionally limited to a list or to todos completed a while ago
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message and number of todos archived
+   */
+  async archiveCompleted(request, reply) {
+    try {
+      const { list_id, older_than_days } = request.body || {};
+      const result = await this.service.archiveCompleted({ list_id, older_than_days });
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to archive completed todos');
+    }
+  }
+
+  /**
+   * Translate archive errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TodoNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error instanceof InvalidArchiveException || error instanceof ListNotFoundException) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for the comment threads on todos
+ */
+export class CommentController {
+  constructor() {
+    this.service = new CommentService();
+  }
+
+  /**
+   * Get the comments on a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Comments, oldest first
+   */
+  async getComments(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const comments = await this.service.getComments(todoId);
+      return reply.code(200).send(comments);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve comments');
+    }
+  }
+
+  /**
+   * Post a comment on a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The created comment
+   */
+  async createComment(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const comment = await this.service.createComment(todoId, request.body);
+      return reply.code(200).send(comment);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to create comment');
+    }
+  }
+
+  /**
+   * Edit a comment
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The updated comment
+   */
+  async updateComment(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const commentId = parseInt(request.params.commentId, 10);
+      const comment = await this.service.updateComment(todoId, commentId, request.body);
+      return reply.code(200).send(comment);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to update comment');
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteComment(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const commentId = parseInt(request.params.commentId, 10);
+      const result = await this.service.deleteComment(todoId, commentId);
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to delete comment');
+    }
+  }
+
+  /**
+   * Translate comment errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TodoNotFoundException || error instanceof CommentNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error.message.includes('required') || error.message.includes('must be')) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for the revision history of todos
+ */
+export class RevisionController {
+  constructor() {
+    this.service = new RevisionService();
+  }
+
+  /**
+   * Get the revisions of a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async getRevisions(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const revisions = await this.service.getRevisions(todoId);
+      return reply.code(200).send(revisions);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve revisions');
+    }
+  }
+
+  /**
+   * Compare a revision with the current version of its todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The changed fields with their word-level diffs
+   */
+  async getRevisionDiff(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const rev = parseInt(request.params.rev, 10);
+      const diff = await this.service.getRevisionDiff(todoId, rev);
+      return reply.code(200).send(diff);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to compare revision');
+    }
+  }
+
+  /**
+   * Bring a todo's content back to a revision
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The updated todo
+   */
+  async restoreRevision(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const rev = parseInt(request.params.rev, 10);
+      const todo = await this.service.restoreRevision(todoId, rev, { session: clientSession(request) });
+      return reply.code(200).send(todo);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to restore revision');
+    }
+  }
+
+  /**
+   * Translate revision errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TodoNotFoundException || error instanceof RevisionNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error.message.includes('required') || error.message.includes('must be')) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Content-Disposition header offering a file for download under its original name
+ * @param {string} filename - Original file name
+ * @returns {string} Header value with an ASCII fallback and the UTF-8 name
+ */
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Controller class for the files attached to todos
+ */
+export class AttachmentController {
+  constructor() {
+    this.service = new AttachmentService();
+  }
+
+  /**
+   * Get the attachments of a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Array>} Attachments, oldest first
+   */
+  async getAttachments(request, reply) {
+    try {
+      const todoId = parseInt(request.params.todoId, 10);
+      const attachments = await this.service.getAttachments(todoId);
+      return reply.code(200).send(attachments);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to retrieve attachments');
+    }
+  }
+
+  /**
+   * Upload a file, sent as multipart/form-data, and attach it to a todo
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The created attachment
+   */
+  async uploadAttachment(request, reply) {
+    let upload;
+    try {
+      if (!request.isMultipart()) {
+        throw new Error('A file is required and must be sent as multipart/form-data');
+      }
+      upload = await request.file({
+        limits: { fileSize: this.service.storage.maxBytes, files: 1 }
+      });
+      if (!upload) {
+        throw new Error('A file is required and must be sent as multipart/form-data');
+      }
+      // The parser only cuts a file off at the limit, possibly before handing it over. Fail the
+      // stream there instead; storing the file then fails with the error and leaves nothing behind.
+      const { file } = upload;
+      const failTooLarge = () => file.destroy(new request.server.multipartErrors.RequestFileTooLargeError());
+      file.once('error', () => {}); // Kept on the stream until it is stored
+      if (file.truncated) {
+        failTooLarge();
+      } else {
+        file.once('limit', failTooLarge);
+      }
+
+      const todoId = parseInt(request.params.todoId, 10);
+      const attachment = await this.service.uploadAttachment(todoId, upload);
+      return reply.code(200).send(attachment);
+    } catch (error) {
+      // Drain a file that was rejected before it was read, so the request can complete
+      upload?.file.resume();
+      if (error instanceof request.server.multipartErrors.RequestFileTooLargeError) {
+        return reply.code(413).send({
+          error: 'Payload Too Large',
+          message: `Attachments must be at most ${this.service.storage.maxBytes} bytes`
+        });
+      }
+      return this.handleError(reply, error, 'Failed to upload attachment');
+    }
+  }
+
+  /**
+   * Stream the contents of an attachment
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The file contents
+   */
+  async downloadAttachment(request, reply) {
+    try {
+      const id = parseInt(request.params.attachmentId, 10);
+      const { attachment, stream } = await this.service.openAttachment(id);
+      return reply
+        .code(200)
+        .header('Content-Type', attachment.content_type)
+        .header('Content-Length', attachment.size)
+        .header('Content-Disposition', contentDisposition(attachment.filename))
+        .header('X-Content-Type-Options', 'nosniff')
+        .send(stream);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to download attachment');
+    }
+  }
+
+  /**
+   * Delete an attachment
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteAttachment(request, reply) {
+    try {
+      const id = parseInt(request.params.attachmentId, 10);
+      const result = await this.service.deleteAttachment(id);
+      return reply.code(200).send(result);
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to delete attachment');
+    }
+  }
+
+  /**
+   * Translate attachment errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof TodoNotFoundException || error instanceof AttachmentNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error instanceof UnsupportedAttachmentTypeException) {
+      return reply.code(415).send({ error: 'Unsupported Media Type', message: error.message });
+    }
+    if (error.message.includes('required') || error.message.includes('must be')) {
+      return reply.code(400).send({ error: 'Bad Request', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for batches of todo operations
+ * Each operation is sent through the app itself, so it is validated and answered exactly as the
+ * route it names would be, while the batch service holds the transaction around all of them.
+ */
+export class BatchController {
+  /**
+   * @param {import('fastify').FastifyInstance} app - The app serving the todo routes
+   */
+  constructor(app) {
+    this.app = app;
+    this.service = new BatchService();
+  }
+
+  /**
+   * Run a batch of operations that succeed or fail together
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The result of every operation, or the error of the one that failed
+   */
+  async runBatch(request, reply) {
+    try {
+      // Operations share the batch's request ID and actor, so their audit events point back to it
+      const headers = { 'x-request-id': request.id };
+      if (request.headers['x-actor']) {
+        headers['x-actor'] = request.headers['x-actor'];
+      }
+      const execute = async ({ method, path, body }) => {
+        const response = await this.app.inject({ method, url: path, payload: body, headers });
+        return { status: response.statusCode, body: response.json() };
+      };
+      const results = await this.service.runBatch(request.body.operations, execute);
+      return reply.code(200).send({ results });
+    } catch (error) {
+      if (error instanceof BatchOperationException) {
+        return reply.code(error.statusCode).send({ ...error.response, index: error.index });
+      }
+      console.error('Failed to run batch:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred'
+      });
+    }
+  }
+}
+
+/**
+ * Controller class for undoing and redoing the todo changes of a client session
+ */
+export class HistoryController {
+  constructor() {
+    this.service = new HistoryService();
+  }
+
+  /**
+   * Undo the latest change made in the client session
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The undone operation, its label and the todo
+   */
+  async undo(request, reply) {
+    try {
+      const result = await this.service.undo(clientSession(request));
+      return reply.code(200).send({ action: 'undo', ...result });
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to undo');
+    }
+  }
+
+  /**
+   * Redo the latest change undone in the client session
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} The redone operation, its label and the todo
+   */
+  async redo(request, reply) {
+    try {
+      const result = await this.service.redo(clientSession(request));
+      return reply.code(200).send({ action: 'redo', ...result });
+    } catch (error) {
+      return this.handleError(reply, error, 'Failed to redo');
+    }
+  }
+
+  /**
+   * Translate undo and redo errors into HTTP responses
+   * @param {Object} reply - Fastify reply object
+   * @param {Error} error - The error to handle
+   * @param {string} message - Custom error message
+   * @returns {Promise<Object>} Error response
+   */
+  async handleError(reply, error, message) {
+    if (error instanceof HistoryEmptyException) {
+      return reply.code(409).send({ error: 'Conflict', message: error.message });
+    }
+    if (error instanceof TodoNotFoundException) {
+      return reply.code(404).send({ error: 'Not Found', message: error.message });
+    }
+    if (error instanceof ListNotFoundException || error instanceof InvalidParentException) {
+      return reply.code(409).send({ error: 'Conflict', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Controller class for the audit log
+ */
+export class AuditController {
+  constructor() {
+    this.service = new AuditService();
+  }
+
+  /**
+   * Get one page of audit events, newest first
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object>} Page of events with the next cursor and the total
+   */
+  async getAuditEvents(request, reply) {
+    try {
+      const page = await this.service.getAuditEvents(request.query);
+      return reply.code(200).send(page);
+    } catch (error) {
+      if (error instanceof InvalidCursorException || error.message.includes('must be')) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      console.error('Failed to retrieve audit events:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred'
+      });
+    }
+  }
+}
+
+/**
+ * Controller class for Idempotency-Key handling on POST routes, run as hooks around every route
+ * The first request with a key is processed and its response stored; repeats of the same request
+ * get that response again, marked with `Idempotent-Replayed: true`, instead of being applied twice.
+ * Multipart uploads are not covered, as their bodies are not parsed before the handler runs.
+ */
+export class IdempotencyController {
+  /**
+   * @param {Object} [options] - Options of {@link IdempotencyService}
+   */
+  constructor(options) {
+    this.service = new IdempotencyService(options);
+    // Keys claimed by requests still being processed
+    this.claims = new WeakMap();
+  }
+
+  /**
+   * preHandler hook: claim the request's key, or answer with the response stored for it
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @returns {Promise<Object|undefined>} The reply when answered here
+   */
+  async claimKey(request, reply) {
+    const key = request.headers[IDEMPOTENCY_HEADER];
+    if (request.method !== 'POST' || key === undefined || request.isMultipart()) {
+      return undefined;
+    }
+    if (key === '' || key.length > 255) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Idempotency-Key must be 1 to 255 characters'
+      });
+    }
+
+    try {
+      const stored = await this.service.begin(key, {
+        method: request.method,
+        url: request.url,
+        body: request.body,
+        session: clientSession(request)
+      });
+      if (!stored) {
+        this.claims.set(request, key);
+        return undefined;
+      }
+      return reply.code(stored.status_code)
+        .headers({ ...stored.headers, 'idempotent-replayed': 'true' })
+        .send(stored.body);
+    } catch (error) {
+      if (error instanceof IdempotencyKeyReusedException) {
+        return reply.code(422).send({
+          error: 'Unprocessable Entity',
+          message: error.message
+        });
+      }
+      if (error instanceof IdempotencyKeyInProgressException) {
+        // The first request is likely to answer soon; a retry with the same key then gets its response
+        return reply.code(409).header('retry-after', '1').send({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+      console.error('Failed to check idempotency key:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred'
+      });
+    }
+  }
+
+  /**
+   * onSend hook: store the response to a claimed key, or free the key after a server error
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @param {*} payload - Serialized response body
+   * @returns {Promise<*>} The payload, unchanged
+   */
+  async storeResponse(request, reply, payload) {
+    const key = this.claims.get(request);
+    if (key === undefined) {
+      return payload;
+    }
+    this.claims.delete(request);
+    const claimed = { method: request.method, url: request.url, session: clientSession(request) };
+
+    try {
+      if (reply.statusCode >= 500 || typeof payload !== 'string') {
+        await this.service.release(key, claimed);
+      } else {
+        const headers = {};
+        REPLAYED_HEADERS.forEach(name => {
+          if (reply.hasHeader(name)) headers[name] = reply.getHeader(name);
+        });
+        await this.service.complete(key, claimed, { status_code: reply.statusCode, body: payload, headers });
+      }
+    } catch (error) {
+      // The response still goes out; the key stays claimed until its claim lapses
+      console.error('Failed to store idempotent response:', error);
+    }
+    return payload;
   }
-}
\ No newline at end of file
+}
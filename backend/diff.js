@@ -0,0 +1,94 @@
+/**
+ * Word-level text diffs, as shown between two versions of a todo
+ *
+ *   diffWords('Buy milk', 'Buy oat milk')
+ *   → [{ type: 'equal', text: 'Buy ' }, { type: 'insert', text: 'oat ' }, { type: 'equal', text: 'milk' }]
+ *
+ * Text is split into words and the runs of whitespace between them, so joining the
+ * `equal` and `delete` parts gives back the old text and the `equal` and `insert`
+ * parts the new one.
+ */
+
+/**
+ * Split text into words and whitespace runs
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens, which join back into the text
+ */
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+/**
+ * Diff two texts word by word
+ * The diff keeps the heaviest common subsequence of the tokens, where a word weighs more than
+ * whitespace so shared words line up rather than the spaces between them. Deletions come before
+ * insertions where both replace the same stretch.
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} Parts in text order,
+ *   adjacent parts of the same type merged
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // common[i * width + j]: weight of the heaviest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const common = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i * width + j] = a[i] === b[j]
+        ? common[(i + 1) * width + j + 1] + (/\S/.test(a[i]) ? 2 : 1)
+        : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+    }
+  }
+
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      steps.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (j === b.length || (i < a.length && common[(i + 1) * width + j] >= common[i * width + j + 1])) {
+      steps.push({ type: 'delete', text: a[i] });
+      i++;
+    } else {
+      steps.push({ type: 'insert', text: b[j] });
+      j++;
+    }
+  }
+
+  // Whitespace kept between two changes would split them, so it joins both sides of the change
+  const isChange = (next) => next !== undefined && next.type !== 'equal';
+  const parts = [];
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) parts.push({ type: 'delete', text: deleted });
+    if (inserted) parts.push({ type: 'insert', text: inserted });
+    deleted = '';
+    inserted = '';
+  };
+  steps.forEach((step, index) => {
+    if (step.type === 'delete') {
+      deleted += step.text;
+    } else if (step.type === 'insert') {
+      inserted += step.text;
+    } else if ((deleted || inserted) && /^\s+$/.test(step.text) && isChange(steps[index + 1])) {
+      deleted += step.text;
+      inserted += step.text;
+    } else {
+      flush();
+      const last = parts[parts.length - 1];
+      if (last && last.type === 'equal') {
+        last.text += step.text;
+      } else {
+        parts.push({ ...step });
+      }
+    }
+  });
+  flush();
+  return parts;
+}
@@ -1,8 +1,25 @@
 import Fastify from 'fastify';
+import { randomUUID } from 'crypto';
 import cors from '@fastify/cors';
-import { initDatabase, closeDatabase } from './models.js';
-import { TodoController } from './controllers.js';
+import multipart from '@fastify/multipart';
+import { initDatabase, closeDatabase, withAuditContext } from './models.js';
+import {
+  TodoController,
+  TagController,
+  ListController,
+  TrashController,
+  ArchiveController,
+  CommentController,
+  RevisionController,
+  AttachmentController,
+  BatchController,
+  HistoryController,
+  AuditController,
+  IdempotencyController
+} from './controllers.js';
+import { TodoService } from './services.js';
 import { routeSchemas } from './schemas.js';
+import { PATCH_MEDIA_TYPES } from './patch.js';
 
 /**
  * Get environment-specific configuration
@@ -33,7 +50,16 @@ function getConfig() {
         },
       },
     } : appEnv === 'test' ? false : true,
-    title: appEnv === 'test' ? 'Todo API - Test' : 'Todo API'
+    title: appEnv === 'test' ? 'Todo API - Test' : 'Todo API',
+    autoArchive: {
+      // Todos completed more than this many days ago are archived; 0 turns the job off
+      afterDays: parseInt(process.env.AUTO_ARCHIVE_DAYS ?? '30', 10),
+      intervalMinutes: parseInt(process.env.AUTO_ARCHIVE_INTERVAL_MINUTES ?? '60', 10)
+    },
+    idempotency: {
+      // Responses to POSTs sent with an Idempotency-Key are replayed for this long
+      ttlHours: Number(process.env.IDEMPOTENCY_TTL_HOURS ?? '24')
+    }
   };
 }
 
@@ -57,24 +83,52 @@ async function createApp() {
   const config = getConfig();
   
   // Create Fastify instance
+  // Request IDs are UUIDs unless the caller (or a proxy) passes one in X-Request-Id
   const fastify = Fastify({
-    logger: config.logger
+    logger: config.logger,
+    requestIdHeader: 'x-request-id',
+    genReqId: () => randomUUID()
   });
 
   // Register CORS plugin
   await fastify.register(cors, {
     origin: getCorsOrigins(),
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id', 'X-Actor', 'X-Request-Id', 'If-Match', 'If-None-Match', 'If-Modified-Since', 'Idempotency-Key'],
+    exposedHeaders: ['X-Request-Id', 'ETag', 'Idempotent-Replayed', 'Retry-After']
   });
 
+  // Patch documents are JSON under their own media types
+  fastify.addContentTypeParser(PATCH_MEDIA_TYPES, { parseAs: 'string' }, fastify.getDefaultJsonParser('error', 'error'));
+
+  // Attribute the changes a request makes to the actor it names and to the request itself
+  fastify.addHook('preHandler', (request, reply, done) => {
+    withAuditContext({ actor: request.headers['x-actor'] || null, request_id: request.id }, done);
+  });
+
+  fastify.addHook('onSend', (request, reply, payload, done) => {
+    reply.header('X-Request-Id', request.id);
+    done();
+  });
+
+  // Answer retried POSTs that carry an Idempotency-Key with the response to the first attempt
+  const idempotencyController = new IdempotencyController(config.idempotency);
+  fastify.addHook('preHandler', idempotencyController.claimKey.bind(idempotencyController));
+  fastify.addHook('onSend', idempotencyController.storeResponse.bind(idempotencyController));
+
+  // Register multipart plugin for attachment uploads. Size limits are applied per upload.
+  await fastify.register(multipart);
+
   // Initialize database
   await initDatabase();
 
   // Register routes
   await registerRoutes(fastify);
 
+  // Start background jobs
+  scheduleAutoArchive(fastify, config.autoArchive);
+
   // Graceful shutdown handlers
   const gracefulShutdown = async () => {
     console.log('Received shutdown signal, closing server...');
@@ -95,6 +149,39 @@ async function createApp() {
   return fastify;
 }
 
+/**
+ * Periodically archive todos that were completed long enough ago
+ * The timer is unref'd so it never keeps the process alive, and is cleared when the app closes.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} policy - Auto-archive policy
+ * @param {number} policy.afterDays - Archive todos completed more than this many days ago (0 disables the job)
+ * @param {number} policy.intervalMinutes - How often the job runs
+ */
+function scheduleAutoArchive(fastify, { afterDays, intervalMinutes }) {
+  if (!(afterDays > 0) || !(intervalMinutes > 0)) {
+    return;
+  }
+
+  const todoService = new TodoService();
+  const timer = setInterval(async () => {
+    try {
+      const { archived } = await withAuditContext({ actor: 'system' }, () =>
+        todoService.archiveCompleted({ older_than_days: afterDays })
+      );
+      if (archived > 0) {
+        fastify.log.info(`Auto-archived ${archived} todo(s) completed more than ${afterDays} day(s) ago`);
+      }
+    } catch (error) {
+      fastify.log.error(error);
+    }
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  fastify.addHook('onClose', async () => {
+    clearInterval(timer);
+  });
+}
+
 /**
  * Register all application routes
  */
@@ -126,22 +213,42 @@ async function registerRoutes(fastify) {
     schema: routeSchemas.getAllTodos
   }, todoController.getAllTodos.bind(todoController));
 
+  fastify.get('/api/todos/search', {
+    schema: routeSchemas.searchTodos
+  }, todoController.searchTodos.bind(todoController));
+
   fastify.get('/api/todos/:todoId', {
     schema: routeSchemas.getTodo
   }, todoController.getTodo.bind(todoController));
 
+  fastify.get('/api/todos/:todoId/subtasks', {
+    schema: routeSchemas.getSubtasks
+  }, todoController.getSubtasks.bind(todoController));
+
   fastify.post('/api/todos', {
     schema: routeSchemas.createTodo
   }, todoController.createTodo.bind(todoController));
 
+  fastify.post('/api/todos/bulk', {
+    schema: routeSchemas.bulkTodos
+  }, todoController.bulkTodos.bind(todoController));
+
   fastify.put('/api/todos/:todoId', {
     schema: routeSchemas.updateTodo
   }, todoController.updateTodo.bind(todoController));
 
+  fastify.patch('/api/todos/:todoId', {
+    schema: routeSchemas.patchTodo
+  }, todoController.patchTodo.bind(todoController));
+
   fastify.post('/api/todos/:todoId/toggle', {
     schema: routeSchemas.toggleTodo
   }, todoController.toggleTodoCompletion.bind(todoController));
 
+  fastify.post('/api/todos/:todoId/move', {
+    schema: routeSchemas.moveTodo
+  }, todoController.moveTodo.bind(todoController));
+
   fastify.delete('/api/todos/:todoId', {
     schema: routeSchemas.deleteTodo
   }, todoController.deleteTodo.bind(todoController));
@@ -155,6 +262,180 @@ async function registerRoutes(fastify) {
     schema: routeSchemas.getTodosByStatus
   }, todoController.getTodosByStatus.bind(todoController));
 
+  fastify.get('/api/todos/overdue', {
+    schema: routeSchemas.getOverdueTodos
+  }, todoController.getOverdueTodos.bind(todoController));
+
+  fastify.get('/api/todos/upcoming', {
+    schema: routeSchemas.getUpcomingTodos
+  }, todoController.getUpcomingTodos.bind(todoController));
+
+  // Register trash routes
+  const trashController = new TrashController();
+
+  fastify.get('/api/trash', {
+    schema: routeSchemas.getTrash
+  }, trashController.getTrash.bind(trashController));
+
+  fastify.post('/api/todos/:todoId/restore', {
+    schema: routeSchemas.restoreTodo
+  }, trashController.restoreTodo.bind(trashController));
+
+  fastify.delete('/api/trash/:todoId', {
+    schema: routeSchemas.destroyTodo
+  }, trashController.destroyTodo.bind(trashController));
+
+  fastify.delete('/api/trash', {
+    schema: routeSchemas.emptyTrash
+  }, trashController.emptyTrash.bind(trashController));
+
+  // Register archive routes
+  const archiveController = new ArchiveController();
+
+  fastify.post('/api/todos/:todoId/archive', {
+    schema: routeSchemas.archiveTodo
+  }, archiveController.archiveTodo.bind(archiveController));
+
+  fastify.post('/api/todos/:todoId/unarchive', {
+    schema: routeSchemas.unarchiveTodo
+  }, archiveController.unarchiveTodo.bind(archiveController));
+
+  fastify.post('/api/todos/archive-completed', {
+    schema: routeSchemas.archiveCompleted
+  }, archiveController.archiveCompleted.bind(archiveController));
+
+  // Register comment routes
+  const commentController = new CommentController();
+
+  fastify.get('/api/todos/:todoId/comments', {
+    schema: routeSchemas.getComments
+  }, commentController.getComments.bind(commentController));
+
+  fastify.post('/api/todos/:todoId/comments', {
+    schema: routeSchemas.createComment
+  }, commentController.createComment.bind(commentController));
+
+  fastify.put('/api/todos/:todoId/comments/:commentId', {
+    schema: routeSchemas.updateComment
+  }, commentController.updateComment.bind(commentController));
+
+  fastify.delete('/api/todos/:todoId/comments/:commentId', {
+    schema: routeSchemas.deleteComment
+  }, commentController.deleteComment.bind(commentController));
+
+  // Register revision routes
+  const revisionController = new RevisionController();
+
+  fastify.get('/api/todos/:todoId/revisions', {
+    schema: routeSchemas.getRevisions
+  }, revisionController.getRevisions.bind(revisionController));
+
+  fastify.get('/api/todos/:todoId/revisions/:rev/diff', {
+    schema: routeSchemas.getRevisionDiff
+  }, revisionController.getRevisionDiff.bind(revisionController));
+
+  fastify.post('/api/todos/:todoId/revisions/:rev/restore', {
+    schema: routeSchemas.restoreRevision
+  }, revisionController.restoreRevision.bind(revisionController));
+
+  // Register attachment routes
+  const attachmentController = new AttachmentController();
+
+  fastify.get('/api/todos/:todoId/attachments', {
+    schema: routeSchemas.getAttachments
+  }, attachmentController.getAttachments.bind(attachmentController));
+
+  fastify.post('/api/todos/:todoId/attachments', {
+    schema: routeSchemas.uploadAttachment
+  }, attachmentController.uploadAttachment.bind(attachmentController));
+
+  fastify.get('/api/attachments/:attachmentId', {
+    schema: routeSchemas.downloadAttachment
+  }, attachmentController.downloadAttachment.bind(attachmentController));
+
+  fastify.delete('/api/attachments/:attachmentId', {
+    schema: routeSchemas.deleteAttachment
+  }, attachmentController.deleteAttachment.bind(attachmentController));
+
+  // Register the audit log route
+  const auditController = new AuditController();
+
+  fastify.get('/api/audit', {
+    schema: routeSchemas.getAuditEvents
+  }, auditController.getAuditEvents.bind(auditController));
+
+  // Register the batch route, which replays its operations through the routes above
+  const batchController = new BatchController(fastify);
+
+  fastify.post('/api/batch', {
+    schema: routeSchemas.runBatch
+  }, batchController.runBatch.bind(batchController));
+
+  // Register undo and redo routes, scoped to the client session in the X-Session-Id header
+  const historyController = new HistoryController();
+
+  fastify.post('/api/undo', {
+    schema: routeSchemas.undo
+  }, historyController.undo.bind(historyController));
+
+  fastify.post('/api/redo', {
+    schema: routeSchemas.redo
+  }, historyController.redo.bind(historyController));
+
+  // Register tag routes
+  const tagController = new TagController();
+
+  fastify.get('/api/tags', {
+    schema: routeSchemas.getAllTags
+  }, tagController.getAllTags.bind(tagController));
+
+  fastify.get('/api/tags/:tagId', {
+    schema: routeSchemas.getTag
+  }, tagController.getTag.bind(tagController));
+
+  fastify.post('/api/tags', {
+    schema: routeSchemas.createTag
+  }, tagController.createTag.bind(tagController));
+
+  fastify.put('/api/tags/:tagId', {
+    schema: routeSchemas.updateTag
+  }, tagController.updateTag.bind(tagController));
+
+  fastify.delete('/api/tags/:tagId', {
+    schema: routeSchemas.deleteTag
+  }, tagController.deleteTag.bind(tagController));
+
+  // Register list routes
+  const listController = new ListController();
+
+  fastify.get('/api/lists', {
+    schema: routeSchemas.getAllLists
+  }, listController.getAllLists.bind(listController));
+
+  fastify.get('/api/lists/:listId', {
+    schema: routeSchemas.getList
+  }, listController.getList.bind(listController));
+
+  fastify.post('/api/lists', {
+    schema: routeSchemas.createList
+  }, listController.createList.bind(listController));
+
+  fastify.put('/api/lists/:listId', {
+    schema: routeSchemas.updateList
+  }, listController.updateList.bind(listController));
+
+  fastify.delete('/api/lists/:listId', {
+    schema: routeSchemas.deleteList
+  }, listController.deleteList.bind(listController));
+
+  fastify.get('/api/lists/:listId/todos', {
+    schema: routeSchemas.getListTodos
+  }, listController.getListTodos.bind(listController));
+
+  fastify.get('/api/lists/:listId/stats', {
+    schema: routeSchemas.getListStats
+  }, listController.getListStats.bind(listController));
+
   // 404 handler
   fastify.setNotFoundHandler(async (request, reply) => {
     reply.code(404).send({
@@ -1,17 +1,70 @@
 #!/usr/bin/env node
 
 /**
- * Database migration script
- * This script initializes the database and creates all necessary tables
+ * Database migration CLI
+ * Applies, reverts, lists and creates versioned migrations for the APP_ENV database
+ *
+ * Usage:
+ *   node migrate.js [up]          Apply all pending migrations
+ *   node migrate.js down [--all]  Revert the last migration (or all of them)
+ *   node migrate.js status        List migrations and whether they are applied
+ *   node migrate.js make <name>   Create a new numbered migration file
  */
 
-import { initDatabase } from './models.js';
+import { db, migrator, closeDatabase } from './models.js';
+
+/**
+ * Command handlers keyed by CLI command name
+ */
+const commands = {
+  async up() {
+    const applied = await migrator.latest();
+    if (applied.length === 0) {
+      console.log('Already up to date.');
+    }
+    applied.forEach(name => console.log(`⬆️  ${name}`));
+  },
+
+  async down(args) {
+    const reverted = await migrator.rollback({ all: args.includes('--all') });
+    if (reverted.length === 0) {
+      console.log('Nothing to revert.');
+    }
+    reverted.forEach(name => console.log(`⬇️  ${name}`));
+  },
+
+  async status() {
+    const migrations = await migrator.status();
+    if (migrations.length === 0) {
+      console.log('No migrations found.');
+    }
+    migrations.forEach(({ name, applied, batch, appliedAt }) => {
+      const state = applied ? `applied (batch ${batch}, ${appliedAt})` : 'pending';
+      console.log(`${applied ? '✅' : '⏳'} ${name} - ${state}`);
+    });
+  },
+
+  async make(args) {
+    const filePath = await migrator.make(args[0]);
+    console.log(`📝 Created ${filePath}`);
+  }
+};
+
+async function migrate(argv = process.argv.slice(2)) {
+  const [command = 'up', ...args] = argv;
+  const handler = commands[command];
+
+  if (!handler) {
+    console.error(`Unknown command "${command}". Expected one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  const appEnv = process.env.APP_ENV || process.env.NODE_ENV || 'development';
+  console.log(`Running "${command}" against ${db.client.config.connection.filename} (${appEnv})`);
 
-async function migrate() {
-  console.log('Starting database migration...');
-  
   try {
-    await initDatabase();
+    await handler(args);
+    await closeDatabase();
     console.log('✅ Database migration completed successfully!');
     process.exit(0);
   } catch (error) {
@@ -25,4 +78,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   migrate();
 }
 
-export { migrate };
\ No newline at end of file
+export { migrate };
@@ -0,0 +1,25 @@
+/**
+ * Create the todo table
+ * Databases created before versioned migrations already have it, so leave it in place
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const hasTable = await knex.schema.hasTable('todo');
+  if (hasTable) return;
+
+  await knex.schema.createTable('todo', (table) => {
+    table.increments('id').primary();
+    table.string('title').notNullable();
+    table.text('description').notNullable().defaultTo('');
+    table.boolean('completed').notNullable().defaultTo(false);
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('todo');
+}
@@ -0,0 +1,29 @@
+/**
+ * Add created_at, updated_at and completed_at to todos
+ * Existing rows are backfilled with the migration time; completed rows also get it as completed_at
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.datetime('created_at');
+    table.datetime('updated_at');
+    table.datetime('completed_at').nullable();
+  });
+
+  const now = new Date().toISOString();
+  await knex('todo').update({ created_at: now, updated_at: now });
+  await knex('todo').where({ completed: true }).update({ completed_at: now });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropColumn('created_at');
+    table.dropColumn('updated_at');
+    table.dropColumn('completed_at');
+  });
+}
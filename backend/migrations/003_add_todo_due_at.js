@@ -0,0 +1,22 @@
+/**
+ * Add an optional due date to todos
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.datetime('due_at').nullable();
+    table.index(['due_at'], 'todo_due_at_index');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropIndex(['due_at'], 'todo_due_at_index');
+    table.dropColumn('due_at');
+  });
+}
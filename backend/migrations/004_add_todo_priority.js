@@ -0,0 +1,20 @@
+/**
+ * Add a priority level to todos (none, low, medium, high, urgent)
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.string('priority').notNullable().defaultTo('none');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropColumn('priority');
+  });
+}
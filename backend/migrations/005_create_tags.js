@@ -0,0 +1,30 @@
+/**
+ * Create the tag table and the todo/tag join table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('tag', (table) => {
+    table.increments('id').primary();
+    table.string('name').notNullable().unique();
+    table.datetime('created_at');
+  });
+
+  await knex.schema.createTable('todo_tag', (table) => {
+    table.integer('todo_id').unsigned().notNullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.integer('tag_id').unsigned().notNullable()
+      .references('id').inTable('tag').onDelete('CASCADE');
+    table.primary(['todo_id', 'tag_id']);
+    table.index(['tag_id'], 'todo_tag_tag_id_index');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('todo_tag');
+  await knex.schema.dropTableIfExists('tag');
+}
@@ -0,0 +1,44 @@
+/**
+ * Create the list table with a default "Inbox" list and give every todo a list_id
+ * Existing todos are moved into the default list
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('list', (table) => {
+    table.increments('id').primary();
+    table.string('name').notNullable();
+    table.boolean('is_default').notNullable().defaultTo(false);
+    table.datetime('created_at');
+    table.datetime('updated_at');
+  });
+
+  const now = new Date().toISOString();
+  const [inboxId] = await knex('list').insert({
+    name: 'Inbox',
+    is_default: true,
+    created_at: now,
+    updated_at: now
+  });
+
+  await knex.schema.alterTable('todo', (table) => {
+    table.integer('list_id').unsigned().nullable()
+      .references('id').inTable('list');
+    table.index(['list_id'], 'todo_list_id_index');
+  });
+
+  await knex('todo').update({ list_id: inboxId });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropForeign(['list_id']);
+    table.dropIndex(['list_id'], 'todo_list_id_index');
+    table.dropColumn('list_id');
+  });
+  await knex.schema.dropTableIfExists('list');
+}
@@ -0,0 +1,27 @@
+/**
+ * Let todos nest under a parent todo as subtasks
+ * `auto_complete` marks parents that complete themselves once every subtask is done
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.integer('parent_id').unsigned().nullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.boolean('auto_complete').notNullable().defaultTo(false);
+    table.index(['parent_id'], 'todo_parent_id_index');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropForeign(['parent_id']);
+    table.dropIndex(['parent_id'], 'todo_parent_id_index');
+    table.dropColumn('parent_id');
+    table.dropColumn('auto_complete');
+  });
+}
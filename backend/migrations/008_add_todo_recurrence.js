@@ -0,0 +1,20 @@
+/**
+ * Add an RRULE recurrence rule to todos
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.string('recurrence').nullable();
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropColumn('recurrence');
+  });
+}
@@ -0,0 +1,26 @@
+/**
+ * Add a manual sort position to todos
+ * Positions are spaced 1024 apart so a todo can be moved between two others by
+ * taking the midpoint, without renumbering the rest. Existing todos keep id order.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.double('position').notNullable().defaultTo(0);
+    table.index(['position'], 'todo_position_index');
+  });
+
+  await knex('todo').update({ position: knex.raw('id * 1024') });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropIndex(['position'], 'todo_position_index');
+    table.dropColumn('position');
+  });
+}
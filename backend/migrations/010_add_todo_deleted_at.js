@@ -0,0 +1,24 @@
+/**
+ * Soft delete todos: a deleted todo keeps its row with deleted_at set until the trash is emptied
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.datetime('deleted_at').nullable();
+    table.index(['deleted_at'], 'todo_deleted_at_index');
+  });
+}
+
+/**
+ * Trashed todos are purged first, since older schemas have no way to hide them
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex('todo').whereNotNull('deleted_at').del();
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropIndex(['deleted_at'], 'todo_deleted_at_index');
+    table.dropColumn('deleted_at');
+  });
+}
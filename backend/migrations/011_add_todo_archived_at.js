@@ -0,0 +1,23 @@
+/**
+ * Archive todos: an archived todo keeps its row with archived_at set and leaves the active views
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.datetime('archived_at').nullable();
+    table.index(['archived_at'], 'todo_archived_at_index');
+  });
+}
+
+/**
+ * Archived todos simply become active again
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropIndex(['archived_at'], 'todo_archived_at_index');
+    table.dropColumn('archived_at');
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * Create the comment table: a thread of comments per todo
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('comment', (table) => {
+    table.increments('id').primary();
+    table.integer('todo_id').unsigned().notNullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.string('author', 100).nullable();
+    table.text('body').notNullable();
+    table.datetime('created_at');
+    table.datetime('updated_at');
+    table.index(['todo_id'], 'comment_todo_id_index');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('comment');
+}
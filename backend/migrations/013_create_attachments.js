@@ -0,0 +1,27 @@
+/**
+ * Create the attachment table; the files themselves live on disk under stored_name
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('attachment', (table) => {
+    table.increments('id').primary();
+    table.integer('todo_id').unsigned().notNullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.string('filename', 255).notNullable();
+    table.string('stored_name', 64).notNullable().unique();
+    table.string('content_type', 100).notNullable();
+    table.integer('size').unsigned().notNullable();
+    table.datetime('created_at');
+    table.index(['todo_id'], 'attachment_todo_id_index');
+  });
+}
+
+/**
+ * Stored files are left on disk
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('attachment');
+}
@@ -0,0 +1,47 @@
+/**
+ * Add an FTS5 full-text index over todo titles and descriptions
+ * The index is an external-content table: it stores only the tokens and reads the text
+ * back from `todo`, and triggers keep it in step with every insert, update and delete.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.raw(`
+    CREATE VIRTUAL TABLE todo_fts USING fts5(
+      title, description,
+      content='todo', content_rowid='id',
+      tokenize='unicode61 remove_diacritics 2'
+    )
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER todo_fts_insert AFTER INSERT ON todo BEGIN
+      INSERT INTO todo_fts(rowid, title, description) VALUES (new.id, new.title, new.description);
+    END
+  `);
+  await knex.raw(`
+    CREATE TRIGGER todo_fts_delete AFTER DELETE ON todo BEGIN
+      INSERT INTO todo_fts(todo_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+    END
+  `);
+  await knex.raw(`
+    CREATE TRIGGER todo_fts_update AFTER UPDATE OF title, description ON todo BEGIN
+      INSERT INTO todo_fts(todo_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+      INSERT INTO todo_fts(rowid, title, description) VALUES (new.id, new.title, new.description);
+    END
+  `);
+
+  // Index the todos that already exist
+  await knex.raw(`INSERT INTO todo_fts(todo_fts) VALUES ('rebuild')`);
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS todo_fts_update');
+  await knex.raw('DROP TRIGGER IF EXISTS todo_fts_delete');
+  await knex.raw('DROP TRIGGER IF EXISTS todo_fts_insert');
+  await knex.raw('DROP TABLE IF EXISTS todo_fts');
+}
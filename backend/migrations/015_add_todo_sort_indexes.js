@@ -0,0 +1,32 @@
+/**
+ * Add indexes that serve the todo sort orders within a list
+ * Todo pages are read per list in `position`, `priority` or `id` order, with the ID as a
+ * tie-breaker, so each index leads with `list_id` and ends with `id`. Priority is ordered
+ * by its rank, highest first, an expression the model repeats verbatim so SQLite can use the index.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.index(['list_id', 'position', 'id'], 'todo_list_position_index');
+  });
+
+  await knex.raw(`
+    CREATE INDEX todo_list_priority_index ON todo (
+      list_id,
+      (CASE priority WHEN 'none' THEN 0 WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'urgent' THEN 4 ELSE 0 END) DESC,
+      id
+    )
+  `);
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.raw('DROP INDEX IF EXISTS todo_list_priority_index');
+  await knex.schema.alterTable('todo', (table) => {
+    table.dropIndex(['list_id', 'position', 'id'], 'todo_list_position_index');
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * Create the operation table: the log of todo changes each client session can undo and redo
+ * Each occurrence of a recurring todo is linked to the todo whose completion created it, and an
+ * operation that completed a recurring todo keeps the occurrence it created, so an undo can take
+ * exactly that occurrence back.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.integer('occurrence_of').unsigned().nullable();
+  });
+  await knex.schema.createTable('operation', (table) => {
+    table.increments('id').primary();
+    table.string('session_id', 100).notNullable();
+    table.string('action', 20).notNullable();
+    table.integer('todo_id').unsigned().notNullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.string('label', 300).notNullable();
+    table.text('before').nullable();
+    table.text('after').nullable();
+    table.integer('occurrence_id').unsigned().nullable()
+      .references('id').inTable('todo').onDelete('SET NULL');
+    table.datetime('undone_at').nullable();
+    table.datetime('created_at');
+    table.index(['session_id', 'id'], 'operation_session_id_index');
+  });
+}
+
+/**
+ * Drops the todo column in place: rebuilding the table, as Knex does for SQLite, would lose the search triggers
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('operation');
+  await knex.raw('ALTER TABLE todo DROP COLUMN occurrence_of');
+}
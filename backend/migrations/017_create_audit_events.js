@@ -0,0 +1,42 @@
+/**
+ * Create the audit_event table: an append-only record of every change made through the repositories
+ * Events keep the IDs of what they describe without foreign keys, so they outlive deleted todos.
+ * Triggers reject updates and deletes, leaving rollback of this migration as the only way to drop events.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('audit_event', (table) => {
+    table.increments('id').primary();
+    table.string('actor', 100).nullable();
+    table.string('action', 50).notNullable();
+    table.integer('todo_id').unsigned().nullable();
+    table.text('before').nullable();
+    table.text('after').nullable();
+    table.string('request_id', 100).nullable();
+    table.datetime('created_at').notNullable();
+    table.index(['todo_id', 'id'], 'audit_event_todo_id_index');
+    table.index(['created_at'], 'audit_event_created_at_index');
+  });
+
+  await knex.raw(`
+    CREATE TRIGGER audit_event_no_update BEFORE UPDATE ON audit_event BEGIN
+      SELECT RAISE(ABORT, 'audit_event is append-only');
+    END
+  `);
+  await knex.raw(`
+    CREATE TRIGGER audit_event_no_delete BEFORE DELETE ON audit_event BEGIN
+      SELECT RAISE(ABORT, 'audit_event is append-only');
+    END
+  `);
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS audit_event_no_delete');
+  await knex.raw('DROP TRIGGER IF EXISTS audit_event_no_update');
+  await knex.schema.dropTableIfExists('audit_event');
+}
@@ -0,0 +1,32 @@
+/**
+ * Create the todo_revision table: the earlier versions of each todo's content
+ * A revision is written each time an update changes the content, holding the version it replaced.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('todo_revision', (table) => {
+    table.increments('id').primary();
+    table.integer('todo_id').unsigned().notNullable()
+      .references('id').inTable('todo').onDelete('CASCADE');
+    table.integer('rev').unsigned().notNullable();
+    table.string('title').notNullable();
+    table.text('description').notNullable().defaultTo('');
+    table.string('priority').notNullable().defaultTo('none');
+    table.datetime('due_at').nullable();
+    table.string('recurrence').nullable();
+    table.boolean('auto_complete').notNullable().defaultTo(false);
+    table.text('tags').notNullable().defaultTo('[]');
+    table.datetime('updated_at');
+    table.datetime('replaced_at');
+    table.unique(['todo_id', 'rev'], { indexName: 'todo_revision_todo_id_rev_unique' });
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('todo_revision');
+}
@@ -0,0 +1,20 @@
+/**
+ * Add a version number to todos for optimistic concurrency: every update increments it, and
+ * clients send back the version they edited so a stale write can be refused
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('todo', (table) => {
+    table.integer('version').unsigned().notNullable().defaultTo(1);
+  });
+}
+
+/**
+ * Drops the column in place: rebuilding the table, as Knex does for SQLite, would lose the search triggers
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.raw('ALTER TABLE todo DROP COLUMN version');
+}
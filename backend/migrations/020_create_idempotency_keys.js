@@ -0,0 +1,34 @@
+/**
+ * Create the idempotency_key table: responses to POST requests sent with an Idempotency-Key,
+ * kept so a retried request gets the same response instead of being applied again
+ * A key without a status is still being processed. Keys are only looked up until they expire.
+ * A key belongs to the client session, method and URL it was sent with, so two clients, or one
+ * client on two routes, can pick the same key without colliding. A request without a session is
+ * stored under the empty session, as NULLs never collide in a key.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('idempotency_key', (table) => {
+    table.string('session_id', 255).notNullable().defaultTo('');
+    table.string('method', 10).notNullable();
+    table.string('url', 2048).notNullable();
+    table.string('key', 255).notNullable();
+    table.string('request_hash', 64).notNullable();
+    table.integer('status_code').nullable();
+    table.text('response_body').nullable();
+    table.text('response_headers').nullable();
+    table.datetime('created_at').notNullable();
+    table.datetime('expires_at').notNullable();
+    table.primary(['session_id', 'method', 'url', 'key']);
+    table.index(['expires_at'], 'idempotency_key_expires_at_index');
+  });
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('idempotency_key');
+}
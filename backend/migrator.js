@@ -0,0 +1,208 @@
+import { readdir, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory holding the numbered migration files
+ */
+export const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+/**
+ * Bookkeeping table recording which migrations have been applied
+ */
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Migration file names look like `001_create_todo_table.js`
+ */
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Knex migration source that loads numbered ES module migrations from disk
+ */
+export class MigrationSource {
+  /**
+   * @param {string} directory - Directory containing migration files
+   */
+  constructor(directory = MIGRATIONS_DIR) {
+    this.directory = directory;
+  }
+
+  /**
+   * List migration file names in the order they must be applied
+   * @returns {Promise<Array<string>>} Sorted migration file names
+   */
+  async getMigrations() {
+    const files = await readdir(this.directory);
+    return files
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort();
+  }
+
+  /**
+   * Name recorded in the bookkeeping table for a migration
+   * @param {string} migration - Migration file name
+   * @returns {string} Migration name
+   */
+  getMigrationName(migration) {
+    return migration;
+  }
+
+  /**
+   * Load a migration module exporting `up` and `down`
+   * @param {string} migration - Migration file name
+   * @returns {Promise<Object>} Migration module
+   */
+  async getMigration(migration) {
+    return await import(pathToFileURL(join(this.directory, migration)).href);
+  }
+}
+
+/**
+ * Runs versioned migrations against a Knex connection
+ */
+export class Migrator {
+  /**
+   * @param {import('knex').Knex} db - Knex instance to migrate
+   * @param {string} directory - Directory containing migration files
+   */
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.source = new MigrationSource(directory);
+  }
+
+  /**
+   * Knex migrator configuration
+   * @returns {Object} Migration config
+   */
+  get config() {
+    return {
+      migrationSource: this.source,
+      tableName: MIGRATIONS_TABLE
+    };
+  }
+
+  /**
+   * Apply all pending migrations
+   * @returns {Promise<Array<string>>} Names of the migrations that were applied
+   */
+  async latest() {
+    const [, applied] = await this.withoutForeignKeys(() => this.db.migrate.latest(this.config));
+    return applied;
+  }
+
+  /**
+   * Revert the most recently applied migration, or every migration
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Revert all applied migrations
+   * @returns {Promise<Array<string>>} Names of the migrations that were reverted
+   */
+  async rollback({ all = false } = {}) {
+    const [, reverted] = await this.withoutForeignKeys(() => all
+      ? this.db.migrate.rollback(this.config, true)
+      : this.db.migrate.down(this.config));
+    return reverted;
+  }
+
+  /**
+   * Run schema changes with SQLite foreign key enforcement switched off
+   * SQLite rebuilds a table to alter it, and dropping the old copy would otherwise
+   * cascade deletes into referencing tables. The pragma is ignored inside a
+   * transaction, so it has to be set around the migration run rather than in it.
+   * @param {Function} callback - Async function performing the migration run
+   * @returns {Promise<*>} The callback's result
+   */
+  async withoutForeignKeys(callback) {
+    if (this.db.client.config.client !== 'sqlite3') {
+      return await callback();
+    }
+
+    const [{ foreign_keys: enabled }] = await this.db.raw('PRAGMA foreign_keys');
+    if (!enabled) {
+      return await callback();
+    }
+
+    await this.db.raw('PRAGMA foreign_keys = OFF');
+    try {
+      return await callback();
+    } finally {
+      await this.db.raw('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  /**
+   * Report every known migration and whether it has been applied
+   * @returns {Promise<Array<Object>>} Status rows with name, applied, batch and appliedAt
+   */
+  async status() {
+    const files = await this.source.getMigrations();
+    const hasTable = await this.db.schema.hasTable(MIGRATIONS_TABLE);
+    const applied = hasTable
+      ? await this.db(MIGRATIONS_TABLE).select('name', 'batch', 'migration_time')
+      : [];
+    const appliedByName = new Map(applied.map(row => [row.name, row]));
+
+    return files.map(name => {
+      const row = appliedByName.get(name);
+      const appliedAt = row ? new Date(row.migration_time) : null;
+      return {
+        name,
+        applied: Boolean(row),
+        batch: row ? row.batch : null,
+        appliedAt: appliedAt && !isNaN(appliedAt) ? appliedAt.toISOString() : null
+      };
+    });
+  }
+
+  /**
+   * Create a new, empty migration file with the next sequence number
+   * @param {string} name - Descriptive name, e.g. "add_due_date"
+   * @returns {Promise<string>} Path of the created file
+   * @throws {Error} If the name is invalid or the file already exists
+   */
+  async make(name) {
+    const slug = String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const files = await this.source.getMigrations();
+    const last = files.length > 0
+      ? parseInt(files[files.length - 1].match(MIGRATION_FILE_PATTERN)[1], 10)
+      : 0;
+    const fileName = `${String(last + 1).padStart(3, '0')}_${slug}.js`;
+    const filePath = join(this.source.directory, fileName);
+
+    if (existsSync(filePath)) {
+      throw new Error(`Migration ${fileName} already exists`);
+    }
+
+    await writeFile(filePath, MIGRATION_TEMPLATE);
+    return filePath;
+  }
+}
+
+/**
+ * Template for newly created migration files
+ */
+const MIGRATION_TEMPLATE = `/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+}
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+}
+`;
@@ -1,6 +1,8 @@
 import knex from 'knex';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { Migrator } from './migrator.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -26,20 +28,244 @@ function getDatabaseConfig() {
       filename: storage
     },
     useNullAsDefault: true,
-    debug: appEnv === 'development'
+    debug: appEnv === 'development',
+    pool: {
+      // SQLite leaves foreign key enforcement off unless asked per connection
+      afterCreate: (connection, done) => connection.run('PRAGMA foreign_keys = ON', done)
+    }
   });
 }
 
 // Initialize database connection
 export const db = getDatabaseConfig();
 
+/**
+ * Migrator bound to the environment database
+ */
+export const migrator = new Migrator(db);
+
+/**
+ * Tracks the transaction, if any, that the current async call chain runs in
+ */
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * Start a query against a table, inside the active transaction when there is one
+ * @param {string} table - Table name
+ * @returns {knex.Knex.QueryBuilder} Query builder
+ */
+function query(table) {
+  return (transactionContext.getStore() || db)(table);
+}
+
+/**
+ * Run a callback inside a database transaction
+ * Every model query made while the callback runs joins the transaction; nested calls use savepoints
+ * @param {Function} callback - Async function receiving the Knex transaction
+ * @returns {Promise<*>} The callback's result
+ */
+export async function transaction(callback) {
+  const runner = transactionContext.getStore() || db;
+  return await runner.transaction(trx => transactionContext.run(trx, () => callback(trx)));
+}
+
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Run a callback with the actor and request ID that audit events written while it runs are attributed to
+ * @param {Object} context
+ * @param {string|null} [context.actor] - Who is making the changes
+ * @param {string|null} [context.request_id] - Request the changes are made in
+ * @param {Function} callback - Callback to run
+ * @returns {*} The callback's result
+ */
+export function withAuditContext(context, callback) {
+  return auditContext.run(context, callback);
+}
+
 /**
  * Todo table schema definition
  */
 export const TODO_TABLE = 'todo';
 
 /**
- * Initialize database and create tables
+ * Todo priority levels, lowest first
+ */
+export const TODO_PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+/**
+ * Deepest nesting level for subtasks; a top-level todo is level 1
+ */
+export const TODO_MAX_DEPTH = 3;
+
+/**
+ * Space left between consecutive todo positions
+ */
+export const TODO_POSITION_GAP = 1024;
+
+/**
+ * Most todos a single bulk action may touch
+ */
+export const TODO_BULK_LIMIT = 500;
+
+/**
+ * Rank of a todo's priority as SQL, 0 for 'none' up to 4 for 'urgent'
+ * Migration 015 indexes this exact expression, so keep the two in step.
+ */
+const PRIORITY_RANK_SQL = `CASE ${TODO_TABLE}.priority ${TODO_PRIORITIES
+  .map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} ELSE 0 END`;
+
+/**
+ * Stand-in for a missing date when sorting, so todos without one sort after every dated todo
+ */
+const NO_DATE = '9999-12-31T23:59:59.999Z';
+
+/**
+ * Keys todos can be sorted by: the SQL expression and how to read the same value from a row
+ * This is the whitelist of sort keys; only these expressions ever reach the ORDER BY clause.
+ * `descending` keys run in descending order unless reversed, so priority reads most urgent first.
+ */
+export const TODO_SORT_KEYS = {
+  position: { sql: `${TODO_TABLE}.position`, value: todo => todo.position },
+  id: { sql: `${TODO_TABLE}.id`, value: todo => todo.id },
+  priority: {
+    sql: PRIORITY_RANK_SQL,
+    value: todo => Math.max(TODO_PRIORITIES.indexOf(todo.priority), 0),
+    descending: true
+  },
+  title: { sql: `${TODO_TABLE}.title COLLATE NOCASE`, value: todo => todo.title },
+  created_at: { sql: `${TODO_TABLE}.created_at`, value: todo => todo.created_at },
+  updated_at: { sql: `${TODO_TABLE}.updated_at`, value: todo => todo.updated_at },
+  due_at: { sql: `coalesce(${TODO_TABLE}.due_at, '${NO_DATE}')`, value: todo => todo.due_at || NO_DATE },
+  completed_at: {
+    sql: `coalesce(${TODO_TABLE}.completed_at, '${NO_DATE}')`,
+    value: todo => todo.completed_at || NO_DATE
+  }
+};
+
+/**
+ * Default todo order as [key, direction] pairs: manual position, then ID
+ */
+export const TODO_DEFAULT_ORDER = [['position', 'asc'], ['id', 'asc']];
+
+/**
+ * Timestamp columns todos can be filtered on with `<name>_after` and `<name>_before`
+ */
+export const TODO_DATE_FILTERS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  due: 'due_at',
+  completed: 'completed_at'
+};
+
+/**
+ * Tag table and the todo/tag join table
+ */
+export const TAG_TABLE = 'tag';
+export const TODO_TAG_TABLE = 'todo_tag';
+
+/**
+ * List (project) table
+ */
+export const LIST_TABLE = 'list';
+
+/**
+ * Table name for the comments posted on todos
+ */
+export const COMMENT_TABLE = 'comment';
+
+/**
+ * Table name for the files attached to todos
+ */
+export const ATTACHMENT_TABLE = 'attachment';
+
+/**
+ * Table name for the earlier versions of todos
+ */
+export const TODO_REVISION_TABLE = 'todo_revision';
+
+/**
+ * Todo columns a revision keeps; tags are kept too. Changing any of them writes a revision.
+ */
+export const TODO_REVISION_FIELDS = ['title', 'description', 'priority', 'due_at', 'recurrence', 'auto_complete'];
+
+/**
+ * Table name for the log of todo changes, kept per client session for undo and redo
+ */
+export const OPERATION_TABLE = 'operation';
+
+/**
+ * Most operations kept per session; older ones can no longer be undone
+ */
+export const OPERATION_HISTORY_LIMIT = 100;
+
+/**
+ * Table name for the append-only audit log
+ */
+export const AUDIT_EVENT_TABLE = 'audit_event';
+
+/**
+ * Table name for the stored responses to requests sent with an Idempotency-Key
+ */
+export const IDEMPOTENCY_KEY_TABLE = 'idempotency_key';
+
+/**
+ * FTS5 index over todo titles and descriptions
+ */
+export const TODO_SEARCH_TABLE = 'todo_fts';
+
+/**
+ * Markers placed around matched terms in search highlights and snippets
+ */
+export const SEARCH_HIGHLIGHT_OPEN = '<mark>';
+export const SEARCH_HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * Current time as an ISO 8601 string, the format timestamps are stored in
+ * @returns {string} ISO timestamp
+ */
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Value for a todo row's version column in an update: every change to the row increments it
+ * @returns {knex.Knex.Raw} Raw SQL expression
+ */
+function nextVersion() {
+  return db.raw('version + 1');
+}
+
+/**
+ * Start a query against the todos that are not in the trash
+ * @returns {knex.Knex.QueryBuilder} Query builder
+ */
+function activeTodos() {
+  return query(TODO_TABLE).whereNull(`${TODO_TABLE}.deleted_at`);
+}
+
+/**
+ * Start a query against the todos that are neither in the trash nor archived
+ * @returns {knex.Knex.QueryBuilder} Query builder
+ */
+function currentTodos() {
+  return activeTodos().whereNull(`${TODO_TABLE}.archived_at`);
+}
+
+/**
+ * Turn free text into an FTS5 query that matches todos containing every word as a prefix
+ * Words are quoted so FTS5 operators and punctuation in the text are taken literally.
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression, or null when the text has no searchable words
+ */
+function toSearchExpression(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Initialize database and apply pending migrations
  * @returns {Promise<void>}
  */
 export async function initDatabase() {
@@ -48,18 +274,12 @@ export async function initDatabase() {
     await db.raw('SELECT 1');
     console.log('Database connection established successfully.');
     
-    // Create todo table if it doesn't exist
-    const hasTable = await db.schema.hasTable(TODO_TABLE);
-    if (!hasTable) {
-      await db.schema.createTable(TODO_TABLE, (table) => {
-        table.increments('id').primary();
-        table.string('title').notNullable();
-        table.text('description').notNullable().defaultTo('');
-        table.boolean('completed').notNullable().defaultTo(false);
-      });
-      console.log('Database tables created.');
+    // Bring the schema up to date
+    const applied = await migrator.latest();
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} migration(s): ${applied.join(', ')}`);
     } else {
-      console.log('Database tables already exist.');
+      console.log('Database schema is up to date.');
     }
   } catch (error) {
     console.error('Unable to connect to the database:', error);
@@ -87,14 +307,9 @@ export async function closeDatabase() {
  */
 export async function resetDatabase() {
   try {
-    // Drop table if exists and recreate
-    await db.schema.dropTableIfExists(TODO_TABLE);
-    await db.schema.createTable(TODO_TABLE, (table) => {
-      table.increments('id').primary();
-      table.string('title').notNullable();
-      table.text('description').notNullable().defaultTo('');
-      table.boolean('completed').notNullable().defaultTo(false);
-    });
+    // Revert every migration and re-apply them from scratch
+    await migrator.rollback({ all: true });
+    await migrator.latest();
     console.log('Database reset completed.');
   } catch (error) {
     console.error('Error resetting database:', error);
@@ -112,35 +327,435 @@ export class Todo {
    * @returns {Promise<Object>} Created todo
    */
   static async create(data) {
-    const [id] = await db(TODO_TABLE).insert({
-      title: data.title,
-      description: data.description || '',
-      completed: data.completed || false
+    return await transaction(async () => {
+      const timestamp = now();
+      const completed = data.completed || false;
+      const [id] = await query(TODO_TABLE).insert({
+        list_id: data.list_id || await List.defaultId(),
+        parent_id: data.parent_id || null,
+        title: data.title,
+        description: data.description || '',
+        completed,
+        due_at: data.due_at || null,
+        priority: data.priority || 'none',
+        auto_complete: data.auto_complete || false,
+        recurrence: data.recurrence || null,
+        occurrence_of: data.occurrence_of || null,
+        position: data.position ?? await Todo.nextPosition(),
+        created_at: timestamp,
+        updated_at: timestamp,
+        completed_at: completed ? timestamp : null
+      });
+
+      if (data.tags) {
+        await Tag.setTodoTags(id, data.tags);
+      }
+
+      return await Todo.findById(id);
     });
-    
-    return await Todo.findById(id);
   }
 
   /**
-   * Find todo by ID
+   * Find the newest occurrence created by completing a recurring todo, ignoring the trash
+   * @param {number} id - ID of the completed todo
+   * @returns {Promise<Object|null>} Todo row or null
+   */
+  static async findLatestOccurrenceOf(id) {
+    return (await activeTodos().where({ occurrence_of: id }).orderBy('id', 'desc').first()) || null;
+  }
+
+  /**
+   * Find todo by ID, ignoring todos in the trash
    * @param {number} id - Todo ID
-   * @returns {Promise<Object|null>} Todo or null
+   * @returns {Promise<Object|null>} Todo (with tag names and subtask progress) or null
    */
   static async findById(id) {
-    const todo = await db(TODO_TABLE).where({ id }).first();
-    return todo || null;
+    const todo = await activeTodos().where({ id }).first();
+    if (!todo) return null;
+
+    const [withRelations] = await Todo.withRelations([todo]);
+    return withRelations;
+  }
+
+  /**
+   * Read a todo row as the audit log records it: every column plus tag names, trashed or not
+   * @param {number} id - Todo ID
+   * @returns {Promise<Object|null>} Todo row or null when it no longer exists
+   */
+  static async snapshot(id) {
+    const todo = await query(TODO_TABLE).where({ id }).first();
+    if (!todo) return null;
+
+    const [withTags] = await Todo.withTags([todo]);
+    return withTags;
+  }
+
+  /**
+   * IDs of the todos in a list, trashed and archived ones included
+   * @param {number} listId - List ID
+   * @returns {Promise<Array<number>>} Todo IDs
+   */
+  static async findIdsInList(listId) {
+    const rows = await query(TODO_TABLE).where({ list_id: listId }).select('id');
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * IDs of the todos in the trash
+   * @returns {Promise<Array<number>>} Todo IDs
+   */
+  static async findTrashedIds() {
+    const rows = await query(TODO_TABLE).whereNotNull('deleted_at').select('id');
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Start a query against the todos matching a set of filters
+   * @param {Object} [filters]
+   * @param {string} [filters.tag] - Only todos carrying this tag name
+   * @param {number} [filters.list_id] - Only todos in this list
+   * @param {boolean} [filters.top_level] - Only todos that are not subtasks
+   * @param {boolean} [filters.archived] - Only archived todos instead of only unarchived ones
+   * @param {boolean} [filters.completed] - Only completed or only pending todos
+   * @param {string} [filters.contains] - Only todos whose title or description contains this text (case-insensitive)
+   * @param {Array<string>} [filters.priority] - Only todos with one of these priorities
+   * @param {string} [filters.created_after] - ISO timestamp; also `created_before` and the `updated_`,
+   *   `due_` and `completed_` pairs of TODO_DATE_FILTERS. `_after` is inclusive, `_before` exclusive.
+   * @returns {knex.Knex.QueryBuilder} Query builder
+   */
+  static filtered({ tag, list_id, top_level, archived, completed, contains, priority, ...ranges } = {}) {
+    const builder = archived ? activeTodos().whereNotNull(`${TODO_TABLE}.archived_at`) : currentTodos();
+    if (list_id) {
+      builder.where(`${TODO_TABLE}.list_id`, list_id);
+    }
+    if (top_level) {
+      builder.whereNull(`${TODO_TABLE}.parent_id`);
+    }
+    if (completed !== undefined) {
+      builder.where(`${TODO_TABLE}.completed`, completed);
+    }
+    if (contains) {
+      const pattern = `%${contains.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+      builder.where(function () {
+        this.whereRaw(`${TODO_TABLE}.title LIKE ? ESCAPE '\\'`, [pattern])
+          .orWhereRaw(`${TODO_TABLE}.description LIKE ? ESCAPE '\\'`, [pattern]);
+      });
+    }
+    if (priority && priority.length > 0) {
+      builder.whereIn(`${TODO_TABLE}.priority`, priority);
+    }
+    for (const [name, column] of Object.entries(TODO_DATE_FILTERS)) {
+      if (ranges[`${name}_after`]) {
+        builder.where(`${TODO_TABLE}.${column}`, '>=', ranges[`${name}_after`]);
+      }
+      if (ranges[`${name}_before`]) {
+        builder.where(`${TODO_TABLE}.${column}`, '<', ranges[`${name}_before`]);
+      }
+    }
+    if (tag) {
+      builder.whereExists(function () {
+        this.select('*')
+          .from(TODO_TAG_TABLE)
+          .join(TAG_TABLE, `${TAG_TABLE}.id`, `${TODO_TAG_TABLE}.tag_id`)
+          .whereRaw(`${TODO_TAG_TABLE}.todo_id = ${TODO_TABLE}.id`)
+          .where(`${TAG_TABLE}.name`, tag);
+      });
+    }
+    return builder;
   }
 
   /**
-   * Find all todos
+   * Find todos in a sort order, optionally one page at a time
+   * Pages are keyset based: `after` holds the sort key values of the last todo already seen,
+   * so a page stays correct when todos before it are added or removed.
+   * @param {Object} [options] - The filters of {@link Todo.filtered}, plus:
+   * @param {Array<[string, string]>} [options.order] - [key, 'asc'|'desc'] pairs over TODO_SORT_KEYS, ending
+   *   with a unique key
+   * @param {Array} [options.after] - Sort key values to continue after, as read by TODO_SORT_KEYS
+   * @param {number} [options.limit] - Most todos to return
    * @returns {Promise<Array>} Array of todos
    */
-  static async findAll() {
-    return await db(TODO_TABLE).select('*');
+  static async findAll({ order = TODO_DEFAULT_ORDER, after, limit, ...filters } = {}) {
+    const builder = Todo.filtered(filters)
+      .select(`${TODO_TABLE}.*`)
+      .orderByRaw(order.map(([key, direction]) => `${TODO_SORT_KEYS[key].sql} ${direction}`).join(', '));
+    if (after) {
+      // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., flipped to < for descending keys
+      builder.where(function () {
+        order.forEach(([key, direction], index) => {
+          this.orWhere(function () {
+            order.slice(0, index).forEach(([previousKey], previousIndex) => {
+              this.whereRaw(`${TODO_SORT_KEYS[previousKey].sql} = ?`, [after[previousIndex]]);
+            });
+            this.whereRaw(`${TODO_SORT_KEYS[key].sql} ${direction === 'desc' ? '<' : '>'} ?`, [after[index]]);
+          });
+        });
+      });
+    }
+    if (limit) {
+      builder.limit(limit);
+    }
+    return await Todo.withRelations(await builder);
+  }
+
+  /**
+   * Count the todos matching a set of filters
+   * @param {Object} [filters] - The filters of {@link Todo.filtered}
+   * @returns {Promise<number>} Number of todos
+   */
+  static async count(filters = {}) {
+    const { count } = await Todo.filtered(filters).count({ count: '*' }).first();
+    return Number(count);
+  }
+
+  /**
+   * Attach the data every todo response carries: tag names, subtask progress, comment counts and attachments
+   * @param {Array<Object>} todos - Todo rows
+   * @returns {Promise<Array<Object>>} Todo rows with tags and subtask counts
+   */
+  static async withRelations(todos) {
+    return await Todo.withAttachments(
+      await Todo.withCommentCounts(await Todo.withSubtaskProgress(await Todo.withTags(todos)))
+    );
+  }
+
+  /**
+   * Attach the sorted tag names of each todo as a `tags` array
+   * @param {Array<Object>} todos - Todo rows
+   * @returns {Promise<Array<Object>>} Todo rows with tags
+   */
+  static async withTags(todos) {
+    if (todos.length === 0) return todos;
+
+    const rows = await query(TODO_TAG_TABLE)
+      .join(TAG_TABLE, `${TAG_TABLE}.id`, `${TODO_TAG_TABLE}.tag_id`)
+      .whereIn(`${TODO_TAG_TABLE}.todo_id`, todos.map(todo => todo.id))
+      .orderBy(`${TAG_TABLE}.name`)
+      .select(`${TODO_TAG_TABLE}.todo_id`, `${TAG_TABLE}.name`);
+
+    const tagsByTodo = new Map();
+    rows.forEach(row => {
+      if (!tagsByTodo.has(row.todo_id)) tagsByTodo.set(row.todo_id, []);
+      tagsByTodo.get(row.todo_id).push(row.name);
+    });
+
+    return todos.map(todo => ({ ...todo, tags: tagsByTodo.get(todo.id) || [] }));
+  }
+
+  /**
+   * Attach how many direct subtasks each todo has, and how many of them are completed
+   * @param {Array<Object>} todos - Todo rows
+   * @returns {Promise<Array<Object>>} Todo rows with subtask_count and completed_subtask_count
+   */
+  static async withSubtaskProgress(todos) {
+    if (todos.length === 0) return todos;
+
+    const rows = await activeTodos()
+      .whereIn('parent_id', todos.map(todo => todo.id))
+      .groupBy('parent_id')
+      .select('parent_id')
+      .count('* as subtask_count')
+      .sum({ completed_subtask_count: 'completed' });
+
+    const progressByTodo = new Map(rows.map(row => [row.parent_id, row]));
+    return todos.map(todo => {
+      const progress = progressByTodo.get(todo.id);
+      return {
+        ...todo,
+        subtask_count: progress ? progress.subtask_count : 0,
+        completed_subtask_count: progress ? Number(progress.completed_subtask_count) : 0
+      };
+    });
+  }
+
+  /**
+   * Attach how many comments each todo has as `comment_count`
+   * @param {Array<Object>} todos - Todo rows
+   * @returns {Promise<Array<Object>>} Todo rows with comment_count
+   */
+  static async withCommentCounts(todos) {
+    if (todos.length === 0) return todos;
+
+    const rows = await query(COMMENT_TABLE)
+      .whereIn('todo_id', todos.map(todo => todo.id))
+      .groupBy('todo_id')
+      .select('todo_id')
+      .count('* as comment_count');
+
+    const countByTodo = new Map(rows.map(row => [row.todo_id, row.comment_count]));
+    return todos.map(todo => ({ ...todo, comment_count: countByTodo.get(todo.id) || 0 }));
+  }
+
+  /**
+   * Attach a summary of each todo's files, oldest first, as an `attachments` array
+   * @param {Array<Object>} todos - Todo rows
+   * @returns {Promise<Array<Object>>} Todo rows with attachments
+   */
+  static async withAttachments(todos) {
+    if (todos.length === 0) return todos;
+
+    const rows = await query(ATTACHMENT_TABLE)
+      .whereIn('todo_id', todos.map(todo => todo.id))
+      .orderBy('id')
+      .select('id', 'todo_id', 'filename', 'content_type', 'size');
+
+    const attachmentsByTodo = new Map();
+    rows.forEach(({ todo_id, ...attachment }) => {
+      if (!attachmentsByTodo.has(todo_id)) attachmentsByTodo.set(todo_id, []);
+      attachmentsByTodo.get(todo_id).push(attachment);
+    });
+
+    return todos.map(todo => ({ ...todo, attachments: attachmentsByTodo.get(todo.id) || [] }));
+  }
+
+  /**
+   * Full-text search over the titles and descriptions of current todos
+   * Title matches weigh more than description matches; every word also matches longer words it starts.
+   * @param {string} text - Search text
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only todos in this list
+   * @param {number} [options.limit] - Most results to return
+   * @returns {Promise<Array>} Todos, best match first, with `title_highlight` and `description_snippet`
+   */
+  static async search(text, { list_id, limit = 20 } = {}) {
+    const expression = toSearchExpression(text);
+    if (!expression) return [];
+
+    const builder = currentTodos()
+      .join(TODO_SEARCH_TABLE, `${TODO_SEARCH_TABLE}.rowid`, `${TODO_TABLE}.id`)
+      .whereRaw(`${TODO_SEARCH_TABLE} MATCH ?`, [expression])
+      .select(
+        `${TODO_TABLE}.*`,
+        db.raw(`bm25(${TODO_SEARCH_TABLE}, 10.0, 1.0) AS rank`),
+        db.raw(`highlight(${TODO_SEARCH_TABLE}, 0, ?, ?) AS title_highlight`, [
+          SEARCH_HIGHLIGHT_OPEN, SEARCH_HIGHLIGHT_CLOSE
+        ]),
+        db.raw(`snippet(${TODO_SEARCH_TABLE}, 1, ?, ?, '…', 12) AS description_snippet`, [
+          SEARCH_HIGHLIGHT_OPEN, SEARCH_HIGHLIGHT_CLOSE
+        ])
+      )
+      .orderBy([{ column: 'rank' }, { column: `${TODO_TABLE}.id` }])
+      .limit(limit);
+    if (list_id) {
+      builder.where(`${TODO_TABLE}.list_id`, list_id);
+    }
+    return await Todo.withRelations(await builder);
+  }
+
+  /**
+   * Find the direct subtasks of a todo
+   * @param {number} parentId - Parent todo ID
+   * @returns {Promise<Array>} Subtasks in manual order
+   */
+  static async findSubtasks(parentId) {
+    return await Todo.withRelations(await activeTodos()
+      .where({ parent_id: parentId })
+      .orderBy([{ column: 'position' }, { column: 'id' }])
+      .select('*'));
+  }
+
+  /**
+   * Find the IDs of a todo's ancestors, nearest first
+   * @param {number} id - Todo ID
+   * @returns {Promise<Array<number>>} Parent, grandparent, ... IDs
+   */
+  static async findAncestorIds(id) {
+    const ancestors = [];
+    let todo = await query(TODO_TABLE).where({ id }).first('parent_id');
+    while (todo && todo.parent_id && !ancestors.includes(todo.parent_id)) {
+      ancestors.push(todo.parent_id);
+      todo = await query(TODO_TABLE).where({ id: todo.parent_id }).first('parent_id');
+    }
+    return ancestors;
+  }
+
+  /**
+   * Find the IDs of a todo's descendants, one array per nesting level
+   * Trashed descendants are included, so they stay with their parent.
+   * @param {number} id - Todo ID
+   * @returns {Promise<Array<Array<number>>>} Children IDs, then grandchildren IDs, ...
+   */
+  static async findDescendantIds(id) {
+    const levels = [];
+    let parentIds = [id];
+    while (parentIds.length > 0 && levels.length < TODO_MAX_DEPTH) {
+      const rows = await query(TODO_TABLE).whereIn('parent_id', parentIds).select('id');
+      parentIds = rows.map(row => row.id);
+      if (parentIds.length > 0) levels.push(parentIds);
+    }
+    return levels;
+  }
+
+  /**
+   * Position after every existing todo, for appending a new one
+   * @returns {Promise<number>} Next free position
+   */
+  static async nextPosition() {
+    const { max } = await query(TODO_TABLE).max({ max: 'position' }).first();
+    return (max || 0) + TODO_POSITION_GAP;
+  }
+
+  /**
+   * Find the nearest position on one side of a position
+   * @param {number} position - Reference position
+   * @param {'before'|'after'} side - Look for the next lower or next higher position
+   * @param {number} [excludeId] - Todo to ignore, usually the one being moved
+   * @returns {Promise<number|null>} Neighbouring position, or null at either end
+   */
+  static async findNeighbourPosition(position, side, excludeId) {
+    const builder = query(TODO_TABLE)
+      .where('position', side === 'before' ? '<' : '>', position);
+    if (excludeId) {
+      builder.whereNot({ id: excludeId });
+    }
+    const row = side === 'before'
+      ? await builder.max({ position: 'position' }).first()
+      : await builder.min({ position: 'position' }).first();
+    return row.position ?? null;
+  }
+
+  /**
+   * Set a todo's position without touching updated_at; the version still goes up
+   * @param {number} id - Todo ID
+   * @param {number} position - New position
+   * @returns {Promise<Object|null>} Moved todo or null
+   */
+  static async setPosition(id, position) {
+    const updated = await activeTodos().where({ id }).update({ position, version: nextVersion() });
+    return updated > 0 ? await Todo.findById(id) : null;
+  }
+
+  /**
+   * Respace every todo TODO_POSITION_GAP apart, keeping their order
+   * Only needed once repeated moves into the same gap exhaust float precision.
+   * @returns {Promise<void>}
+   */
+  static async rebalancePositions() {
+    await transaction(async () => {
+      const rows = await query(TODO_TABLE).orderBy([{ column: 'position' }, { column: 'id' }]).select('id');
+      for (const [index, row] of rows.entries()) {
+        await query(TODO_TABLE).where({ id: row.id }).update({
+          position: (index + 1) * TODO_POSITION_GAP,
+          version: nextVersion()
+        });
+      }
+    });
   }
 
   /**
-   * Update todo by ID
+   * Move todos to a list
+   * @param {Array<number>} ids - Todo IDs
+   * @param {number} listId - Target list ID
+   * @returns {Promise<number>} Number of todos moved
+   */
+  static async moveToList(ids, listId) {
+    if (ids.length === 0) return 0;
+    return await query(TODO_TABLE).whereIn('id', ids).update({ list_id: listId, updated_at: now(), version: nextVersion() });
+  }
+
+  /**
+   * Update todo by ID, refreshing updated_at and incrementing the version
+   * When the content changes, the version it replaces is kept as a revision.
    * @param {number} id - Todo ID
    * @param {Object} data - Update data
    * @returns {Promise<Object|null>} Updated todo or null
@@ -150,44 +765,1065 @@ export class Todo {
     if (data.title !== undefined) updateData.title = data.title;
     if (data.description !== undefined) updateData.description = data.description;
     if (data.completed !== undefined) updateData.completed = data.completed;
+    if (data.completed_at !== undefined) updateData.completed_at = data.completed_at;
+    if (data.due_at !== undefined) updateData.due_at = data.due_at;
+    if (data.priority !== undefined) updateData.priority = data.priority;
+    if (data.list_id !== undefined) updateData.list_id = data.list_id;
+    if (data.parent_id !== undefined) updateData.parent_id = data.parent_id;
+    if (data.auto_complete !== undefined) updateData.auto_complete = data.auto_complete;
+    if (data.recurrence !== undefined) updateData.recurrence = data.recurrence;
+    updateData.updated_at = now();
+    updateData.version = nextVersion();
 
-    const updated = await db(TODO_TABLE).where({ id }).update(updateData);
-    if (updated === 0) return null;
-    
-    return await Todo.findById(id);
+    return await transaction(async () => {
+      const row = await activeTodos().where({ id }).first();
+      if (!row) return null;
+      const [before] = await Todo.withTags([row]);
+
+      await activeTodos().where({ id }).update(updateData);
+      if (data.tags !== undefined) {
+        await Tag.setTodoTags(id, data.tags);
+      }
+
+      const todo = await Todo.findById(id);
+      if (TodoRevision.isChanged(before, todo)) {
+        await TodoRevision.create(before);
+      }
+      return todo;
+    });
+  }
+
+  /**
+   * Drop a todo's recurrence rule once its next occurrence has taken it over
+   * This is part of completing the todo, so it keeps no revision and is no new version.
+   * @param {number} id - Todo ID
+   * @returns {Promise<void>}
+   */
+  static async clearRecurrence(id) {
+    await activeTodos().where({ id }).update({ recurrence: null });
   }
 
   /**
-   * Delete todo by ID
+   * Move a todo and its subtasks to the trash
+   * Everything trashed together shares one deleted_at, which is how restore finds it again.
    * @param {number} id - Todo ID
    * @returns {Promise<boolean>} True if deleted, false if not found
    */
   static async delete(id) {
-    const deleted = await db(TODO_TABLE).where({ id }).del();
-    return deleted > 0;
+    return await transaction(async () => {
+      const ids = [id, ...(await Todo.findDescendantIds(id)).flat()];
+      const deleted = await activeTodos().whereIn('id', ids).update({ deleted_at: now(), version: nextVersion() });
+      return deleted > 0;
+    });
   }
 
   /**
-   * Count todos by status
-   * @returns {Promise<Object>} Count object with total, completed, pending
+   * Archive a todo together with its subtasks
+   * Everything archived together shares one archived_at, which is how unarchive finds it again.
+   * @param {number} id - Todo ID
+   * @returns {Promise<boolean>} True if archived, false if not found or already archived
    */
-  static async getStats() {
-    const total = await db(TODO_TABLE).count('* as count').first();
-    const completed = await db(TODO_TABLE).where({ completed: true }).count('* as count').first();
-    
-    return {
-      total: total.count,
-      completed: completed.count,
-      pending: total.count - completed.count
-    };
+  static async archive(id) {
+    return await transaction(async () => {
+      const ids = [id, ...(await Todo.findDescendantIds(id)).flat()];
+      const archived = await currentTodos().whereIn('id', ids).update({ archived_at: now(), version: nextVersion() });
+      return archived > 0;
+    });
   }
 
   /**
-   * Find todos by completion status
-   * @param {boolean} completed - Completion status
-   * @returns {Promise<Array>} Array of todos
+   * Archive completed top-level todos, each together with its subtasks
+   * @param {Object} [filters]
+   * @param {number} [filters.list_id] - Only todos in this list
+   * @param {string} [filters.completed_before] - Only todos completed before this ISO timestamp
+   * @returns {Promise<Array<number>>} IDs of the top-level todos archived
+   */
+  static async archiveCompleted({ list_id, completed_before } = {}) {
+    return await transaction(async () => {
+      const builder = currentTodos().whereNull('parent_id').where({ completed: true });
+      if (list_id) {
+        builder.where({ list_id });
+      }
+      if (completed_before) {
+        builder.where('completed_at', '<', completed_before);
+      }
+      const rootIds = (await builder.select('id')).map(row => row.id);
+      if (rootIds.length === 0) return [];
+
+      const ids = [...rootIds];
+      for (const rootId of rootIds) {
+        ids.push(...(await Todo.findDescendantIds(rootId)).flat());
+      }
+      await currentTodos().whereIn('id', ids).update({ archived_at: now(), version: nextVersion() });
+      return rootIds;
+    });
+  }
+
+  /**
+   * Take an archived todo, and the subtasks archived with it, out of the archive
+   * @param {number} id - Todo ID
+   * @returns {Promise<boolean>} True if unarchived, false if not found or not archived
    */
-  static async findByStatus(completed) {
-    return await db(TODO_TABLE).where({ completed }).select('*');
+  static async unarchive(id) {
+    return await transaction(async () => {
+      const todo = await activeTodos().where({ id }).whereNotNull('archived_at').first();
+      if (!todo) return false;
+
+      const descendantIds = (await Todo.findDescendantIds(id)).flat();
+      await activeTodos()
+        .whereIn('id', [id, ...descendantIds])
+        .where({ archived_at: todo.archived_at })
+        .update({ archived_at: null, version: nextVersion() });
+      return true;
+    });
   }
-}
\ No newline at end of file
+
+  /**
+   * Find a todo in the trash by ID
+   * @param {number} id - Todo ID
+   * @returns {Promise<Object|null>} Trashed todo or null
+   */
+  static async findInTrash(id) {
+    const todo = await query(TODO_TABLE).where({ id }).whereNotNull('deleted_at').first();
+    if (!todo) return null;
+
+    const [withRelations] = await Todo.withRelations([todo]);
+    return withRelations;
+  }
+
+  /**
+   * Find the todos in the trash, most recently deleted first
+   * Subtasks trashed along with their parent are left out; they come back with it.
+   * @returns {Promise<Array>} Trashed todos
+   */
+  static async findTrash() {
+    return await Todo.withRelations(await query(TODO_TABLE)
+      .whereNotNull(`${TODO_TABLE}.deleted_at`)
+      .where(function () {
+        this.whereNull(`${TODO_TABLE}.parent_id`).orWhereNotExists(function () {
+          this.select('*')
+            .from(`${TODO_TABLE} as parent`)
+            .whereRaw(`parent.id = ${TODO_TABLE}.parent_id`)
+            .whereNotNull('parent.deleted_at');
+        });
+      })
+      .orderBy([{ column: 'deleted_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+      .select(`${TODO_TABLE}.*`));
+  }
+
+  /**
+   * Take a todo, and the subtasks trashed with it, out of the trash
+   * A subtask whose parent is still in the trash comes back as a top-level todo.
+   * @param {number} id - Todo ID
+   * @returns {Promise<Object|null>} Restored todo or null if it is not in the trash
+   */
+  static async restore(id) {
+    return await transaction(async () => {
+      const todo = await query(TODO_TABLE).where({ id }).whereNotNull('deleted_at').first();
+      if (!todo) return null;
+
+      const descendantIds = (await Todo.findDescendantIds(id)).flat();
+      await query(TODO_TABLE)
+        .whereIn('id', [id, ...descendantIds])
+        .where({ deleted_at: todo.deleted_at })
+        .update({ deleted_at: null, version: nextVersion() });
+
+      if (todo.parent_id && !(await Todo.findById(todo.parent_id))) {
+        await query(TODO_TABLE).where({ id }).update({ parent_id: null, version: nextVersion() });
+      }
+      return await Todo.findById(id);
+    });
+  }
+
+  /**
+   * Permanently delete a todo from the trash, with its subtasks
+   * @param {number} id - Todo ID
+   * @returns {Promise<boolean>} True if deleted, false if it is not in the trash
+   */
+  static async destroy(id) {
+    const deleted = await query(TODO_TABLE).where({ id }).whereNotNull('deleted_at').del();
+    return deleted > 0;
+  }
+
+  /**
+   * Permanently delete every todo in the trash
+   * @returns {Promise<number>} Number of todos deleted
+   */
+  static async emptyTrash() {
+    return await query(TODO_TABLE).whereNotNull('deleted_at').del();
+  }
+
+  /**
+   * Count todos by status in one aggregate query
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only count todos in this list
+   * @param {boolean} [options.archived=false] - Count the archived todos instead of the unarchived ones
+   * @param {string} [options.before] - ISO timestamp incomplete todos are overdue before (defaults to now)
+   * @returns {Promise<Object>} Count object with total, completed, pending, overdue
+   */
+  static async getStats({ list_id, archived = false, before = now() } = {}) {
+    const builder = archived ? activeTodos().whereNotNull(`${TODO_TABLE}.archived_at`) : currentTodos();
+    if (list_id) {
+      builder.where(`${TODO_TABLE}.list_id`, list_id);
+    }
+    const counts = await builder
+      .select(
+        db.raw('COUNT(*) AS total'),
+        db.raw(`COALESCE(SUM(CASE WHEN ${TODO_TABLE}.completed THEN 1 ELSE 0 END), 0) AS completed`),
+        db.raw(
+          `COALESCE(SUM(CASE WHEN NOT ${TODO_TABLE}.completed AND ${TODO_TABLE}.due_at < ? THEN 1 ELSE 0 END), 0) AS overdue`,
+          [before]
+        )
+      )
+      .first();
+    const total = Number(counts.total);
+    const completed = Number(counts.completed);
+
+    return {
+      total,
+      completed,
+      pending: total - completed,
+      overdue: Number(counts.overdue)
+    };
+  }
+
+  /**
+   * Figures that change with every write to the todos or to what a listing of them shows
+   * Counts catch inserts and deletes, version sums and timestamps catch updates, and tag names are
+   * read whole, as tags carry no timestamp. The newest audit event covers anything left.
+   * @returns {Promise<Object>} The figures; those ending in `_at` are timestamps
+   */
+  static async getChangeSummary() {
+    return query(TODO_TABLE)
+      .select(
+        db.raw('COUNT(*) AS todo_count'),
+        db.raw('COALESCE(SUM(version), 0) AS todo_versions'),
+        db.raw('MAX(updated_at) AS todo_updated_at'),
+        db.raw(`(SELECT COUNT(*) FROM ${TODO_TAG_TABLE}) AS todo_tag_count`),
+        db.raw(`(SELECT GROUP_CONCAT(id || ':' || name) FROM (SELECT id, name FROM ${TAG_TABLE} ORDER BY id)) AS tag_names`),
+        db.raw(`(SELECT COUNT(*) FROM ${LIST_TABLE}) AS list_count`),
+        db.raw(`(SELECT MAX(updated_at) FROM ${LIST_TABLE}) AS list_updated_at`),
+        db.raw(`(SELECT COUNT(*) FROM ${COMMENT_TABLE}) AS comment_count`),
+        db.raw(`(SELECT MAX(updated_at) FROM ${COMMENT_TABLE}) AS comment_updated_at`),
+        db.raw(`(SELECT COUNT(*) FROM ${ATTACHMENT_TABLE}) AS attachment_count`),
+        db.raw(`(SELECT MAX(created_at) FROM ${ATTACHMENT_TABLE}) AS attachment_created_at`),
+        db.raw(`(SELECT MAX(id) FROM ${AUDIT_EVENT_TABLE}) AS audit_event_id`),
+        db.raw(`(SELECT MAX(created_at) FROM ${AUDIT_EVENT_TABLE}) AS audit_event_created_at`)
+      )
+      .first();
+  }
+
+  /**
+   * Latest writes to a todo's row and to the rows its response shows: its subtasks, comments and attachments
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<Object>} Timestamps `todo_updated_at`, `comment_updated_at` and `attachment_created_at`, each possibly null
+   */
+  static async findLastWrites(todoId) {
+    return query(TODO_TABLE)
+      .where({ id: todoId })
+      .orWhere({ parent_id: todoId })
+      .select(
+        db.raw('MAX(updated_at) AS todo_updated_at'),
+        db.raw(`(SELECT MAX(updated_at) FROM ${COMMENT_TABLE} WHERE todo_id = ?) AS comment_updated_at`, [todoId]),
+        db.raw(`(SELECT MAX(created_at) FROM ${ATTACHMENT_TABLE} WHERE todo_id = ?) AS attachment_created_at`, [todoId])
+      )
+      .first();
+  }
+
+  /**
+   * Latest due date already passed among incomplete todos, archived ones included
+   * The overdue count last changed by itself at this moment.
+   * @param {string} before - ISO timestamp due dates must be before
+   * @returns {Promise<string|null>} Due date, or null when no incomplete todo is overdue
+   */
+  static async findLatestPassedDueAt(before) {
+    const result = await activeTodos()
+      .where({ completed: false })
+      .where('due_at', '<', before)
+      .max('due_at as due_at')
+      .first();
+    return result.due_at || null;
+  }
+
+  /**
+   * Find incomplete todos whose due date has passed
+   * @param {string} before - ISO timestamp todos must be due before
+   * @returns {Promise<Array>} Array of todos, soonest due first
+   */
+  static async findOverdue(before) {
+    return await Todo.withRelations(await currentTodos()
+      .where({ completed: false })
+      .where('due_at', '<', before)
+      .orderBy([{ column: 'due_at' }, { column: 'id' }])
+      .select('*'));
+  }
+
+  /**
+   * Find incomplete todos due within a time window
+   * @param {string} from - ISO timestamp the window starts at (inclusive)
+   * @param {string} to - ISO timestamp the window ends at (inclusive)
+   * @returns {Promise<Array>} Array of todos, soonest due first
+   */
+  static async findDueBetween(from, to) {
+    return await Todo.withRelations(await currentTodos()
+      .where({ completed: false })
+      .whereBetween('due_at', [from, to])
+      .orderBy([{ column: 'due_at' }, { column: 'id' }])
+      .select('*'));
+  }
+}
+
+/**
+ * Tag class for data operations
+ */
+export class Tag {
+  /**
+   * Base query selecting tags with the number of todos carrying each
+   * @returns {knex.Knex.QueryBuilder} Query builder
+   */
+  static withTodoCount() {
+    return query(TAG_TABLE)
+      .leftJoin(TODO_TAG_TABLE, `${TODO_TAG_TABLE}.tag_id`, `${TAG_TABLE}.id`)
+      .leftJoin(TODO_TABLE, function () {
+        this.on(`${TODO_TABLE}.id`, `${TODO_TAG_TABLE}.todo_id`).andOnNull(`${TODO_TABLE}.deleted_at`);
+      })
+      .groupBy(`${TAG_TABLE}.id`)
+      .select(`${TAG_TABLE}.*`)
+      .count(`${TODO_TABLE}.id as todo_count`);
+  }
+
+  /**
+   * Create a new tag
+   * @param {Object} data - Tag data
+   * @param {string} data.name - Unique tag name
+   * @returns {Promise<Object>} Created tag
+   */
+  static async create(data) {
+    const [id] = await query(TAG_TABLE).insert({
+      name: data.name,
+      created_at: now()
+    });
+    return await Tag.findById(id);
+  }
+
+  /**
+   * Find tag by ID
+   * @param {number} id - Tag ID
+   * @returns {Promise<Object|null>} Tag or null
+   */
+  static async findById(id) {
+    const tag = await Tag.withTodoCount().where(`${TAG_TABLE}.id`, id).first();
+    return tag || null;
+  }
+
+  /**
+   * Find tag by name
+   * @param {string} name - Tag name
+   * @returns {Promise<Object|null>} Tag or null
+   */
+  static async findByName(name) {
+    const tag = await Tag.withTodoCount().where(`${TAG_TABLE}.name`, name).first();
+    return tag || null;
+  }
+
+  /**
+   * Find all tags ordered by name
+   * @returns {Promise<Array>} Array of tags
+   */
+  static async findAll() {
+    return await Tag.withTodoCount().orderBy(`${TAG_TABLE}.name`);
+  }
+
+  /**
+   * Update tag by ID
+   * @param {number} id - Tag ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object|null>} Updated tag or null
+   */
+  static async update(id, data) {
+    const updated = await query(TAG_TABLE).where({ id }).update({ name: data.name });
+    if (updated === 0) return null;
+
+    return await Tag.findById(id);
+  }
+
+  /**
+   * Delete tag by ID, detaching it from every todo
+   * @param {number} id - Tag ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    const deleted = await query(TAG_TABLE).where({ id }).del();
+    return deleted > 0;
+  }
+
+  /**
+   * Replace the tags of a todo, creating tags that do not exist yet
+   * @param {number} todoId - Todo ID
+   * @param {Array<string>} names - Tag names
+   * @returns {Promise<void>}
+   */
+  static async setTodoTags(todoId, names) {
+    await query(TODO_TAG_TABLE).where({ todo_id: todoId }).del();
+    if (names.length === 0) return;
+
+    const timestamp = now();
+    await query(TAG_TABLE)
+      .insert(names.map(name => ({ name, created_at: timestamp })))
+      .onConflict('name')
+      .ignore();
+
+    const tags = await query(TAG_TABLE).whereIn('name', names).select('id');
+    await query(TODO_TAG_TABLE).insert(tags.map(tag => ({ todo_id: todoId, tag_id: tag.id })));
+  }
+}
+
+/**
+ * List class for data operations
+ */
+export class List {
+  /**
+   * Base query selecting lists with their total and pending counts of unarchived todos
+   * @returns {knex.Knex.QueryBuilder} Query builder
+   */
+  static withTodoCounts() {
+    return query(LIST_TABLE)
+      .leftJoin(TODO_TABLE, function () {
+        this.on(`${TODO_TABLE}.list_id`, `${LIST_TABLE}.id`)
+          .andOnNull(`${TODO_TABLE}.deleted_at`)
+          .andOnNull(`${TODO_TABLE}.archived_at`);
+      })
+      .groupBy(`${LIST_TABLE}.id`)
+      .select(`${LIST_TABLE}.*`)
+      .count(`${TODO_TABLE}.id as todo_count`)
+      .select(db.raw(`coalesce(sum(case when ${TODO_TABLE}.completed = 0 then 1 else 0 end), 0) as pending_count`));
+  }
+
+  /**
+   * Create a new list
+   * @param {Object} data - List data
+   * @param {string} data.name - List name
+   * @returns {Promise<Object>} Created list
+   */
+  static async create(data) {
+    const timestamp = now();
+    const [id] = await query(LIST_TABLE).insert({
+      name: data.name,
+      is_default: false,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return await List.findById(id);
+  }
+
+  /**
+   * Find list by ID
+   * @param {number} id - List ID
+   * @returns {Promise<Object|null>} List or null
+   */
+  static async findById(id) {
+    const list = await List.withTodoCounts().where(`${LIST_TABLE}.id`, id).first();
+    return list || null;
+  }
+
+  /**
+   * Find all lists, default list first
+   * @returns {Promise<Array>} Array of lists
+   */
+  static async findAll() {
+    return await List.withTodoCounts()
+      .orderBy([{ column: `${LIST_TABLE}.is_default`, order: 'desc' }, { column: `${LIST_TABLE}.id` }]);
+  }
+
+  /**
+   * ID of the default list new todos go to when no list is given
+   * @returns {Promise<number>} Default list ID
+   */
+  static async defaultId() {
+    const list = await query(LIST_TABLE).where({ is_default: true }).first('id');
+    return list.id;
+  }
+
+  /**
+   * Update list by ID, refreshing updated_at
+   * @param {number} id - List ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object|null>} Updated list or null
+   */
+  static async update(id, data) {
+    const updated = await query(LIST_TABLE).where({ id }).update({
+      name: data.name,
+      updated_at: now()
+    });
+    if (updated === 0) return null;
+
+    return await List.findById(id);
+  }
+
+  /**
+   * Delete list by ID, moving its todos to the default list
+   * @param {number} id - List ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    return await transaction(async () => {
+      await query(TODO_TABLE).where({ list_id: id }).update({ list_id: await List.defaultId(), updated_at: now(), version: nextVersion() });
+      const deleted = await query(LIST_TABLE).where({ id }).del();
+      return deleted > 0;
+    });
+  }
+}
+
+/**
+ * Comment class for data operations
+ */
+export class Comment {
+  /**
+   * Create a new comment on a todo
+   * @param {Object} data - Comment data
+   * @param {number} data.todo_id - Todo the comment is posted on
+   * @param {string} data.body - Comment text
+   * @param {string|null} [data.author] - Name of the commenter
+   * @returns {Promise<Object>} Created comment
+   */
+  static async create(data) {
+    const timestamp = now();
+    const [id] = await query(COMMENT_TABLE).insert({
+      todo_id: data.todo_id,
+      author: data.author || null,
+      body: data.body,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return await Comment.findById(id);
+  }
+
+  /**
+   * Find comment by ID
+   * @param {number} id - Comment ID
+   * @returns {Promise<Object|null>} Comment or null
+   */
+  static async findById(id) {
+    const comment = await query(COMMENT_TABLE).where({ id }).first();
+    return comment || null;
+  }
+
+  /**
+   * Find the comments on a todo, oldest first
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<Array>} Array of comments
+   */
+  static async findByTodo(todoId) {
+    return await query(COMMENT_TABLE)
+      .where({ todo_id: todoId })
+      .orderBy([{ column: 'created_at' }, { column: 'id' }]);
+  }
+
+  /**
+   * Update the text of a comment, refreshing updated_at
+   * @param {number} id - Comment ID
+   * @param {Object} data - Update data
+   * @param {string} data.body - New comment text
+   * @returns {Promise<Object|null>} Updated comment or null
+   */
+  static async update(id, data) {
+    const updated = await query(COMMENT_TABLE).where({ id }).update({
+      body: data.body,
+      updated_at: now()
+    });
+    if (updated === 0) return null;
+
+    return await Comment.findById(id);
+  }
+
+  /**
+   * Delete comment by ID
+   * @param {number} id - Comment ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    const deleted = await query(COMMENT_TABLE).where({ id }).del();
+    return deleted > 0;
+  }
+}
+
+/**
+ * Attachment class for data operations
+ */
+export class Attachment {
+  /**
+   * Record a file attached to a todo
+   * @param {Object} data - Attachment data
+   * @param {number} data.todo_id - Todo the file is attached to
+   * @param {string} data.filename - Original file name
+   * @param {string} data.stored_name - Name the file is stored under on disk
+   * @param {string} data.content_type - MIME type
+   * @param {number} data.size - Size in bytes
+   * @returns {Promise<Object>} Created attachment
+   */
+  static async create(data) {
+    const [id] = await query(ATTACHMENT_TABLE).insert({
+      todo_id: data.todo_id,
+      filename: data.filename,
+      stored_name: data.stored_name,
+      content_type: data.content_type,
+      size: data.size,
+      created_at: now()
+    });
+    return await Attachment.findById(id);
+  }
+
+  /**
+   * Find attachment by ID, ignoring attachments of todos in the trash
+   * @param {number} id - Attachment ID
+   * @returns {Promise<Object|null>} Attachment or null
+   */
+  static async findById(id) {
+    const attachment = await query(ATTACHMENT_TABLE)
+      .join(TODO_TABLE, `${TODO_TABLE}.id`, `${ATTACHMENT_TABLE}.todo_id`)
+      .whereNull(`${TODO_TABLE}.deleted_at`)
+      .where(`${ATTACHMENT_TABLE}.id`, id)
+      .first(`${ATTACHMENT_TABLE}.*`);
+    return attachment || null;
+  }
+
+  /**
+   * Find the attachments of a todo, oldest first
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<Array>} Array of attachments
+   */
+  static async findByTodo(todoId) {
+    return await query(ATTACHMENT_TABLE).where({ todo_id: todoId }).orderBy('id');
+  }
+
+  /**
+   * Stored file names of the attachments of some todos
+   * @param {Array<number>} todoIds - Todo IDs
+   * @returns {Promise<Array<string>>} Stored file names
+   */
+  static async findStoredNames(todoIds) {
+    if (todoIds.length === 0) return [];
+    const rows = await query(ATTACHMENT_TABLE).whereIn('todo_id', todoIds).select('stored_name');
+    return rows.map(row => row.stored_name);
+  }
+
+  /**
+   * Stored file names of the attachments of todos in the trash
+   * @returns {Promise<Array<string>>} Stored file names
+   */
+  static async findStoredNamesInTrash() {
+    const rows = await query(ATTACHMENT_TABLE)
+      .join(TODO_TABLE, `${TODO_TABLE}.id`, `${ATTACHMENT_TABLE}.todo_id`)
+      .whereNotNull(`${TODO_TABLE}.deleted_at`)
+      .select(`${ATTACHMENT_TABLE}.stored_name`);
+    return rows.map(row => row.stored_name);
+  }
+
+  /**
+   * Delete attachment by ID
+   * @param {number} id - Attachment ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    const deleted = await query(ATTACHMENT_TABLE).where({ id }).del();
+    return deleted > 0;
+  }
+}
+
+/**
+ * Parse the tag names stored on a revision row
+ * @param {Object|undefined} row - Revision row
+ * @returns {Object|null} Revision with `tags` as an array, or null
+ */
+function parseRevision(row) {
+  if (!row) return null;
+  return { ...row, tags: JSON.parse(row.tags) };
+}
+
+/**
+ * TodoRevision class for data operations on the earlier versions of todos
+ * Revisions are numbered per todo from 1, oldest first; the todo itself is the current version.
+ */
+export class TodoRevision {
+  /**
+   * Whether two versions of a todo differ in the content a revision keeps
+   * @param {Object} before - Todo with tags
+   * @param {Object} after - Todo with tags
+   * @returns {boolean} True if a kept field or the tags differ
+   */
+  static isChanged(before, after) {
+    return TODO_REVISION_FIELDS.some(field => before[field] !== after[field]) ||
+      before.tags.join('\n') !== after.tags.join('\n');
+  }
+
+  /**
+   * Keep a version of a todo as its next revision
+   * @param {Object} todo - Todo row with tags, as it was before the change
+   * @returns {Promise<Object>} Created revision
+   */
+  static async create(todo) {
+    const last = await query(TODO_REVISION_TABLE).where({ todo_id: todo.id }).max('rev as rev').first();
+    const data = { todo_id: todo.id, rev: (last.rev || 0) + 1 };
+    TODO_REVISION_FIELDS.forEach(field => {
+      data[field] = todo[field];
+    });
+    const [id] = await query(TODO_REVISION_TABLE).insert({
+      ...data,
+      tags: JSON.stringify(todo.tags),
+      updated_at: todo.updated_at,
+      replaced_at: now()
+    });
+    return parseRevision(await query(TODO_REVISION_TABLE).where({ id }).first());
+  }
+
+  /**
+   * Find the revisions of a todo
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  static async findByTodo(todoId) {
+    const rows = await query(TODO_REVISION_TABLE).where({ todo_id: todoId }).orderBy('rev', 'desc');
+    return rows.map(parseRevision);
+  }
+
+  /**
+   * Find one revision of a todo
+   * @param {number} todoId - Todo ID
+   * @param {number} rev - Revision number
+   * @returns {Promise<Object|null>} Revision or null
+   */
+  static async findByRev(todoId, rev) {
+    return parseRevision(await query(TODO_REVISION_TABLE).where({ todo_id: todoId, rev }).first());
+  }
+}
+
+/**
+ * Parse the JSON snapshots stored on an operation row
+ * @param {Object|undefined} row - Operation row
+ * @returns {Object|null} Operation with `before` and `after` as objects, or null
+ */
+function parseOperation(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+/**
+ * Operation class for data operations on the undo log
+ * A session's operations form a stack: the newest one not undone is the next to undo, and the
+ * oldest undone one the next to redo.
+ */
+export class Operation {
+  /**
+   * Log an operation
+   * @param {Object} data - Operation data
+   * @param {string} data.session_id - Client session the operation was made in
+   * @param {string} data.action - 'create', 'update', 'toggle' or 'delete'
+   * @param {number} data.todo_id - Todo the operation changed
+   * @param {string} data.label - Human-readable summary, e.g. 'Edited "Buy milk"'
+   * @param {Object|null} [data.before] - Changed fields before the operation
+   * @param {Object|null} [data.after] - Changed fields after the operation
+   * @param {number|null} [data.occurrence_id] - Next occurrence the operation created by completing a recurring todo
+   * @returns {Promise<Object>} Created operation
+   */
+  static async create(data) {
+    const [id] = await query(OPERATION_TABLE).insert({
+      session_id: data.session_id,
+      action: data.action,
+      todo_id: data.todo_id,
+      label: data.label,
+      before: data.before ? JSON.stringify(data.before) : null,
+      after: data.after ? JSON.stringify(data.after) : null,
+      occurrence_id: data.occurrence_id ?? null,
+      created_at: now()
+    });
+    return parseOperation(await query(OPERATION_TABLE).where({ id }).first());
+  }
+
+  /**
+   * Find the newest operation of a session that has not been undone
+   * @param {string} sessionId - Client session
+   * @returns {Promise<Object|null>} Operation or null
+   */
+  static async findLastDone(sessionId) {
+    return parseOperation(await query(OPERATION_TABLE)
+      .where({ session_id: sessionId })
+      .whereNull('undone_at')
+      .orderBy('id', 'desc')
+      .first());
+  }
+
+  /**
+   * Find the oldest undone operation of a session
+   * @param {string} sessionId - Client session
+   * @returns {Promise<Object|null>} Operation or null
+   */
+  static async findFirstUndone(sessionId) {
+    return parseOperation(await query(OPERATION_TABLE)
+      .where({ session_id: sessionId })
+      .whereNotNull('undone_at')
+      .orderBy('id')
+      .first());
+  }
+
+  /**
+   * Mark an operation as undone, or as done again
+   * @param {number} id - Operation ID
+   * @param {boolean} undone - Whether the operation is now undone
+   * @returns {Promise<void>}
+   */
+  static async setUndone(id, undone) {
+    await query(OPERATION_TABLE).where({ id }).update({ undone_at: undone ? now() : null });
+  }
+
+  /**
+   * Record the next occurrence an operation created, when redoing it created a fresh one
+   * @param {number} id - Operation ID
+   * @param {number|null} occurrenceId - ID of the occurrence
+   * @returns {Promise<void>}
+   */
+  static async setOccurrence(id, occurrenceId) {
+    await query(OPERATION_TABLE).where({ id }).update({ occurrence_id: occurrenceId });
+  }
+
+  /**
+   * Delete the undone operations of a session, which a new operation makes impossible to redo
+   * @param {string} sessionId - Client session
+   * @returns {Promise<number>} Number of operations deleted
+   */
+  static async deleteUndone(sessionId) {
+    return await query(OPERATION_TABLE).where({ session_id: sessionId }).whereNotNull('undone_at').del();
+  }
+
+  /**
+   * Delete the oldest operations of a session beyond the newest `keep`
+   * @param {string} sessionId - Client session
+   * @param {number} keep - Number of operations to keep
+   * @returns {Promise<number>} Number of operations deleted
+   */
+  static async deleteOldest(sessionId, keep) {
+    const newest = query(OPERATION_TABLE)
+      .where({ session_id: sessionId })
+      .orderBy('id', 'desc')
+      .limit(keep)
+      .select('id');
+    return await query(OPERATION_TABLE).where({ session_id: sessionId }).whereNotIn('id', newest).del();
+  }
+
+  /**
+   * Delete operation by ID
+   * @param {number} id - Operation ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    const deleted = await query(OPERATION_TABLE).where({ id }).del();
+    return deleted > 0;
+  }
+}
+
+/**
+ * Parse the JSON snapshots stored on an audit event row
+ * @param {Object} row - Audit event row
+ * @returns {Object} Audit event with `before` and `after` as objects
+ */
+function parseAuditEvent(row) {
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+/**
+ * AuditEvent class for data operations on the append-only audit log
+ * Events are only ever inserted; the table rejects updates and deletes.
+ */
+export class AuditEvent {
+  /**
+   * Record an event, attributed to the actor and request of the current audit context
+   * @param {Object} data - Event data
+   * @param {string} data.action - What happened, as `<entity>.<verb>`, e.g. 'todo.update'
+   * @param {number|null} [data.todo_id] - Todo the change concerns
+   * @param {Object|null} [data.before] - Row before the change
+   * @param {Object|null} [data.after] - Row after the change
+   * @returns {Promise<number>} ID of the event
+   */
+  static async create(data) {
+    const context = auditContext.getStore() || {};
+    const [id] = await query(AUDIT_EVENT_TABLE).insert({
+      actor: context.actor || null,
+      action: data.action,
+      todo_id: data.todo_id ?? null,
+      before: data.before ? JSON.stringify(data.before) : null,
+      after: data.after ? JSON.stringify(data.after) : null,
+      request_id: context.request_id || null,
+      created_at: now()
+    });
+    return id;
+  }
+
+  /**
+   * Start a query against the events matching a set of filters
+   * @param {Object} [filters]
+   * @param {number} [filters.todo_id] - Only events about this todo
+   * @param {string} [filters.actor] - Only events by this actor
+   * @param {string} [filters.action] - Only this action, or every action of an entity when given without a verb
+   * @param {string} [filters.request_id] - Only events written by this request
+   * @param {string} [filters.since] - Only events at or after this ISO timestamp
+   * @param {string} [filters.until] - Only events before this ISO timestamp
+   * @returns {knex.Knex.QueryBuilder} Query builder
+   */
+  static filtered({ todo_id, actor, action, request_id, since, until } = {}) {
+    const builder = query(AUDIT_EVENT_TABLE);
+    if (todo_id !== undefined) builder.where({ todo_id });
+    if (actor !== undefined) builder.where({ actor });
+    if (request_id !== undefined) builder.where({ request_id });
+    if (action !== undefined) {
+      if (action.includes('.')) {
+        builder.where({ action });
+      } else {
+        builder.where('action', 'like', `${action}.%`);
+      }
+    }
+    if (since !== undefined) builder.where('created_at', '>=', since);
+    if (until !== undefined) builder.where('created_at', '<', until);
+    return builder;
+  }
+
+  /**
+   * Find events matching a set of filters, newest first
+   * @param {Object} [options] - The filters of {@link AuditEvent.filtered}, plus:
+   * @param {number} [options.before_id] - Only events older than this one, to continue a page
+   * @param {number} [options.limit] - Most events to return
+   * @returns {Promise<Array>} Audit events
+   */
+  static async findAll({ before_id, limit, ...filters } = {}) {
+    const builder = AuditEvent.filtered(filters).orderBy('id', 'desc');
+    if (before_id !== undefined) builder.where('id', '<', before_id);
+    if (limit !== undefined) builder.limit(limit);
+    return (await builder).map(parseAuditEvent);
+  }
+
+  /**
+   * Find the newest event that may have changed how a todo reads: one about the todo itself, its
+   * comments or attachments, about one of its subtasks, or a tag being renamed or deleted
+   * Deletions leave no row behind to date them; their events do.
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<Object|null>} `{ id, created_at }`, or null when there is no such event
+   */
+  static async findLatestForTodo(todoId) {
+    return (await query(AUDIT_EVENT_TABLE)
+      .where(builder => builder
+        .where({ todo_id: todoId })
+        .orWhereIn('todo_id', query(TODO_TABLE).where({ parent_id: todoId }).select('id'))
+        .orWhereIn('action', ['tag.update', 'tag.delete']))
+      .orderBy('id', 'desc')
+      .select('id', 'created_at')
+      .first()) || null;
+  }
+
+  /**
+   * Count events matching a set of filters
+   * @param {Object} [filters] - The filters of {@link AuditEvent.filtered}
+   * @returns {Promise<number>} Number of events
+   */
+  static async count(filters = {}) {
+    const result = await AuditEvent.filtered(filters).count('* as count').first();
+    return Number(result.count);
+  }
+}
+
+/**
+ * Parse the response headers stored on an idempotency key row
+ * @param {Object|undefined} row - Idempotency key row
+ * @returns {Object|null} Key with `response_headers` as an object, or null
+ */
+function parseIdempotencyKey(row) {
+  if (!row) return null;
+  return { ...row, response_headers: row.response_headers ? JSON.parse(row.response_headers) : {} };
+}
+
+/**
+ * Columns that identify a stored key
+ * @param {Object} scope - Key and where it was sent: { key, session_id, method, url }
+ * @returns {Object} Where clause
+ */
+function idempotencyKeyWhere({ key, session_id, method, url }) {
+  return { key, session_id: session_id ?? '', method, url };
+}
+
+/**
+ * IdempotencyKey class for data operations on the stored responses to idempotent requests
+ * A key belongs to the session, method and URL it was sent with. It is reserved while its
+ * request is processed and then completed with the response; expired keys are never returned.
+ */
+export class IdempotencyKey {
+  /**
+   * Find a key that has not expired
+   * @param {Object} scope - { key, session_id, method, url }; a missing session is the empty one
+   * @returns {Promise<Object|null>} Key or null
+   */
+  static async find(scope) {
+    return parseIdempotencyKey(await query(IDEMPOTENCY_KEY_TABLE)
+      .where(idempotencyKeyWhere(scope))
+      .where('expires_at', '>', now())
+      .first());
+  }
+
+  /**
+   * Reserve a key for a request being processed
+   * @param {Object} scope - { key, session_id, method, url }
+   * @param {Object} data
+   * @param {string} data.request_hash - Hash of the request the key was sent with
+   * @param {string} data.expires_at - ISO timestamp after which the reservation lapses
+   * @returns {Promise<void>}
+   */
+  static async reserve(scope, { request_hash, expires_at }) {
+    await query(IDEMPOTENCY_KEY_TABLE).insert({
+      ...idempotencyKeyWhere(scope),
+      request_hash,
+      created_at: now(),
+      expires_at
+    });
+  }
+
+  /**
+   * Store the response to a reserved key
+   * @param {Object} scope - { key, session_id, method, url }
+   * @param {Object} response
+   * @param {number} response.status_code - HTTP status code
+   * @param {string} response.body - Serialized response body
+   * @param {Object} response.headers - Response headers to replay
+   * @param {string} expiresAt - ISO timestamp after which the response is no longer replayed
+   * @returns {Promise<void>}
+   */
+  static async complete(scope, { status_code, body, headers }, expiresAt) {
+    await query(IDEMPOTENCY_KEY_TABLE).where(idempotencyKeyWhere(scope)).update({
+      status_code,
+      response_body: body,
+      response_headers: JSON.stringify(headers),
+      expires_at: expiresAt
+    });
+  }
+
+  /**
+   * Delete a key, so its request can be made again
+   * @param {Object} scope - { key, session_id, method, url }
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(scope) {
+    const deleted = await query(IDEMPOTENCY_KEY_TABLE).where(idempotencyKeyWhere(scope)).del();
+    return deleted > 0;
+  }
+
+  /**
+   * Delete every expired key
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  static async deleteExpired() {
+    return await query(IDEMPOTENCY_KEY_TABLE).where('expires_at', '<=', now()).del();
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * Patch documents for partial todo updates
+ *
+ *   application/merge-patch+json (RFC 7396)   { "priority": "high", "due_at": null }
+ *   application/json-patch+json (RFC 6902)    [{ "op": "test", "path": "/version", "value": 3 },
+ *                                              { "op": "add", "path": "/tags/-", "value": "urgent" }]
+ *
+ * A merge patch sets the members it names and removes those set to null. A JSON Patch is a
+ * list of operations on JSON Pointers (RFC 6901), applied in order; the patch fails as a
+ * whole if any operation does, including a `test` whose value does not match.
+ * Patches are applied to a copy; the document passed in is never changed.
+ */
+
+/**
+ * Media type of a JSON Merge Patch
+ */
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+
+/**
+ * Media type of a JSON Patch
+ */
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/**
+ * Patch media types, as advertised in Accept-Patch
+ */
+export const PATCH_MEDIA_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE];
+
+/**
+ * Whether a value is a JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Whether an object has a member of its own, ignoring anything inherited
+ * @param {Object} object - Object to look in
+ * @param {string} key - Member name
+ * @returns {boolean}
+ */
+function hasMember(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Set an object member, defined as data so names like "__proto__" stay plain members
+ * @param {Object} object - Object to change
+ * @param {string} key - Member name
+ * @param {*} value - Member value
+ */
+function setMember(object, key, value) {
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Deep copy of a JSON value
+ * @param {*} value - JSON value
+ * @returns {*} Copy sharing nothing with the value
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => setMember(copy, key, clone(value[key])));
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Whether two JSON values are equal; object members compare regardless of order
+ * @param {*} a - JSON value
+ * @param {*} b - JSON value
+ * @returns {boolean}
+ */
+export function jsonEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, index) => jsonEqual(item, b[index]));
+  }
+  if (isObject(a) || isObject(b)) {
+    if (!isObject(a) || !isObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => hasMember(b, key) && jsonEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Apply a JSON Merge Patch
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch; anything but an object replaces the target outright
+ * @returns {*} Patched copy of the target
+ */
+export function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? clone(target) : {};
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      setMember(result, key, applyMergePatch(hasMember(result, key) ? result[key] : undefined, patch[key]));
+    }
+  });
+  return result;
+}
+
+/**
+ * Split a JSON Pointer into its unescaped reference tokens
+ * @param {string} pointer - e.g. "/tags/0"; "" points at the whole document
+ * @returns {Array<string>} Reference tokens
+ * @throws {Error} If the pointer is not empty and does not start with "/"
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Path "${pointer}" must be empty or start with "/"`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Array index a reference token names
+ * @param {Array} array - Array the token refers into
+ * @param {string} token - Reference token
+ * @param {string} pointer - Whole pointer, for error messages
+ * @param {boolean} [forInsert=false] - Allow "-" and the index just past the end, as an add does
+ * @returns {number} Index
+ * @throws {Error} If the token is no index, or is out of range
+ */
+function arrayIndex(array, token, pointer, forInsert = false) {
+  if (forInsert && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new Error(`Path "${pointer}" must use an array index, got "${token}"`);
+  }
+  const index = Number(token);
+  if (index > (forInsert ? array.length : array.length - 1)) {
+    throw new Error(`Path "${pointer}" is past the end of the array`);
+  }
+  return index;
+}
+
+/**
+ * Value a JSON Pointer refers to
+ * @param {*} document - Document to look in
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Referenced value
+ * @throws {Error} If nothing is at the pointer
+ */
+function getValue(document, pointer) {
+  return parsePointer(pointer).reduce((value, token) => {
+    if (Array.isArray(value)) {
+      return value[arrayIndex(value, token, pointer)];
+    }
+    if (isObject(value) && hasMember(value, token)) {
+      return value[token];
+    }
+    throw new Error(`Path "${pointer}" does not exist`);
+  }, document);
+}
+
+/**
+ * Container a JSON Pointer's last token refers into
+ * @param {*} document - Document to look in
+ * @param {string} pointer - JSON Pointer, not ""
+ * @returns {{parent: Object|Array, token: string}} Container and the last reference token
+ * @throws {Error} If the container does not exist
+ */
+function getParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const token = tokens.pop();
+  const parentPointer = tokens.map(part => '/' + part.replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+  const parent = getValue(document, parentPointer);
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return { parent, token };
+}
+
+/**
+ * Add a value at a JSON Pointer, inserting into arrays and setting object members
+ * @param {*} document - Document to change
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - Value to add
+ * @returns {*} The document, or the value when the pointer is ""
+ */
+function addValue(document, pointer, value) {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, token } = getParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, true), 0, value);
+  } else {
+    setMember(parent, token, value);
+  }
+  return document;
+}
+
+/**
+ * Remove the value at a JSON Pointer
+ * @param {*} document - Document to change
+ * @param {string} pointer - JSON Pointer, not ""
+ * @returns {*} The removed value
+ * @throws {Error} If nothing is at the pointer
+ */
+function removeValue(document, pointer) {
+  if (pointer === '') {
+    throw new Error('Path "" cannot be removed');
+  }
+  const removed = getValue(document, pointer);
+  const { parent, token } = getParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer), 1);
+  } else {
+    delete parent[token];
+  }
+  return removed;
+}
+
+/**
+ * Apply one JSON Patch operation
+ * @param {*} document - Document to change
+ * @param {Object} operation - { op, path, value?, from? }
+ * @param {number} index - Position of the operation in the patch, for error messages
+ * @returns {*} The changed document
+ * @throws {Error} If the operation cannot be applied
+ */
+function applyOperation(document, operation, index) {
+  const { op, path, from } = operation;
+  switch (op) {
+    case 'add':
+      return addValue(document, path, clone(operation.value));
+    case 'remove':
+      removeValue(document, path);
+      return document;
+    case 'replace':
+      if (path === '') {
+        return clone(operation.value);
+      }
+      removeValue(document, path);
+      return addValue(document, path, clone(operation.value));
+    case 'move':
+      if (path === from) {
+        getValue(document, from);
+        return document;
+      }
+      if (path.startsWith(from + '/')) {
+        throw new Error(`Operation ${index} cannot move "${from}" into itself`);
+      }
+      return addValue(document, path, removeValue(document, from));
+    case 'copy':
+      return addValue(document, path, clone(getValue(document, from)));
+    case 'test':
+      if (!jsonEqual(getValue(document, path), operation.value)) {
+        throw new Error(`Test at "${path}" failed`);
+      }
+      return document;
+    default:
+      throw new Error(`Operation ${index} has unknown op "${op}"`);
+  }
+}
+
+/**
+ * Apply a JSON Patch
+ * @param {*} document - Document to patch
+ * @param {Array<Object>} operations - Operations, applied in order
+ * @returns {*} Patched copy of the document
+ * @throws {Error} If any operation cannot be applied; nothing is patched then
+ */
+export function applyJsonPatch(document, operations) {
+  return operations.reduce(
+    (patched, operation, index) => applyOperation(patched, operation, index),
+    clone(document)
+  );
+}
+
+/**
+ * Apply a patch of either media type
+ * @param {string} mediaType - MERGE_PATCH_TYPE or JSON_PATCH_TYPE
+ * @param {*} document - Document to patch
+ * @param {*} patch - Patch document
+ * @returns {*} Patched copy of the document
+ * @throws {Error} If the patch cannot be applied
+ */
+export function applyPatch(mediaType, document, patch) {
+  if (mediaType === MERGE_PATCH_TYPE) {
+    return applyMergePatch(document, patch);
+  }
+  if (mediaType === JSON_PATCH_TYPE) {
+    return applyJsonPatch(document, patch);
+  }
+  throw new Error(`Patch media type must be one of: ${PATCH_MEDIA_TYPES.join(', ')}`);
+}
@@ -0,0 +1,197 @@
+/**
+ * Recurrence rules: the subset of RFC 5545 RRULEs todos can repeat on
+ *
+ *   FREQ=DAILY;INTERVAL=3            every 3 days
+ *   FREQ=WEEKLY;BYDAY=MO,TH          every Monday and Thursday
+ *   FREQ=MONTHLY;BYMONTHDAY=15       the 15th of every month (-1 is the last day)
+ *
+ * INTERVAL defaults to 1. Weeks start on Monday. Monthly rules on days a month
+ * does not have (e.g. the 31st) fall on that month's last day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Supported frequencies
+ */
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * RRULE weekday codes, in JavaScript getUTCDay() order
+ */
+export const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Most occurrences skipped when catching a rule up to the present
+ */
+const MAX_CATCH_UP_STEPS = 1000;
+
+/**
+ * Parse an RRULE string into its parts
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR", optionally prefixed with "RRULE:"
+ * @returns {{freq: string, interval: number, byDay: Array<string>, byMonthDay: number|null}} Parsed rule
+ * @throws {Error} If the rule is outside the supported subset
+ */
+export function parseRecurrence(rule) {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    throw new Error('Recurrence must be a non-empty RRULE string');
+  }
+
+  const parts = {};
+  rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new Error(`Recurrence must be a list of KEY=VALUE parts, got "${part}"`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Recurrence must be limited to FREQ, INTERVAL, BYDAY and BYMONTHDAY (got ${unsupported.join(', ')})`);
+  }
+
+  const freq = parts.FREQ;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    throw new Error(`Recurrence FREQ must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new Error('Recurrence INTERVAL must be an integer between 1 and 365');
+  }
+
+  let byDay = [];
+  if (parts.BYDAY !== undefined) {
+    if (freq !== 'WEEKLY') {
+      throw new Error('Recurrence BYDAY must be used with FREQ=WEEKLY only');
+    }
+    byDay = [...new Set(parts.BYDAY.split(','))];
+    if (byDay.some(day => !RECURRENCE_WEEKDAYS.includes(day))) {
+      throw new Error(`Recurrence BYDAY must list weekdays from: ${RECURRENCE_WEEKDAYS.join(', ')}`);
+    }
+    byDay.sort((a, b) => weekdayIndex(a) - weekdayIndex(b));
+  }
+
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY !== undefined) {
+    if (freq !== 'MONTHLY') {
+      throw new Error('Recurrence BYMONTHDAY must be used with FREQ=MONTHLY only');
+    }
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(byMonthDay) || byMonthDay === 0 || byMonthDay < -1 || byMonthDay > 31) {
+      throw new Error('Recurrence BYMONTHDAY must be a day from 1 to 31, or -1 for the last day');
+    }
+  }
+
+  return { freq, interval, byDay, byMonthDay };
+}
+
+/**
+ * Normalize an RRULE string to its canonical form, validating it on the way
+ * @param {string} rule - RRULE string
+ * @returns {string} Canonical rule, e.g. "FREQ=WEEKLY;BYDAY=MO,FR"
+ * @throws {Error} If the rule is outside the supported subset
+ */
+export function normalizeRecurrence(rule) {
+  const { freq, interval, byDay, byMonthDay } = parseRecurrence(rule);
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (byMonthDay !== null) parts.push(`BYMONTHDAY=${byMonthDay}`);
+  return parts.join(';');
+}
+
+/**
+ * Compute the first occurrence of a rule strictly after a date
+ * The time of day is carried over from `after`.
+ * @param {string} rule - RRULE string
+ * @param {Date} after - Previous occurrence
+ * @returns {Date} Next occurrence
+ */
+export function nextOccurrence(rule, after) {
+  const { freq, interval, byDay, byMonthDay } = parseRecurrence(rule);
+
+  if (freq === 'DAILY') {
+    return new Date(after.getTime() + interval * DAY_MS);
+  }
+
+  if (freq === 'WEEKLY') {
+    if (byDay.length === 0) {
+      return new Date(after.getTime() + interval * 7 * DAY_MS);
+    }
+    // Walk forward day by day, keeping only the listed weekdays in every interval-th week
+    const days = byDay.map(weekdayIndex);
+    const startWeek = startOfWeek(after);
+    for (let step = 1; step <= interval * 7 + 7; step++) {
+      const candidate = new Date(after.getTime() + step * DAY_MS);
+      const weeksApart = Math.round((startOfWeek(candidate) - startWeek) / (7 * DAY_MS));
+      if (days.includes(candidate.getUTCDay()) && weeksApart % interval === 0) {
+        return candidate;
+      }
+    }
+  }
+
+  // MONTHLY: same day of the month (or BYMONTHDAY) every interval-th month
+  const day = byMonthDay ?? after.getUTCDate();
+  for (let months = 0; ; months += interval) {
+    const candidate = monthDay(after, months, day);
+    if (candidate > after) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Compute the next occurrence after a date that is also in the future
+ * Occurrences missed while a todo was overdue are skipped.
+ * @param {string} rule - RRULE string
+ * @param {Date} after - Previous occurrence
+ * @param {Date} [now] - Reference time
+ * @returns {Date} Next future occurrence
+ */
+export function nextFutureOccurrence(rule, after, now = new Date()) {
+  let next = nextOccurrence(rule, after);
+  for (let step = 0; next <= now && step < MAX_CATCH_UP_STEPS; step++) {
+    next = nextOccurrence(rule, next);
+  }
+  return next;
+}
+
+/**
+ * Position of an RRULE weekday code in getUTCDay() order
+ * @param {string} code - Weekday code, e.g. "MO"
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function weekdayIndex(code) {
+  return RECURRENCE_WEEKDAYS.indexOf(code);
+}
+
+/**
+ * Midnight (UTC) on the Monday starting a date's week
+ * @param {Date} date - Any date
+ * @returns {number} Timestamp of the start of the week
+ */
+function startOfWeek(date) {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return midnight - daysSinceMonday * DAY_MS;
+}
+
+/**
+ * A day in a later month, keeping the time of day and clamping to the month's length
+ * @param {Date} from - Reference date
+ * @param {number} months - Months to add
+ * @param {number} day - Day of the month, or -1 for the last day
+ * @returns {Date} The resulting date
+ */
+function monthDay(from, months, day) {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const date = day === -1 ? lastDay : Math.min(day, lastDay);
+  return new Date(Date.UTC(
+    year, month, date,
+    from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds(), from.getUTCMilliseconds()
+  ));
+}
@@ -1,4 +1,21 @@
-import { Todo } from './models.js';
+import {
+  Todo,
+  Tag,
+  List,
+  Comment,
+  Attachment,
+  Operation,
+  AuditEvent,
+  TodoRevision,
+  IdempotencyKey,
+  OPERATION_HISTORY_LIMIT,
+  TODO_MAX_DEPTH,
+  TODO_POSITION_GAP,
+  TODO_SORT_KEYS,
+  transaction
+} from './models.js';
+import { nextFutureOccurrence } from './recurrence.js';
+import { attachmentStorage } from './storage.js';
 
 /**
  * Custom exception for when a todo is not found - equivalent to Python TodoNotFoundException
@@ -10,6 +27,316 @@ export class TodoNotFoundException extends Error {
   }
 }
 
+/**
+ * Custom exception for when a tag is not found
+ */
+export class TagNotFoundException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagNotFoundException';
+  }
+}
+
+/**
+ * Custom exception for when a tag name is already taken
+ */
+export class DuplicateTagException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DuplicateTagException';
+  }
+}
+
+/**
+ * Custom exception for when a list is not found
+ */
+export class ListNotFoundException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListNotFoundException';
+  }
+}
+
+/**
+ * Custom exception for attempts to delete the default list
+ */
+export class DefaultListException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DefaultListException';
+  }
+}
+
+/**
+ * Custom exception for a parent todo that does not exist or cannot hold the subtask
+ */
+export class InvalidParentException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidParentException';
+  }
+}
+
+/**
+ * Custom exception for a move relative to a todo that does not exist or is the moved todo
+ */
+export class InvalidMoveException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidMoveException';
+  }
+}
+
+/**
+ * Custom exception for when a comment is not found on a todo
+ */
+export class CommentNotFoundException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommentNotFoundException';
+  }
+}
+
+/**
+ * Custom exception for when an attachment is not found
+ */
+export class AttachmentNotFoundException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentNotFoundException';
+  }
+}
+
+/**
+ * Custom exception for an uploaded file of a content type that is not accepted
+ */
+export class UnsupportedAttachmentTypeException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedAttachmentTypeException';
+  }
+}
+
+/**
+ * Custom exception for a todo that cannot be archived: a subtask or a todo that is not completed
+ */
+export class InvalidArchiveException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidArchiveException';
+  }
+}
+
+/**
+ * Custom exception for a page cursor that is malformed or was issued for another sort order
+ */
+export class InvalidCursorException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorException';
+  }
+}
+
+/**
+ * Custom exception for a sort parameter naming a key that todos cannot be sorted by
+ */
+export class InvalidSortException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSortException';
+  }
+}
+
+/**
+ * Custom exception for a conditional change to a todo whose version no longer matches
+ * Carries the todo as it is now, so the client can resolve the conflict.
+ */
+export class VersionMismatchException extends Error {
+  constructor(message, todo) {
+    super(message);
+    this.name = 'VersionMismatchException';
+    this.todo = todo;
+  }
+}
+
+/**
+ * Custom exception for a patch that cannot be applied to a todo as it is now,
+ * such as a failed JSON Patch `test` or a path that does not exist
+ */
+export class PatchConflictException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchConflictException';
+  }
+}
+
+/**
+ * Custom exception for a patch that applies but leaves the todo invalid
+ */
+export class UnprocessablePatchException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnprocessablePatchException';
+  }
+}
+
+/**
+ * Custom exception for an Idempotency-Key sent again with a different request
+ */
+export class IdempotencyKeyReusedException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyKeyReusedException';
+  }
+}
+
+/**
+ * Custom exception for an Idempotency-Key whose first request is still being processed
+ */
+export class IdempotencyKeyInProgressException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyKeyInProgressException';
+  }
+}
+
+/**
+ * Custom exception for when a todo has no revision with the given number
+ */
+export class RevisionNotFoundException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RevisionNotFoundException';
+  }
+}
+
+/**
+ * Custom exception for an undo or redo when the session has nothing left to undo or redo
+ */
+export class HistoryEmptyException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryEmptyException';
+  }
+}
+
+/**
+ * Custom exception for an operation of a batch that failed, taking the whole batch back with it
+ */
+export class BatchOperationException extends Error {
+  /**
+   * @param {number} index - Position of the failed operation in the batch
+   * @param {number} statusCode - HTTP status the operation answered with
+   * @param {Object} response - The operation's error response, with `error` and `message`
+   */
+  constructor(index, statusCode, response) {
+    super(`Operation ${index} failed: ${response.message}`);
+    this.name = 'BatchOperationException';
+    this.index = index;
+    this.statusCode = statusCode;
+    this.response = response;
+  }
+}
+
+/**
+ * Record an audit event for a change to a todo, reading the todo as the change left it
+ * Must run inside the transaction making the change, so the event commits or rolls back with it.
+ * @param {string} action - What happened, e.g. 'todo.update'
+ * @param {number} todoId - The changed todo
+ * @param {Object|null} before - The todo's snapshot from before the change
+ * @returns {Promise<void>}
+ */
+async function auditTodo(action, todoId, before) {
+  await AuditEvent.create({ action, todo_id: todoId, before, after: await Todo.snapshot(todoId) });
+}
+
+/**
+ * Make a change to many todos at once, recording an audit event for each of them
+ * Must run inside a transaction, like {@link auditTodo}.
+ * @param {string} action - What happens to each todo, e.g. 'todo.update'
+ * @param {Array<number>} todoIds - The todos the change touches
+ * @param {Function} change - Async function making the change
+ * @returns {Promise<*>} The change's result
+ */
+async function auditTodos(action, todoIds, change) {
+  const befores = [];
+  for (const todoId of todoIds) {
+    befores.push(await Todo.snapshot(todoId));
+  }
+  const result = await change();
+  for (const [index, todoId] of todoIds.entries()) {
+    await auditTodo(action, todoId, befores[index]);
+  }
+  return result;
+}
+
+/**
+ * Smallest gap between neighbouring positions before they are respaced
+ */
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * Parse a sort parameter such as "-updated_at,title" into [key, direction] pairs
+ * Keys are checked against TODO_SORT_KEYS, a leading "-" reverses a key's natural order, and the
+ * ID is appended as the last key so the order is total and pages can continue from any todo.
+ * @param {string} [sort='position'] - Comma-separated sort keys
+ * @returns {Array<[string, string]>} Sort order
+ * @throws {InvalidSortException} When a key is not in the whitelist
+ */
+function parseSort(sort = 'position') {
+  const order = [];
+  for (const term of sort.split(',')) {
+    const reversed = term.startsWith('-');
+    const key = reversed ? term.slice(1) : term;
+    if (!Object.hasOwn(TODO_SORT_KEYS, key)) {
+      throw new InvalidSortException(
+        `Sort key '${key}' must be one of: ${Object.keys(TODO_SORT_KEYS).join(', ')}`
+      );
+    }
+    if (order.some(([existing]) => existing === key)) continue;
+    const descending = Boolean(TODO_SORT_KEYS[key].descending) !== reversed;
+    order.push([key, descending ? 'desc' : 'asc']);
+  }
+  if (!order.some(([key]) => key === 'id')) {
+    order.push(['id', 'asc']);
+  }
+  return order;
+}
+
+/**
+ * Encode the position after a todo in a sort order as an opaque page cursor
+ * @param {Array<[string, string]>} order - Sort order from {@link parseSort}
+ * @param {Object} todo - Last todo of the page
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(order, todo) {
+  const after = order.map(([key]) => TODO_SORT_KEYS[key].value(todo));
+  return Buffer.from(JSON.stringify({ order, after })).toString('base64url');
+}
+
+/**
+ * Decode a page cursor back into the sort key values to continue after
+ * @param {Array<[string, string]>} order - Sort order the page is requested in
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Array} Sort key values
+ * @throws {InvalidCursorException} When the cursor is malformed or belongs to another sort order
+ */
+function decodeCursor(order, cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  const valid = decoded && JSON.stringify(decoded.order) === JSON.stringify(order) &&
+    Array.isArray(decoded.after) && decoded.after.length === order.length &&
+    decoded.after.every(value => typeof value === 'string' || Number.isFinite(value));
+  if (!valid) {
+    throw new InvalidCursorException('Cursor must be a next_cursor returned for the same sort order');
+  }
+  return decoded.after;
+}
+
 /**
  * Repository pattern for todo data access - handles database operations with Knex
  * Equivalent to Python TodoRepository class
@@ -17,17 +344,64 @@ export class TodoNotFoundException extends Error {
 export class TodoRepository {
   /**
    * Find all todos from the database
+   * @param {Object} [options] - The filters of Todo.filtered, plus:
+   * @param {string} [options.sort='position'] - Comma-separated sort keys, see {@link parseSort}
    * @returns {Promise<Array>} Array of all todos
+   * @throws {InvalidSortException} When the sort names an unknown key
    */
-  static async findAll() {
+  static async findAll({ sort, ...filters } = {}) {
+    const order = parseSort(sort);
+    try {
+      return await Todo.findAll({ ...filters, order });
+    } catch (error) {
+      throw new Error(`Failed to fetch todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find one page of todos
+   * @param {Object} [options] - The options of {@link TodoRepository.findAll}, plus:
+   * @param {number} [options.limit] - Page size; every remaining todo when omitted
+   * @param {string} [options.cursor] - `next_cursor` of the previous page
+   * @returns {Promise<{ todos: Array, next_cursor: string|null, total: number }>} The page, the cursor
+   *   of the next one (null on the last page) and the number of todos across all pages
+   * @throws {InvalidSortException} When the sort names an unknown key
+   * @throws {InvalidCursorException} When the cursor is malformed or belongs to another sort order
+   */
+  static async findPage({ sort, limit, cursor, ...filters } = {}) {
+    const order = parseSort(sort);
+    const after = cursor ? decodeCursor(order, cursor) : undefined;
     try {
-      const todos = await Todo.findAll();
-      return todos.sort((a, b) => a.id - b.id); // Consistent ordering
+      // One extra todo tells whether another page follows
+      const todos = await Todo.findAll({ ...filters, order, after, limit: limit ? limit + 1 : undefined });
+      const hasMore = Boolean(limit) && todos.length > limit;
+      const page = hasMore ? todos.slice(0, limit) : todos;
+      return {
+        todos: page,
+        next_cursor: hasMore ? encodeCursor(order, page[page.length - 1]) : null,
+        total: await Todo.count(filters)
+      };
     } catch (error) {
       throw new Error(`Failed to fetch todos: ${error.message}`);
     }
   }
 
+  /**
+   * Full-text search over the titles and descriptions of current todos
+   * @param {string} text - Search text
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only todos in this list
+   * @param {number} [options.limit] - Most results to return
+   * @returns {Promise<Array>} Matching todos, best match first
+   */
+  static async search(text, { list_id, limit } = {}) {
+    try {
+      return await Todo.search(text, { list_id, limit });
+    } catch (error) {
+      throw new Error(`Failed to search todos: ${error.message}`);
+    }
+  }
+
   /**
    * Find a todo by ID
    * @param {number} todoId - The todo ID to search for
@@ -53,16 +427,46 @@ export class TodoRepository {
    * Create a new todo in the database
    * @param {string} title - Todo title
    * @param {string} description - Todo description (optional, defaults to empty string)
+   * @param {Object} [attributes] - Optional fields
+   * @param {string|null} [attributes.due_at] - ISO due date
+   * @param {string} [attributes.priority] - Priority level
+   * @param {Array<string>} [attributes.tags] - Tag names
+   * @param {number} [attributes.list_id] - List to create the todo in (defaults to the default list)
+   * @param {number} [attributes.parent_id] - Parent todo; subtasks always live in their parent's list
+   * @param {boolean} [attributes.auto_complete] - Complete the todo once all its subtasks are done
    * @returns {Promise<Object>} The created todo object
+   * @throws {ListNotFoundException} When the list does not exist
+   * @throws {InvalidParentException} When the parent does not exist or is nested too deeply
    */
-  static async create(title, description = '') {
+  static async create(title, description = '', attributes = {}) {
     try {
-      return await Todo.create({
-        title,
-        description,
-        completed: false
+      return await transaction(async () => {
+        const todoAttributes = { ...attributes };
+        if (attributes.parent_id) {
+          const parent = await this.validateParent(attributes.parent_id);
+          todoAttributes.list_id = parent.list_id;
+        } else if (attributes.list_id) {
+          await ListRepository.findById(attributes.list_id); // This will throw if not found
+        }
+
+        const todo = await Todo.create({
+          ...todoAttributes,
+          title,
+          description,
+          completed: false
+        });
+        await auditTodo('todo.create', todo.id, null);
+
+        // A new open subtask reopens an auto-completed parent
+        if (todo.parent_id) {
+          await this.syncParentCompletion(todo.parent_id);
+        }
+        return todo;
       });
     } catch (error) {
+      if (error instanceof ListNotFoundException || error instanceof InvalidParentException) {
+        throw error;
+      }
       throw new Error(`Failed to create todo: ${error.message}`);
     }
   }
@@ -73,20 +477,76 @@ export class TodoRepository {
    * @param {Object} updateData - Object containing fields to update
    * @returns {Promise<Object>} The updated todo object
    * @throws {TodoNotFoundException} When todo is not found
+   * @throws {ListNotFoundException} When moving to a list that does not exist
+   * @throws {InvalidParentException} When the new parent does not exist, is the todo itself
+   *   or one of its subtasks, or would nest the todo too deeply
    */
   static async updateById(todoId, updateData) {
     try {
-      // Check if todo exists first
-      const existingTodo = await this.findById(todoId); // This will throw if not found
-      
-      const updatedTodo = await Todo.update(todoId, updateData);
-      if (!updatedTodo) {
-        throw new TodoNotFoundException(`Todo with id '${todoId}' not found`);
-      }
-      
-      return updatedTodo;
+      return await transaction(async () => {
+        // Check if todo exists first
+        const existingTodo = await this.findById(todoId); // This will throw if not found
+        const before = await Todo.snapshot(todoId);
+        const changes = { ...updateData };
+
+        if (updateData.parent_id) {
+          // Subtasks live in their parent's list
+          const parent = await this.validateParent(updateData.parent_id, todoId);
+          changes.list_id = parent.list_id;
+        } else if (updateData.list_id !== undefined) {
+          await ListRepository.findById(updateData.list_id); // This will throw if not found
+          // Moving a subtask to another list detaches it from its parent
+          if (existingTodo.parent_id && updateData.parent_id === undefined && updateData.list_id !== existingTodo.list_id) {
+            changes.parent_id = null;
+          }
+        }
+
+        // Stamp completed_at only when the completion status actually changes
+        const completionChanged = updateData.completed !== undefined &&
+          updateData.completed !== Boolean(existingTodo.completed);
+        if (completionChanged) {
+          changes.completed_at = updateData.completed ? new Date().toISOString() : null;
+        }
+
+        const updatedTodo = await Todo.update(todoId, changes);
+        if (!updatedTodo) {
+          throw new TodoNotFoundException(`Todo with id '${todoId}' not found`);
+        }
+
+        // Subtasks follow their parent to another list
+        if (updatedTodo.list_id !== existingTodo.list_id) {
+          const descendantIds = (await Todo.findDescendantIds(todoId)).flat();
+          await auditTodos('todo.update', descendantIds, () => Todo.moveToList(descendantIds, updatedTodo.list_id));
+        }
+
+        if (completionChanged && updateData.completed) {
+          await this.createNextOccurrence(updatedTodo);
+        }
+        // Reopening an archived todo brings it back from the archive
+        if (completionChanged && !updateData.completed && existingTodo.archived_at) {
+          await Todo.unarchive(todoId);
+        }
+
+        // Switching auto-complete on applies the rule to the todo's current subtasks
+        if (updateData.auto_complete) {
+          await this.syncParentCompletion(todoId);
+        }
+
+        const parentChanged = updatedTodo.parent_id !== existingTodo.parent_id;
+        if (parentChanged && existingTodo.parent_id) {
+          await this.syncParentCompletion(existingTodo.parent_id);
+        }
+        if ((parentChanged || completionChanged) && updatedTodo.parent_id) {
+          await this.syncParentCompletion(updatedTodo.parent_id);
+        }
+
+        await auditTodo('todo.update', todoId, before);
+        return await Todo.findById(todoId);
+      });
     } catch (error) {
-      if (error instanceof TodoNotFoundException) {
+      if (error instanceof TodoNotFoundException ||
+          error instanceof ListNotFoundException ||
+          error instanceof InvalidParentException) {
         throw error;
       }
       throw new Error(`Failed to update todo: ${error.message}`);
@@ -100,10 +560,17 @@ export class TodoRepository {
    */
   static async save(todo) {
     try {
-      return await Todo.update(todo.id, {
-        title: todo.title,
-        description: todo.description,
-        completed: todo.completed
+      return await transaction(async () => {
+        const before = await Todo.snapshot(todo.id);
+        const saved = await Todo.update(todo.id, {
+          title: todo.title,
+          description: todo.description,
+          completed: todo.completed
+        });
+        if (saved) {
+          await auditTodo('todo.update', todo.id, before);
+        }
+        return saved;
       });
     } catch (error) {
       throw new Error(`Failed to save todo: ${error.message}`);
@@ -111,18 +578,89 @@ export class TodoRepository {
   }
 
   /**
-   * Delete a todo by ID
+   * Find the IDs of every subtask below a todo, at any depth
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array<number>>} Subtask IDs, trashed ones included
+   */
+  static async findSubtaskIds(todoId) {
+    try {
+      return (await Todo.findDescendantIds(todoId)).flat();
+    } catch (error) {
+      throw new Error(`Failed to fetch subtasks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run work inside one transaction, committed when it resolves and rolled back when it throws
+   * Every repository call made while the work runs joins the transaction.
+   * @param {Function} work - Async function
+   * @returns {Promise<*>} The work's result
+   */
+  static async inTransaction(work) {
+    return await transaction(work);
+  }
+
+  /**
+   * Check that a todo is still as a client expects it to be
+   * @param {number} todoId - The todo ID
+   * @param {Function} matches - Receives the todo and tells whether it is at a version the client accepts
+   * @returns {Promise<Object>} The todo
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {VersionMismatchException} When the todo is at another version
+   */
+  static async assertVersion(todoId, matches) {
+    const todo = await this.findById(todoId); // This will throw if not found
+    if (!matches(todo)) {
+      throw new VersionMismatchException(
+        `Todo with id '${todoId}' was changed meanwhile and is now at version ${todo.version}`,
+        todo
+      );
+    }
+    return todo;
+  }
+
+  /**
+   * Run an operation on many todos inside one transaction
+   * Each todo gets its own savepoint: when the operation throws for one todo, only that todo's
+   * changes are rolled back and the error is kept in its result while the others go through.
+   * @param {Array<number>} todoIds - Todo IDs, in the order to process them
+   * @param {Function} operation - Async function receiving a todo ID
+   * @returns {Promise<Array<{ id: number, result?: *, error?: Error }>>} One result per todo, in order
+   */
+  static async eachInTransaction(todoIds, operation) {
+    return await transaction(async () => {
+      const results = [];
+      for (const id of todoIds) {
+        try {
+          results.push({ id, result: await transaction(() => operation(id)) });
+        } catch (error) {
+          results.push({ id, error });
+        }
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Delete a todo by ID, moving it and its subtasks to the trash
    * @param {number} todoId - The ID of the todo to delete
    * @returns {Promise<boolean>} True if deletion was successful
    * @throws {TodoNotFoundException} When todo is not found
    */
   static async deleteById(todoId) {
     try {
-      // Check if todo exists first
-      await this.findById(todoId); // This will throw if not found
-      
-      const deleted = await Todo.delete(todoId);
-      return deleted;
+      return await transaction(async () => {
+        // Check if todo exists first
+        const todo = await this.findById(todoId); // This will throw if not found
+        const before = await Todo.snapshot(todoId);
+
+        const deleted = await Todo.delete(todoId);
+        if (todo.parent_id) {
+          await this.syncParentCompletion(todo.parent_id);
+        }
+        await auditTodo('todo.delete', todoId, before);
+        return deleted;
+      });
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
         throw error;
@@ -132,50 +670,1149 @@ export class TodoRepository {
   }
 
   /**
-   * Toggle the completion status of a todo
-   * @param {number} todoId - The ID of the todo to toggle
-   * @returns {Promise<Object>} The updated todo object
-   * @throws {TodoNotFoundException} When todo is not found
+   * Find the todos in the trash
+   * @returns {Promise<Array>} Trashed todos, most recently deleted first
    */
-  static async toggleCompletion(todoId) {
+  static async findTrash() {
+    try {
+      return await Todo.findTrash();
+    } catch (error) {
+      throw new Error(`Failed to fetch trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a todo, and the subtasks deleted with it, from the trash
+   * @param {number} todoId - The ID of the trashed todo
+   * @returns {Promise<Object>} The restored todo
+   * @throws {TodoNotFoundException} When the todo is not in the trash
+   */
+  static async restoreById(todoId) {
     try {
-      const todo = await this.findById(todoId); // This will throw if not found
-      const updatedTodo = await Todo.update(todoId, {
-        completed: !todo.completed
+      return await transaction(async () => {
+        const before = await Todo.snapshot(todoId);
+        const todo = await Todo.restore(todoId);
+        if (!todo) {
+          throw new TodoNotFoundException(`Todo with id '${todoId}' not found in trash`);
+        }
+        if (todo.parent_id) {
+          await this.syncParentCompletion(todo.parent_id);
+        }
+        await auditTodo('todo.restore', todoId, before);
+        return todo;
       });
-      return updatedTodo;
     } catch (error) {
       if (error instanceof TodoNotFoundException) {
         throw error;
       }
-      throw new Error(`Failed to toggle todo completion: ${error.message}`);
+      throw new Error(`Failed to restore todo: ${error.message}`);
     }
   }
 
   /**
-   * Count total number of todos
-   * @returns {Promise<number>} Total count of todos
+   * Permanently delete a todo from the trash, with the files attached to it and its subtasks
+   * @param {number} todoId - The ID of the trashed todo
+   * @returns {Promise<boolean>} True if deletion was successful
+   * @throws {TodoNotFoundException} When the todo is not in the trash
    */
-  static async count() {
+  static async destroyById(todoId) {
     try {
-      const stats = await Todo.getStats();
-      return stats.total;
+      const storedNames = await transaction(async () => {
+        const todoIds = [todoId, ...(await Todo.findDescendantIds(todoId)).flat()];
+        const names = await Attachment.findStoredNames(todoIds);
+        const before = await Todo.snapshot(todoId);
+        if (!(await Todo.destroy(todoId))) {
+          throw new TodoNotFoundException(`Todo with id '${todoId}' not found in trash`);
+        }
+        await auditTodo('todo.destroy', todoId, before);
+        return names;
+      });
+      // Files are only removed once their rows are gone for good
+      await attachmentStorage.remove(storedNames);
+      return true;
     } catch (error) {
-      throw new Error(`Failed to count todos: ${error.message}`);
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to permanently delete todo: ${error.message}`);
     }
   }
 
   /**
-   * Find todos by completion status
-   * @param {boolean} completed - The completion status to filter by
-   * @returns {Promise<Array>} Array of todos with specified completion status
+   * Permanently delete every todo in the trash, with their attached files
+   * @returns {Promise<number>} Number of todos deleted
    */
-  static async findByStatus(completed) {
+  static async emptyTrash() {
     try {
-      const todos = await Todo.findByStatus(completed);
-      return todos.sort((a, b) => a.id - b.id); // Consistent ordering
+      const { deleted, storedNames } = await transaction(async () => {
+        const names = await Attachment.findStoredNamesInTrash();
+        const snapshots = await Promise.all((await Todo.findTrashedIds()).map(id => Todo.snapshot(id)));
+        const count = await Todo.emptyTrash();
+        for (const before of snapshots) {
+          await auditTodo('todo.destroy', before.id, before);
+        }
+        return { deleted: count, storedNames: names };
+      });
+      await attachmentStorage.remove(storedNames);
+      return deleted;
     } catch (error) {
-      throw new Error(`Failed to fetch todos by status: ${error.message}`);
+      throw new Error(`Failed to empty trash: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Archive a completed top-level todo together with its subtasks
+   * Archiving a todo that is already archived leaves it unchanged.
+   * @param {number} todoId - The ID of the todo to archive
+   * @returns {Promise<Object>} The archived todo
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {InvalidArchiveException} When the todo is a subtask or is not completed
+   */
+  static async archiveById(todoId) {
+    try {
+      return await transaction(async () => {
+        const todo = await this.findById(todoId); // This will throw if not found
+        if (todo.parent_id) {
+          throw new InvalidArchiveException('Subtasks are archived with their parent and cannot be archived on their own');
+        }
+        if (!todo.completed) {
+          throw new InvalidArchiveException('Only completed todos can be archived');
+        }
+
+        if (!todo.archived_at) {
+          const before = await Todo.snapshot(todoId);
+          await Todo.archive(todoId);
+          await auditTodo('todo.archive', todoId, before);
+        }
+        return await Todo.findById(todoId);
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof InvalidArchiveException) {
+        throw error;
+      }
+      throw new Error(`Failed to archive todo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a todo, and the subtasks archived with it, out of the archive
+   * Unarchiving a todo that is not archived leaves it unchanged.
+   * @param {number} todoId - The ID of the todo to unarchive
+   * @returns {Promise<Object>} The unarchived todo
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async unarchiveById(todoId) {
+    try {
+      return await transaction(async () => {
+        await this.findById(todoId); // This will throw if not found
+        const before = await Todo.snapshot(todoId);
+        if (await Todo.unarchive(todoId)) {
+          await auditTodo('todo.unarchive', todoId, before);
+        }
+        return await Todo.findById(todoId);
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to unarchive todo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Archive every completed top-level todo, optionally limited to a list or to todos completed before a time
+   * @param {Object} [filters]
+   * @param {number} [filters.list_id] - Only todos in this list
+   * @param {Date} [filters.completed_before] - Only todos completed before this time
+   * @returns {Promise<number>} Number of top-level todos archived
+   * @throws {ListNotFoundException} When the list does not exist
+   */
+  static async archiveCompleted({ list_id, completed_before } = {}) {
+    try {
+      if (list_id) {
+        await ListRepository.findById(list_id); // This will throw if not found
+      }
+      return await transaction(async () => {
+        const archivedIds = await Todo.archiveCompleted({
+          list_id,
+          completed_before: completed_before ? completed_before.toISOString() : undefined
+        });
+        for (const id of archivedIds) {
+          // Archiving only stamps archived_at, so the todo before it is the todo after it without one
+          const after = await Todo.snapshot(id);
+          await AuditEvent.create({ action: 'todo.archive', todo_id: id, before: { ...after, archived_at: null }, after });
+        }
+        return archivedIds.length;
+      });
+    } catch (error) {
+      if (error instanceof ListNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to archive completed todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Toggle the completion status of a todo, stamping or clearing completed_at
+   * Completing a recurring todo creates its next occurrence; reopening an archived todo unarchives it.
+   * @param {number} todoId - The ID of the todo to toggle
+   * @returns {Promise<Object>} The updated todo object
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async toggleCompletion(todoId) {
+    try {
+      return await transaction(async () => {
+        const todo = await this.findById(todoId); // This will throw if not found
+        const before = await Todo.snapshot(todoId);
+        const completed = !todo.completed;
+        const updatedTodo = await Todo.update(todoId, {
+          completed,
+          completed_at: completed ? new Date().toISOString() : null
+        });
+
+        if (completed) {
+          await this.createNextOccurrence(updatedTodo);
+        } else if (todo.archived_at) {
+          await Todo.unarchive(todoId);
+        }
+        if (todo.parent_id) {
+          await this.syncParentCompletion(todo.parent_id);
+        }
+        await auditTodo('todo.toggle', todoId, before);
+        return await Todo.findById(todoId);
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to toggle todo completion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a todo directly before or after another todo
+   * The todo takes the midpoint between its new neighbours, so no other todo is
+   * renumbered unless the gap has become too small to split.
+   * @param {number} todoId - The ID of the todo to move
+   * @param {Object} target - Exactly one of before_id or after_id
+   * @param {number} [target.before_id] - Place the todo directly before this todo
+   * @param {number} [target.after_id] - Place the todo directly after this todo
+   * @returns {Promise<Object>} The moved todo
+   * @throws {TodoNotFoundException} When the moved todo is not found
+   * @throws {InvalidMoveException} When the target todo does not exist or is the moved todo
+   */
+  static async moveTodo(todoId, { before_id, after_id }) {
+    try {
+      return await transaction(async () => {
+        await this.findById(todoId); // This will throw if not found
+
+        const targetId = before_id ?? after_id;
+        if (targetId === todoId) {
+          throw new InvalidMoveException('A todo cannot be moved relative to itself');
+        }
+
+        const before = await Todo.snapshot(todoId);
+        const position = await this.positionNextTo(targetId, before_id !== undefined ? 'before' : 'after', todoId);
+        const moved = await Todo.setPosition(todoId, position);
+        await auditTodo('todo.move', todoId, before);
+        return moved;
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof InvalidMoveException) {
+        throw error;
+      }
+      throw new Error(`Failed to move todo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute a free position directly before or after a todo
+   * @param {number} targetId - The todo to sit next to
+   * @param {'before'|'after'} side - Which side of the target
+   * @param {number} movingId - The todo being moved, ignored as a neighbour
+   * @returns {Promise<number>} The new position
+   * @throws {InvalidMoveException} When the target todo does not exist
+   */
+  static async positionNextTo(targetId, side, movingId) {
+    const target = await Todo.findById(targetId);
+    if (!target) {
+      throw new InvalidMoveException(`Target todo with id '${targetId}' not found`);
+    }
+
+    const neighbour = await Todo.findNeighbourPosition(target.position, side, movingId);
+    if (neighbour === null) {
+      return side === 'before' ? target.position - TODO_POSITION_GAP : target.position + TODO_POSITION_GAP;
+    }
+
+    if (Math.abs(target.position - neighbour) < MIN_POSITION_GAP) {
+      await Todo.rebalancePositions();
+      return await this.positionNextTo(targetId, side, movingId);
+    }
+    return (target.position + neighbour) / 2;
+  }
+
+  /**
+   * Create the next occurrence of a recurring todo that has just been completed
+   * The new todo copies the completed one and takes over its recurrence rule, so
+   * reopening and re-completing the old todo does not create a second copy. It is
+   * due at the rule's next occurrence after the old due date (or after now when
+   * there was none), skipping occurrences that are already in the past.
+   * @param {Object} todo - The completed todo
+   * @returns {Promise<Object|null>} The next occurrence, or null if the todo does not recur
+   */
+  static async createNextOccurrence(todo) {
+    if (!todo.recurrence) return null;
+
+    const now = new Date();
+    const previousDueAt = todo.due_at ? new Date(todo.due_at) : now;
+    const next = await Todo.create({
+      title: todo.title,
+      description: todo.description,
+      priority: todo.priority,
+      tags: todo.tags,
+      list_id: todo.list_id,
+      parent_id: todo.parent_id,
+      auto_complete: Boolean(todo.auto_complete),
+      recurrence: todo.recurrence,
+      occurrence_of: todo.id,
+      due_at: nextFutureOccurrence(todo.recurrence, previousDueAt, now).toISOString()
+    });
+    await auditTodo('todo.create', next.id, null);
+    await Todo.clearRecurrence(todo.id);
+    return next;
+  }
+
+  /**
+   * Find the newest occurrence completing a recurring todo has created
+   * @param {number} todoId - The completed todo ID
+   * @returns {Promise<Object|null>} The occurrence, or null when there is none outside the trash
+   */
+  static async findLatestOccurrenceOf(todoId) {
+    try {
+      return await Todo.findLatestOccurrenceOf(todoId);
+    } catch (error) {
+      throw new Error(`Failed to fetch the next occurrence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the direct subtasks of a todo
+   * @param {number} todoId - The parent todo ID
+   * @returns {Promise<Array>} Subtasks in creation order
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async findSubtasks(todoId) {
+    try {
+      await this.findById(todoId); // This will throw if not found
+      return await Todo.findSubtasks(todoId);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch subtasks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a todo can become a subtask of a parent
+   * @param {number} parentId - The proposed parent todo ID
+   * @param {number|null} [todoId] - The todo being nested, or null for a new todo
+   * @returns {Promise<Object>} The parent todo
+   * @throws {InvalidParentException} When the parent does not exist, is the todo itself
+   *   or one of its subtasks, or the nesting would exceed TODO_MAX_DEPTH levels
+   */
+  static async validateParent(parentId, todoId = null) {
+    const parent = await Todo.findById(parentId);
+    if (!parent) {
+      throw new InvalidParentException(`Parent todo with id '${parentId}' not found`);
+    }
+
+    const ancestorIds = await Todo.findAncestorIds(parentId);
+    if (todoId !== null && (parentId === todoId || ancestorIds.includes(todoId))) {
+      throw new InvalidParentException('A todo cannot be nested under itself or one of its subtasks');
+    }
+
+    // Levels used by the parent chain plus the levels of the subtree being moved
+    const subtreeHeight = todoId !== null ? (await Todo.findDescendantIds(todoId)).length + 1 : 1;
+    if (ancestorIds.length + 1 + subtreeHeight > TODO_MAX_DEPTH) {
+      throw new InvalidParentException(`Subtasks cannot be nested more than ${TODO_MAX_DEPTH} levels deep`);
+    }
+
+    return parent;
+  }
+
+  /**
+   * Apply the auto-complete rule to a parent and, in turn, its ancestors
+   * A parent with auto_complete set completes once all its subtasks are done and
+   * reopens when one of them is reopened; other parents are left alone.
+   * @param {number} parentId - The parent todo ID
+   * @returns {Promise<void>}
+   */
+  static async syncParentCompletion(parentId) {
+    const parent = await Todo.findById(parentId);
+    if (!parent || !parent.auto_complete || parent.subtask_count === 0) return;
+
+    const completed = parent.completed_subtask_count === parent.subtask_count;
+    if (completed === Boolean(parent.completed)) return;
+
+    const before = await Todo.snapshot(parentId);
+    await Todo.update(parentId, {
+      completed,
+      completed_at: completed ? new Date().toISOString() : null
+    });
+    await auditTodo('todo.update', parentId, before);
+    if (parent.parent_id) {
+      await this.syncParentCompletion(parent.parent_id);
+    }
+  }
+
+  /**
+   * Count todos by status
+   * @param {Object} [options] - The options of {@link Todo.getStats}
+   * @returns {Promise<Object>} Count object with total, completed, pending, overdue
+   */
+  static async getStats(options = {}) {
+    try {
+      return await Todo.getStats(options);
+    } catch (error) {
+      throw new Error(`Failed to count todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count total number of todos
+   * @returns {Promise<number>} Total count of todos
+   */
+  static async count() {
+    try {
+      const stats = await Todo.getStats();
+      return stats.total;
+    } catch (error) {
+      throw new Error(`Failed to count todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find incomplete todos that are past their due date
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Overdue todos, soonest due first
+   */
+  static async findOverdue(now = new Date()) {
+    try {
+      return await Todo.findOverdue(now.toISOString());
+    } catch (error) {
+      throw new Error(`Failed to fetch overdue todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize the todos and everything a listing of them shows, so that any write changes the summary
+   * @returns {Promise<Object>} The figures of {@link Todo.getChangeSummary}
+   */
+  static async getChangeSummary() {
+    try {
+      return await Todo.getChangeSummary();
+    } catch (error) {
+      throw new Error(`Failed to summarize changes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find when anything a todo's response shows last changed: the todo, its subtasks, comments or
+   * attachments, including deletions among them, or the tags it could carry
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array<string>>} Timestamps of the latest writes and audit event, in no order
+   */
+  static async findLastChangesTo(todoId) {
+    try {
+      const writes = await Todo.findLastWrites(todoId);
+      const event = await AuditEvent.findLatestForTodo(todoId);
+      return [...Object.values(writes), event && event.created_at].filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to fetch the last change to todo ${todoId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the latest due date already passed among incomplete todos
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<string|null>} Due date, or null when no incomplete todo is overdue
+   */
+  static async findLatestPassedDueAt(now = new Date()) {
+    try {
+      return await Todo.findLatestPassedDueAt(now.toISOString());
+    } catch (error) {
+      throw new Error(`Failed to fetch the latest passed due date: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find incomplete todos due within the next number of days
+   * @param {number} days - Size of the window in days
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Upcoming todos, soonest due first
+   */
+  static async findUpcoming(days, now = new Date()) {
+    try {
+      const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+      return await Todo.findDueBetween(now.toISOString(), until.toISOString());
+    } catch (error) {
+      throw new Error(`Failed to fetch upcoming todos: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for tag data access
+ */
+export class TagRepository {
+  /**
+   * Find all tags with their todo counts
+   * @returns {Promise<Array>} Array of all tags ordered by name
+   */
+  static async findAll() {
+    try {
+      return await Tag.findAll();
+    } catch (error) {
+      throw new Error(`Failed to fetch tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a tag by ID
+   * @param {number} tagId - The tag ID to search for
+   * @returns {Promise<Object>} The tag object
+   * @throws {TagNotFoundException} When tag is not found
+   */
+  static async findById(tagId) {
+    try {
+      const tag = await Tag.findById(tagId);
+      if (!tag) {
+        throw new TagNotFoundException(`Tag with id '${tagId}' not found`);
+      }
+      return tag;
+    } catch (error) {
+      if (error instanceof TagNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch tag by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new tag
+   * @param {string} name - Tag name
+   * @returns {Promise<Object>} The created tag object
+   * @throws {DuplicateTagException} When the name is already taken
+   */
+  static async create(name) {
+    try {
+      if (await Tag.findByName(name)) {
+        throw new DuplicateTagException(`Tag '${name}' already exists`);
+      }
+      return await transaction(async () => {
+        const tag = await Tag.create({ name });
+        await AuditEvent.create({ action: 'tag.create', after: tag });
+        return tag;
+      });
+    } catch (error) {
+      if (error instanceof DuplicateTagException) {
+        throw error;
+      }
+      throw new Error(`Failed to create tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a tag
+   * @param {number} tagId - The ID of the tag to rename
+   * @param {string} name - New tag name
+   * @returns {Promise<Object>} The updated tag object
+   * @throws {TagNotFoundException} When tag is not found
+   * @throws {DuplicateTagException} When another tag has the name
+   */
+  static async updateById(tagId, name) {
+    try {
+      const before = await this.findById(tagId); // This will throw if not found
+
+      const existing = await Tag.findByName(name);
+      if (existing && existing.id !== tagId) {
+        throw new DuplicateTagException(`Tag '${name}' already exists`);
+      }
+
+      return await transaction(async () => {
+        const tag = await Tag.update(tagId, { name });
+        await AuditEvent.create({ action: 'tag.update', before, after: tag });
+        return tag;
+      });
+    } catch (error) {
+      if (error instanceof TagNotFoundException || error instanceof DuplicateTagException) {
+        throw error;
+      }
+      throw new Error(`Failed to update tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a tag, removing it from every todo
+   * @param {number} tagId - The ID of the tag to delete
+   * @returns {Promise<boolean>} True if deletion was successful
+   * @throws {TagNotFoundException} When tag is not found
+   */
+  static async deleteById(tagId) {
+    try {
+      const before = await this.findById(tagId); // This will throw if not found
+      return await transaction(async () => {
+        const deleted = await Tag.delete(tagId);
+        await AuditEvent.create({ action: 'tag.delete', before });
+        return deleted;
+      });
+    } catch (error) {
+      if (error instanceof TagNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to delete tag: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for list data access
+ */
+export class ListRepository {
+  /**
+   * Find all lists with their todo counts
+   * @returns {Promise<Array>} Array of all lists, default list first
+   */
+  static async findAll() {
+    try {
+      return await List.findAll();
+    } catch (error) {
+      throw new Error(`Failed to fetch lists: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a list by ID
+   * @param {number} listId - The list ID to search for
+   * @returns {Promise<Object>} The list object
+   * @throws {ListNotFoundException} When list is not found
+   */
+  static async findById(listId) {
+    try {
+      const list = await List.findById(listId);
+      if (!list) {
+        throw new ListNotFoundException(`List with id '${listId}' not found`);
+      }
+      return list;
+    } catch (error) {
+      if (error instanceof ListNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch list by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new list
+   * @param {string} name - List name
+   * @returns {Promise<Object>} The created list object
+   */
+  static async create(name) {
+    try {
+      return await transaction(async () => {
+        const list = await List.create({ name });
+        await AuditEvent.create({ action: 'list.create', after: list });
+        return list;
+      });
+    } catch (error) {
+      throw new Error(`Failed to create list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a list
+   * @param {number} listId - The ID of the list to rename
+   * @param {string} name - New list name
+   * @returns {Promise<Object>} The updated list object
+   * @throws {ListNotFoundException} When list is not found
+   */
+  static async updateById(listId, name) {
+    try {
+      const before = await this.findById(listId); // This will throw if not found
+      return await transaction(async () => {
+        const list = await List.update(listId, { name });
+        await AuditEvent.create({ action: 'list.update', before, after: list });
+        return list;
+      });
+    } catch (error) {
+      if (error instanceof ListNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to update list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a list, moving its todos to the default list
+   * @param {number} listId - The ID of the list to delete
+   * @returns {Promise<boolean>} True if deletion was successful
+   * @throws {ListNotFoundException} When list is not found
+   * @throws {DefaultListException} When trying to delete the default list
+   */
+  static async deleteById(listId) {
+    try {
+      const list = await this.findById(listId); // This will throw if not found
+      if (list.is_default) {
+        throw new DefaultListException('The default list cannot be deleted');
+      }
+      return await transaction(async () => {
+        const todoIds = await Todo.findIdsInList(listId);
+        const deleted = await auditTodos('todo.update', todoIds, () => List.delete(listId));
+        await AuditEvent.create({ action: 'list.delete', before: list });
+        return deleted;
+      });
+    } catch (error) {
+      if (error instanceof ListNotFoundException || error instanceof DefaultListException) {
+        throw error;
+      }
+      throw new Error(`Failed to delete list: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for comment data access
+ * Comments are always reached through their todo, so a todo in the trash hides its comments.
+ */
+export class CommentRepository {
+  /**
+   * Find the comments on a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Comments, oldest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async findByTodo(todoId) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      return await Comment.findByTodo(todoId);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a comment on a todo
+   * @param {number} todoId - The todo ID
+   * @param {number} commentId - The comment ID
+   * @returns {Promise<Object>} The comment object
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {CommentNotFoundException} When the todo has no such comment
+   */
+  static async findById(todoId, commentId) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      const comment = await Comment.findById(commentId);
+      if (!comment || comment.todo_id !== todoId) {
+        throw new CommentNotFoundException(`Comment with id '${commentId}' not found on todo '${todoId}'`);
+      }
+      return comment;
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof CommentNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch comment by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a comment on a todo
+   * @param {number} todoId - The todo ID
+   * @param {string} body - Comment text
+   * @param {string|null} [author] - Name of the commenter
+   * @returns {Promise<Object>} The created comment
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async create(todoId, body, author = null) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      return await transaction(async () => {
+        const comment = await Comment.create({ todo_id: todoId, body, author });
+        await AuditEvent.create({ action: 'comment.create', todo_id: todoId, after: comment });
+        return comment;
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to create comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Edit the text of a comment
+   * @param {number} todoId - The todo ID
+   * @param {number} commentId - The comment ID
+   * @param {string} body - New comment text
+   * @returns {Promise<Object>} The updated comment
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {CommentNotFoundException} When the todo has no such comment
+   */
+  static async updateById(todoId, commentId, body) {
+    try {
+      const before = await this.findById(todoId, commentId); // This will throw if not found
+      return await transaction(async () => {
+        const comment = await Comment.update(commentId, { body });
+        await AuditEvent.create({ action: 'comment.update', todo_id: todoId, before, after: comment });
+        return comment;
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof CommentNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to update comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @param {number} todoId - The todo ID
+   * @param {number} commentId - The comment ID
+   * @returns {Promise<boolean>} True if deletion was successful
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {CommentNotFoundException} When the todo has no such comment
+   */
+  static async deleteById(todoId, commentId) {
+    try {
+      const before = await this.findById(todoId, commentId); // This will throw if not found
+      return await transaction(async () => {
+        const deleted = await Comment.delete(commentId);
+        await AuditEvent.create({ action: 'comment.delete', todo_id: todoId, before });
+        return deleted;
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof CommentNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to delete comment: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for the revisions of todos
+ * Revisions are written by {@link Todo.update}; like comments, they are hidden while their todo is in the trash.
+ */
+export class RevisionRepository {
+  /**
+   * Find the revisions of a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Revisions, newest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async findByTodo(todoId) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      return await TodoRevision.findByTodo(todoId);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find one revision of a todo together with the todo as it is now
+   * @param {number} todoId - The todo ID
+   * @param {number} rev - The revision number
+   * @returns {Promise<{ revision: Object, todo: Object }>} The revision and the current todo
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {RevisionNotFoundException} When the todo has no such revision
+   */
+  static async findByRev(todoId, rev) {
+    try {
+      const todo = await TodoRepository.findById(todoId); // This will throw if not found
+      const revision = await TodoRevision.findByRev(todoId, rev);
+      if (!revision) {
+        throw new RevisionNotFoundException(`Revision ${rev} of todo '${todoId}' not found`);
+      }
+      return { revision, todo };
+    } catch (error) {
+      if (error instanceof TodoNotFoundException || error instanceof RevisionNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch revision: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for attachment data access
+ * Attachments of todos in the trash are hidden, like the todos themselves.
+ */
+export class AttachmentRepository {
+  /**
+   * Find the attachments of a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Attachments, oldest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async findByTodo(todoId) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      return await Attachment.findByTodo(todoId);
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch attachments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an attachment by ID
+   * @param {number} attachmentId - The attachment ID
+   * @returns {Promise<Object>} The attachment object
+   * @throws {AttachmentNotFoundException} When attachment is not found
+   */
+  static async findById(attachmentId) {
+    try {
+      const attachment = await Attachment.findById(attachmentId);
+      if (!attachment) {
+        throw new AttachmentNotFoundException(`Attachment with id '${attachmentId}' not found`);
+      }
+      return attachment;
+    } catch (error) {
+      if (error instanceof AttachmentNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch attachment by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a stored file as attached to a todo
+   * @param {number} todoId - The todo ID
+   * @param {Object} file - Stored file details: filename, stored_name, content_type and size
+   * @returns {Promise<Object>} The created attachment
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  static async create(todoId, file) {
+    try {
+      await TodoRepository.findById(todoId); // This will throw if not found
+      return await transaction(async () => {
+        const attachment = await Attachment.create({ ...file, todo_id: todoId });
+        await AuditEvent.create({ action: 'attachment.create', todo_id: todoId, after: attachment });
+        return attachment;
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to create attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an attachment and its file
+   * @param {number} attachmentId - The ID of the attachment to delete
+   * @returns {Promise<boolean>} True if deletion was successful
+   * @throws {AttachmentNotFoundException} When attachment is not found
+   */
+  static async deleteById(attachmentId) {
+    try {
+      const attachment = await this.findById(attachmentId); // This will throw if not found
+      const deleted = await transaction(async () => {
+        const removed = await Attachment.delete(attachmentId);
+        await AuditEvent.create({ action: 'attachment.delete', todo_id: attachment.todo_id, before: attachment });
+        return removed;
+      });
+      // The file goes only once its row is gone for good
+      await attachmentStorage.remove([attachment.stored_name]);
+      return deleted;
+    } catch (error) {
+      if (error instanceof AttachmentNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to delete attachment: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for the undo log of each client session
+ */
+export class OperationRepository {
+  /**
+   * Log a new operation for a session
+   * The session's undone operations are dropped, since they can no longer be redone, and only
+   * the newest OPERATION_HISTORY_LIMIT operations are kept.
+   * @param {Object} data - Operation data, as accepted by Operation.create
+   * @returns {Promise<Object>} The logged operation
+   */
+  static async record(data) {
+    try {
+      return await transaction(async () => {
+        await Operation.deleteUndone(data.session_id);
+        const operation = await Operation.create(data);
+        await Operation.deleteOldest(data.session_id, OPERATION_HISTORY_LIMIT);
+        return operation;
+      });
+    } catch (error) {
+      throw new Error(`Failed to record operation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the operation an undo would revert
+   * @param {string} sessionId - Client session
+   * @returns {Promise<Object>} The newest operation not undone yet
+   * @throws {HistoryEmptyException} When the session has nothing to undo
+   */
+  static async findUndoable(sessionId) {
+    const operation = await Operation.findLastDone(sessionId);
+    if (!operation) {
+      throw new HistoryEmptyException('Nothing to undo');
+    }
+    return operation;
+  }
+
+  /**
+   * Find the operation a redo would re-apply
+   * @param {string} sessionId - Client session
+   * @returns {Promise<Object>} The most recently undone operation
+   * @throws {HistoryEmptyException} When the session has nothing to redo
+   */
+  static async findRedoable(sessionId) {
+    const operation = await Operation.findFirstUndone(sessionId);
+    if (!operation) {
+      throw new HistoryEmptyException('Nothing to redo');
+    }
+    return operation;
+  }
+
+  /**
+   * Mark an operation as undone, or as redone
+   * @param {number} operationId - Operation ID
+   * @param {boolean} undone - Whether the operation is now undone
+   * @returns {Promise<void>}
+   */
+  static async markUndone(operationId, undone) {
+    await Operation.setUndone(operationId, undone);
+  }
+
+  /**
+   * Record the next occurrence an operation created when it was redone
+   * @param {number} operationId - Operation ID
+   * @param {number|null} occurrenceId - ID of the occurrence, or null when none was created
+   * @returns {Promise<void>}
+   */
+  static async recordOccurrence(operationId, occurrenceId) {
+    await Operation.setOccurrence(operationId, occurrenceId);
+  }
+
+  /**
+   * Drop an operation that can no longer be undone or redone
+   * @param {number} operationId - Operation ID
+   * @returns {Promise<void>}
+   */
+  static async discard(operationId) {
+    await Operation.delete(operationId);
+  }
+}
+
+/**
+ * Repository pattern for reading the audit log
+ * Events are written by the other repositories as part of each change; this one only reads them.
+ */
+export class AuditRepository {
+  /**
+   * Find one page of audit events, newest first
+   * @param {Object} [options] - The filters of {@link AuditEvent.filtered}, plus:
+   * @param {number} [options.limit=50] - Page size
+   * @param {string} [options.cursor] - `next_cursor` of the previous page
+   * @returns {Promise<{ events: Array, next_cursor: string|null, total: number }>} Page of events
+   * @throws {InvalidCursorException} When the cursor is malformed
+   */
+  static async findPage({ limit = 50, cursor, ...filters } = {}) {
+    let before_id;
+    if (cursor !== undefined) {
+      try {
+        ({ before_id } = JSON.parse(Buffer.from(cursor, 'base64url').toString()));
+      } catch {
+        // Reported below like any other unusable cursor
+      }
+      if (!Number.isInteger(before_id)) {
+        throw new InvalidCursorException('Cursor must be a next_cursor returned by a previous page');
+      }
+    }
+
+    try {
+      const rows = await AuditEvent.findAll({ ...filters, before_id, limit: limit + 1 });
+      const events = rows.slice(0, limit);
+      const next_cursor = rows.length > limit
+        ? Buffer.from(JSON.stringify({ before_id: events[events.length - 1].id })).toString('base64url')
+        : null;
+      return { events, next_cursor, total: await AuditEvent.count(filters) };
+    } catch (error) {
+      throw new Error(`Failed to fetch audit events: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Repository pattern for the responses kept for idempotent requests
+ */
+export class IdempotencyRepository {
+  /**
+   * Claim a key for a request, or find the response already stored for it
+   * Expired keys are cleared first, so an expired key is free to be used again.
+   * @param {Object} scope - Key and where it was sent: { key, session_id, method, url }
+   * @param {string} requestHash - Hash of the request
+   * @param {string} reservedUntil - ISO timestamp until which the claim holds if no response is stored
+   * @returns {Promise<Object|null>} Stored key with its response, or null when the key was claimed
+   * @throws {IdempotencyKeyReusedException} When the key was used for a different request
+   * @throws {IdempotencyKeyInProgressException} When the key's request has no response yet
+   */
+  static async claim(scope, requestHash, reservedUntil) {
+    return await transaction(async () => {
+      await IdempotencyKey.deleteExpired();
+      const stored = await IdempotencyKey.find(scope);
+      if (!stored) {
+        await IdempotencyKey.reserve(scope, { request_hash: requestHash, expires_at: reservedUntil });
+        return null;
+      }
+      if (stored.request_hash !== requestHash) {
+        throw new IdempotencyKeyReusedException('Idempotency-Key was already used with a different request');
+      }
+      if (stored.status_code === null) {
+        throw new IdempotencyKeyInProgressException('A request with this Idempotency-Key is still being processed');
+      }
+      return stored;
+    });
+  }
+
+  /**
+   * Store the response to a claimed key
+   * @param {Object} scope - { key, session_id, method, url }
+   * @param {Object} response - { status_code, body, headers }
+   * @param {string} expiresAt - ISO timestamp until which the response is replayed
+   * @returns {Promise<void>}
+   */
+  static async complete(scope, response, expiresAt) {
+    await IdempotencyKey.complete(scope, response, expiresAt);
+  }
+
+  /**
+   * Give up a claimed key without storing a response, so the request can be retried
+   * @param {Object} scope - { key, session_id, method, url }
+   * @returns {Promise<void>}
+   */
+  static async release(scope) {
+    await IdempotencyKey.delete(scope);
+  }
+}
@@ -1,20 +1,144 @@
+import { TODO_PRIORITIES, TODO_SORT_KEYS, TODO_DATE_FILTERS, TODO_BULK_LIMIT } from './models.js';
+
 /**
  * JSON Schema definitions for request/response validation
  * Equivalent to Python Pydantic schemas
  */
 
+/**
+ * Schema for an optional due date: a date ("2024-05-01") or a date-time with timezone
+ */
+export const dueAtSchema = {
+  type: ['string', 'null'],
+  anyOf: [
+    { format: 'date' },
+    { format: 'date-time' }
+  ]
+};
+
+/**
+ * Schema for a todo priority level
+ */
+export const prioritySchema = {
+  type: 'string',
+  enum: TODO_PRIORITIES
+};
+
+/**
+ * Schema for a tag name
+ */
+export const tagNameSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 50,
+  pattern: '\\S'
+};
+
+/**
+ * Schema for the tag names attached to a todo
+ */
+export const todoTagsSchema = {
+  type: 'array',
+  maxItems: 20,
+  items: tagNameSchema
+};
+
+/**
+ * Schema for an optional recurrence rule (RRULE subset, validated by the service)
+ */
+export const recurrenceSchema = {
+  type: ['string', 'null'],
+  maxLength: 200
+};
+
 /**
  * Schema for Todo response format
  * Equivalent to Python TodoResponse
  */
 export const todoResponseSchema = {
   type: 'object',
-  required: ['id', 'title', 'description', 'completed'],
+  required: [
+    'id', 'title', 'description', 'completed', 'created_at', 'updated_at', 'completed_at',
+    'due_at', 'priority', 'tags', 'list_id', 'parent_id', 'auto_complete', 'subtask_count',
+    'completed_subtask_count', 'recurrence', 'position', 'deleted_at', 'archived_at', 'comment_count',
+    'version', 'attachments'
+  ],
   properties: {
     id: { type: 'integer', minimum: 1 },
     title: { type: 'string' },
     description: { type: 'string' },
-    completed: { type: 'boolean' }
+    completed: { type: 'boolean' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+    completed_at: { type: ['string', 'null'], format: 'date-time' },
+    due_at: { type: ['string', 'null'], format: 'date-time' },
+    priority: prioritySchema,
+    tags: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    list_id: { type: 'integer', minimum: 1 },
+    parent_id: { type: ['integer', 'null'], minimum: 1 },
+    auto_complete: { type: 'boolean' },
+    subtask_count: { type: 'integer', minimum: 0 },
+    completed_subtask_count: { type: 'integer', minimum: 0 },
+    recurrence: { type: ['string', 'null'] },
+    position: { type: 'number' },
+    deleted_at: { type: ['string', 'null'], format: 'date-time' },
+    archived_at: { type: ['string', 'null'], format: 'date-time' },
+    comment_count: { type: 'integer', minimum: 0 },
+    version: { type: 'integer', minimum: 1 },
+    attachments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'filename', 'content_type', 'size'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          filename: { type: 'string' },
+          content_type: { type: 'string' },
+          size: { type: 'integer', minimum: 0 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for a search result: a todo plus its matches wrapped in <mark> tags
+ */
+export const todoSearchResultSchema = {
+  ...todoResponseSchema,
+  required: [...todoResponseSchema.required, 'highlight'],
+  properties: {
+    ...todoResponseSchema.properties,
+    highlight: {
+      type: 'object',
+      required: ['title', 'description'],
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Schema for one page of todos with the cursor of the next page
+ */
+export const todoPageSchema = {
+  type: 'object',
+  required: ['items', 'next_cursor', 'total'],
+  properties: {
+    items: {
+      type: 'array',
+      items: todoResponseSchema
+    },
+    next_cursor: { type: ['string', 'null'] },
+    total: { type: 'integer', minimum: 0 }
   },
   additionalProperties: false
 };
@@ -36,7 +160,14 @@ export const todoCreateSchema = {
       type: 'string',
       default: '',
       maxLength: 1000
-    }
+    },
+    due_at: dueAtSchema,
+    priority: { ...prioritySchema, default: 'none' },
+    tags: todoTagsSchema,
+    list_id: { type: 'integer', minimum: 1 },
+    parent_id: { type: 'integer', minimum: 1 },
+    auto_complete: { type: 'boolean', default: false },
+    recurrence: recurrenceSchema
   },
   additionalProperties: false
 };
@@ -58,25 +189,247 @@ export const todoUpdateSchema = {
       type: 'string',
       maxLength: 1000
     },
-    completed: { type: 'boolean' }
+    completed: { type: 'boolean' },
+    due_at: dueAtSchema,
+    priority: prioritySchema,
+    tags: todoTagsSchema,
+    list_id: { type: 'integer', minimum: 1 },
+    parent_id: { type: ['integer', 'null'], minimum: 1 },
+    auto_complete: { type: 'boolean' },
+    recurrence: recurrenceSchema
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the editable part of a todo after a patch
+ * A patch may remove any field but the title and list; removed fields fall back to their defaults.
+ */
+export const todoDocumentSchema = {
+  type: 'object',
+  required: ['title', 'list_id'],
+  properties: {
+    ...todoUpdateSchema.properties,
+    description: { ...todoUpdateSchema.properties.description, default: '' },
+    completed: { type: 'boolean', default: false },
+    due_at: { ...dueAtSchema, default: null },
+    priority: { ...prioritySchema, default: 'none' },
+    tags: { ...todoTagsSchema, default: [] },
+    parent_id: { ...todoUpdateSchema.properties.parent_id, default: null },
+    auto_complete: { type: 'boolean', default: false },
+    recurrence: { ...recurrenceSchema, default: null }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for a JSON Merge Patch (RFC 7396) of a todo
+ */
+export const mergePatchSchema = {
+  type: 'object'
+};
+
+/**
+ * Schema for a JSON Patch (RFC 6902): a list of operations on JSON Pointers
+ */
+export const jsonPatchSchema = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 100,
+  items: {
+    type: 'object',
+    required: ['op', 'path'],
+    properties: {
+      op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+      path: { type: 'string', pattern: '^(/.*)?$' },
+      from: { type: 'string', pattern: '^(/.*)?$' },
+      value: {}
+    },
+    allOf: [
+      {
+        if: { properties: { op: { enum: ['add', 'replace', 'test'] } } },
+        then: { required: ['value'] }
+      },
+      {
+        if: { properties: { op: { enum: ['move', 'copy'] } } },
+        then: { required: ['from'] }
+      }
+    ]
+  }
+};
+
+/**
+ * Schema for moving a todo in the manual order: exactly one of before_id or after_id
+ */
+export const todoMoveSchema = {
+  type: 'object',
+  minProperties: 1,
+  maxProperties: 1,
+  properties: {
+    before_id: { type: 'integer', minimum: 1 },
+    after_id: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for archiving completed todos in bulk
+ */
+export const archiveCompletedSchema = {
+  type: 'object',
+  properties: {
+    list_id: { type: 'integer', minimum: 1 },
+    older_than_days: { type: 'integer', minimum: 0, maximum: 3650 }
   },
   additionalProperties: false
 };
 
 /**
  * Schema for todo statistics response
+ * `archived` is only reported when archived todos are included.
  */
 export const todoStatsSchema = {
   type: 'object',
-  required: ['total', 'completed', 'pending'],
+  required: ['total', 'completed', 'pending', 'overdue'],
   properties: {
     total: { type: 'integer', minimum: 0 },
     completed: { type: 'integer', minimum: 0 },
-    pending: { type: 'integer', minimum: 0 }
+    pending: { type: 'integer', minimum: 0 },
+    overdue: { type: 'integer', minimum: 0 },
+    archived: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Query string for the statistics routes
+ */
+const todoStatsQuerySchema = {
+  type: 'object',
+  properties: {
+    include_archived: { type: 'boolean', default: false }
+  }
+};
+
+/**
+ * Schema for Tag response format
+ */
+export const tagResponseSchema = {
+  type: 'object',
+  required: ['id', 'name', 'todo_count'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    name: { type: 'string' },
+    todo_count: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for creating or renaming a tag
+ */
+export const tagWriteSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: tagNameSchema
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the :tagId route parameter
+ */
+const tagIdParamsSchema = {
+  type: 'object',
+  required: ['tagId'],
+  properties: {
+    tagId: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Schema for List response format
+ */
+export const listResponseSchema = {
+  type: 'object',
+  required: ['id', 'name', 'is_default', 'todo_count', 'pending_count', 'created_at', 'updated_at'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    name: { type: 'string' },
+    is_default: { type: 'boolean' },
+    todo_count: { type: 'integer', minimum: 0 },
+    pending_count: { type: 'integer', minimum: 0 },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for creating or renaming a list
+ */
+export const listWriteSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      pattern: '\\S'
+    }
   },
   additionalProperties: false
 };
 
+/**
+ * Schema for the :listId route parameter
+ */
+const listIdParamsSchema = {
+  type: 'object',
+  required: ['listId'],
+  properties: {
+    listId: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Schema for a todo sort: comma-separated whitelisted keys, each optionally reversed with "-"
+ */
+const sortKeyPattern = `-?(${Object.keys(TODO_SORT_KEYS).join('|')})`;
+export const todoSortSchema = {
+  type: 'string',
+  pattern: `^${sortKeyPattern}(,${sortKeyPattern})*$`,
+  maxLength: 200,
+  default: 'position'
+};
+
+/**
+ * Query options shared by the todo collection routes
+ */
+const todoListQueryProperties = {
+  sort: todoSortSchema,
+  tag: tagNameSchema
+};
+
+/**
+ * Filters of GET /api/todos: status, text, priorities and `<field>_after` / `<field>_before` date bounds
+ */
+const todoFilterQueryProperties = {
+  completed: { type: 'boolean' },
+  contains: { type: 'string', minLength: 1, maxLength: 200 },
+  priority: {
+    type: 'array',
+    items: prioritySchema,
+    maxItems: TODO_PRIORITIES.length
+  },
+  ...Object.fromEntries(Object.keys(TODO_DATE_FILTERS).flatMap(name => [
+    [`${name}_after`, { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] }],
+    [`${name}_before`, { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] }]
+  ]))
+};
+
 /**
  * Schema for error responses
  */
@@ -103,101 +456,1021 @@ export const deleteResponseSchema = {
 };
 
 /**
- * Route schemas for Fastify route configuration
- * These combine request/response schemas for complete route validation
+ * Schema for the response to emptying the trash
  */
-export const routeSchemas = {
-  // GET /api/todos
-  getAllTodos: {
-    response: {
-      200: {
-        type: 'array',
-        items: todoResponseSchema
-      }
-    }
+export const emptyTrashResponseSchema = {
+  type: 'object',
+  required: ['message', 'deleted'],
+  properties: {
+    message: { type: 'string' },
+    deleted: { type: 'integer', minimum: 0 }
   },
+  additionalProperties: false
+};
 
-  // GET /api/todos/:todoId
-  getTodo: {
-    params: {
-      type: 'object',
-      required: ['todoId'],
-      properties: {
-        todoId: { type: 'string', pattern: '^[0-9]+$' }
-      }
-    },
-    response: {
-      200: todoResponseSchema,
-      404: errorResponseSchema,
-      400: errorResponseSchema
-    }
+/**
+ * Schema for a refused conditional change: the todo moved on since the version the client sent
+ */
+export const preconditionFailedResponseSchema = {
+  type: 'object',
+  required: ['error', 'message', 'current'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    current: todoResponseSchema
   },
+  additionalProperties: false
+};
 
-  // POST /api/todos
-  createTodo: {
-    body: todoCreateSchema,
-    response: {
-      200: todoResponseSchema,
-      400: errorResponseSchema
-    }
+/**
+ * Schema for Comment response format
+ */
+export const commentResponseSchema = {
+  type: 'object',
+  required: ['id', 'todo_id', 'author', 'body', 'created_at', 'updated_at'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    todo_id: { type: 'integer', minimum: 1 },
+    author: { type: ['string', 'null'] },
+    body: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
   },
+  additionalProperties: false
+};
 
-  // PUT /api/todos/:todoId
-  updateTodo: {
-    params: {
-      type: 'object',
-      required: ['todoId'],
-      properties: {
-        todoId: { type: 'string', pattern: '^[0-9]+$' }
-      }
-    },
-    body: todoUpdateSchema,
-    response: {
-      200: todoResponseSchema,
-      404: errorResponseSchema,
-      400: errorResponseSchema
-    }
+/**
+ * Schema for posting a comment
+ */
+export const commentCreateSchema = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    body: { type: 'string', minLength: 1, maxLength: 5000 },
+    author: { type: 'string', maxLength: 100 }
   },
+  additionalProperties: false
+};
 
-  // POST /api/todos/:todoId/toggle
-  toggleTodo: {
-    params: {
-      type: 'object',
-      required: ['todoId'],
-      properties: {
-        todoId: { type: 'string', pattern: '^[0-9]+$' }
-      }
-    },
-    response: {
-      200: todoResponseSchema,
-      404: errorResponseSchema,
-      400: errorResponseSchema
-    }
+/**
+ * Schema for editing a comment
+ */
+export const commentUpdateSchema = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    body: { type: 'string', minLength: 1, maxLength: 5000 }
   },
+  additionalProperties: false
+};
 
-  // DELETE /api/todos/:todoId
-  deleteTodo: {
-    params: {
-      type: 'object',
-      required: ['todoId'],
-      properties: {
-        todoId: { type: 'string', pattern: '^[0-9]+$' }
-      }
-    },
-    response: {
-      200: deleteResponseSchema,
-      404: errorResponseSchema,
-      400: errorResponseSchema
+/**
+ * Schema for the :todoId/:commentId route parameters
+ */
+const commentIdParamsSchema = {
+  type: 'object',
+  required: ['todoId', 'commentId'],
+  properties: {
+    todoId: { type: 'string', pattern: '^[0-9]+$' },
+    commentId: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Schema for a revision: an earlier version of a todo's content
+ */
+export const revisionResponseSchema = {
+  type: 'object',
+  required: [
+    'todo_id', 'rev', 'title', 'description', 'priority', 'due_at', 'recurrence', 'auto_complete', 'tags',
+    'updated_at', 'replaced_at'
+  ],
+  properties: {
+    todo_id: { type: 'integer', minimum: 1 },
+    rev: { type: 'integer', minimum: 1 },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    priority: prioritySchema,
+    due_at: { type: ['string', 'null'], format: 'date-time' },
+    recurrence: { type: ['string', 'null'] },
+    auto_complete: { type: 'boolean' },
+    tags: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    updated_at: { type: 'string', format: 'date-time' },
+    replaced_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the differences between a revision and the current version of its todo
+ */
+export const revisionDiffResponseSchema = {
+  type: 'object',
+  required: ['todo_id', 'rev', 'changes'],
+  properties: {
+    todo_id: { type: 'integer', minimum: 1 },
+    rev: { type: 'integer', minimum: 1 },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'before', 'after'],
+        properties: {
+          field: { type: 'string' },
+          before: {},
+          after: {},
+          diff: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'text'],
+              properties: {
+                type: { type: 'string', enum: ['equal', 'insert', 'delete'] },
+                text: { type: 'string' }
+              },
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the parameters naming a revision of a todo
+ */
+const revisionParamsSchema = {
+  type: 'object',
+  required: ['todoId', 'rev'],
+  properties: {
+    todoId: { type: 'string', pattern: '^[0-9]+$' },
+    rev: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Schema for Attachment response format
+ */
+export const attachmentResponseSchema = {
+  type: 'object',
+  required: ['id', 'todo_id', 'filename', 'content_type', 'size', 'created_at'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    todo_id: { type: 'integer', minimum: 1 },
+    filename: { type: 'string' },
+    content_type: { type: 'string' },
+    size: { type: 'integer', minimum: 0 },
+    created_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the :attachmentId route parameter
+ */
+const attachmentIdParamsSchema = {
+  type: 'object',
+  required: ['attachmentId'],
+  properties: {
+    attachmentId: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Schema for a bulk action: the action, the todos (by ID or by filter) and the fields to update
+ */
+export const todoBulkSchema = {
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string', enum: ['complete', 'uncomplete', 'delete', 'update'] },
+    ids: {
+      type: 'array',
+      minItems: 1,
+      maxItems: TODO_BULK_LIMIT,
+      items: { type: 'integer', minimum: 1 }
+    },
+    filter: {
+      type: 'object',
+      minProperties: 1, // An empty filter would select every todo
+      properties: {
+        ...todoFilterQueryProperties,
+        tag: tagNameSchema,
+        list_id: { type: 'integer', minimum: 1 },
+        top_level: { type: 'boolean' },
+        archived: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    fields: todoUpdateSchema
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the outcome of a bulk action, one result per todo
+ */
+export const todoBulkResponseSchema = {
+  type: 'object',
+  required: ['action', 'succeeded', 'failed', 'results'],
+  properties: {
+    action: { type: 'string' },
+    succeeded: { type: 'integer', minimum: 0 },
+    failed: { type: 'integer', minimum: 0 },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'ok'],
+        properties: {
+          id: { type: 'integer' },
+          ok: { type: 'boolean' },
+          todo: todoResponseSchema,
+          status: { type: 'integer' },
+          error: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for one audit event
+ * `before` and `after` are the rows as stored, so their shape follows the entity in `action`.
+ */
+export const auditEventSchema = {
+  type: 'object',
+  required: ['id', 'action', 'created_at'],
+  properties: {
+    id: { type: 'integer' },
+    actor: { type: ['string', 'null'] },
+    action: { type: 'string' },
+    todo_id: { type: ['integer', 'null'] },
+    before: { type: ['object', 'null'], additionalProperties: true },
+    after: { type: ['object', 'null'], additionalProperties: true },
+    request_id: { type: ['string', 'null'] },
+    created_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for one page of audit events
+ */
+export const auditPageSchema = {
+  type: 'object',
+  required: ['items', 'next_cursor', 'total'],
+  properties: {
+    items: { type: 'array', items: auditEventSchema },
+    next_cursor: { type: ['string', 'null'] },
+    total: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the headers of undo and redo: the client session whose changes to replay
+ */
+export const sessionHeadersSchema = {
+  type: 'object',
+  required: ['x-session-id'],
+  properties: {
+    'x-session-id': { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+/**
+ * Schema for the response to an undo or redo
+ */
+export const historyResponseSchema = {
+  type: 'object',
+  required: ['action', 'operation', 'label'],
+  properties: {
+    action: { type: 'string', enum: ['undo', 'redo'] },
+    operation: { type: 'string', enum: ['create', 'update', 'toggle', 'delete'] },
+    label: { type: 'string' },
+    todo: todoResponseSchema // Absent when the todo ended up in the trash
+  },
+  additionalProperties: false
+};
+
+/**
+ * Most operations a single batch may carry
+ */
+export const BATCH_MAX_OPERATIONS = 100;
+
+/**
+ * Schema for a batch: an ordered list of requests to the todo routes, run in one transaction
+ * Paths are limited to the todo routes that change a single todo; `$name` segments refer to the
+ * todo created by the operation whose `ref` is `name`.
+ */
+export const batchSchema = {
+  type: 'object',
+  required: ['operations'],
+  properties: {
+    operations: {
+      type: 'array',
+      minItems: 1,
+      maxItems: BATCH_MAX_OPERATIONS,
+      items: {
+        type: 'object',
+        required: ['method', 'path'],
+        properties: {
+          ref: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', maxLength: 50 },
+          method: { type: 'string', enum: ['POST', 'PUT', 'DELETE'] },
+          path: {
+            type: 'string',
+            pattern: '^/api/todos(/([0-9]+|\\$[A-Za-z_][A-Za-z0-9_]*)(/(toggle|move|restore|archive|unarchive|comments))?)?$'
+          },
+          body: { type: 'object' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the response to a batch, one result per operation in order
+ */
+export const batchResponseSchema = {
+  type: 'object',
+  required: ['results'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['status', 'body'],
+        properties: {
+          ref: { type: 'string' },
+          status: { type: 'integer' },
+          body: {} // The operation's own response, as its route answers it
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for a failed batch: the error of the operation that failed and its position
+ */
+export const batchErrorResponseSchema = {
+  type: 'object',
+  required: ['error', 'message'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    index: { type: 'integer', minimum: 0 }, // Absent when the batch itself is malformed
+    details: {}
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the response to archiving completed todos
+ */
+export const archiveCompletedResponseSchema = {
+  type: 'object',
+  required: ['message', 'archived'],
+  properties: {
+    message: { type: 'string' },
+    archived: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema for the :todoId route parameter
+ */
+const todoIdParamsSchema = {
+  type: 'object',
+  required: ['todoId'],
+  properties: {
+    todoId: { type: 'string', pattern: '^[0-9]+$' }
+  }
+};
+
+/**
+ * Route schemas for Fastify route configuration
+ * These combine request/response schemas for complete route validation
+ */
+export const routeSchemas = {
+  // GET /api/todos
+  getAllTodos: {
+    querystring: {
+      type: 'object',
+      properties: {
+        ...todoListQueryProperties,
+        ...todoFilterQueryProperties,
+        list_id: { type: 'integer', minimum: 1 },
+        top_level: { type: 'boolean' },
+        archived: { type: 'boolean', default: false },
+        limit: { type: 'integer', minimum: 1, maximum: 500 },
+        cursor: { type: 'string', minLength: 1, maxLength: 1000 },
+        envelope: { type: 'boolean', default: false }
+      }
+    },
+    response: {
+      200: {
+        anyOf: [
+          {
+            type: 'array',
+            items: todoResponseSchema
+          },
+          todoPageSchema
+        ]
+      },
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/audit
+  getAuditEvents: {
+    querystring: {
+      type: 'object',
+      properties: {
+        todo_id: { type: 'integer', minimum: 1 },
+        actor: { type: 'string', minLength: 1, maxLength: 100 },
+        action: { type: 'string', pattern: '^[a-z]+(\\.[a-z]+)?$' },
+        request_id: { type: 'string', minLength: 1, maxLength: 100 },
+        since: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+        until: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        cursor: { type: 'string', minLength: 1, maxLength: 200 }
+      },
+      additionalProperties: false
+    },
+    response: {
+      200: auditPageSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/undo
+  undo: {
+    headers: sessionHeadersSchema,
+    response: {
+      200: historyResponseSchema,
+      400: errorResponseSchema,
+      404: errorResponseSchema,
+      409: errorResponseSchema
+    }
+  },
+
+  // POST /api/redo
+  redo: {
+    headers: sessionHeadersSchema,
+    response: {
+      200: historyResponseSchema,
+      400: errorResponseSchema,
+      404: errorResponseSchema,
+      409: errorResponseSchema
+    }
+  },
+
+  // POST /api/batch
+  runBatch: {
+    body: batchSchema,
+    response: {
+      200: batchResponseSchema,
+      '4xx': batchErrorResponseSchema
+    }
+  },
+
+  // POST /api/todos/bulk
+  bulkTodos: {
+    body: todoBulkSchema,
+    response: {
+      200: todoBulkResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/search
+  searchTodos: {
+    querystring: {
+      type: 'object',
+      required: ['q'],
+      properties: {
+        q: { type: 'string', minLength: 1, maxLength: 200 },
+        list_id: { type: 'integer', minimum: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+      }
+    },
+    response: {
+      200: {
+        type: 'array',
+        items: todoSearchResultSchema
+      },
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId
+  getTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos
+  createTodo: {
+    body: todoCreateSchema,
+    response: {
+      200: todoResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/move
+  moveTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    body: todoMoveSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId/subtasks
+  getSubtasks: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    response: {
+      200: {
+        type: 'array',
+        items: todoResponseSchema
+      },
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // PUT /api/todos/:todoId
+  updateTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    body: todoUpdateSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      412: preconditionFailedResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // PATCH /api/todos/:todoId
+  patchTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    body: {
+      content: {
+        'application/merge-patch+json': { schema: mergePatchSchema },
+        'application/json-patch+json': { schema: jsonPatchSchema }
+      }
+    },
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      409: errorResponseSchema,
+      412: preconditionFailedResponseSchema,
+      415: errorResponseSchema,
+      422: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/toggle
+  toggleTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      412: preconditionFailedResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/todos/:todoId
+  deleteTodo: {
+    params: {
+      type: 'object',
+      required: ['todoId'],
+      properties: {
+        todoId: { type: 'string', pattern: '^[0-9]+$' }
+      }
+    },
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      412: preconditionFailedResponseSchema,
+      400: errorResponseSchema
     }
   },
 
   // GET /api/todos/stats
   getTodoStats: {
+    querystring: todoStatsQuerySchema,
     response: {
       200: todoStatsSchema
     }
   },
 
+  // GET /api/todos/overdue
+  getOverdueTodos: {
+    response: {
+      200: {
+        type: 'array',
+        items: todoResponseSchema
+      }
+    }
+  },
+
+  // GET /api/todos/upcoming
+  getUpcomingTodos: {
+    querystring: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: 365, default: 7 }
+      }
+    },
+    response: {
+      200: {
+        type: 'array',
+        items: todoResponseSchema
+      },
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/trash
+  getTrash: {
+    response: {
+      200: {
+        type: 'array',
+        items: todoResponseSchema
+      }
+    }
+  },
+
+  // POST /api/todos/:todoId/restore
+  restoreTodo: {
+    params: todoIdParamsSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/trash/:todoId
+  destroyTodo: {
+    params: todoIdParamsSchema,
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/trash
+  emptyTrash: {
+    response: {
+      200: emptyTrashResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/archive
+  archiveTodo: {
+    params: todoIdParamsSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/unarchive
+  unarchiveTodo: {
+    params: todoIdParamsSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/archive-completed
+  archiveCompleted: {
+    body: archiveCompletedSchema,
+    response: {
+      200: archiveCompletedResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId/comments
+  getComments: {
+    params: todoIdParamsSchema,
+    response: {
+      200: {
+        type: 'array',
+        items: commentResponseSchema
+      },
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/comments
+  createComment: {
+    params: todoIdParamsSchema,
+    body: commentCreateSchema,
+    response: {
+      200: commentResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // PUT /api/todos/:todoId/comments/:commentId
+  updateComment: {
+    params: commentIdParamsSchema,
+    body: commentUpdateSchema,
+    response: {
+      200: commentResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/todos/:todoId/comments/:commentId
+  deleteComment: {
+    params: commentIdParamsSchema,
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId/revisions
+  getRevisions: {
+    params: todoIdParamsSchema,
+    response: {
+      200: {
+        type: 'array',
+        items: revisionResponseSchema
+      },
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId/revisions/:rev/diff
+  getRevisionDiff: {
+    params: revisionParamsSchema,
+    response: {
+      200: revisionDiffResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/revisions/:rev/restore
+  restoreRevision: {
+    params: revisionParamsSchema,
+    response: {
+      200: todoResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/todos/:todoId/attachments
+  getAttachments: {
+    params: todoIdParamsSchema,
+    response: {
+      200: {
+        type: 'array',
+        items: attachmentResponseSchema
+      },
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/todos/:todoId/attachments (multipart/form-data with a single file)
+  uploadAttachment: {
+    params: todoIdParamsSchema,
+    response: {
+      200: attachmentResponseSchema,
+      400: errorResponseSchema,
+      404: errorResponseSchema,
+      413: errorResponseSchema,
+      415: errorResponseSchema
+    }
+  },
+
+  // GET /api/attachments/:attachmentId (streams the file)
+  downloadAttachment: {
+    params: attachmentIdParamsSchema,
+    response: {
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/attachments/:attachmentId
+  deleteAttachment: {
+    params: attachmentIdParamsSchema,
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/tags
+  getAllTags: {
+    response: {
+      200: {
+        type: 'array',
+        items: tagResponseSchema
+      }
+    }
+  },
+
+  // GET /api/tags/:tagId
+  getTag: {
+    params: tagIdParamsSchema,
+    response: {
+      200: tagResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/tags
+  createTag: {
+    body: tagWriteSchema,
+    response: {
+      200: tagResponseSchema,
+      400: errorResponseSchema,
+      409: errorResponseSchema
+    }
+  },
+
+  // PUT /api/tags/:tagId
+  updateTag: {
+    params: tagIdParamsSchema,
+    body: tagWriteSchema,
+    response: {
+      200: tagResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema,
+      409: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/tags/:tagId
+  deleteTag: {
+    params: tagIdParamsSchema,
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/lists
+  getAllLists: {
+    response: {
+      200: {
+        type: 'array',
+        items: listResponseSchema
+      }
+    }
+  },
+
+  // GET /api/lists/:listId
+  getList: {
+    params: listIdParamsSchema,
+    response: {
+      200: listResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // POST /api/lists
+  createList: {
+    body: listWriteSchema,
+    response: {
+      200: listResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // PUT /api/lists/:listId
+  updateList: {
+    params: listIdParamsSchema,
+    body: listWriteSchema,
+    response: {
+      200: listResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // DELETE /api/lists/:listId
+  deleteList: {
+    params: listIdParamsSchema,
+    response: {
+      200: deleteResponseSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema,
+      409: errorResponseSchema
+    }
+  },
+
+  // GET /api/lists/:listId/todos
+  getListTodos: {
+    params: listIdParamsSchema,
+    querystring: {
+      type: 'object',
+      properties: todoListQueryProperties
+    },
+    response: {
+      200: {
+        type: 'array',
+        items: todoResponseSchema
+      },
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
+  // GET /api/lists/:listId/stats
+  getListStats: {
+    params: listIdParamsSchema,
+    querystring: todoStatsQuerySchema,
+    response: {
+      200: todoStatsSchema,
+      404: errorResponseSchema,
+      400: errorResponseSchema
+    }
+  },
+
   // GET /api/todos/filter/status
   getTodosByStatus: {
     querystring: {
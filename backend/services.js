@@ -1,4 +1,149 @@
-import { TodoRepository } from './repositories.js';
+import { createHash } from 'crypto';
+import {
+  TodoRepository,
+  TagRepository,
+  ListRepository,
+  CommentRepository,
+  AttachmentRepository,
+  ListNotFoundException,
+  InvalidParentException,
+  InvalidSortException,
+  BatchOperationException,
+  OperationRepository,
+  AuditRepository,
+  RevisionRepository,
+  IdempotencyRepository,
+  TodoNotFoundException,
+  UnsupportedAttachmentTypeException,
+  PatchConflictException,
+  UnprocessablePatchException
+} from './repositories.js';
+import { TODO_PRIORITIES, TODO_DATE_FILTERS, TODO_BULK_LIMIT, TODO_REVISION_FIELDS } from './models.js';
+import { normalizeRecurrence } from './recurrence.js';
+import { diffWords } from './diff.js';
+import { applyPatch, jsonEqual } from './patch.js';
+import { attachmentStorage, ATTACHMENT_CONTENT_TYPES } from './storage.js';
+
+/**
+ * Normalize a tag name: trimmed and lowercase, so "Work" and "work " are the same tag
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized tag name
+ */
+function normalizeTagName(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Short digest of a JSON value, for entity tags
+ * @param {*} value - Value to digest
+ * @returns {string} 12 URL-safe characters
+ */
+function digestOf(value) {
+  return createHash('sha256').update(JSON.stringify(value)).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Latest of a set of timestamps
+ * @param {Array<string|null>} timestamps - Timestamps, any of them null
+ * @returns {string|null} ISO timestamp, or null when none is set
+ */
+function latestOf(timestamps) {
+  const times = timestamps.filter(Boolean).map(Date.parse);
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Entity tag of a todo: its version, followed by a digest of the todo as responses show it
+ * The version changes with every write to the todo's row; the digest also changes with what is
+ * shown alongside it, such as its tag names, comment count and subtask counts.
+ * @param {Object} todo - Todo in response format
+ * @returns {string} Quoted strong entity tag, e.g. '"3-kM2pW9xQ4aZb"'
+ */
+export function todoETag(todo) {
+  return `"${todo.version}-${digestOf(todo)}"`;
+}
+
+/**
+ * Whether an If-Match header accepts a todo as it is now
+ * Tags compare strongly, so only the todo's current entity tag or "*" match. A bare version tag
+ * such as '"3"' matches too, because clients that list todos only know the version field.
+ * @param {Array<string>} tags - Entity tags from If-Match, quoted, or '*'; weak tags never match
+ * @param {Object} todo - Todo in response format
+ * @returns {boolean}
+ */
+function ifMatchAccepts(tags, todo) {
+  return tags.includes('*') || tags.includes(todoETag(todo)) || tags.includes(`"${todo.version}"`);
+}
+
+/**
+ * Todo fields an undo restores and a redo re-applies, as accepted by {@link TodoService#updateTodo}
+ */
+const UNDOABLE_TODO_FIELDS = [
+  'title', 'description', 'completed', 'due_at', 'priority', 'tags', 'list_id', 'parent_id', 'auto_complete', 'recurrence'
+];
+
+/**
+ * Describe a todo change for the undo log
+ * @param {string} action - 'create', 'update', 'toggle' or 'delete'
+ * @param {Object|null} before - The todo before the change, in response format (null for a create)
+ * @param {Object|undefined} after - The todo after the change, in response format (absent for a delete)
+ * @returns {Object|null} Operation data, or null when an update changed nothing
+ */
+function describeOperation(action, before, after) {
+  if (action === 'create') {
+    return { action, todo_id: after.id, label: `Created "${after.title}"` };
+  }
+  if (action === 'delete') {
+    return { action, todo_id: before.id, label: `Deleted "${before.title}"` };
+  }
+
+  const changed = UNDOABLE_TODO_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  if (changed.length === 0) {
+    return null;
+  }
+  const pick = todo => Object.fromEntries(changed.map(field => [field, todo[field]]));
+  const label = action === 'toggle'
+    ? `${after.completed ? 'Completed' : 'Reopened'} "${after.title}"`
+    : `Edited "${before.title}"`;
+  return { action, todo_id: before.id, label, before: pick(before), after: pick(after) };
+}
+
+/**
+ * Whether a change completed a recurring todo, which creates the todo's next occurrence
+ * @param {Object} before - The todo before the change, in response format
+ * @param {Object} after - The todo after the change, in response format
+ * @returns {boolean}
+ */
+function completesRecurringTodo(before, after) {
+  return Boolean(before.recurrence) && !before.completed && after.completed;
+}
+
+/**
+ * A reference to the ID created by an earlier batch operation, e.g. "$groceries"
+ */
+const BATCH_REF_PATTERN = /^\$([A-Za-z_][A-Za-z0-9_]*)$/;
+
+/**
+ * Replace a batch reference with the ID it stands for; other values are returned unchanged
+ * @param {*} value - Path segment or body value
+ * @param {Map<string, number>} refs - IDs created so far, by reference name
+ * @param {number} index - Position of the operation, for error reporting
+ * @returns {*} The resolved value
+ * @throws {BatchOperationException} When the reference names no earlier operation
+ */
+function resolveBatchRef(value, refs, index) {
+  const match = typeof value === 'string' ? value.match(BATCH_REF_PATTERN) : null;
+  if (!match) {
+    return value;
+  }
+  if (!refs.has(match[1])) {
+    throw new BatchOperationException(index, 400, {
+      error: 'Bad Request',
+      message: `Reference '${value}' must name an earlier operation that created a todo`
+    });
+  }
+  return refs.get(match[1]);
+}
 
 /**
  * Service class for todo business logic - uses repository for data access
@@ -7,21 +152,77 @@ import { TodoRepository } from './repositories.js';
 export class TodoService {
   constructor() {
     this.repository = TodoRepository;
+    this.history = OperationRepository;
   }
 
   /**
    * Get all todos and convert to response format
+   * @param {Object} [options]
+   * @param {string} [options.sort='position'] - Comma-separated sort keys, e.g. "-updated_at,title"
+   * @param {string} [options.tag] - Only todos carrying this tag
+   * @param {number} [options.list_id] - Only todos in this list
+   * @param {boolean} [options.top_level] - Only todos that are not subtasks
+   * @param {boolean} [options.archived] - Only archived todos instead of only unarchived ones
+   * @param {boolean} [options.completed] - Only completed or only pending todos
+   * @param {string} [options.contains] - Only todos whose title or description contains this text
+   * @param {Array<string>} [options.priority] - Only todos with one of these priorities
+   * @param {string} [options.created_after] - Date bounds: `<created|updated|due|completed>_<after|before>`
    * @returns {Promise<Array>} Array of all todos in response format
+   * @throws {InvalidSortException} When the sort names an unknown key
    */
-  async getAllTodos() {
+  async getAllTodos(options = {}) {
     try {
-      const todos = await this.repository.findAll();
+      const todos = await this.repository.findAll(this.normalizeQuery(options));
       return todos.map(todo => this.toResponseFormat(todo));
     } catch (error) {
+      if (error instanceof InvalidSortException) {
+        throw error;
+      }
       throw new Error(`Failed to get all todos: ${error.message}`);
     }
   }
 
+  /**
+   * Get one page of todos in response format
+   * @param {Object} [options] - The options of {@link TodoService#getAllTodos}, plus:
+   * @param {number} [options.limit] - Page size; every remaining todo when omitted
+   * @param {string} [options.cursor] - `next_cursor` of the previous page
+   * @returns {Promise<{ items: Array, next_cursor: string|null, total: number }>} Page of todos
+   * @throws {InvalidSortException} When the sort names an unknown key
+   * @throws {InvalidCursorException} When the cursor is malformed or belongs to another sort order
+   */
+  async getTodoPage(options = {}) {
+    const page = await this.repository.findPage(this.normalizeQuery(options));
+    return {
+      items: page.todos.map(todo => this.toResponseFormat(todo)),
+      next_cursor: page.next_cursor,
+      total: page.total
+    };
+  }
+
+  /**
+   * Search todos by title and description
+   * @param {string} text - Search text; every word matches as a prefix
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only todos in this list
+   * @param {number} [options.limit] - Most results to return
+   * @returns {Promise<Array>} Todos in response format, best match first, each with a `highlight`
+   */
+  async searchTodos(text, options = {}) {
+    try {
+      const todos = await this.repository.search(text, options);
+      return todos.map(todo => ({
+        ...this.toResponseFormat(todo),
+        highlight: {
+          title: todo.title_highlight,
+          description: todo.description_snippet || ''
+        }
+      }));
+    } catch (error) {
+      throw new Error(`Failed to search todos: ${error.message}`);
+    }
+  }
+
   /**
    * Get a specific todo by ID and convert to response format
    * @param {number} todoId - The todo ID to retrieve
@@ -43,9 +244,18 @@ export class TodoService {
    * @param {Object} todoData - The todo creation data
    * @param {string} todoData.title - Todo title
    * @param {string} [todoData.description=''] - Todo description
+   * @param {string|null} [todoData.due_at] - Due date (date or date-time)
+   * @param {string} [todoData.priority='none'] - Priority level
+   * @param {Array<string>} [todoData.tags] - Tag names, created on demand
+   * @param {number} [todoData.list_id] - List to add the todo to (defaults to the default list)
+   * @param {number} [todoData.parent_id] - Parent todo, making the new todo a subtask
+   * @param {boolean} [todoData.auto_complete=false] - Complete the todo once all its subtasks are done
+   * @param {string|null} [todoData.recurrence] - RRULE the todo repeats on
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
    * @returns {Promise<Object>} Created todo in response format
    */
-  async createTodo(todoData) {
+  async createTodo(todoData, { session } = {}) {
     try {
       // Validate required fields
       if (!todoData.title || typeof todoData.title !== 'string') {
@@ -53,9 +263,22 @@ export class TodoService {
       }
 
       const description = todoData.description || '';
-      const todo = await this.repository.create(todoData.title, description);
-      return this.toResponseFormat(todo);
+      return await this.withHistory(session, 'create', null, async () => {
+        const todo = await this.repository.create(todoData.title, description, {
+          due_at: this.normalizeDueAt(todoData.due_at),
+          priority: todoData.priority || 'none',
+          tags: this.normalizeTags(todoData.tags || []),
+          list_id: todoData.list_id,
+          parent_id: todoData.parent_id,
+          auto_complete: todoData.auto_complete || false,
+          recurrence: this.normalizeRecurrence(todoData.recurrence)
+        });
+        return this.toResponseFormat(todo);
+      });
     } catch (error) {
+      if (error instanceof ListNotFoundException || error instanceof InvalidParentException) {
+        throw error;
+      }
       throw new Error(`Failed to create todo: ${error.message}`);
     }
   }
@@ -67,10 +290,21 @@ export class TodoService {
    * @param {string} [updateData.title] - New title
    * @param {string} [updateData.description] - New description
    * @param {boolean} [updateData.completed] - New completion status
+   * @param {string|null} [updateData.due_at] - New due date, or null to clear it
+   * @param {string} [updateData.priority] - New priority level
+   * @param {Array<string>} [updateData.tags] - Replacement tag names
+   * @param {number} [updateData.list_id] - List to move the todo to
+   * @param {number|null} [updateData.parent_id] - New parent todo, or null to make it top-level
+   * @param {boolean} [updateData.auto_complete] - Complete the todo once all its subtasks are done
+   * @param {string|null} [updateData.recurrence] - RRULE the todo repeats on, or null to stop repeating
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
+   * @param {Array<string>} [options.ifMatch] - Only update the todo if one of these entity tags matches it ('*' for any)
    * @returns {Promise<Object>} Updated todo in response format
    * @throws {TodoNotFoundException} When todo is not found
+   * @throws {VersionMismatchException} When `ifMatch` does not accept the todo as it is now
    */
-  async updateTodo(todoId, updateData) {
+  async updateTodo(todoId, updateData, { session, ifMatch } = {}) {
     try {
       // Validate input data types if provided
       if (updateData.title !== undefined && typeof updateData.title !== 'string') {
@@ -83,39 +317,285 @@ export class TodoService {
         throw new Error('Completed must be a boolean');
       }
 
-      const updatedTodo = await this.repository.updateById(todoId, updateData);
-      return this.toResponseFormat(updatedTodo);
+      const changes = { ...updateData };
+      if (updateData.due_at !== undefined) {
+        changes.due_at = this.normalizeDueAt(updateData.due_at);
+      }
+      if (updateData.tags !== undefined) {
+        changes.tags = this.normalizeTags(updateData.tags);
+      }
+      if (updateData.recurrence !== undefined) {
+        changes.recurrence = this.normalizeRecurrence(updateData.recurrence);
+      }
+
+      return await this.whenVersionMatches(todoId, ifMatch, () =>
+        this.withHistory(session, 'update', todoId, async () =>
+          this.toResponseFormat(await this.repository.updateById(todoId, changes))
+        )
+      );
     } catch (error) {
       // Re-throw repository exceptions as-is, wrap validation errors
       throw error;
     }
   }
 
+  /**
+   * Apply a patch document to a todo and save the result
+   * The patch is applied to the todo in response format. The fields {@link TodoService#updateTodo}
+   * accepts may change; every other field must come out as it was, so a JSON Patch can `test`
+   * read-only fields like `version` but not change them. Only the fields that differ are saved.
+   * @param {number} todoId - The todo ID to patch
+   * @param {*} patch - Merge patch object or JSON Patch operations
+   * @param {Object} options
+   * @param {string} options.mediaType - MERGE_PATCH_TYPE or JSON_PATCH_TYPE
+   * @param {Function} options.validate - Schema validator for the editable fields (Ajv-style: returns
+   *   a boolean and sets `errors`); may fill in defaults for removed fields
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
+   * @param {Array<number|string>} [options.ifMatch] - Only patch the todo at one of these versions ('*' for any)
+   * @returns {Promise<Object>} Patched todo in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {VersionMismatchException} When the todo is not at a version in `ifMatch`
+   * @throws {PatchConflictException} When the patch cannot be applied to the todo
+   * @throws {UnprocessablePatchException} When the patched todo is invalid
+   */
+  async patchTodo(todoId, patch, { mediaType, validate, session, ifMatch }) {
+    return await this.repository.inTransaction(() =>
+      this.whenVersionMatches(todoId, ifMatch, async () => {
+        const current = this.toResponseFormat(await this.repository.findById(todoId));
+
+        let patched;
+        try {
+          patched = applyPatch(mediaType, current, patch);
+        } catch (error) {
+          throw new PatchConflictException(error.message);
+        }
+        if (typeof patched !== 'object' || patched === null || Array.isArray(patched)) {
+          throw new UnprocessablePatchException('The patched todo must be an object');
+        }
+
+        // Read-only fields may be left out where they are null, as a merge patch null removes them
+        const readOnly = Object.keys({ ...current, ...patched }).filter(field => !UNDOABLE_TODO_FIELDS.includes(field));
+        const changedReadOnly = readOnly.find(field => !jsonEqual(current[field] ?? null, patched[field] ?? null));
+        if (changedReadOnly) {
+          throw new UnprocessablePatchException(`Field '${changedReadOnly}' cannot be changed by a patch`);
+        }
+
+        const document = {};
+        UNDOABLE_TODO_FIELDS.forEach(field => {
+          if (patched[field] !== undefined) document[field] = patched[field];
+        });
+        if (!validate(document)) {
+          const [error] = validate.errors;
+          const field = error.instancePath.slice(1).replace(/\//g, '.') || 'todo';
+          throw new UnprocessablePatchException(`The patched todo is invalid: ${field} ${error.message}`);
+        }
+
+        const changes = {};
+        UNDOABLE_TODO_FIELDS.forEach(field => {
+          if (!jsonEqual(current[field], document[field])) changes[field] = document[field];
+        });
+        if (Object.keys(changes).length === 0) {
+          return current;
+        }
+        try {
+          this.validateUpdateData(changes);
+        } catch (error) {
+          throw new UnprocessablePatchException(`The patched todo is invalid: ${error.message}`);
+        }
+        return await this.updateTodo(todoId, changes, { session });
+      })
+    );
+  }
+
   /**
    * Toggle a todo's completion status (business logic)
    * @param {number} todoId - The todo ID to toggle
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
+   * @param {Array<string>} [options.ifMatch] - Only toggle the todo if one of these entity tags matches it ('*' for any)
    * @returns {Promise<Object>} Updated todo in response format
    * @throws {TodoNotFoundException} When todo is not found
+   * @throws {VersionMismatchException} When `ifMatch` does not accept the todo as it is now
+   */
+  async toggleTodoCompletion(todoId, { session, ifMatch } = {}) {
+    try {
+      return await this.whenVersionMatches(todoId, ifMatch, () =>
+        this.withHistory(session, 'toggle', todoId, async () =>
+          this.toResponseFormat(await this.repository.toggleCompletion(todoId))
+        )
+      );
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Move a todo directly before or after another todo in the manual order
+   * @param {number} todoId - The todo ID to move
+   * @param {Object} target - Exactly one of before_id or after_id
+   * @param {number} [target.before_id] - Place the todo directly before this todo
+   * @param {number} [target.after_id] - Place the todo directly after this todo
+   * @returns {Promise<Object>} Moved todo in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {InvalidMoveException} When the target todo does not exist or is the moved todo
+   */
+  async moveTodo(todoId, target) {
+    try {
+      const todo = await this.repository.moveTodo(todoId, target);
+      return this.toResponseFormat(todo);
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Get the direct subtasks of a todo
+   * @param {number} todoId - The parent todo ID
+   * @returns {Promise<Array>} Subtasks in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  async getSubtasks(todoId) {
+    try {
+      const subtasks = await this.repository.findSubtasks(todoId);
+      return subtasks.map(todo => this.toResponseFormat(todo));
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Get the todos in the trash
+   * @returns {Promise<Array>} Trashed todos in response format, most recently deleted first
+   */
+  async getTrash() {
+    try {
+      const todos = await this.repository.findTrash();
+      return todos.map(todo => this.toResponseFormat(todo));
+    } catch (error) {
+      throw new Error(`Failed to get trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a todo from the trash
+   * @param {number} todoId - The todo ID to restore
+   * @returns {Promise<Object>} Restored todo in response format
+   * @throws {TodoNotFoundException} When the todo is not in the trash
+   */
+  async restoreTodo(todoId) {
+    try {
+      const todo = await this.repository.restoreById(todoId);
+      return this.toResponseFormat(todo);
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a todo from the trash
+   * @param {number} todoId - The todo ID to delete
+   * @returns {Promise<Object>} Success message object
+   * @throws {TodoNotFoundException} When the todo is not in the trash
+   */
+  async destroyTodo(todoId) {
+    try {
+      await this.repository.destroyById(todoId);
+      return { message: `Todo with id '${todoId}' permanently deleted` };
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete every todo in the trash
+   * @returns {Promise<Object>} Success message and number of todos deleted
+   */
+  async emptyTrash() {
+    try {
+      const deleted = await this.repository.emptyTrash();
+      return { message: `Permanently deleted ${deleted} todo(s)`, deleted };
+    } catch (error) {
+      throw new Error(`Failed to empty trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Archive a completed top-level todo
+   * @param {number} todoId - The todo ID to archive
+   * @returns {Promise<Object>} Archived todo in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {InvalidArchiveException} When the todo is a subtask or is not completed
+   */
+  async archiveTodo(todoId) {
+    try {
+      const todo = await this.repository.archiveById(todoId);
+      return this.toResponseFormat(todo);
+    } catch (error) {
+      // Re-throw repository exceptions as-is
+      throw error;
+    }
+  }
+
+  /**
+   * Take a todo out of the archive
+   * @param {number} todoId - The todo ID to unarchive
+   * @returns {Promise<Object>} Unarchived todo in response format
+   * @throws {TodoNotFoundException} When todo is not found
    */
-  async toggleTodoCompletion(todoId) {
+  async unarchiveTodo(todoId) {
     try {
-      const updatedTodo = await this.repository.toggleCompletion(todoId);
-      return this.toResponseFormat(updatedTodo);
+      const todo = await this.repository.unarchiveById(todoId);
+      return this.toResponseFormat(todo);
     } catch (error) {
       // Re-throw repository exceptions as-is
       throw error;
     }
   }
 
+  /**
+   * Archive completed top-level todos
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only todos in this list
+   * @param {number} [options.older_than_days] - Only todos completed more than this many days ago
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Success message and number of todos archived
+   * @throws {ListNotFoundException} When the list does not exist
+   */
+  async archiveCompleted({ list_id, older_than_days } = {}, now = new Date()) {
+    try {
+      const completed_before = older_than_days !== undefined
+        ? new Date(now.getTime() - older_than_days * 24 * 60 * 60 * 1000)
+        : undefined;
+      const archived = await this.repository.archiveCompleted({ list_id, completed_before });
+      return { message: `Archived ${archived} completed todo(s)`, archived };
+    } catch (error) {
+      if (error instanceof ListNotFoundException) {
+        throw error;
+      }
+      throw new Error(`Failed to archive completed todos: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a todo and return success message
    * @param {number} todoId - The todo ID to delete
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
+   * @param {Array<string>} [options.ifMatch] - Only delete the todo if one of these entity tags matches it ('*' for any)
    * @returns {Promise<Object>} Success message object
    * @throws {TodoNotFoundException} When todo is not found
+   * @throws {VersionMismatchException} When `ifMatch` does not accept the todo as it is now
    */
-  async deleteTodo(todoId) {
+  async deleteTodo(todoId, { session, ifMatch } = {}) {
     try {
-      await this.repository.deleteById(todoId);
+      await this.whenVersionMatches(todoId, ifMatch, () =>
+        this.withHistory(session, 'delete', todoId, () => this.repository.deleteById(todoId))
+      );
       return { message: `Todo with id '${todoId}' deleted` };
     } catch (error) {
       // Re-throw repository exceptions as-is
@@ -123,38 +603,264 @@ export class TodoService {
     }
   }
 
+  /**
+   * Make a todo change only if the todo is as the client last saw it
+   * The check and the change share a transaction, so no other write can slip in between.
+   * @param {number} todoId - The todo being changed
+   * @param {Array<string>|undefined} ifMatch - Entity tags from If-Match ('*' for any); unconditional without
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} The change's result
+   * @throws {VersionMismatchException} When `ifMatch` does not accept the todo as it is now
+   */
+  async whenVersionMatches(todoId, ifMatch, change) {
+    if (ifMatch === undefined) {
+      return await change();
+    }
+    return await this.repository.inTransaction(async () => {
+      await this.repository.assertVersion(todoId, todo => ifMatchAccepts(ifMatch, this.toResponseFormat(todo)));
+      return await change();
+    });
+  }
+
+  /**
+   * Make a todo change and, when it comes from a client session, log it in the session's undo log
+   * The change and its log entry share a transaction.
+   * @param {string|undefined} session - Client session ID; nothing is logged without one
+   * @param {string} action - 'create', 'update', 'toggle' or 'delete'
+   * @param {number|null} todoId - The todo being changed, or null for a create
+   * @param {Function} change - Async function making the change; resolves to the todo in response
+   *   format, except for a delete
+   * @returns {Promise<*>} The change's result
+   */
+  async withHistory(session, action, todoId, change) {
+    if (!session) {
+      return await change();
+    }
+    return await this.repository.inTransaction(async () => {
+      const before = todoId === null ? null : this.toResponseFormat(await this.repository.findById(todoId));
+      const result = await change();
+      const operation = describeOperation(action, before, result);
+      if (operation && before && completesRecurringTodo(before, result)) {
+        const occurrence = await this.repository.findLatestOccurrenceOf(todoId);
+        operation.occurrence_id = occurrence ? occurrence.id : null;
+      }
+      if (operation) {
+        await this.history.record({ session_id: session, ...operation });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Apply one action to many todos in a single transaction
+   * Todos are processed one by one in their own savepoint, so a todo that fails is rolled back
+   * and reported while the rest go through.
+   * @param {Object} request
+   * @param {string} request.action - 'complete', 'uncomplete', 'delete' or 'update'
+   * @param {Array<number>} [request.ids] - The todos to act on
+   * @param {Object} [request.filter] - Or the filters of {@link TodoService#getAllTodos} selecting them
+   * @param {Object} [request.fields] - Changes for the 'update' action, as accepted by {@link TodoService#updateTodo}
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log each todo's change in, so it can be undone
+   * @returns {Promise<Array<{ id: number, todo?: Object, error?: Error }>>} One result per todo; `todo` is
+   *   the updated todo in response format (absent for deletes)
+   * @throws {Error} When the request selects no valid set of todos or exceeds TODO_BULK_LIMIT
+   */
+  async bulkAction({ action, ids, filter, fields }, { session } = {}) {
+    if ((ids === undefined) === (filter === undefined)) {
+      throw new Error('Exactly one of ids or filter is required');
+    }
+    if (action === 'update' && (!fields || Object.keys(fields).length === 0)) {
+      throw new Error('Fields are required for the update action');
+    }
+
+    const todoIds = ids
+      ? [...new Set(ids)]
+      : (await this.repository.findAll(this.normalizeQuery(filter))).map(todo => todo.id);
+    if (todoIds.length > TODO_BULK_LIMIT) {
+      throw new Error(`The selection must be at most ${TODO_BULK_LIMIT} todos, not ${todoIds.length}`);
+    }
+
+    // Deleting a todo trashes its subtasks too; those count as done when their turn comes
+    const trashed = new Set();
+    const operation = async (id) => {
+      switch (action) {
+        case 'complete':
+        case 'uncomplete':
+          return await this.updateTodo(id, { completed: action === 'complete' }, { session });
+        case 'update':
+          return await this.updateTodo(id, fields, { session });
+        case 'delete': {
+          if (trashed.has(id)) return null;
+          const subtaskIds = await this.repository.findSubtaskIds(id);
+          await this.deleteTodo(id, { session });
+          subtaskIds.forEach(subtaskId => trashed.add(subtaskId));
+          return null;
+        }
+        default:
+          throw new Error(`Action must be one of complete, uncomplete, delete or update`);
+      }
+    };
+
+    const results = await this.repository.eachInTransaction(todoIds, operation);
+    return results.map(({ id, result, error }) => (error ? { id, error } : result ? { id, todo: result } : { id }));
+  }
+
   /**
    * Get todo statistics
+   * @param {Object} [options]
+   * @param {number} [options.list_id] - Only count todos in this list
+   * @param {boolean} [options.include_archived=false] - Count archived todos too, and report how many there are
    * @returns {Promise<Object>} Object containing todo statistics
    */
-  async getTodoStats() {
+  async getTodoStats({ list_id, include_archived = false } = {}) {
     try {
-      const allTodos = await this.repository.findAll();
-      const completed = allTodos.filter(todo => todo.completed).length;
-      const pending = allTodos.length - completed;
-
-      return {
-        total: allTodos.length,
-        completed,
-        pending
-      };
+      const before = new Date().toISOString();
+      const stats = await this.repository.getStats({ list_id, before });
+      if (include_archived) {
+        const archived = await this.repository.getStats({ list_id, archived: true, before });
+        ['total', 'completed', 'pending', 'overdue'].forEach(key => {
+          stats[key] += archived[key];
+        });
+        stats.archived = archived.total;
+      }
+      return stats;
     } catch (error) {
       throw new Error(`Failed to get todo statistics: ${error.message}`);
     }
   }
 
   /**
-   * Get todos by completion status
-   * @param {boolean} completed - Filter by completion status
-   * @returns {Promise<Array>} Array of todos with specified completion status
+   * Validators for the todo collection, for answering conditional GETs without reading the todos
+   * The tag digests a summary of the todos and of what they show, which any write changes,
+   * whether or not it was audited.
+   * @returns {Promise<{tag: string, modified_at: string|null}>} Tag and the time of the latest change
+   */
+  async getCollectionValidators() {
+    const summary = await this.repository.getChangeSummary();
+    const timestamps = Object.keys(summary).filter(name => name.endsWith('_at')).map(name => summary[name]);
+    return { tag: digestOf(summary), modified_at: latestOf(timestamps) };
+  }
+
+  /**
+   * Last time anything a todo's response shows may have changed
+   * Besides its own row, a todo shows its subtask counts, comment count, attachments and tag names,
+   * which change without touching it.
+   * @param {Object} todo - Todo in response format
+   * @returns {Promise<string>} ISO timestamp
+   */
+  async getTodoModifiedAt(todo) {
+    return latestOf([todo.updated_at, ...await this.repository.findLastChangesTo(todo.id)]);
+  }
+
+  /**
+   * Validators for the todo statistics
+   * Like the collection's, except that the overdue count also grows with the clock as due dates
+   * pass; the latest due date passed so far is part of the tag and may be the modification time.
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<{tag: string, modified_at: string|null}>} Tag and the time the statistics last changed
+   */
+  async getStatsValidators(now = new Date()) {
+    const validators = await this.getCollectionValidators();
+    const passedDueAt = await this.repository.findLatestPassedDueAt(now);
+    if (!passedDueAt) {
+      return validators;
+    }
+    return {
+      tag: `${validators.tag}-${Date.parse(passedDueAt).toString(36)}`,
+      modified_at: latestOf([passedDueAt, validators.modified_at])
+    };
+  }
+
+  /**
+   * Get incomplete todos that are past their due date
+   * @returns {Promise<Array>} Overdue todos in response format
+   */
+  async getOverdueTodos() {
+    try {
+      const todos = await this.repository.findOverdue();
+      return todos.map(todo => this.toResponseFormat(todo));
+    } catch (error) {
+      throw new Error(`Failed to get overdue todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get incomplete todos due within the next number of days
+   * @param {number} days - Size of the window in days
+   * @returns {Promise<Array>} Upcoming todos in response format
    */
-  async getTodosByStatus(completed) {
+  async getUpcomingTodos(days) {
     try {
-      const todos = await this.repository.findByStatus(completed);
+      const todos = await this.repository.findUpcoming(days);
       return todos.map(todo => this.toResponseFormat(todo));
     } catch (error) {
-      throw new Error(`Failed to get todos by status: ${error.message}`);
+      throw new Error(`Failed to get upcoming todos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalize the filters of a todo listing: the tag name and the date bounds as UTC ISO timestamps
+   * A date-only bound ("2024-05-01") stands for the start of that day (UTC).
+   * @param {Object} options - Listing options as received
+   * @returns {Object} Options ready for the repository
+   * @throws {Error} If a date bound is not a valid date
+   */
+  normalizeQuery(options) {
+    const normalized = { ...options, tag: options.tag ? normalizeTagName(options.tag) : undefined };
+    for (const name of Object.keys(TODO_DATE_FILTERS)) {
+      for (const key of [`${name}_after`, `${name}_before`]) {
+        if (normalized[key] === undefined || normalized[key] === null) continue;
+        const date = new Date(normalized[key]);
+        if (isNaN(date.getTime())) {
+          throw new Error(`${key} must be a valid date`);
+        }
+        normalized[key] = date.toISOString();
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Normalize a due date to a UTC ISO timestamp
+   * Date-only values ("2024-05-01") are due at the end of that day (UTC)
+   * @param {string|null|undefined} dueAt - Date or date-time string
+   * @returns {string|null} ISO timestamp or null when no due date
+   * @throws {Error} If the value is not a valid date
+   */
+  normalizeDueAt(dueAt) {
+    if (dueAt === undefined || dueAt === null || dueAt === '') {
+      return null;
+    }
+
+    const value = /^\d{4}-\d{2}-\d{2}$/.test(dueAt) ? `${dueAt}T23:59:59.999Z` : dueAt;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Due date must be an ISO 8601 date or date-time');
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Normalize a recurrence rule to its canonical RRULE form
+   * @param {string|null|undefined} recurrence - RRULE string
+   * @returns {string|null} Canonical rule or null when the todo does not recur
+   * @throws {Error} If the rule is outside the supported RRULE subset
+   */
+  normalizeRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null || recurrence === '') {
+      return null;
     }
+    return normalizeRecurrence(recurrence);
+  }
+
+  /**
+   * Normalize tag names, dropping blanks and duplicates
+   * @param {Array<string>} tags - Raw tag names
+   * @returns {Array<string>} Normalized, unique tag names
+   */
+  normalizeTags(tags) {
+    return [...new Set(tags.map(normalizeTagName).filter(name => name !== ''))];
   }
 
   /**
@@ -168,7 +874,25 @@ export class TodoService {
       id: todo.id,
       title: todo.title,
       description: todo.description,
-      completed: todo.completed
+      completed: Boolean(todo.completed),
+      created_at: todo.created_at,
+      updated_at: todo.updated_at,
+      completed_at: todo.completed_at || null,
+      due_at: todo.due_at || null,
+      priority: todo.priority || 'none',
+      tags: todo.tags || [],
+      list_id: todo.list_id,
+      parent_id: todo.parent_id || null,
+      auto_complete: Boolean(todo.auto_complete),
+      subtask_count: todo.subtask_count || 0,
+      completed_subtask_count: todo.completed_subtask_count || 0,
+      recurrence: todo.recurrence || null,
+      position: todo.position,
+      deleted_at: todo.deleted_at || null,
+      archived_at: todo.archived_at || null,
+      comment_count: Number(todo.comment_count || 0),
+      version: todo.version,
+      attachments: todo.attachments || []
     };
   }
 
@@ -195,6 +919,35 @@ export class TodoService {
       throw new Error('Completed must be a boolean');
     }
 
+    if (todoData.due_at !== undefined && todoData.due_at !== null && typeof todoData.due_at !== 'string') {
+      throw new Error('Due date must be a string or null');
+    }
+
+    if (todoData.priority !== undefined && !TODO_PRIORITIES.includes(todoData.priority)) {
+      throw new Error(`Priority must be one of: ${TODO_PRIORITIES.join(', ')}`);
+    }
+
+    if (todoData.tags !== undefined &&
+        (!Array.isArray(todoData.tags) || todoData.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    if (todoData.list_id !== undefined && (!Number.isInteger(todoData.list_id) || todoData.list_id < 1)) {
+      throw new Error('List ID must be a positive integer');
+    }
+
+    if (todoData.parent_id !== undefined && (!Number.isInteger(todoData.parent_id) || todoData.parent_id < 1)) {
+      throw new Error('Parent ID must be a positive integer');
+    }
+
+    if (todoData.auto_complete !== undefined && typeof todoData.auto_complete !== 'boolean') {
+      throw new Error('Auto-complete must be a boolean');
+    }
+
+    if (todoData.recurrence !== undefined && todoData.recurrence !== null && typeof todoData.recurrence !== 'string') {
+      throw new Error('Recurrence must be a string or null');
+    }
+
     return true;
   }
 
@@ -223,6 +976,867 @@ export class TodoService {
       throw new Error('Completed must be a boolean');
     }
 
+    if (updateData.due_at !== undefined && updateData.due_at !== null && typeof updateData.due_at !== 'string') {
+      throw new Error('Due date must be a string or null');
+    }
+
+    if (updateData.priority !== undefined && !TODO_PRIORITIES.includes(updateData.priority)) {
+      throw new Error(`Priority must be one of: ${TODO_PRIORITIES.join(', ')}`);
+    }
+
+    if (updateData.tags !== undefined &&
+        (!Array.isArray(updateData.tags) || updateData.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    if (updateData.list_id !== undefined && (!Number.isInteger(updateData.list_id) || updateData.list_id < 1)) {
+      throw new Error('List ID must be a positive integer');
+    }
+
+    if (updateData.parent_id !== undefined && updateData.parent_id !== null && (!Number.isInteger(updateData.parent_id) || updateData.parent_id < 1)) {
+      throw new Error('Parent ID must be a positive integer or null');
+    }
+
+    if (updateData.auto_complete !== undefined && typeof updateData.auto_complete !== 'boolean') {
+      throw new Error('Auto-complete must be a boolean');
+    }
+
+    if (updateData.recurrence !== undefined && updateData.recurrence !== null && typeof updateData.recurrence !== 'string') {
+      throw new Error('Recurrence must be a string or null');
+    }
+
     return true;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Service class for undoing and redoing the todo changes logged for a client session
+ */
+export class HistoryService {
+  constructor() {
+    this.history = OperationRepository;
+    this.repository = TodoRepository;
+    this.todoService = new TodoService();
+  }
+
+  /**
+   * Revert the newest change of a session that has not been undone
+   * @param {string} session - Client session ID
+   * @returns {Promise<Object>} The reverted `operation`, its `label` and the `todo` as it is now
+   *   (absent when the undo moved it to the trash)
+   * @throws {HistoryEmptyException} When the session has nothing to undo
+   * @throws {TodoNotFoundException} When the todo is gone; the change is dropped from the log
+   */
+  async undo(session) {
+    return await this.replay(await this.history.findUndoable(session), true);
+  }
+
+  /**
+   * Re-apply the most recently undone change of a session
+   * @param {string} session - Client session ID
+   * @returns {Promise<Object>} The re-applied `operation`, its `label` and the `todo` as it is now
+   *   (absent when the redo moved it to the trash)
+   * @throws {HistoryEmptyException} When the session has nothing to redo
+   * @throws {TodoNotFoundException} When the todo is gone; the change is dropped from the log
+   */
+  async redo(session) {
+    return await this.replay(await this.history.findRedoable(session), false);
+  }
+
+  /**
+   * Apply a logged change backwards or forwards, without logging it again
+   * Creates and deletes are reverted through the trash, edits by writing back the changed fields.
+   * Completing a recurring todo also created its next occurrence, which the operation keeps:
+   * undoing the completion moves that occurrence to the trash, and redoing it lets the completion
+   * create a fresh one.
+   * @param {Object} operation - Logged operation
+   * @param {boolean} undo - Revert the change rather than re-apply it
+   * @returns {Promise<Object>} The operation, its label and the todo as it is now
+   */
+  async replay(operation, undo) {
+    const { id, action, todo_id: todoId, label, before, after } = operation;
+    const toTrash = action === 'create' ? undo : action === 'delete' ? !undo : null;
+    try {
+      return await this.repository.inTransaction(async () => {
+        let todo;
+        if (toTrash === true) {
+          await this.todoService.deleteTodo(todoId);
+        } else if (toTrash === false) {
+          todo = await this.todoService.restoreTodo(todoId);
+        } else if (undo) {
+          todo = await this.revertCompletion(operation);
+        } else {
+          todo = await this.reapplyCompletion(operation);
+        }
+        await this.history.markUndone(id, undo);
+        return todo ? { operation: action, label, todo } : { operation: action, label };
+      });
+    } catch (error) {
+      if (error instanceof TodoNotFoundException) {
+        // Deleted for good, or trashed since: nothing left to apply the change to
+        await this.history.discard(id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write back the fields an edit or toggle changed
+   * When the change completed a recurring todo, the occurrence it created goes to the trash, but
+   * only while it is still as it was created. One edited or completed since then is kept, and
+   * keeps the recurrence rule it took over.
+   * @param {Object} operation - Logged update or toggle
+   * @returns {Promise<Object>} The todo in response format
+   */
+  async revertCompletion({ todo_id: todoId, before, occurrence_id: occurrenceId }) {
+    if (!occurrenceId) {
+      return await this.todoService.updateTodo(todoId, before);
+    }
+    const latest = await this.repository.findLatestOccurrenceOf(todoId);
+    const occurrence = latest && latest.id === occurrenceId ? latest : null;
+    if (occurrence && !occurrence.completed && occurrence.updated_at === occurrence.created_at) {
+      const todo = await this.todoService.updateTodo(todoId, before);
+      await this.todoService.deleteTodo(occurrence.id);
+      return todo;
+    }
+    const { recurrence, ...fields } = before;
+    return await this.todoService.updateTodo(todoId, occurrence ? fields : before);
+  }
+
+  /**
+   * Re-apply the fields an edit or toggle changed
+   * A completion that cleared the recurrence rule had moved it to a new occurrence; the rule is
+   * left for the completion to clear again, so that it creates a fresh occurrence, which the
+   * operation then keeps for the next undo.
+   * @param {Object} operation - Logged update or toggle
+   * @returns {Promise<Object>} The todo in response format
+   */
+  async reapplyCompletion({ id, todo_id: todoId, before, after }) {
+    const { recurrence, ...fields } = after;
+    if (!(before.completed === false && after.completed === true && recurrence === null)) {
+      return await this.todoService.updateTodo(todoId, after);
+    }
+    const previous = await this.repository.findLatestOccurrenceOf(todoId);
+    const todo = await this.todoService.updateTodo(todoId, fields);
+    const occurrence = await this.repository.findLatestOccurrenceOf(todoId);
+    const created = occurrence && (!previous || occurrence.id !== previous.id) ? occurrence.id : null;
+    await this.history.recordOccurrence(id, created);
+    return todo;
+  }
+}
+
+/**
+ * Service class for the audit log
+ */
+export class AuditService {
+  constructor() {
+    this.repository = AuditRepository;
+  }
+
+  /**
+   * Get one page of audit events, newest first
+   * @param {Object} [options]
+   * @param {number} [options.todo_id] - Only events about this todo
+   * @param {string} [options.actor] - Only events by this actor
+   * @param {string} [options.action] - Only this action, e.g. 'todo.update', or every action on an entity, e.g. 'todo'
+   * @param {string} [options.request_id] - Only events written by this request
+   * @param {string} [options.since] - Only events at or after this date or date-time
+   * @param {string} [options.until] - Only events before this date or date-time
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - `next_cursor` of the previous page
+   * @returns {Promise<{ items: Array, next_cursor: string|null, total: number }>} Page of events
+   * @throws {InvalidCursorException} When the cursor is malformed
+   */
+  async getAuditEvents({ since, until, ...options } = {}) {
+    const bounds = {};
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+      }
+      bounds[name] = date.toISOString();
+    }
+
+    const page = await this.repository.findPage({ ...options, ...bounds });
+    return {
+      items: page.events.map(event => this.toResponseFormat(event)),
+      next_cursor: page.next_cursor,
+      total: page.total
+    };
+  }
+
+  /**
+   * Convert an audit event to API response format
+   * @param {Object} event - Audit event
+   * @returns {Object} Audit event in response format
+   */
+  toResponseFormat(event) {
+    return {
+      id: event.id,
+      actor: event.actor,
+      action: event.action,
+      todo_id: event.todo_id,
+      before: event.before,
+      after: event.after,
+      request_id: event.request_id,
+      created_at: event.created_at
+    };
+  }
+}
+
+/**
+ * Service class for batches: ordered operations on the todo routes that succeed or fail together
+ */
+export class BatchService {
+  constructor() {
+    this.repository = TodoRepository;
+  }
+
+  /**
+   * Run the operations of a batch in order, inside one transaction
+   * An operation may carry a `ref` name; later operations can then use `$name` as a path segment
+   * or as the value of a body field ending in `_id` to stand for the ID of the todo it created.
+   * The first operation answering with an error status rolls back every operation before it.
+   * @param {Array<Object>} operations - Operations with `method`, `path`, optional `body` and `ref`
+   * @param {Function} execute - Async function performing one `{ method, path, body }` request
+   *   against the app and resolving to its `{ status, body }`
+   * @returns {Promise<Array<Object>>} One `{ status, body }` per operation, with its `ref` when given
+   * @throws {BatchOperationException} When an operation fails, after the batch was rolled back
+   */
+  async runBatch(operations, execute) {
+    const refs = new Map();
+    return await this.repository.inTransaction(async () => {
+      const results = [];
+      for (const [index, { ref, method, path, body }] of operations.entries()) {
+        if (ref !== undefined && refs.has(ref)) {
+          throw new BatchOperationException(index, 400, {
+            error: 'Bad Request',
+            message: `Reference '${ref}' must be unique within the batch`
+          });
+        }
+
+        const resolvedPath = path.split('/').map(segment => resolveBatchRef(segment, refs, index)).join('/');
+        const resolvedBody = body && Object.fromEntries(Object.entries(body).map(([key, value]) =>
+          [key, key.endsWith('_id') ? resolveBatchRef(value, refs, index) : value]
+        ));
+
+        const response = await execute({ method, path: resolvedPath, body: resolvedBody });
+        if (response.status >= 400) {
+          throw new BatchOperationException(index, response.status, response.body);
+        }
+        if (ref !== undefined && Number.isInteger(response.body?.id)) {
+          refs.set(ref, response.body.id);
+        }
+        results.push(ref === undefined ? response : { ref, ...response });
+      }
+      return results;
+    });
+  }
+}
+
+/**
+ * Service class for tag business logic - uses repository for data access
+ */
+export class TagService {
+  constructor() {
+    this.repository = TagRepository;
+  }
+
+  /**
+   * Get all tags in response format
+   * @returns {Promise<Array>} Array of tags with todo counts
+   */
+  async getAllTags() {
+    try {
+      const tags = await this.repository.findAll();
+      return tags.map(tag => this.toResponseFormat(tag));
+    } catch (error) {
+      throw new Error(`Failed to get all tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a tag by ID
+   * @param {number} tagId - The tag ID to retrieve
+   * @returns {Promise<Object>} Tag in response format
+   * @throws {TagNotFoundException} When tag is not found
+   */
+  async getTagById(tagId) {
+    const tag = await this.repository.findById(tagId);
+    return this.toResponseFormat(tag);
+  }
+
+  /**
+   * Create a tag
+   * @param {Object} tagData - The tag creation data
+   * @param {string} tagData.name - Tag name
+   * @returns {Promise<Object>} Created tag in response format
+   * @throws {DuplicateTagException} When the name is already taken
+   */
+  async createTag(tagData) {
+    const tag = await this.repository.create(this.validateTagName(tagData.name));
+    return this.toResponseFormat(tag);
+  }
+
+  /**
+   * Rename a tag
+   * @param {number} tagId - The tag ID to update
+   * @param {Object} updateData - The update data
+   * @param {string} updateData.name - New tag name
+   * @returns {Promise<Object>} Updated tag in response format
+   * @throws {TagNotFoundException} When tag is not found
+   * @throws {DuplicateTagException} When the name is already taken
+   */
+  async updateTag(tagId, updateData) {
+    const tag = await this.repository.updateById(tagId, this.validateTagName(updateData.name));
+    return this.toResponseFormat(tag);
+  }
+
+  /**
+   * Delete a tag and return success message
+   * @param {number} tagId - The tag ID to delete
+   * @returns {Promise<Object>} Success message object
+   * @throws {TagNotFoundException} When tag is not found
+   */
+  async deleteTag(tagId) {
+    await this.repository.deleteById(tagId);
+    return { message: `Tag with id '${tagId}' deleted` };
+  }
+
+  /**
+   * Validate and normalize a tag name
+   * @param {string} name - Raw tag name
+   * @returns {string} Normalized tag name
+   * @throws {Error} If the name is blank
+   */
+  validateTagName(name) {
+    if (typeof name !== 'string' || normalizeTagName(name) === '') {
+      throw new Error('Tag name is required and must be a non-empty string');
+    }
+    return normalizeTagName(name);
+  }
+
+  /**
+   * Convert a tag row to response format
+   * @param {Object} tag - Tag row
+   * @returns {Object} Tag in response format
+   */
+  toResponseFormat(tag) {
+    return {
+      id: tag.id,
+      name: tag.name,
+      todo_count: Number(tag.todo_count || 0)
+    };
+  }
+}
+
+/**
+ * Service class for list business logic - uses repository for data access
+ */
+export class ListService {
+  constructor() {
+    this.repository = ListRepository;
+    this.todoService = new TodoService();
+  }
+
+  /**
+   * Get all lists in response format
+   * @returns {Promise<Array>} Array of lists with todo counts
+   */
+  async getAllLists() {
+    try {
+      const lists = await this.repository.findAll();
+      return lists.map(list => this.toResponseFormat(list));
+    } catch (error) {
+      throw new Error(`Failed to get all lists: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a list by ID
+   * @param {number} listId - The list ID to retrieve
+   * @returns {Promise<Object>} List in response format
+   * @throws {ListNotFoundException} When list is not found
+   */
+  async getListById(listId) {
+    const list = await this.repository.findById(listId);
+    return this.toResponseFormat(list);
+  }
+
+  /**
+   * Create a list
+   * @param {Object} listData - The list creation data
+   * @param {string} listData.name - List name
+   * @returns {Promise<Object>} Created list in response format
+   */
+  async createList(listData) {
+    const list = await this.repository.create(this.validateListName(listData.name));
+    return this.toResponseFormat(list);
+  }
+
+  /**
+   * Rename a list
+   * @param {number} listId - The list ID to update
+   * @param {Object} updateData - The update data
+   * @param {string} updateData.name - New list name
+   * @returns {Promise<Object>} Updated list in response format
+   * @throws {ListNotFoundException} When list is not found
+   */
+  async updateList(listId, updateData) {
+    const list = await this.repository.updateById(listId, this.validateListName(updateData.name));
+    return this.toResponseFormat(list);
+  }
+
+  /**
+   * Delete a list and return success message; its todos move to the default list
+   * @param {number} listId - The list ID to delete
+   * @returns {Promise<Object>} Success message object
+   * @throws {ListNotFoundException} When list is not found
+   * @throws {DefaultListException} When the list is the default list
+   */
+  async deleteList(listId) {
+    await this.repository.deleteById(listId);
+    return { message: `List with id '${listId}' deleted` };
+  }
+
+  /**
+   * Get the todos of a list
+   * @param {number} listId - The list ID
+   * @param {Object} [options] - Same options as TodoService.getAllTodos
+   * @returns {Promise<Array>} Todos in response format
+   * @throws {ListNotFoundException} When list is not found
+   */
+  async getListTodos(listId, options = {}) {
+    await this.repository.findById(listId); // This will throw if not found
+    return await this.todoService.getAllTodos({ ...options, list_id: listId });
+  }
+
+  /**
+   * Get statistics for the todos of a list
+   * @param {number} listId - The list ID
+   * @param {Object} [options]
+   * @param {boolean} [options.include_archived=false] - Count archived todos too
+   * @returns {Promise<Object>} Object containing todo statistics
+   * @throws {ListNotFoundException} When list is not found
+   */
+  async getListStats(listId, options = {}) {
+    await this.repository.findById(listId); // This will throw if not found
+    return await this.todoService.getTodoStats({ ...options, list_id: listId });
+  }
+
+  /**
+   * Validate and trim a list name
+   * @param {string} name - Raw list name
+   * @returns {string} Trimmed list name
+   * @throws {Error} If the name is blank
+   */
+  validateListName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('List name is required and must be a non-empty string');
+    }
+    return name.trim();
+  }
+
+  /**
+   * Convert a list row to response format
+   * @param {Object} list - List row
+   * @returns {Object} List in response format
+   */
+  toResponseFormat(list) {
+    return {
+      id: list.id,
+      name: list.name,
+      is_default: Boolean(list.is_default),
+      todo_count: Number(list.todo_count || 0),
+      pending_count: Number(list.pending_count || 0),
+      created_at: list.created_at,
+      updated_at: list.updated_at
+    };
+  }
+}
+
+/**
+ * Service class for the comment threads on todos
+ */
+export class CommentService {
+  constructor() {
+    this.repository = CommentRepository;
+  }
+
+  /**
+   * Get the comments on a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Comments in response format, oldest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  async getComments(todoId) {
+    const comments = await this.repository.findByTodo(todoId);
+    return comments.map(comment => this.toResponseFormat(comment));
+  }
+
+  /**
+   * Post a comment on a todo
+   * @param {number} todoId - The todo ID
+   * @param {Object} commentData - The comment creation data
+   * @param {string} commentData.body - Comment text
+   * @param {string} [commentData.author] - Name of the commenter
+   * @returns {Promise<Object>} Created comment in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  async createComment(todoId, commentData) {
+    const author = typeof commentData.author === 'string' ? commentData.author.trim() : '';
+    const comment = await this.repository.create(todoId, this.validateBody(commentData.body), author || null);
+    return this.toResponseFormat(comment);
+  }
+
+  /**
+   * Edit the text of a comment
+   * @param {number} todoId - The todo ID
+   * @param {number} commentId - The comment ID
+   * @param {Object} updateData - The update data
+   * @param {string} updateData.body - New comment text
+   * @returns {Promise<Object>} Updated comment in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {CommentNotFoundException} When the todo has no such comment
+   */
+  async updateComment(todoId, commentId, updateData) {
+    const comment = await this.repository.updateById(todoId, commentId, this.validateBody(updateData.body));
+    return this.toResponseFormat(comment);
+  }
+
+  /**
+   * Delete a comment and return success message
+   * @param {number} todoId - The todo ID
+   * @param {number} commentId - The comment ID
+   * @returns {Promise<Object>} Success message object
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {CommentNotFoundException} When the todo has no such comment
+   */
+  async deleteComment(todoId, commentId) {
+    await this.repository.deleteById(todoId, commentId);
+    return { message: `Comment with id '${commentId}' deleted` };
+  }
+
+  /**
+   * Validate and trim a comment body
+   * @param {string} body - Raw comment text
+   * @returns {string} Trimmed comment text
+   * @throws {Error} If the body is blank
+   */
+  validateBody(body) {
+    if (typeof body !== 'string' || body.trim() === '') {
+      throw new Error('Comment body is required and must be a non-empty string');
+    }
+    return body.trim();
+  }
+
+  /**
+   * Convert a comment row to response format
+   * @param {Object} comment - Comment row
+   * @returns {Object} Comment in response format
+   */
+  toResponseFormat(comment) {
+    return {
+      id: comment.id,
+      todo_id: comment.todo_id,
+      author: comment.author || null,
+      body: comment.body,
+      created_at: comment.created_at,
+      updated_at: comment.updated_at
+    };
+  }
+}
+
+/**
+ * Todo fields whose changes a revision diff shows word by word
+ */
+const TEXT_REVISION_FIELDS = ['title', 'description'];
+
+/**
+ * Service class for the revision history of todos
+ */
+export class RevisionService {
+  constructor() {
+    this.repository = RevisionRepository;
+    this.todoService = new TodoService();
+  }
+
+  /**
+   * Get the revisions of a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Revisions in response format, newest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  async getRevisions(todoId) {
+    const revisions = await this.repository.findByTodo(todoId);
+    return revisions.map(revision => this.toResponseFormat(revision));
+  }
+
+  /**
+   * Compare a revision with the current version of its todo
+   * @param {number} todoId - The todo ID
+   * @param {number} rev - The revision number
+   * @returns {Promise<Object>} The revision number and one change per field that differs: its value
+   *   `before` (in the revision) and `after` (now), plus a word-level `diff` for the title and description
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {RevisionNotFoundException} When the todo has no such revision
+   */
+  async getRevisionDiff(todoId, rev) {
+    const { revision, todo } = await this.repository.findByRev(todoId, rev);
+    const before = this.toResponseFormat(revision);
+    const after = this.todoService.toResponseFormat(todo);
+
+    const changes = [];
+    for (const field of [...TODO_REVISION_FIELDS, 'tags']) {
+      if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+
+      const change = { field, before: before[field], after: after[field] };
+      if (TEXT_REVISION_FIELDS.includes(field)) {
+        change.diff = diffWords(before[field], after[field]);
+      }
+      changes.push(change);
+    }
+    return { todo_id: todoId, rev, changes };
+  }
+
+  /**
+   * Bring a todo's content back to a revision
+   * The restore is an ordinary update: it keeps the replaced version as a new revision and can be undone.
+   * Completion, list and nesting are not part of a revision and stay as they are.
+   * @param {number} todoId - The todo ID
+   * @param {number} rev - The revision number
+   * @param {Object} [options]
+   * @param {string} [options.session] - Client session to log the change in, so it can be undone
+   * @returns {Promise<Object>} Updated todo in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {RevisionNotFoundException} When the todo has no such revision
+   */
+  async restoreRevision(todoId, rev, { session } = {}) {
+    const { revision } = await this.repository.findByRev(todoId, rev);
+    const restored = this.toResponseFormat(revision);
+    const fields = {};
+    [...TODO_REVISION_FIELDS, 'tags'].forEach(field => {
+      fields[field] = restored[field];
+    });
+    return await this.todoService.updateTodo(todoId, fields, { session });
+  }
+
+  /**
+   * Convert a revision row to response format
+   * @param {Object} revision - Revision row
+   * @returns {Object} Revision in response format
+   */
+  toResponseFormat(revision) {
+    return {
+      todo_id: revision.todo_id,
+      rev: revision.rev,
+      title: revision.title,
+      description: revision.description,
+      priority: revision.priority,
+      due_at: revision.due_at || null,
+      recurrence: revision.recurrence || null,
+      auto_complete: Boolean(revision.auto_complete),
+      tags: revision.tags,
+      updated_at: revision.updated_at,
+      replaced_at: revision.replaced_at
+    };
+  }
+}
+
+/**
+ * Service class for the files attached to todos
+ */
+export class AttachmentService {
+  constructor() {
+    this.repository = AttachmentRepository;
+    this.storage = attachmentStorage;
+  }
+
+  /**
+   * Get the attachments of a todo
+   * @param {number} todoId - The todo ID
+   * @returns {Promise<Array>} Attachments in response format, oldest first
+   * @throws {TodoNotFoundException} When todo is not found
+   */
+  async getAttachments(todoId) {
+    const attachments = await this.repository.findByTodo(todoId);
+    return attachments.map(attachment => this.toResponseFormat(attachment));
+  }
+
+  /**
+   * Store an uploaded file and attach it to a todo
+   * The file must be of an accepted type, both as the client reports it and as its contents show.
+   * @param {number} todoId - The todo ID
+   * @param {Object} upload - Uploaded file
+   * @param {string} upload.filename - Original file name
+   * @param {string} upload.mimetype - Content type reported by the client
+   * @param {import('stream').Readable} upload.file - File contents
+   * @returns {Promise<Object>} Created attachment in response format
+   * @throws {TodoNotFoundException} When todo is not found
+   * @throws {UnsupportedAttachmentTypeException} When the content type is not accepted or the
+   *   contents do not match it
+   */
+  async uploadAttachment(todoId, { filename, mimetype, file }) {
+    await TodoRepository.findById(todoId); // This will throw if not found
+    if (!ATTACHMENT_CONTENT_TYPES.includes(mimetype)) {
+      throw new UnsupportedAttachmentTypeException(
+        `Files of type '${mimetype}' cannot be attached; accepted types are ${ATTACHMENT_CONTENT_TYPES.join(', ')}`
+      );
+    }
+
+    const name = this.normalizeFilename(filename);
+    const { storedName, size, contentType } = await this.storage.save(file, name);
+    if (contentType !== mimetype) {
+      await this.storage.remove([storedName]);
+      throw new UnsupportedAttachmentTypeException(`The contents of '${name}' are not of type '${mimetype}'`);
+    }
+
+    try {
+      const attachment = await this.repository.create(todoId, {
+        filename: name,
+        stored_name: storedName,
+        content_type: mimetype,
+        size
+      });
+      return this.toResponseFormat(attachment);
+    } catch (error) {
+      await this.storage.remove([storedName]);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an attachment together with a stream of its contents
+   * @param {number} attachmentId - The attachment ID
+   * @returns {Promise<{ attachment: Object, stream: import('stream').Readable }>} Attachment in response format and file contents
+   * @throws {AttachmentNotFoundException} When attachment is not found
+   */
+  async openAttachment(attachmentId) {
+    const attachment = await this.repository.findById(attachmentId);
+    return {
+      attachment: this.toResponseFormat(attachment),
+      stream: this.storage.read(attachment.stored_name)
+    };
+  }
+
+  /**
+   * Delete an attachment and return success message
+   * @param {number} attachmentId - The attachment ID
+   * @returns {Promise<Object>} Success message object
+   * @throws {AttachmentNotFoundException} When attachment is not found
+   */
+  async deleteAttachment(attachmentId) {
+    await this.repository.deleteById(attachmentId);
+    return { message: `Attachment with id '${attachmentId}' deleted` };
+  }
+
+  /**
+   * Reduce a client supplied file name to its last path segment
+   * @param {string} filename - Raw file name
+   * @returns {string} File name safe to store and send back
+   */
+  normalizeFilename(filename) {
+    const name = String(filename || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f"]/g, '').trim();
+    return name.slice(0, 255) || 'file';
+  }
+
+  /**
+   * Convert an attachment row to response format
+   * @param {Object} attachment - Attachment row
+   * @returns {Object} Attachment in response format
+   */
+  toResponseFormat(attachment) {
+    return {
+      id: attachment.id,
+      todo_id: attachment.todo_id,
+      filename: attachment.filename,
+      content_type: attachment.content_type,
+      size: attachment.size,
+      created_at: attachment.created_at
+    };
+  }
+}
+
+/**
+ * How long a key stays claimed by a request that never answers, e.g. because the server stopped
+ */
+const IDEMPOTENCY_CLAIM_SECONDS = 60;
+
+/**
+ * Service class for replaying the responses to requests sent with an Idempotency-Key
+ */
+export class IdempotencyService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlHours=24] - How long a response is replayed for its key
+   */
+  constructor({ ttlHours = 24 } = {}) {
+    this.repository = IdempotencyRepository;
+    this.ttlHours = ttlHours;
+  }
+
+  /**
+   * Hash identifying a request, so a key sent again can be checked against its first use
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path and query string
+   * @param {*} request.body - Parsed request body
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRequest({ method, url, body }) {
+    return createHash('sha256').update(JSON.stringify([method, url, body ?? null])).digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or get the response stored for an earlier identical request
+   * Keys are looked up per session, method and URL, so the same key on another route, or from
+   * another session, is a different key.
+   * @param {string} key - Idempotency key
+   * @param {Object} request - { method, url, body, session }; session is the client session ID, if any
+   * @returns {Promise<Object|null>} Stored response `{ status_code, body, headers }`, or null
+   *   when the request should be processed
+   * @throws {IdempotencyKeyReusedException} When the key was used for a different request
+   * @throws {IdempotencyKeyInProgressException} When the key's first request has not answered yet
+   */
+  async begin(key, request) {
+    const claimedUntil = new Date(Date.now() + IDEMPOTENCY_CLAIM_SECONDS * 1000).toISOString();
+    const stored = await this.repository.claim(this.scope(key, request), this.hashRequest(request), claimedUntil);
+    if (!stored) {
+      return null;
+    }
+    return { status_code: stored.status_code, body: stored.response_body, headers: stored.response_headers };
+  }
+
+  /**
+   * Store the response to a claimed key, to be replayed until the key expires
+   * @param {string} key - Idempotency key
+   * @param {Object} request - { method, url, session } the key was claimed with
+   * @param {Object} response - { status_code, body, headers }
+   * @returns {Promise<void>}
+   */
+  async complete(key, request, response) {
+    const expiresAt = new Date(Date.now() + this.ttlHours * 60 * 60 * 1000).toISOString();
+    await this.repository.complete(this.scope(key, request), response, expiresAt);
+  }
+
+  /**
+   * Free a claimed key without a response, e.g. after a server error, so a retry is processed anew
+   * @param {string} key - Idempotency key
+   * @param {Object} request - { method, url, session } the key was claimed with
+   * @returns {Promise<void>}
+   */
+  async release(key, request) {
+    await this.repository.release(this.scope(key, request));
+  }
+
+  /**
+   * Where a key was sent, which together with the key identifies it
+   * @param {string} key - Idempotency key
+   * @param {Object} request - { method, url, session }
+   * @returns {Object} { key, session_id, method, url }
+   */
+  scope(key, { method, url, session }) {
+    return { key, session_id: session ?? '', method, url };
+  }
+}
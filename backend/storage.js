@@ -0,0 +1,152 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, unlink } from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, extname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Content types attachments may have: images, PDFs and plain text
+ */
+export const ATTACHMENT_CONTENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain'
+];
+
+/**
+ * Bytes that identify the binary content types, as pairs of an offset into the file and the bytes found there
+ */
+const CONTENT_SIGNATURES = [
+  { type: 'image/png', parts: [[0, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]] },
+  { type: 'image/jpeg', parts: [[0, Buffer.from([0xff, 0xd8, 0xff])]] },
+  { type: 'image/gif', parts: [[0, Buffer.from('GIF87a')]] },
+  { type: 'image/gif', parts: [[0, Buffer.from('GIF89a')]] },
+  { type: 'image/webp', parts: [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]] },
+  { type: 'application/pdf', parts: [[0, Buffer.from('%PDF-')]] }
+];
+
+/**
+ * Bytes read from the start of a file to tell its content type
+ */
+const SNIFF_BYTES = 512;
+
+/**
+ * Tell a file's content type from its first bytes
+ * Binary types are recognised by their signature; anything else without control characters
+ * other than whitespace and escape is plain text.
+ * @param {Buffer} head - First bytes of the file, up to {@link SNIFF_BYTES}
+ * @returns {string|null} Content type, or null when the file is of no accepted type
+ */
+export function sniffContentType(head) {
+  const signature = CONTENT_SIGNATURES.find(({ parts }) =>
+    parts.every(([offset, bytes]) => head.subarray(offset, offset + bytes.length).equals(bytes)));
+  if (signature) {
+    return signature.type;
+  }
+  const binary = head.some(byte => byte <= 0x08 || byte === 0x0b || (byte >= 0x0e && byte <= 0x1f && byte !== 0x1b));
+  return binary ? null : 'text/plain';
+}
+
+/**
+ * Attachment storage configuration based on environment
+ * ATTACHMENTS_DIR overrides the directory, ATTACHMENT_MAX_BYTES the size limit (10 MB by default).
+ * @returns {{ dir: string, maxBytes: number }} Storage directory and per-file size limit
+ */
+function getStorageConfig() {
+  const appEnv = process.env.APP_ENV || process.env.NODE_ENV || 'development';
+
+  return {
+    dir: process.env.ATTACHMENTS_DIR || join(__dirname, appEnv === 'test' ? 'uploads_test' : 'uploads'),
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES ?? String(10 * 1024 * 1024), 10)
+  };
+}
+
+/**
+ * Stores attachment files on local disk under random names
+ * Files are only ever addressed by the stored name kept in the database, never by user input.
+ */
+export class AttachmentStorage {
+  /**
+   * @param {Object} config
+   * @param {string} config.dir - Directory the files are stored in
+   * @param {number} config.maxBytes - Largest file accepted, in bytes
+   */
+  constructor({ dir, maxBytes }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+  }
+
+  /**
+   * Write a stream to a new file
+   * A stream that fails, for instance when the upload is cut off at the size limit, leaves no file behind.
+   * @param {import('stream').Readable} stream - File contents
+   * @param {string} filename - Original file name, only used for its extension
+   * @returns {Promise<{ storedName: string, size: number, contentType: string|null }>} Name of the new
+   *   file, its size in bytes and the content type its first bytes show, see {@link sniffContentType}
+   */
+  async save(stream, filename) {
+    await mkdir(this.dir, { recursive: true });
+
+    const extension = extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+    const storedName = `${randomUUID()}${extension}`;
+    const head = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      if (size < SNIFF_BYTES) {
+        head.push(chunk.subarray(0, SNIFF_BYTES - size));
+      }
+      size += chunk.length;
+    });
+    try {
+      await pipeline(stream, createWriteStream(this.path(storedName)));
+    } catch (error) {
+      await this.remove([storedName]);
+      throw error;
+    }
+    return { storedName, size, contentType: sniffContentType(Buffer.concat(head)) };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} storedName - Name the file was stored under
+   * @returns {import('fs').ReadStream} File contents
+   */
+  read(storedName) {
+    return createReadStream(this.path(storedName));
+  }
+
+  /**
+   * Delete stored files, ignoring files that are already gone
+   * @param {Array<string>} storedNames - Names the files were stored under
+   * @returns {Promise<void>}
+   */
+  async remove(storedNames) {
+    await Promise.all(storedNames.map(async (storedName) => {
+      try {
+        await unlink(this.path(storedName));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }));
+  }
+
+  /**
+   * Absolute path of a stored file
+   * @param {string} storedName - Name the file was stored under
+   * @returns {string} File path
+   */
+  path(storedName) {
+    return join(this.dir, storedName);
+  }
+}
+
+/**
+ * Attachment storage for the environment
+ */
+export const attachmentStorage = new AttachmentStorage(getStorageConfig());
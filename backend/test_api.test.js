@@ -1,7 +1,15 @@
 import { describe, test, expect, beforeEach, afterEach, beforeAll, afterAll } from '@jest/globals';
 import { createApp } from './main.js';
 import { resetDatabase, closeDatabase } from './models.js';
-import { Todo } from './models.js';
+import { Todo, db, migrator } from './models.js';
+import { Migrator } from './migrator.js';
+import { nextOccurrence, nextFutureOccurrence } from './recurrence.js';
+import { diffWords } from './diff.js';
+import { attachmentStorage } from './storage.js';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('Todo API Tests', () => {
   let app;
@@ -124,6 +132,2136 @@ describe('Todo API Tests', () => {
     });
   });
 
+  describe('Todo timestamps', () => {
+    test('should set created_at and updated_at on creation', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Timestamped todo' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      const data = JSON.parse(response.payload);
+      expect(Date.parse(data.created_at)).not.toBeNaN();
+      expect(data.updated_at).toBe(data.created_at);
+      expect(data.completed_at).toBeNull();
+    });
+
+    test('should refresh updated_at but keep created_at on update', async () => {
+      const todo = await Todo.create({ title: 'Original title' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { title: 'Updated title' }
+      });
+
+      const data = JSON.parse(response.payload);
+      expect(data.created_at).toBe(todo.created_at);
+      expect(Date.parse(data.updated_at)).toBeGreaterThan(Date.parse(todo.updated_at));
+    });
+
+    test('should stamp completed_at on completion and clear it when reopened', async () => {
+      const todo = await Todo.create({ title: 'Toggle timestamps' });
+
+      let response = await app.inject({
+        method: 'POST',
+        url: `/api/todos/${todo.id}/toggle`
+      });
+      let data = JSON.parse(response.payload);
+      expect(Date.parse(data.completed_at)).not.toBeNaN();
+      const completedAt = data.completed_at;
+
+      // Re-sending completed: true must not move the completion time
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { completed: true }
+      });
+      data = JSON.parse(response.payload);
+      expect(data.completed_at).toBe(completedAt);
+
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { completed: false }
+      });
+      data = JSON.parse(response.payload);
+      expect(data.completed_at).toBeNull();
+    });
+  });
+
+  describe('Due dates', () => {
+    const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    test('should accept date-only and date-time due dates', async () => {
+      let response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Pay rent', due_at: '2030-05-01' }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).due_at).toBe('2030-05-01T23:59:59.999Z');
+
+      response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Call bank', due_at: '2030-05-01T09:30:00+02:00' }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).due_at).toBe('2030-05-01T07:30:00.000Z');
+    });
+
+    test('should reject invalid due dates', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Bad date', due_at: 'next tuesday' }
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should clear a due date with null', async () => {
+      const todo = await Todo.create({ title: 'Dated', due_at: daysFromNow(1) });
+
+      const response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { due_at: null }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).due_at).toBeNull();
+    });
+
+    test('should list overdue and upcoming todos', async () => {
+      await Todo.create({ title: 'Late', due_at: daysFromNow(-2) });
+      await Todo.create({ title: 'Late but done', due_at: daysFromNow(-2), completed: true });
+      await Todo.create({ title: 'Tomorrow', due_at: daysFromNow(1) });
+      await Todo.create({ title: 'Next month', due_at: daysFromNow(30) });
+      await Todo.create({ title: 'Someday' });
+
+      let response = await app.inject({ method: 'GET', url: '/api/todos/overdue' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Late']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos/upcoming' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Tomorrow']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos/upcoming?days=60' });
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Tomorrow', 'Next month']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos/upcoming?days=0' });
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should report overdue count in stats', async () => {
+      await Todo.create({ title: 'Late', due_at: daysFromNow(-1) });
+      await Todo.create({ title: 'On time', due_at: daysFromNow(1) });
+
+      const response = await app.inject({ method: 'GET', url: '/api/stats' });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toEqual({ total: 2, completed: 0, pending: 2, overdue: 1 });
+    });
+  });
+
+  describe('Priorities', () => {
+    test('should default priority to none', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Unranked' }
+      });
+
+      expect(JSON.parse(response.payload).priority).toBe('none');
+    });
+
+    test('should create and update priority', async () => {
+      let response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Ship release', priority: 'high' }
+      });
+      const todo = JSON.parse(response.payload);
+      expect(todo.priority).toBe('high');
+
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { priority: 'urgent' }
+      });
+      expect(JSON.parse(response.payload).priority).toBe('urgent');
+    });
+
+    test('should reject unknown priorities', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Bad priority', priority: 'critical' }
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should sort by priority, highest first', async () => {
+      await Todo.create({ title: 'Low', priority: 'low' });
+      await Todo.create({ title: 'Urgent', priority: 'urgent' });
+      await Todo.create({ title: 'None' });
+      await Todo.create({ title: 'Medium', priority: 'medium' });
+      await Todo.create({ title: 'Urgent too', priority: 'urgent' });
+
+      let response = await app.inject({ method: 'GET', url: '/api/todos?sort=priority' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).map(t => t.title))
+        .toEqual(['Urgent', 'Urgent too', 'Medium', 'Low', 'None']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos' });
+      expect(JSON.parse(response.payload).map(t => t.title))
+        .toEqual(['Low', 'Urgent', 'None', 'Medium', 'Urgent too']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos?sort=bogus' });
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Tags', () => {
+    test('should create todos with tags, creating tags on demand', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Buy milk', tags: ['Errands', 'home', 'errands '] }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).tags).toEqual(['errands', 'home']);
+
+      const tagsResponse = await app.inject({ method: 'GET', url: '/api/tags' });
+      expect(JSON.parse(tagsResponse.payload).map(t => [t.name, t.todo_count]))
+        .toEqual([['errands', 1], ['home', 1]]);
+    });
+
+    test('should replace tags on update', async () => {
+      const todo = await Todo.create({ title: 'Report', tags: ['work', 'urgent'] });
+
+      let response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { tags: ['work', 'q3'] }
+      });
+      expect(JSON.parse(response.payload).tags).toEqual(['q3', 'work']);
+
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { tags: [] }
+      });
+      expect(JSON.parse(response.payload).tags).toEqual([]);
+    });
+
+    test('should filter todos by tag', async () => {
+      await Todo.create({ title: 'Email boss', tags: ['work'] });
+      await Todo.create({ title: 'Mow lawn', tags: ['home'] });
+      await Todo.create({ title: 'Plan offsite', tags: ['work', 'travel'] });
+
+      const response = await app.inject({ method: 'GET', url: '/api/todos?tag=Work' });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Email boss', 'Plan offsite']);
+    });
+
+    test('should support tag CRUD', async () => {
+      let response = await app.inject({ method: 'POST', url: '/api/tags', payload: { name: 'Home' } });
+      expect(response.statusCode).toBe(200);
+      const tag = JSON.parse(response.payload);
+      expect(tag).toEqual({ id: tag.id, name: 'home', todo_count: 0 });
+
+      response = await app.inject({ method: 'POST', url: '/api/tags', payload: { name: 'home' } });
+      expect(response.statusCode).toBe(409);
+
+      response = await app.inject({ method: 'PUT', url: `/api/tags/${tag.id}`, payload: { name: 'house' } });
+      expect(JSON.parse(response.payload).name).toBe('house');
+
+      response = await app.inject({ method: 'GET', url: `/api/tags/${tag.id}` });
+      expect(JSON.parse(response.payload).name).toBe('house');
+
+      response = await app.inject({ method: 'DELETE', url: `/api/tags/${tag.id}` });
+      expect(response.statusCode).toBe(200);
+
+      response = await app.inject({ method: 'GET', url: `/api/tags/${tag.id}` });
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should detach deleted tags from todos', async () => {
+      const todo = await Todo.create({ title: 'Tagged', tags: ['temp', 'keep'] });
+      const tags = JSON.parse((await app.inject({ method: 'GET', url: '/api/tags' })).payload);
+      const temp = tags.find(t => t.name === 'temp');
+
+      await app.inject({ method: 'DELETE', url: `/api/tags/${temp.id}` });
+
+      const response = await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` });
+      expect(JSON.parse(response.payload).tags).toEqual(['keep']);
+    });
+
+    test('should drop tag links when a todo is deleted', async () => {
+      const todo = await Todo.create({ title: 'Short lived', tags: ['misc'] });
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}` });
+
+      const response = await app.inject({ method: 'GET', url: '/api/tags' });
+      expect(JSON.parse(response.payload)).toEqual([expect.objectContaining({ name: 'misc', todo_count: 0 })]);
+    });
+
+    test('should reject blank tag names', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Blank tag', tags: ['   '] }
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Lists', () => {
+    const createList = async (name) => JSON.parse((await app.inject({
+      method: 'POST',
+      url: '/api/lists',
+      payload: { name }
+    })).payload);
+
+    test('should start with a default Inbox list holding new todos', async () => {
+      const todo = await Todo.create({ title: 'Unfiled' });
+
+      const response = await app.inject({ method: 'GET', url: '/api/lists' });
+
+      expect(response.statusCode).toBe(200);
+      const lists = JSON.parse(response.payload);
+      expect(lists).toHaveLength(1);
+      expect(lists[0]).toMatchObject({ name: 'Inbox', is_default: true, todo_count: 1, pending_count: 1 });
+      expect(todo.list_id).toBe(lists[0].id);
+    });
+
+    test('should create todos in a list and list them through the nested route', async () => {
+      const work = await createList('Work');
+
+      await app.inject({ method: 'POST', url: '/api/todos', payload: { title: 'Quarterly report', list_id: work.id } });
+      await app.inject({ method: 'POST', url: '/api/todos', payload: { title: 'Groceries' } });
+
+      let response = await app.inject({ method: 'GET', url: `/api/lists/${work.id}/todos` });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Quarterly report']);
+
+      response = await app.inject({ method: 'GET', url: `/api/todos?list_id=${work.id}` });
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Quarterly report']);
+
+      response = await app.inject({ method: 'GET', url: '/api/lists/999/todos' });
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should move a todo between lists', async () => {
+      const home = await createList('Home');
+      const todo = await Todo.create({ title: 'Fix sink' });
+
+      let response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { list_id: home.id }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).list_id).toBe(home.id);
+
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { list_id: 999 }
+      });
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should report per-list stats', async () => {
+      const work = await createList('Work');
+      await Todo.create({ title: 'Done', list_id: work.id, completed: true });
+      await Todo.create({ title: 'Open', list_id: work.id });
+      await Todo.create({ title: 'Elsewhere' });
+
+      const response = await app.inject({ method: 'GET', url: `/api/lists/${work.id}/stats` });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toEqual({ total: 2, completed: 1, pending: 1, overdue: 0 });
+    });
+
+    test('should rename and delete lists, moving todos to the default list', async () => {
+      const errands = await createList('Errands');
+      const todo = await Todo.create({ title: 'Post office', list_id: errands.id });
+
+      let response = await app.inject({
+        method: 'PUT',
+        url: `/api/lists/${errands.id}`,
+        payload: { name: 'Chores' }
+      });
+      expect(JSON.parse(response.payload).name).toBe('Chores');
+
+      response = await app.inject({ method: 'DELETE', url: `/api/lists/${errands.id}` });
+      expect(response.statusCode).toBe(200);
+
+      const moved = await Todo.findById(todo.id);
+      const lists = JSON.parse((await app.inject({ method: 'GET', url: '/api/lists' })).payload);
+      expect(lists.map(l => l.name)).toEqual(['Inbox']);
+      expect(moved.list_id).toBe(lists[0].id);
+    });
+
+    test('should refuse to delete the default list', async () => {
+      const [inbox] = JSON.parse((await app.inject({ method: 'GET', url: '/api/lists' })).payload);
+
+      const response = await app.inject({ method: 'DELETE', url: `/api/lists/${inbox.id}` });
+
+      expect(response.statusCode).toBe(409);
+    });
+  });
+
+  describe('Subtasks', () => {
+    const createTodo = async (payload) => JSON.parse((await app.inject({
+      method: 'POST',
+      url: '/api/todos',
+      payload
+    })).payload);
+
+    test('should create subtasks and list them under their parent', async () => {
+      const parent = await createTodo({ title: 'Move house' });
+      await createTodo({ title: 'Book van', parent_id: parent.id });
+      await createTodo({ title: 'Pack boxes', parent_id: parent.id });
+
+      let response = await app.inject({ method: 'GET', url: `/api/todos/${parent.id}/subtasks` });
+      expect(response.statusCode).toBe(200);
+      const subtasks = JSON.parse(response.payload);
+      expect(subtasks.map(t => t.title)).toEqual(['Book van', 'Pack boxes']);
+      expect(subtasks[0]).toMatchObject({ parent_id: parent.id, list_id: parent.list_id });
+
+      response = await app.inject({ method: 'GET', url: '/api/todos?top_level=true' });
+      expect(JSON.parse(response.payload).map(t => t.title)).toEqual(['Move house']);
+
+      response = await app.inject({ method: 'GET', url: '/api/todos/999/subtasks' });
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should report subtask progress on the parent', async () => {
+      const parent = await createTodo({ title: 'Launch' });
+      const first = await createTodo({ title: 'Write copy', parent_id: parent.id });
+      await createTodo({ title: 'Ship it', parent_id: parent.id });
+
+      await app.inject({ method: 'POST', url: `/api/todos/${first.id}/toggle` });
+
+      const response = await app.inject({ method: 'GET', url: `/api/todos/${parent.id}` });
+      expect(JSON.parse(response.payload)).toMatchObject({
+        subtask_count: 2,
+        completed_subtask_count: 1,
+        completed: false
+      });
+    });
+
+    test('should auto-complete and reopen a parent that opts in', async () => {
+      const parent = await createTodo({ title: 'Trip', auto_complete: true });
+      const first = await createTodo({ title: 'Tickets', parent_id: parent.id });
+      const second = await createTodo({ title: 'Hotel', parent_id: parent.id });
+
+      await app.inject({ method: 'POST', url: `/api/todos/${first.id}/toggle` });
+      expect((await Todo.findById(parent.id)).completed).toBeFalsy();
+
+      await app.inject({ method: 'POST', url: `/api/todos/${second.id}/toggle` });
+      const completedParent = await Todo.findById(parent.id);
+      expect(completedParent.completed).toBeTruthy();
+      expect(completedParent.completed_at).not.toBeNull();
+
+      await app.inject({ method: 'POST', url: `/api/todos/${second.id}/toggle` });
+      expect((await Todo.findById(parent.id)).completed).toBeFalsy();
+    });
+
+    test('should leave parents without auto-complete open', async () => {
+      const parent = await createTodo({ title: 'Manual' });
+      const child = await createTodo({ title: 'Only step', parent_id: parent.id });
+
+      await app.inject({ method: 'POST', url: `/api/todos/${child.id}/toggle` });
+
+      expect((await Todo.findById(parent.id)).completed).toBeFalsy();
+    });
+
+    test('should enforce the nesting depth limit and reject cycles', async () => {
+      const level1 = await createTodo({ title: 'Level 1' });
+      const level2 = await createTodo({ title: 'Level 2', parent_id: level1.id });
+      const level3 = await createTodo({ title: 'Level 3', parent_id: level2.id });
+
+      let response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Level 4', parent_id: level3.id }
+      });
+      expect(response.statusCode).toBe(400);
+
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${level1.id}`,
+        payload: { parent_id: level3.id }
+      });
+      expect(response.statusCode).toBe(400);
+
+      response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Orphan', parent_id: 999 }
+      });
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should move subtasks along with their parent and delete them with it', async () => {
+      const list = JSON.parse((await app.inject({
+        method: 'POST',
+        url: '/api/lists',
+        payload: { name: 'Work' }
+      })).payload);
+      const parent = await createTodo({ title: 'Release' });
+      const child = await createTodo({ title: 'Changelog', parent_id: parent.id });
+
+      await app.inject({ method: 'PUT', url: `/api/todos/${parent.id}`, payload: { list_id: list.id } });
+      expect((await Todo.findById(child.id)).list_id).toBe(list.id);
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${parent.id}` });
+      expect(await Todo.findById(child.id)).toBeNull();
+    });
+
+    test('should detach a subtask by clearing its parent', async () => {
+      const parent = await createTodo({ title: 'Parent' });
+      const child = await createTodo({ title: 'Child', parent_id: parent.id });
+
+      const response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${child.id}`,
+        payload: { parent_id: null }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).parent_id).toBeNull();
+      expect((await Todo.findById(parent.id)).subtask_count).toBe(0);
+    });
+  });
+
+  describe('Recurring todos', () => {
+    test('should store recurrence rules in canonical form and reject unsupported ones', async () => {
+      let response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Gym', recurrence: 'RRULE:freq=weekly;byday=fr,mo;interval=1' }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).recurrence).toBe('FREQ=WEEKLY;BYDAY=MO,FR');
+
+      response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Gym', recurrence: 'FREQ=YEARLY' }
+      });
+      expect(response.statusCode).toBe(400);
+
+      response = await app.inject({
+        method: 'POST',
+        url: '/api/todos',
+        payload: { title: 'Gym', recurrence: 'FREQ=DAILY;BYDAY=MO' }
+      });
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should create the next occurrence when a recurring todo is completed', async () => {
+      const dueAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+      const todo = await Todo.create({
+        title: 'Water plants',
+        priority: 'high',
+        tags: ['home'],
+        due_at: dueAt,
+        recurrence: 'FREQ=DAILY;INTERVAL=3'
+      });
+
+      const response = await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+
+      expect(response.statusCode).toBe(200);
+      const completed = JSON.parse(response.payload);
+      expect(completed.completed).toBe(true);
+      expect(completed.recurrence).toBeNull();
+
+      const todos = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+      const next = todos.find(t => t.id !== todo.id);
+      expect(next).toMatchObject({
+        title: 'Water plants',
+        completed: false,
+        priority: 'high',
+        tags: ['home'],
+        recurrence: 'FREQ=DAILY;INTERVAL=3',
+        due_at: new Date(Date.parse(dueAt) + 3 * 24 * 60 * 60 * 1000).toISOString()
+      });
+
+      // Reopening and re-completing the old todo does not spawn another copy
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload)).toHaveLength(2);
+    });
+
+    test('should schedule an overdue recurring todo in the future', async () => {
+      const todo = await Todo.create({
+        title: 'Take out bins',
+        due_at: '2020-01-06T08:00:00.000Z',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO'
+      });
+
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+
+      const todos = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+      const next = todos.find(t => !t.completed);
+      const nextDue = new Date(next.due_at);
+      expect(nextDue.getTime()).toBeGreaterThan(Date.now());
+      expect(nextDue.getUTCDay()).toBe(1);
+      expect(nextDue.getUTCHours()).toBe(8);
+    });
+
+    test('should not create occurrences for todos without a rule', async () => {
+      const todo = await Todo.create({ title: 'One-off' });
+
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload)).toHaveLength(1);
+    });
+
+    test('should compute next occurrences for each supported frequency', () => {
+      const wednesday = new Date('2024-05-01T09:30:00.000Z');
+
+      expect(nextOccurrence('FREQ=DAILY', wednesday).toISOString()).toBe('2024-05-02T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=DAILY;INTERVAL=10', wednesday).toISOString()).toBe('2024-05-11T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=WEEKLY', wednesday).toISOString()).toBe('2024-05-08T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=WEEKLY;BYDAY=MO,FR', wednesday).toISOString()).toBe('2024-05-03T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', wednesday).toISOString()).toBe('2024-05-13T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=MONTHLY', wednesday).toISOString()).toBe('2024-06-01T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=15', wednesday).toISOString()).toBe('2024-05-15T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=-1', wednesday).toISOString()).toBe('2024-05-31T09:30:00.000Z');
+      expect(nextOccurrence('FREQ=MONTHLY', new Date('2024-01-31T00:00:00.000Z')).toISOString())
+        .toBe('2024-02-29T00:00:00.000Z');
+      expect(nextFutureOccurrence('FREQ=DAILY', wednesday, new Date('2024-05-10T00:00:00.000Z')).toISOString())
+        .toBe('2024-05-10T09:30:00.000Z');
+    });
+  });
+
+  describe('Manual ordering', () => {
+    const titles = async (url = '/api/todos') =>
+      JSON.parse((await app.inject({ method: 'GET', url })).payload).map(t => t.title);
+
+    const move = (todoId, payload) => app.inject({
+      method: 'POST',
+      url: `/api/todos/${todoId}/move`,
+      payload
+    });
+
+    test('should append new todos in creation order', async () => {
+      const first = await Todo.create({ title: 'First' });
+      const second = await Todo.create({ title: 'Second' });
+
+      expect(second.position).toBeGreaterThan(first.position);
+      expect(await titles()).toEqual(['First', 'Second']);
+    });
+
+    test('should move todos before and after other todos', async () => {
+      const a = await Todo.create({ title: 'A' });
+      const b = await Todo.create({ title: 'B' });
+      const c = await Todo.create({ title: 'C' });
+
+      let response = await move(c.id, { before_id: a.id });
+      expect(response.statusCode).toBe(200);
+      expect(await titles()).toEqual(['C', 'A', 'B']);
+
+      response = await move(c.id, { after_id: a.id });
+      expect(response.statusCode).toBe(200);
+      expect(await titles()).toEqual(['A', 'C', 'B']);
+
+      await move(a.id, { after_id: b.id });
+      expect(await titles()).toEqual(['C', 'B', 'A']);
+      expect(await titles('/api/todos?sort=id')).toEqual(['A', 'B', 'C']);
+      expect(await titles('/api/todos/filter/status?completed=false')).toEqual(['C', 'B', 'A']);
+    });
+
+    test('should only reposition the moved todo', async () => {
+      const a = await Todo.create({ title: 'A' });
+      const b = await Todo.create({ title: 'B' });
+      const c = await Todo.create({ title: 'C' });
+
+      await move(c.id, { before_id: b.id });
+
+      expect((await Todo.findById(a.id)).position).toBe(a.position);
+      expect((await Todo.findById(b.id)).position).toBe(b.position);
+      expect((await Todo.findById(c.id)).updated_at).toBe(c.updated_at);
+    });
+
+    test('should respace positions once a gap can no longer be split', async () => {
+      const a = await Todo.create({ title: 'A' });
+      const b = await Todo.create({ title: 'B' });
+      const c = await Todo.create({ title: 'C' });
+      const d = await Todo.create({ title: 'D' });
+
+      // Repeatedly squeeze todos into the gap right after A
+      for (let i = 0; i < 40; i++) {
+        await move(i % 2 === 0 ? c.id : d.id, { after_id: a.id });
+      }
+
+      expect(await titles()).toEqual(['A', 'D', 'C', 'B']);
+      const positions = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload).map(t => t.position);
+      expect(new Set(positions).size).toBe(4);
+    });
+
+    test('should reject invalid moves', async () => {
+      const todo = await Todo.create({ title: 'Solo' });
+
+      expect((await move(todo.id, { before_id: todo.id })).statusCode).toBe(400);
+      expect((await move(todo.id, { before_id: 999 })).statusCode).toBe(400);
+      expect((await move(todo.id, {})).statusCode).toBe(400);
+      expect((await move(todo.id, { before_id: 1, after_id: 1 })).statusCode).toBe(400);
+      expect((await move(999, { before_id: todo.id })).statusCode).toBe(404);
+    });
+  });
+
+  describe('Trash', () => {
+    const remove = (todoId) => app.inject({ method: 'DELETE', url: `/api/todos/${todoId}` });
+    const trash = async () => JSON.parse((await app.inject({ method: 'GET', url: '/api/trash' })).payload);
+
+    test('should move deleted todos to the trash and hide them everywhere else', async () => {
+      const todo = await Todo.create({ title: 'Misclick', tags: ['work'] });
+      await Todo.create({ title: 'Keeper' });
+
+      expect((await remove(todo.id)).statusCode).toBe(200);
+
+      const todos = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+      expect(todos.map(t => t.title)).toEqual(['Keeper']);
+      expect((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` })).statusCode).toBe(404);
+      expect((await app.inject({ method: 'PUT', url: `/api/todos/${todo.id}`, payload: { title: 'x' } })).statusCode).toBe(404);
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/stats' })).payload).total).toBe(1);
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/tags' })).payload)[0].todo_count).toBe(0);
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/lists' })).payload)[0].todo_count).toBe(1);
+
+      const trashed = await trash();
+      expect(trashed).toHaveLength(1);
+      expect(trashed[0]).toMatchObject({ id: todo.id, title: 'Misclick' });
+      expect(trashed[0].deleted_at).not.toBeNull();
+    });
+
+    test('should restore a todo together with the subtasks deleted with it', async () => {
+      const parent = await Todo.create({ title: 'Parent' });
+      const child = await Todo.create({ title: 'Child', parent_id: parent.id });
+
+      await remove(parent.id);
+      expect((await trash()).map(t => t.title)).toEqual(['Parent']);
+
+      const response = await app.inject({ method: 'POST', url: `/api/todos/${parent.id}/restore` });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({ deleted_at: null, subtask_count: 1 });
+      expect(await Todo.findById(child.id)).not.toBeNull();
+      expect(await trash()).toEqual([]);
+
+      expect((await app.inject({ method: 'POST', url: `/api/todos/${parent.id}/restore` })).statusCode).toBe(404);
+    });
+
+    test('should permanently delete single todos and empty the trash', async () => {
+      const first = await Todo.create({ title: 'First' });
+      const second = await Todo.create({ title: 'Second' });
+      const third = await Todo.create({ title: 'Third' });
+      await remove(first.id);
+      await remove(second.id);
+      await remove(third.id);
+
+      let response = await app.inject({ method: 'DELETE', url: `/api/trash/${first.id}` });
+      expect(response.statusCode).toBe(200);
+      expect((await trash()).map(t => t.title).sort()).toEqual(['Second', 'Third']);
+
+      response = await app.inject({ method: 'DELETE', url: `/api/trash/${first.id}` });
+      expect(response.statusCode).toBe(404);
+
+      response = await app.inject({ method: 'DELETE', url: '/api/trash' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).deleted).toBe(2);
+      expect(await trash()).toEqual([]);
+      expect(await db('todo').count('* as count').first()).toEqual({ count: 0 });
+    });
+
+    test('should only permanently delete todos that are in the trash', async () => {
+      const todo = await Todo.create({ title: 'Active' });
+
+      const response = await app.inject({ method: 'DELETE', url: `/api/trash/${todo.id}` });
+
+      expect(response.statusCode).toBe(404);
+      expect(await Todo.findById(todo.id)).not.toBeNull();
+    });
+  });
+
+  describe('Archive', () => {
+    const archive = (todoId) => app.inject({ method: 'POST', url: `/api/todos/${todoId}/archive` });
+    const archived = async () => JSON.parse((await app.inject({ method: 'GET', url: '/api/todos?archived=true' })).payload);
+
+    test('should archive a completed todo and hide it from the active views', async () => {
+      const done = await Todo.create({ title: 'Done', completed: true });
+      await Todo.create({ title: 'Open' });
+
+      const response = await archive(done.id);
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).archived_at).not.toBeNull();
+
+      const todos = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+      expect(todos.map(t => t.title)).toEqual(['Open']);
+      expect((await archived()).map(t => t.title)).toEqual(['Done']);
+      expect(JSON.parse((await app.inject({ method: 'GET', url: '/api/lists' })).payload)[0].todo_count).toBe(1);
+
+      let stats = JSON.parse((await app.inject({ method: 'GET', url: '/api/stats' })).payload);
+      expect(stats).toEqual({ total: 1, completed: 0, pending: 1, overdue: 0 });
+      stats = JSON.parse((await app.inject({ method: 'GET', url: '/api/stats?include_archived=true' })).payload);
+      expect(stats).toEqual({ total: 2, completed: 1, pending: 1, overdue: 0, archived: 1 });
+    });
+
+    test('should only archive completed top-level todos', async () => {
+      const open = await Todo.create({ title: 'Open' });
+      const parent = await Todo.create({ title: 'Parent', completed: true });
+      const child = await Todo.create({ title: 'Child', parent_id: parent.id, completed: true });
+
+      expect((await archive(open.id)).statusCode).toBe(400);
+      expect((await archive(child.id)).statusCode).toBe(400);
+      expect((await archive(9999)).statusCode).toBe(404);
+
+      expect((await archive(parent.id)).statusCode).toBe(200);
+      expect((await archived()).map(t => t.title)).toEqual(['Parent', 'Child']);
+    });
+
+    test('should unarchive a todo with its subtasks, and unarchive todos that are reopened', async () => {
+      const parent = await Todo.create({ title: 'Parent', completed: true });
+      await Todo.create({ title: 'Child', parent_id: parent.id, completed: true });
+      const other = await Todo.create({ title: 'Other', completed: true });
+      await archive(parent.id);
+      await archive(other.id);
+
+      const response = await app.inject({ method: 'POST', url: `/api/todos/${parent.id}/unarchive` });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({ archived_at: null, subtask_count: 1 });
+      expect((await archived()).map(t => t.title)).toEqual(['Other']);
+
+      const reopened = await app.inject({ method: 'POST', url: `/api/todos/${other.id}/toggle` });
+      expect(JSON.parse(reopened.payload)).toMatchObject({ completed: false, archived_at: null });
+      expect(await archived()).toEqual([]);
+    });
+
+    test('should archive all completed todos, optionally by list and age', async () => {
+      const work = JSON.parse((await app.inject({ method: 'POST', url: '/api/lists', payload: { name: 'Work' } })).payload);
+      const old = await Todo.create({ title: 'Old', completed: true });
+      await Todo.create({ title: 'Recent', completed: true });
+      await Todo.create({ title: 'Work done', completed: true, list_id: work.id });
+      await Todo.create({ title: 'Open' });
+      await db('todo').where({ id: old.id }).update({ completed_at: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString() });
+
+      let response = await app.inject({ method: 'POST', url: '/api/todos/archive-completed', payload: { older_than_days: 30 } });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).archived).toBe(1);
+      expect((await archived()).map(t => t.title)).toEqual(['Old']);
+
+      response = await app.inject({ method: 'POST', url: '/api/todos/archive-completed', payload: { list_id: work.id } });
+      expect(JSON.parse(response.payload).archived).toBe(1);
+
+      response = await app.inject({ method: 'POST', url: '/api/todos/archive-completed', payload: {} });
+      expect(JSON.parse(response.payload)).toEqual({ message: 'Archived 1 completed todo(s)', archived: 1 });
+      expect((await archived()).map(t => t.title)).toEqual(['Old', 'Recent', 'Work done']);
+
+      response = await app.inject({ method: 'POST', url: '/api/todos/archive-completed', payload: { list_id: 9999 } });
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Comments', () => {
+    const postComment = (todoId, payload) =>
+      app.inject({ method: 'POST', url: `/api/todos/${todoId}/comments`, payload });
+    const comments = async (todoId) =>
+      JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/${todoId}/comments` })).payload);
+
+    test('should post comments oldest first and count them on the todo', async () => {
+      const todo = await Todo.create({ title: 'Discuss' });
+
+      let response = await postComment(todo.id, { body: '  First!  ', author: 'Ada' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({ todo_id: todo.id, body: 'First!', author: 'Ada' });
+
+      response = await postComment(todo.id, { body: 'Second' });
+      expect(JSON.parse(response.payload).author).toBeNull();
+
+      expect((await comments(todo.id)).map(c => c.body)).toEqual(['First!', 'Second']);
+      const fetched = JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` })).payload);
+      expect(fetched.comment_count).toBe(2);
+    });
+
+    test('should edit and delete comments', async () => {
+      const todo = await Todo.create({ title: 'Discuss' });
+      const comment = JSON.parse((await postComment(todo.id, { body: 'Typo' })).payload);
+
+      let response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}/comments/${comment.id}`,
+        payload: { body: 'Fixed' }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).body).toBe('Fixed');
+
+      response = await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}/comments/${comment.id}` });
+      expect(response.statusCode).toBe(200);
+      expect(await comments(todo.id)).toEqual([]);
+    });
+
+    test('should validate comments and reject unknown todos and comments', async () => {
+      const todo = await Todo.create({ title: 'Discuss' });
+      const other = await Todo.create({ title: 'Other' });
+      const comment = JSON.parse((await postComment(todo.id, { body: 'Hello' })).payload);
+
+      expect((await postComment(todo.id, { body: '   ' })).statusCode).toBe(400);
+      expect((await postComment(todo.id, {})).statusCode).toBe(400);
+      expect((await postComment(9999, { body: 'Hello' })).statusCode).toBe(404);
+      expect((await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${other.id}/comments/${comment.id}`,
+        payload: { body: 'Hijack' }
+      })).statusCode).toBe(404);
+      expect((await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}/comments/9999` })).statusCode).toBe(404);
+    });
+
+    test('should hide the comments of deleted todos and drop them with the todo', async () => {
+      const todo = await Todo.create({ title: 'Discuss' });
+      await postComment(todo.id, { body: 'Hello' });
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}` });
+      expect((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}/comments` })).statusCode).toBe(404);
+
+      await app.inject({ method: 'DELETE', url: `/api/trash/${todo.id}` });
+      expect(await db('comment').count('* as count').first()).toEqual({ count: 0 });
+    });
+  });
+
+  describe('Attachments', () => {
+    // A PNG signature followed by a few bytes of data
+    const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('DATA')]);
+
+    /**
+     * Build a multipart/form-data request carrying one file
+     */
+    const upload = (todoId, { filename = 'shot.png', contentType = 'image/png', content = PNG } = {}) => {
+      const boundary = '----todo-test-boundary';
+      const payload = Buffer.concat([
+        Buffer.from(
+          `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
+          `Content-Type: ${contentType}\r\n\r\n`
+        ),
+        Buffer.from(content),
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+      ]);
+      return app.inject({
+        method: 'POST',
+        url: `/api/todos/${todoId}/attachments`,
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+        payload
+      });
+    };
+    const storedFiles = async () => (await readdir(attachmentStorage.dir).catch(() => [])).length;
+
+    beforeEach(async () => {
+      // Resetting the database leaves stored files behind
+      await rm(attachmentStorage.dir, { recursive: true, force: true });
+    });
+
+    afterAll(async () => {
+      await rm(attachmentStorage.dir, { recursive: true, force: true });
+    });
+
+    test('should upload, list and stream attachments', async () => {
+      const todo = await Todo.create({ title: 'Bug report' });
+
+      const response = await upload(todo.id, { filename: '../../etc/screen shot.png' });
+      expect(response.statusCode).toBe(200);
+      const attachment = JSON.parse(response.payload);
+      expect(attachment).toMatchObject({ todo_id: todo.id, filename: 'screen shot.png', content_type: 'image/png', size: 12 });
+
+      const fetched = JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` })).payload);
+      expect(fetched.attachments).toEqual([{ id: attachment.id, filename: 'screen shot.png', content_type: 'image/png', size: 12 }]);
+      const listed = JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}/attachments` })).payload);
+      expect(listed.map(a => a.id)).toEqual([attachment.id]);
+
+      const download = await app.inject({ method: 'GET', url: `/api/attachments/${attachment.id}` });
+      expect(download.statusCode).toBe(200);
+      expect(download.headers['content-type']).toBe('image/png');
+      expect(download.headers['content-disposition']).toContain('filename="screen shot.png"');
+      expect(download.rawPayload.equals(PNG)).toBe(true);
+    });
+
+    test('should reject unsupported types, oversized files and unknown todos', async () => {
+      const todo = await Todo.create({ title: 'Bug report' });
+
+      expect((await upload(todo.id, { filename: 'run.sh', contentType: 'application/x-sh' })).statusCode).toBe(415);
+      // The contents must match the type the client reports
+      expect((await upload(todo.id, { content: 'not a picture' })).statusCode).toBe(415);
+      expect((await upload(todo.id, { filename: 'notes.txt', contentType: 'text/plain', content: PNG })).statusCode).toBe(415);
+      const text = await upload(todo.id, { filename: 'notes.txt', contentType: 'text/plain', content: 'Steps:\r\n\t1. Open' });
+      expect(JSON.parse(text.payload)).toMatchObject({ content_type: 'text/plain', size: 16 });
+      await app.inject({ method: 'DELETE', url: `/api/attachments/${JSON.parse(text.payload).id}` });
+      expect((await upload(9999)).statusCode).toBe(404);
+      expect((await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/attachments`, payload: {} })).statusCode).toBe(400);
+
+      const maxBytes = attachmentStorage.maxBytes;
+      attachmentStorage.maxBytes = 4;
+      try {
+        const response = await upload(todo.id, { content: Buffer.concat([PNG, Buffer.alloc(64 * 1024)]) });
+        expect(response.statusCode).toBe(413);
+        expect(JSON.parse(response.payload).message).toBe('Attachments must be at most 4 bytes');
+      } finally {
+        attachmentStorage.maxBytes = maxBytes;
+      }
+
+      expect(await storedFiles()).toBe(0);
+    });
+
+    test('should delete attachments with their files', async () => {
+      const todo = await Todo.create({ title: 'Bug report' });
+      const attachment = JSON.parse((await upload(todo.id)).payload);
+      expect(await storedFiles()).toBe(1);
+
+      expect((await app.inject({ method: 'DELETE', url: `/api/attachments/${attachment.id}` })).statusCode).toBe(200);
+      expect((await app.inject({ method: 'GET', url: `/api/attachments/${attachment.id}` })).statusCode).toBe(404);
+      expect(await storedFiles()).toBe(0);
+    });
+
+    test('should keep files of trashed todos until they are deleted for good', async () => {
+      const parent = await Todo.create({ title: 'Parent' });
+      const child = await Todo.create({ title: 'Child', parent_id: parent.id });
+      const other = await Todo.create({ title: 'Other' });
+      const attachment = JSON.parse((await upload(parent.id)).payload);
+      await upload(child.id);
+      await upload(other.id);
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${parent.id}` });
+      expect((await app.inject({ method: 'GET', url: `/api/attachments/${attachment.id}` })).statusCode).toBe(404);
+      expect(await storedFiles()).toBe(3);
+
+      await app.inject({ method: 'DELETE', url: `/api/trash/${parent.id}` });
+      expect(await storedFiles()).toBe(1);
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${other.id}` });
+      await app.inject({ method: 'DELETE', url: '/api/trash' });
+      expect(await storedFiles()).toBe(0);
+    });
+  });
+
+  describe('Search', () => {
+    const search = async (query) =>
+      JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/search?${query}` })).payload);
+
+    test('should rank title matches first, match prefixes and highlight terms', async () => {
+      const inDescription = await Todo.create({ title: 'Weekly errands', description: 'Buy groceries and pick up the laundry' });
+      const inTitle = await Todo.create({ title: 'Groceries for the party', description: 'Chips and drinks' });
+      await Todo.create({ title: 'Unrelated', description: 'Nothing to see' });
+
+      const results = await search('q=grocer');
+      expect(results.map(todo => todo.id)).toEqual([inTitle.id, inDescription.id]);
+      expect(results[0].highlight.title).toBe('<mark>Groceries</mark> for the party');
+      expect(results[1].highlight.description).toContain('<mark>groceries</mark>');
+
+      // Every word must match, in any order and whatever the punctuation
+      expect((await search('q=laundry%20buy')).map(todo => todo.id)).toEqual([inDescription.id]);
+      expect(await search('q=%22party%22%20(-')).toHaveLength(1);
+      expect(await search('q=%2A%2A')).toEqual([]);
+    });
+
+    test('should keep the index in sync and skip trashed and archived todos', async () => {
+      const todo = await Todo.create({ title: 'Draft report' });
+      expect(await search('q=report')).toHaveLength(1);
+
+      await app.inject({ method: 'PUT', url: `/api/todos/${todo.id}`, payload: { title: 'Draft summary' } });
+      expect(await search('q=report')).toEqual([]);
+      expect(await search('q=summary')).toHaveLength(1);
+
+      await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}` });
+      expect(await search('q=summary')).toEqual([]);
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/restore` });
+      expect(await search('q=summary')).toHaveLength(1);
+
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/archive` });
+      expect(await search('q=summary')).toEqual([]);
+
+      await app.inject({ method: 'DELETE', url: `/api/trash/${todo.id}` });
+      await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}` });
+      await app.inject({ method: 'DELETE', url: `/api/trash/${todo.id}` });
+      expect(await search('q=summary')).toEqual([]);
+    });
+
+    test('should filter by list, limit results and require a query', async () => {
+      const list = JSON.parse((await app.inject({ method: 'POST', url: '/api/lists', payload: { name: 'Work' } })).payload);
+      await Todo.create({ title: 'Plan sprint' });
+      const inList = await Todo.create({ title: 'Plan roadmap', list_id: list.id });
+      await Todo.create({ title: 'Plan holiday' });
+
+      expect((await search(`q=plan&list_id=${list.id}`)).map(todo => todo.id)).toEqual([inList.id]);
+      expect(await search('q=plan&limit=2')).toHaveLength(2);
+
+      const response = await app.inject({ method: 'GET', url: '/api/todos/search' });
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Pagination', () => {
+    const page = async (query) => {
+      const response = await app.inject({ method: 'GET', url: `/api/todos?envelope=true&${query}` });
+      expect(response.statusCode).toBe(200);
+      return JSON.parse(response.payload);
+    };
+
+    // Follow next_cursor until the last page, collecting the todo IDs
+    const walk = async (query) => {
+      const ids = [];
+      let cursor = null;
+      do {
+        const data = await page(`${query}${cursor ? `&cursor=${cursor}` : ''}`);
+        ids.push(...data.items.map(todo => todo.id));
+        cursor = data.next_cursor;
+      } while (cursor);
+      return ids;
+    };
+
+    test('should page through todos with a cursor and report the total', async () => {
+      const todos = [];
+      for (const title of ['A', 'B', 'C', 'D', 'E']) {
+        todos.push(await Todo.create({ title }));
+      }
+
+      const first = await page('limit=2');
+      expect(first.items.map(todo => todo.title)).toEqual(['A', 'B']);
+      expect(first.total).toBe(5);
+      expect(typeof first.next_cursor).toBe('string');
+
+      expect(await walk('limit=2')).toEqual(todos.map(todo => todo.id));
+
+      // A todo added before the cursor does not shift the next page
+      await Todo.create({ title: 'F' });
+      const second = await page(`limit=2&cursor=${first.next_cursor}`);
+      expect(second.items.map(todo => todo.title)).toEqual(['C', 'D']);
+      expect(second.total).toBe(6);
+
+      const all = await page('');
+      expect(all.items).toHaveLength(6);
+      expect(all.next_cursor).toBeNull();
+    });
+
+    test('should page in every sort order', async () => {
+      const low = await Todo.create({ title: 'Low', priority: 'low' });
+      const urgent = await Todo.create({ title: 'Urgent', priority: 'urgent' });
+      const none = await Todo.create({ title: 'None' });
+      const urgentToo = await Todo.create({ title: 'Urgent too', priority: 'urgent' });
+
+      expect(await walk('sort=priority&limit=1')).toEqual([urgent.id, urgentToo.id, low.id, none.id]);
+      expect(await walk('sort=id&limit=3')).toEqual([low.id, urgent.id, none.id, urgentToo.id]);
+
+      await app.inject({ method: 'POST', url: `/api/todos/${none.id}/move`, payload: { before_id: low.id } });
+      expect(await walk('sort=position&limit=3')).toEqual([none.id, low.id, urgent.id, urgentToo.id]);
+    });
+
+    test('should keep the plain array by default and reject bad cursors', async () => {
+      await Todo.create({ title: 'A' });
+      await Todo.create({ title: 'B' });
+
+      let response = await app.inject({ method: 'GET', url: '/api/todos?limit=1' });
+      expect(JSON.parse(response.payload).map(todo => todo.title)).toEqual(['A']);
+
+      const { next_cursor } = await page('limit=1');
+      response = await app.inject({ method: 'GET', url: `/api/todos?sort=priority&cursor=${next_cursor}` });
+      expect(response.statusCode).toBe(400);
+      response = await app.inject({ method: 'GET', url: '/api/todos?cursor=not-a-cursor' });
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.payload).message).toMatch(/Cursor/);
+    });
+  });
+
+  describe('Filtering and sorting', () => {
+    const titles = async (query) => {
+      const response = await app.inject({ method: 'GET', url: `/api/todos?${query}` });
+      expect(response.statusCode).toBe(200);
+      return JSON.parse(response.payload).map(todo => todo.title);
+    };
+
+    test('should combine status, text, priority and date filters', async () => {
+      const report = await Todo.create({ title: 'Write report', description: 'Quarterly numbers', priority: 'high' });
+      const review = await Todo.create({ title: 'Review PR', description: 'Check the report_v2 branch' });
+      const call = await Todo.create({ title: 'Call Bob', priority: 'urgent', completed: true });
+      await db('todo').where({ id: report.id }).update({ created_at: '2024-01-10T09:00:00.000Z' });
+      await db('todo').where({ id: review.id }).update({ created_at: '2024-02-10T09:00:00.000Z' });
+      await db('todo').where({ id: call.id }).update({ created_at: '2024-03-10T09:00:00.000Z' });
+
+      expect(await titles('completed=false')).toEqual(['Write report', 'Review PR']);
+      expect(await titles('contains=REPORT')).toEqual(['Write report', 'Review PR']);
+      expect(await titles('contains=report_')).toEqual(['Review PR']);
+      expect(await titles('contains=%25')).toEqual([]);
+      expect(await titles('priority=high&priority=urgent')).toEqual(['Write report', 'Call Bob']);
+      expect(await titles('created_after=2024-02-01&created_before=2024-03-10T09:00:00Z')).toEqual(['Review PR']);
+      expect(await titles('contains=report&completed=false&created_after=2024-02-01')).toEqual(['Review PR']);
+      const alias = await app.inject({ method: 'GET', url: '/api/todos/filter/status?completed=true' });
+      expect(JSON.parse(alias.payload).map(todo => todo.title)).toEqual(['Call Bob']);
+
+      const response = await app.inject({ method: 'GET', url: '/api/todos?created_after=yesterday' });
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should sort by several whitelisted keys', async () => {
+      await Todo.create({ title: 'banana', priority: 'low' });
+      await Todo.create({ title: 'Apple', priority: 'high', due_at: '2030-01-02T00:00:00.000Z' });
+      await Todo.create({ title: 'cherry', priority: 'low', due_at: '2030-01-01T00:00:00.000Z' });
+
+      expect(await titles('sort=title')).toEqual(['Apple', 'banana', 'cherry']);
+      expect(await titles('sort=-title')).toEqual(['cherry', 'banana', 'Apple']);
+      expect(await titles('sort=priority,-title')).toEqual(['Apple', 'cherry', 'banana']);
+      expect(await titles('sort=-priority,title')).toEqual(['banana', 'cherry', 'Apple']);
+      expect(await titles('sort=due_at')).toEqual(['cherry', 'Apple', 'banana']);
+      expect(await titles('sort=-id')).toEqual(['cherry', 'Apple', 'banana']);
+
+      for (const sort of ['title;drop', 'secret', 'title,,id', 'TITLE']) {
+        const response = await app.inject({ method: 'GET', url: `/api/todos?sort=${encodeURIComponent(sort)}` });
+        expect(response.statusCode).toBe(400);
+      }
+    });
+
+    test('should page through a multi-key sort', async () => {
+      for (const [title, priority] of [['d', 'low'], ['a', 'low'], ['c', 'high'], ['b', 'none'], ['e', 'high']]) {
+        await Todo.create({ title, priority });
+      }
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const query = `sort=priority,title&limit=2&envelope=true${cursor ? `&cursor=${cursor}` : ''}`;
+        const page = JSON.parse((await app.inject({ method: 'GET', url: `/api/todos?${query}` })).payload);
+        seen.push(...page.items.map(todo => todo.title));
+        cursor = page.next_cursor;
+      } while (cursor);
+      expect(seen).toEqual(['c', 'e', 'a', 'd', 'b']);
+    });
+  });
+
+  describe('Bulk actions', () => {
+    const bulk = (payload) => app.inject({ method: 'POST', url: '/api/todos/bulk', payload });
+
+    test('should complete, reopen and update todos by ID, reporting each one', async () => {
+      const first = await Todo.create({ title: 'First' });
+      const second = await Todo.create({ title: 'Second' });
+
+      let response = await bulk({ action: 'complete', ids: [first.id, second.id, 9999] });
+      expect(response.statusCode).toBe(200);
+      let body = JSON.parse(response.payload);
+      expect(body).toMatchObject({ action: 'complete', succeeded: 2, failed: 1 });
+      expect(body.results.map(result => [result.id, result.ok])).toEqual([[first.id, true], [second.id, true], [9999, false]]);
+      expect(body.results[0].todo.completed).toBe(true);
+      expect(body.results[2]).toMatchObject({ status: 404 });
+
+      response = await bulk({ action: 'uncomplete', ids: [second.id] });
+      expect(JSON.parse(response.payload).results[0].todo.completed).toBe(false);
+
+      response = await bulk({ action: 'update', ids: [first.id, second.id], fields: { priority: 'high', list_id: 9999 } });
+      body = JSON.parse(response.payload);
+      expect(body).toMatchObject({ succeeded: 0, failed: 2 });
+      expect(body.results[0].status).toBe(400);
+      // Failed todos are rolled back one by one
+      expect((await Todo.findById(first.id)).priority).toBe('none');
+
+      response = await bulk({ action: 'update', ids: [first.id, second.id], fields: { priority: 'high' } });
+      expect(JSON.parse(response.payload).succeeded).toBe(2);
+      expect((await Todo.findById(second.id)).priority).toBe('high');
+    });
+
+    test('should select todos by filter and delete subtasks with their parent', async () => {
+      const parent = await Todo.create({ title: 'Move house' });
+      const child = await Todo.create({ title: 'Book van', parent_id: parent.id });
+      await Todo.create({ title: 'Keep me' });
+
+      const response = await bulk({ action: 'delete', filter: { contains: 'o', top_level: false, completed: false } });
+      const body = JSON.parse(response.payload);
+      expect(body).toMatchObject({ action: 'delete', failed: 0 });
+      expect(body.results.map(result => result.id)).toContain(child.id);
+
+      const remaining = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+      expect(remaining.map(todo => todo.title)).toEqual(['Keep me']);
+      const trash = JSON.parse((await app.inject({ method: 'GET', url: '/api/trash' })).payload);
+      // The subtask went with its parent, so the trash lists only the parent
+      expect(trash.map(todo => todo.id)).toEqual([parent.id]);
+      expect(await Todo.findById(child.id)).toBeNull();
+    });
+
+    test('should reject malformed bulk requests', async () => {
+      const todo = await Todo.create({ title: 'Lonely' });
+
+      expect((await bulk({ action: 'complete' })).statusCode).toBe(400);
+      expect((await bulk({ action: 'complete', ids: [todo.id], filter: { completed: false } })).statusCode).toBe(400);
+      expect((await bulk({ action: 'complete', filter: {} })).statusCode).toBe(400);
+      expect((await bulk({ action: 'update', ids: [todo.id] })).statusCode).toBe(400);
+      expect((await bulk({ action: 'archive', ids: [todo.id] })).statusCode).toBe(400);
+      expect((await bulk({ action: 'complete', ids: Array.from({ length: 501 }, (_, i) => i + 1) })).statusCode).toBe(400);
+      expect((await Todo.findById(todo.id)).completed).toBeFalsy();
+    });
+  });
+
+  describe('Batch', () => {
+    const batch = (operations) => app.inject({ method: 'POST', url: '/api/batch', payload: { operations } });
+    const allTodos = async () => JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload);
+
+    test('should run mixed operations in order, resolving references to created todos', async () => {
+      const existing = await Todo.create({ title: 'Old title' });
+      const doomed = await Todo.create({ title: 'Doomed' });
+
+      const response = await batch([
+        { ref: 'trip', method: 'POST', path: '/api/todos', body: { title: 'Plan trip' } },
+        { method: 'POST', path: '/api/todos', body: { title: 'Book flights', parent_id: '$trip' } },
+        { method: 'POST', path: '/api/todos/$trip/toggle' },
+        { method: 'PUT', path: `/api/todos/${existing.id}`, body: { title: 'New title' } },
+        { method: 'DELETE', path: `/api/todos/${doomed.id}` }
+      ]);
+      expect(response.statusCode).toBe(200);
+      const { results } = JSON.parse(response.payload);
+      expect(results.map(result => result.status)).toEqual([200, 200, 200, 200, 200]);
+      expect(results[0]).toMatchObject({ ref: 'trip', body: { title: 'Plan trip' } });
+      const tripId = results[0].body.id;
+      expect(results[1].body.parent_id).toBe(tripId);
+      expect(results[2].body).toMatchObject({ id: tripId, completed: true });
+
+      const titles = (await allTodos()).map(todo => todo.title).sort();
+      expect(titles).toEqual(['Book flights', 'New title', 'Plan trip']);
+    });
+
+    test('should roll back every operation when one fails', async () => {
+      const existing = await Todo.create({ title: 'Untouched' });
+
+      let response = await batch([
+        { ref: 'a', method: 'POST', path: '/api/todos', body: { title: 'Created then undone' } },
+        { method: 'PUT', path: `/api/todos/${existing.id}`, body: { title: 'Changed' } },
+        { method: 'DELETE', path: '/api/todos/9999' }
+      ]);
+      expect(response.statusCode).toBe(404);
+      expect(JSON.parse(response.payload)).toMatchObject({ error: 'Not Found', index: 2 });
+      expect((await allTodos()).map(todo => todo.title)).toEqual(['Untouched']);
+
+      // Operations are validated with their route's schema
+      response = await batch([
+        { method: 'POST', path: '/api/todos', body: { title: 'Fine' } },
+        { method: 'POST', path: '/api/todos', body: { title: '' } }
+      ]);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.payload).index).toBe(1);
+
+      // References must point back to an earlier operation
+      response = await batch([
+        { method: 'POST', path: '/api/todos/$later/toggle' },
+        { ref: 'later', method: 'POST', path: '/api/todos', body: { title: 'Too late' } }
+      ]);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.payload)).toMatchObject({ index: 0 });
+
+      // Only the todo routes are reachable
+      response = await batch([{ method: 'DELETE', path: '/api/trash' }]);
+      expect(response.statusCode).toBe(400);
+      expect((await allTodos()).map(todo => todo.title)).toEqual(['Untouched']);
+    });
+  });
+
+  describe('Undo and redo', () => {
+    const send = (method, url, payload, session = 'tab-1') =>
+      app.inject({ method, url, payload, headers: { 'x-session-id': session } });
+    const undo = (session = 'tab-1') => send('POST', '/api/undo', undefined, session);
+    const redo = (session = 'tab-1') => send('POST', '/api/redo', undefined, session);
+
+    test('should undo and redo edits, toggles, creates and deletes in order', async () => {
+      const created = JSON.parse((await send('POST', '/api/todos', { title: 'Buy milk' })).payload);
+      await send('PUT', `/api/todos/${created.id}`, { title: 'Buy oat milk', priority: 'high', tags: ['shop'] });
+      await send('POST', `/api/todos/${created.id}/toggle`);
+
+      let response = await undo();
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({
+        action: 'undo', operation: 'toggle', label: 'Completed "Buy oat milk"', todo: { completed: false }
+      });
+
+      response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({
+        operation: 'update', label: 'Edited "Buy milk"', todo: { title: 'Buy milk', priority: 'none', tags: [] }
+      });
+
+      response = await redo();
+      expect(JSON.parse(response.payload)).toMatchObject({
+        action: 'redo', operation: 'update', todo: { title: 'Buy oat milk', priority: 'high', tags: ['shop'] }
+      });
+
+      await send('DELETE', `/api/todos/${created.id}`);
+      response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'delete', todo: { id: created.id, deleted_at: null } });
+
+      // A new change drops what could still be redone
+      await send('PUT', `/api/todos/${created.id}`, { description: 'Two litres' });
+      expect((await redo()).statusCode).toBe(409);
+
+      await undo();
+      await undo();
+      response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'create', label: 'Created "Buy milk"' });
+      expect(JSON.parse(response.payload).todo).toBeUndefined();
+      expect(await Todo.findById(created.id)).toBeNull();
+
+      response = await undo();
+      expect(response.statusCode).toBe(409);
+      expect(JSON.parse(response.payload).message).toBe('Nothing to undo');
+    });
+
+    test('should log bulk actions per todo so each can be undone', async () => {
+      const first = JSON.parse((await send('POST', '/api/todos', { title: 'First' })).payload);
+      const second = JSON.parse((await send('POST', '/api/todos', { title: 'Second' })).payload);
+
+      await send('POST', '/api/todos/bulk', { action: 'update', ids: [first.id, second.id], fields: { priority: 'high' } });
+      await send('POST', '/api/todos/bulk', { action: 'complete', ids: [first.id] });
+      await send('POST', '/api/todos/bulk', { action: 'delete', ids: [second.id] });
+
+      let response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'delete', todo: { id: second.id, deleted_at: null } });
+      response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'update', todo: { id: first.id, completed: false } });
+      for (const todo of [second, first]) {
+        response = await undo();
+        expect(JSON.parse(response.payload)).toMatchObject({ operation: 'update', todo: { id: todo.id, priority: 'none' } });
+      }
+      response = await undo();
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'create', label: 'Created "Second"' });
+    });
+
+    test('should take back the next occurrence when completing a recurring todo is undone', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', {
+        title: 'Water plants', due_at: '2030-01-06T09:00:00.000Z', recurrence: 'FREQ=WEEKLY'
+      })).payload);
+      const summaries = async () => JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload)
+        .map(({ id, completed, recurrence }) => ({ id, completed, recurrence }));
+
+      await send('POST', `/api/todos/${todo.id}/toggle`);
+      const [, occurrence] = await summaries();
+      expect(occurrence).toMatchObject({ completed: false, recurrence: 'FREQ=WEEKLY' });
+
+      let response = await undo();
+      expect(JSON.parse(response.payload).todo).toMatchObject({ completed: false, recurrence: 'FREQ=WEEKLY' });
+      expect(await summaries()).toEqual([{ id: todo.id, completed: false, recurrence: 'FREQ=WEEKLY' }]);
+      expect((await Todo.findById(occurrence.id))).toBeNull();
+
+      // Redoing completes it again, with a fresh occurrence that the next undo takes back
+      response = await redo();
+      expect(JSON.parse(response.payload).todo).toMatchObject({ completed: true, recurrence: null });
+      let after = await summaries();
+      expect(after).toHaveLength(2);
+      expect(after[1]).toMatchObject({ completed: false, recurrence: 'FREQ=WEEKLY' });
+      expect(after[1].id).not.toBe(occurrence.id);
+
+      await undo();
+      expect(await summaries()).toEqual([{ id: todo.id, completed: false, recurrence: 'FREQ=WEEKLY' }]);
+      await redo();
+      after = await summaries();
+      expect(after).toHaveLength(2);
+
+      // An occurrence edited since is the user's own; it stays, with the recurrence rule
+      await app.inject({ method: 'PUT', url: `/api/todos/${after[1].id}`, payload: { title: 'Water the ferns' } });
+      response = await undo();
+      expect(JSON.parse(response.payload).todo).toMatchObject({ completed: false, recurrence: null });
+      expect(await summaries()).toEqual([
+        { id: todo.id, completed: false, recurrence: null },
+        { id: after[1].id, completed: false, recurrence: 'FREQ=WEEKLY' }
+      ]);
+    });
+
+    test('should keep a separate history per session and skip changes without one', async () => {
+      const mine = JSON.parse((await send('POST', '/api/todos', { title: 'Mine' }, 'tab-1')).payload);
+      await send('POST', '/api/todos', { title: 'Theirs' }, 'tab-2');
+      await app.inject({ method: 'PUT', url: `/api/todos/${mine.id}`, payload: { title: 'Anonymous edit' } });
+
+      expect((await undo('tab-3')).statusCode).toBe(409);
+      expect((await app.inject({ method: 'POST', url: '/api/undo' })).statusCode).toBe(400);
+
+      const response = await undo('tab-1');
+      expect(JSON.parse(response.payload)).toMatchObject({ operation: 'create', label: 'Created "Mine"' });
+      const titles = JSON.parse((await app.inject({ method: 'GET', url: '/api/todos' })).payload).map(todo => todo.title);
+      expect(titles).toEqual(['Theirs']);
+    });
+
+    test('should drop a change whose todo is gone for good', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', { title: 'Short-lived' })).payload);
+      await send('PUT', `/api/todos/${todo.id}`, { title: 'Renamed' });
+      await app.inject({ method: 'DELETE', url: `/api/todos/${todo.id}` });
+      await app.inject({ method: 'DELETE', url: `/api/trash/${todo.id}` });
+
+      // Deleting the todo for good took its history with it
+      expect((await undo()).statusCode).toBe(409);
+
+      const other = JSON.parse((await send('POST', '/api/todos', { title: 'Other' })).payload);
+      await send('PUT', `/api/todos/${other.id}`, { title: 'Other renamed' });
+      await app.inject({ method: 'DELETE', url: `/api/todos/${other.id}` });
+      // Changes to a trashed todo are dropped one by one as they come up, so undo never gets stuck
+      expect((await undo()).statusCode).toBe(404);
+      expect((await undo()).statusCode).toBe(404);
+      expect((await undo()).statusCode).toBe(409);
+    });
+  });
+
+  describe('Audit log', () => {
+    const send = (method, url, payload, headers = {}) => app.inject({ method, url, payload, headers });
+    const audit = async (query = '') => JSON.parse((await send('GET', `/api/audit${query}`)).payload);
+
+    test('should record who changed what, with the state before and after', async () => {
+      let response = await send('POST', '/api/todos', { title: 'Audited' }, { 'x-actor': 'ada', 'x-request-id': 'req-1' });
+      expect(response.headers['x-request-id']).toBe('req-1');
+      const todo = JSON.parse(response.payload);
+
+      response = await send('PUT', `/api/todos/${todo.id}`, { title: 'Audited twice' }, { 'x-actor': 'grace' });
+      const updateRequestId = response.headers['x-request-id'];
+      expect(updateRequestId).toEqual(expect.any(String));
+      await send('DELETE', `/api/todos/${todo.id}`);
+
+      const page = await audit(`?todo_id=${todo.id}`);
+      expect(page.total).toBe(3);
+      const [deleted, updated, created] = page.items;
+      expect(created).toMatchObject({
+        actor: 'ada', action: 'todo.create', todo_id: todo.id, request_id: 'req-1', before: null,
+        after: { title: 'Audited' }
+      });
+      expect(updated).toMatchObject({
+        actor: 'grace', action: 'todo.update', request_id: updateRequestId,
+        before: { title: 'Audited' }, after: { title: 'Audited twice' }
+      });
+      expect(deleted).toMatchObject({ actor: null, action: 'todo.delete', before: { deleted_at: null } });
+      expect(deleted.after.deleted_at).toEqual(expect.any(String));
+    });
+
+    test('should record todos changed as a side effect of another change', async () => {
+      const list = JSON.parse((await send('POST', '/api/lists', { name: 'Errands' })).payload);
+      const parent = JSON.parse((await send('POST', '/api/todos', { title: 'Parent', auto_complete: true })).payload);
+      const child = JSON.parse((await send('POST', '/api/todos', { title: 'Child', parent_id: parent.id })).payload);
+      const listed = JSON.parse((await send('POST', '/api/todos', { title: 'Listed', list_id: list.id })).payload);
+
+      // Completing the only subtask completes its parent
+      await send('POST', `/api/todos/${child.id}/toggle`);
+      let [event] = (await audit(`?todo_id=${parent.id}&action=todo.update`)).items;
+      expect(event).toMatchObject({ before: { completed: 0 }, after: { completed: 1 } });
+
+      // Subtasks follow their parent to another list
+      await send('PUT', `/api/todos/${parent.id}`, { title: 'Parent', list_id: list.id });
+      [event] = (await audit(`?todo_id=${child.id}&action=todo.update`)).items;
+      expect(event).toMatchObject({ before: { list_id: 1 }, after: { list_id: list.id } });
+
+      // Deleting a list moves its todos to the default list
+      await send('DELETE', `/api/lists/${list.id}`);
+      for (const todo of [parent, child, listed]) {
+        [event] = (await audit(`?todo_id=${todo.id}&action=todo.update`)).items;
+        expect([todo.title, event.before.list_id, event.after.list_id]).toEqual([todo.title, list.id, 1]);
+      }
+    });
+
+    test('should filter and page through events with a cursor', async () => {
+      for (const title of ['One', 'Two', 'Three']) {
+        await send('POST', '/api/todos', { title }, { 'x-actor': 'ada' });
+      }
+      await send('POST', '/api/tags', { name: 'work' }, { 'x-actor': 'grace' });
+
+      expect((await audit('?actor=grace')).items.map(event => event.action)).toEqual(['tag.create']);
+      expect((await audit('?action=todo')).total).toBe(3);
+      expect((await audit('?since=2000-01-01&until=2000-01-02')).total).toBe(0);
+
+      const first = await audit('?action=todo.create&limit=2');
+      expect(first.items.map(event => event.after.title)).toEqual(['Three', 'Two']);
+      const second = await audit(`?action=todo.create&limit=2&cursor=${first.next_cursor}`);
+      expect(second.items.map(event => event.after.title)).toEqual(['One']);
+      expect(second.next_cursor).toBeNull();
+
+      expect((await send('GET', '/api/audit?cursor=nonsense')).statusCode).toBe(400);
+      expect((await send('GET', '/api/audit?action=DROP')).statusCode).toBe(400);
+    });
+
+    test('should leave no event behind when a change is rolled back', async () => {
+      const response = await send('POST', '/api/batch', {
+        operations: [
+          { method: 'POST', path: '/api/todos', body: { title: 'Never happened' } },
+          { method: 'PUT', path: '/api/todos/99999', body: { title: 'Missing' } }
+        ]
+      });
+      expect(response.statusCode).toBe(404);
+      expect((await audit()).total).toBe(0);
+    });
+
+    test('should refuse to change or remove recorded events', async () => {
+      await send('POST', '/api/todos', { title: 'Permanent' });
+      await expect(db('audit_event').update({ actor: 'mallory' })).rejects.toThrow('append-only');
+      await expect(db('audit_event').del()).rejects.toThrow('append-only');
+      expect((await audit()).total).toBe(1);
+    });
+  });
+
+  describe('Revisions', () => {
+    const send = (method, url, payload) =>
+      app.inject({ method, url, payload, headers: { 'x-session-id': 'tab-1' } });
+
+    test('should keep the replaced version on every content change', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', {
+        title: 'Plan trip', description: 'Book flights to Rome'
+      })).payload);
+      await send('PUT', `/api/todos/${todo.id}`, { description: 'Book trains to Rome', tags: ['travel'] });
+      await send('PUT', `/api/todos/${todo.id}`, { priority: 'high' });
+      // Completion is not part of a revision
+      await send('POST', `/api/todos/${todo.id}/toggle`);
+
+      const response = await send('GET', `/api/todos/${todo.id}/revisions`);
+      expect(response.statusCode).toBe(200);
+      const revisions = JSON.parse(response.payload);
+      expect(revisions.map(revision => revision.rev)).toEqual([2, 1]);
+      expect(revisions[1]).toMatchObject({
+        todo_id: todo.id, title: 'Plan trip', description: 'Book flights to Rome', priority: 'none', tags: []
+      });
+      expect(revisions[0]).toMatchObject({ description: 'Book trains to Rome', priority: 'none', tags: ['travel'] });
+      expect(revisions[1].replaced_at).toEqual(expect.any(String));
+
+      expect((await send('GET', '/api/todos/99999/revisions')).statusCode).toBe(404);
+    });
+
+    test('should keep no revision when completing a recurring todo hands its rule on', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', {
+        title: 'Water plants', due_at: '2030-01-06T09:00:00.000Z', recurrence: 'FREQ=WEEKLY'
+      })).payload);
+
+      const completed = JSON.parse((await send('POST', `/api/todos/${todo.id}/toggle`)).payload);
+      expect(completed).toMatchObject({ completed: true, recurrence: null, version: 2 });
+      expect(JSON.parse((await send('GET', `/api/todos/${todo.id}/revisions`)).payload)).toEqual([]);
+    });
+
+    test('should diff a revision against the current version word by word', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', {
+        title: 'Plan trip', description: 'Book flights to Rome'
+      })).payload);
+      await send('PUT', `/api/todos/${todo.id}`, { description: 'Book cheap trains to Rome', priority: 'low' });
+
+      let response = await send('GET', `/api/todos/${todo.id}/revisions/1/diff`);
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toEqual({
+        todo_id: todo.id,
+        rev: 1,
+        changes: [
+          {
+            field: 'description',
+            before: 'Book flights to Rome',
+            after: 'Book cheap trains to Rome',
+            diff: [
+              { type: 'equal', text: 'Book ' },
+              { type: 'delete', text: 'flights ' },
+              { type: 'insert', text: 'cheap trains ' },
+              { type: 'equal', text: 'to Rome' }
+            ]
+          },
+          { field: 'priority', before: 'none', after: 'low' }
+        ]
+      });
+
+      response = await send('GET', `/api/todos/${todo.id}/revisions/7/diff`);
+      expect(response.statusCode).toBe(404);
+      expect(JSON.parse(response.payload).message).toBe(`Revision 7 of todo '${todo.id}' not found`);
+    });
+
+    test('should restore a revision as a new change that can be undone', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', { title: 'Draft', tags: ['a'] })).payload);
+      await send('PUT', `/api/todos/${todo.id}`, { title: 'Final', description: 'Done deal', tags: ['b'] });
+
+      let response = await send('POST', `/api/todos/${todo.id}/revisions/1/restore`);
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({ title: 'Draft', description: '', tags: ['a'] });
+
+      // The version the restore replaced is kept too
+      const revisions = JSON.parse((await send('GET', `/api/todos/${todo.id}/revisions`)).payload);
+      expect(revisions[0]).toMatchObject({ rev: 2, title: 'Final', tags: ['b'] });
+
+      response = await send('POST', '/api/undo');
+      expect(JSON.parse(response.payload).todo).toMatchObject({ title: 'Final', description: 'Done deal', tags: ['b'] });
+
+      expect((await send('POST', `/api/todos/${todo.id}/revisions/9/restore`)).statusCode).toBe(404);
+    });
+
+    test('should diff texts so that the parts rebuild both versions', () => {
+      const before = 'Pick up  the\nkids at five';
+      const after = 'Pick up the kids\nat six';
+      const parts = diffWords(before, after);
+      expect(parts.filter(part => part.type !== 'insert').map(part => part.text).join('')).toBe(before);
+      expect(parts.filter(part => part.type !== 'delete').map(part => part.text).join('')).toBe(after);
+      expect(diffWords('', 'New')).toEqual([{ type: 'insert', text: 'New' }]);
+      expect(diffWords('Same', 'Same')).toEqual([{ type: 'equal', text: 'Same' }]);
+    });
+  });
+
+  describe('Optimistic concurrency', () => {
+    const send = (method, url, payload, headers = {}) => app.inject({ method, url, payload, headers });
+
+    test('should version todos and return the version as an ETag', async () => {
+      let response = await send('POST', '/api/todos', { title: 'Versioned' });
+      const todo = JSON.parse(response.payload);
+      expect(todo.version).toBe(1);
+      expect(response.headers.etag).toMatch(/^"1-[\w-]+"$/);
+
+      response = await send('PUT', `/api/todos/${todo.id}`, { title: 'Versioned again' });
+      expect(JSON.parse(response.payload).version).toBe(2);
+      expect(response.headers.etag).toMatch(/^"2-/);
+
+      response = await send('POST', `/api/todos/${todo.id}/toggle`);
+      const toggled = response.headers.etag;
+      expect(toggled).toMatch(/^"3-/);
+      response = await send('GET', `/api/todos/${todo.id}`);
+      expect(response.headers.etag).toBe(toggled);
+    });
+
+    test('should refuse stale writes with 412 and the current state', async () => {
+      const created = await send('POST', '/api/todos', { title: 'Shared' });
+      const todo = JSON.parse(created.payload);
+      // Someone else edits first
+      const theirs = await send('PUT', `/api/todos/${todo.id}`, { title: 'Theirs' }, { 'if-match': created.headers.etag });
+      expect(theirs.statusCode).toBe(200);
+
+      for (const [method, url, payload] of [
+        ['PUT', `/api/todos/${todo.id}`, { title: 'Mine' }],
+        ['POST', `/api/todos/${todo.id}/toggle`],
+        ['DELETE', `/api/todos/${todo.id}`]
+      ]) {
+        const response = await send(method, url, payload, { 'if-match': created.headers.etag });
+        expect(response.statusCode).toBe(412);
+        expect(response.headers.etag).toBe(theirs.headers.etag);
+        expect(JSON.parse(response.payload)).toMatchObject({
+          error: 'Precondition Failed',
+          current: { id: todo.id, title: 'Theirs', completed: false, version: 2, deleted_at: null }
+        });
+      }
+
+      // If-Match compares strongly: a weak tag or a tag with the right version but another digest never matches
+      for (const tag of [`W/${theirs.headers.etag}`, '"2-stale"', '"1"']) {
+        const response = await send('PUT', `/api/todos/${todo.id}`, { title: 'Mine' }, { 'if-match': tag });
+        expect([tag, response.statusCode]).toEqual([tag, 412]);
+      }
+
+      let response = await send('PUT', `/api/todos/${todo.id}`, { title: 'Mine' }, { 'if-match': `W/"7", ${theirs.headers.etag}` });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).title).toBe('Mine');
+
+      // The bare version the app sends is accepted too
+      response = await send('POST', `/api/todos/${todo.id}/toggle`, undefined, { 'if-match': '"3"' });
+      expect(response.statusCode).toBe(200);
+
+      response = await send('DELETE', `/api/todos/${todo.id}`, undefined, { 'if-match': '*' });
+      expect(response.statusCode).toBe(200);
+      response = await send('DELETE', `/api/todos/${todo.id}`, undefined, { 'if-match': '*' });
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should bump the version on moves, archiving and list changes', async () => {
+      const todo = JSON.parse((await send('POST', '/api/todos', { title: 'Busy' })).payload);
+      const other = JSON.parse((await send('POST', '/api/todos', { title: 'Neighbour' })).payload);
+      const list = JSON.parse((await send('POST', '/api/lists', { name: 'Errands' })).payload);
+      const subtask = JSON.parse((await send('POST', '/api/todos', { title: 'Part', parent_id: todo.id })).payload);
+      const version = async (id) => JSON.parse((await send('GET', `/api/todos/${id}?archived=true`)).payload).version;
+
+      let expected = await version(todo.id);
+      for (const [method, url, payload] of [
+        ['POST', `/api/todos/${todo.id}/move`, { after_id: other.id }],
+        ['POST', `/api/todos/${todo.id}/toggle`],
+        ['POST', `/api/todos/${todo.id}/archive`],
+        ['POST', `/api/todos/${todo.id}/unarchive`],
+        ['PUT', `/api/todos/${todo.id}`, { list_id: list.id }]
+      ]) {
+        // Each change makes the version the client held stale
+        const stale = `"${expected}"`;
+        expect((await send(method, url, payload)).statusCode).toBe(200);
+        expected += 1;
+        expect(await version(todo.id)).toBe(expected);
+        expect((await send('PUT', `/api/todos/${todo.id}`, { title: 'Mine' }, { 'if-match': stale })).statusCode).toBe(412);
+      }
+
+      // The subtask followed its parent to the list, and back to the default list when the list goes
+      const subtaskVersion = await version(subtask.id);
+      expect(subtaskVersion).toBeGreaterThan(subtask.version);
+      await send('DELETE', `/api/lists/${list.id}`);
+      expect(await version(subtask.id)).toBe(subtaskVersion + 1);
+    });
+
+    test('should leave a refused write out of the undo log', async () => {
+      const headers = { 'x-session-id': 'tab-1' };
+      const todo = JSON.parse((await send('POST', '/api/todos', { title: 'Once' }, headers)).payload);
+      const response = await send('PUT', `/api/todos/${todo.id}`, { title: 'Twice' }, { ...headers, 'if-match': '"5"' });
+      expect(response.statusCode).toBe(412);
+
+      const undone = JSON.parse((await send('POST', '/api/undo', undefined, headers)).payload);
+      expect(undone).toMatchObject({ operation: 'create', label: 'Created "Once"' });
+    });
+  });
+
+  describe('PATCH /api/todos/:todoId', () => {
+    const MERGE = 'application/merge-patch+json';
+    const JSON_PATCH = 'application/json-patch+json';
+    const patch = (id, contentType, body, headers = {}) => app.inject({
+      method: 'PATCH',
+      url: `/api/todos/${id}`,
+      payload: JSON.stringify(body),
+      headers: { 'content-type': contentType, ...headers }
+    });
+    const createTodo = async (payload) =>
+      JSON.parse((await app.inject({ method: 'POST', url: '/api/todos', payload })).payload);
+
+    test('should apply a merge patch, with null removing a field', async () => {
+      const todo = await createTodo({ title: 'Plan trip', priority: 'low', due_at: '2030-01-01', tags: ['travel'] });
+
+      const response = await patch(todo.id, MERGE, { priority: 'high', due_at: null, description: 'Book early' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.etag).toMatch(/^"2-/);
+      expect(JSON.parse(response.payload)).toMatchObject({
+        title: 'Plan trip',
+        description: 'Book early',
+        priority: 'high',
+        due_at: null,
+        tags: ['travel'],
+        version: 2
+      });
+    });
+
+    test('should apply JSON Patch operations guarded by test', async () => {
+      const todo = await createTodo({ title: 'Pack', tags: ['travel'] });
+
+      let response = await patch(todo.id, JSON_PATCH, [
+        { op: 'test', path: '/version', value: 1 },
+        { op: 'add', path: '/tags/-', value: 'urgent' },
+        { op: 'copy', from: '/title', path: '/description' },
+        { op: 'replace', path: '/title', value: 'Pack bags' }
+      ]);
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload)).toMatchObject({
+        title: 'Pack bags',
+        description: 'Pack',
+        tags: ['travel', 'urgent'],
+        version: 2
+      });
+
+      // The guard no longer holds, so nothing is applied
+      response = await patch(todo.id, JSON_PATCH, [
+        { op: 'replace', path: '/title', value: 'Lost update' },
+        { op: 'test', path: '/version', value: 1 }
+      ]);
+      expect(response.statusCode).toBe(409);
+      expect(JSON.parse(response.payload).message).toBe('Test at "/version" failed');
+
+      response = await patch(todo.id, JSON_PATCH, [{ op: 'remove', path: '/tags/5' }]);
+      expect(response.statusCode).toBe(409);
+
+      response = await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` });
+      expect(JSON.parse(response.payload)).toMatchObject({ title: 'Pack bags', version: 2 });
+    });
+
+    test('should refuse patches that leave the todo invalid', async () => {
+      const todo = await createTodo({ title: 'Valid' });
+
+      for (const [contentType, body, message] of [
+        [MERGE, { title: null }, "must have required property 'title'"],
+        [MERGE, { priority: 'critical' }, 'priority must be equal to one of the allowed values'],
+        [JSON_PATCH, [{ op: 'replace', path: '/version', value: 9 }], "Field 'version' cannot be changed by a patch"],
+        [JSON_PATCH, [{ op: 'add', path: '/colour', value: 'red' }], "Field 'colour' cannot be changed by a patch"],
+        [JSON_PATCH, [{ op: 'replace', path: '/title', value: '   ' }], 'Title must be a non-empty string']
+      ]) {
+        const response = await patch(todo.id, contentType, body);
+        expect(response.statusCode).toBe(422);
+        expect(JSON.parse(response.payload).message).toContain(message);
+      }
+
+      const response = await patch(todo.id, MERGE, { list_id: 999 });
+      expect(response.statusCode).toBe(422);
+      expect(JSON.parse((await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` })).payload).version).toBe(1);
+    });
+
+    test('should check the media type, the operations and If-Match', async () => {
+      const todo = await createTodo({ title: 'Strict' });
+
+      let response = await app.inject({ method: 'PATCH', url: `/api/todos/${todo.id}`, payload: { title: 'Plain JSON' } });
+      expect(response.statusCode).toBe(415);
+      expect(response.headers['accept-patch']).toBe(`${MERGE}, ${JSON_PATCH}`);
+
+      response = await patch(todo.id, JSON_PATCH, [{ op: 'add', path: '/title' }]);
+      expect(response.statusCode).toBe(400);
+      response = await patch(todo.id, JSON_PATCH, [{ op: 'move', path: '/title' }]);
+      expect(response.statusCode).toBe(400);
+      response = await patch(todo.id, MERGE, ['not', 'an', 'object']);
+      expect(response.statusCode).toBe(400);
+
+      response = await patch(todo.id, MERGE, { title: 'Stale' }, { 'if-match': '"7"' });
+      expect(response.statusCode).toBe(412);
+      expect(JSON.parse(response.payload).current.title).toBe('Strict');
+
+      response = await patch(999, MERGE, { title: 'Missing' });
+      expect(response.statusCode).toBe(404);
+
+      // A patch that changes nothing keeps the version
+      response = await patch(todo.id, MERGE, { title: 'Strict' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.payload).version).toBe(1);
+    });
+  });
+
+  describe('Idempotency-Key', () => {
+    const post = (url, payload, key, headers = {}) => app.inject({
+      method: 'POST',
+      url,
+      payload,
+      headers: key === undefined ? headers : { ...headers, 'idempotency-key': key }
+    });
+
+    test('should replay the response to a retried create instead of creating twice', async () => {
+      const first = await post('/api/todos', { title: 'Only once' }, 'create-1');
+      const retry = await post('/api/todos', { title: 'Only once' }, 'create-1');
+
+      expect(first.statusCode).toBe(200);
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+      expect(retry.statusCode).toBe(200);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.headers.etag).toBe(first.headers.etag);
+      expect(retry.json()).toEqual(first.json());
+
+      const todos = (await app.inject({ method: 'GET', url: '/api/todos' })).json();
+      expect(todos.filter(todo => todo.title === 'Only once')).toHaveLength(1);
+    });
+
+    test('should not flip a todo back when a toggle is retried', async () => {
+      const todo = (await post('/api/todos', { title: 'Toggle once' })).json();
+
+      await post(`/api/todos/${todo.id}/toggle`, undefined, 'toggle-1');
+      const retry = await post(`/api/todos/${todo.id}/toggle`, undefined, 'toggle-1');
+      expect(retry.json().completed).toBe(true);
+
+      const current = (await app.inject({ method: 'GET', url: `/api/todos/${todo.id}` })).json();
+      expect(current).toMatchObject({ completed: true, version: 2 });
+
+      // A new key is a new toggle
+      const next = await post(`/api/todos/${todo.id}/toggle`, undefined, 'toggle-2');
+      expect(next.json().completed).toBe(false);
+    });
+
+    test('should refuse a key reused for a different request', async () => {
+      await post('/api/todos', { title: 'First' }, 'reused');
+
+      let response = await post('/api/todos', { title: 'Second' }, 'reused');
+      expect(response.statusCode).toBe(422);
+      expect(response.json().message).toBe('Idempotency-Key was already used with a different request');
+
+      response = await post('/api/todos', { title: 'Keyless' }, '');
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should scope keys to the session, method and URL they were sent with', async () => {
+      const first = await post('/api/todos', { title: 'Scoped' }, 'shared', { 'x-session-id': 'tab-a' });
+
+      // The same key on another route, or from another session, is another key
+      let response = await post('/api/lists', { name: 'Scoped' }, 'shared', { 'x-session-id': 'tab-a' });
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      response = await post('/api/todos', { title: 'Scoped' }, 'shared', { 'x-session-id': 'tab-b' });
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      response = await post('/api/todos', { title: 'Scoped' }, 'shared');
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+
+      response = await post('/api/todos', { title: 'Scoped' }, 'shared', { 'x-session-id': 'tab-a' });
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.json().id).toBe(first.json().id);
+
+      const todos = (await app.inject({ method: 'GET', url: '/api/todos' })).json();
+      expect(todos.filter(todo => todo.title === 'Scoped')).toHaveLength(3);
+    });
+
+    test('should process a request again once its key expires', async () => {
+      await post('/api/todos', { title: 'Expiring' }, 'expiring');
+      await db('idempotency_key').where({ key: 'expiring' }).update({ expires_at: new Date(Date.now() - 1000).toISOString() });
+
+      const response = await post('/api/todos', { title: 'Expiring' }, 'expiring');
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      const todos = (await app.inject({ method: 'GET', url: '/api/todos' })).json();
+      expect(todos.filter(todo => todo.title === 'Expiring')).toHaveLength(2);
+
+      // Until it is answered, a key is held by its first request
+      const todo = todos[0];
+      const url = `/api/todos/${todo.id}/toggle`;
+      await db('idempotency_key').insert({
+        key: 'pending',
+        method: 'POST',
+        url,
+        request_hash: createHash('sha256').update(JSON.stringify(['POST', url, null])).digest('hex'),
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + 60000).toISOString()
+      });
+      const pending = await post(url, undefined, 'pending');
+      expect(pending.statusCode).toBe(409);
+      expect(pending.headers['retry-after']).toBe('1');
+      expect(pending.json().message).toBe('A request with this Idempotency-Key is still being processed');
+    });
+  });
+
+  describe('Conditional GET', () => {
+    const get = (url, headers = {}) => app.inject({ method: 'GET', url, headers });
+    const create = async (payload) => (await app.inject({ method: 'POST', url: '/api/todos', payload })).json();
+
+    test('should answer an unchanged todo collection with 304 until something changes', async () => {
+      const todo = await create({ title: 'Cached' });
+
+      const first = await get('/api/todos');
+      expect(first.statusCode).toBe(200);
+      expect(first.headers.etag).toMatch(/^W\/".+"$/);
+      expect(first.headers['last-modified']).toBeDefined();
+      expect(first.headers['cache-control']).toBe('no-cache');
+
+      let response = await get('/api/todos', { 'if-none-match': first.headers.etag });
+      expect(response.statusCode).toBe(304);
+      expect(response.payload).toBe('');
+      expect(response.headers.etag).toBe(first.headers.etag);
+
+      // A comment changes the comment count the list shows
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/comments`, payload: { author: 'Ann', body: 'Hi' } });
+      response = await get('/api/todos', { 'if-none-match': first.headers.etag });
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.etag).not.toBe(first.headers.etag);
+      expect(response.json()[0].comment_count).toBe(1);
+    });
+
+    test('should honour If-Modified-Since when no If-None-Match is sent', async () => {
+      await create({ title: 'Dated' });
+      const first = await get('/api/todos');
+
+      let response = await get('/api/todos', { 'if-modified-since': first.headers['last-modified'] });
+      expect(response.statusCode).toBe(304);
+      response = await get('/api/todos', { 'if-modified-since': new Date(Date.now() - 60000).toUTCString() });
+      expect(response.statusCode).toBe(200);
+      // If-None-Match wins over If-Modified-Since
+      response = await get('/api/todos', {
+        'if-none-match': 'W/"stale"',
+        'if-modified-since': first.headers['last-modified']
+      });
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('should validate a single todo by its version and content', async () => {
+      const todo = await create({ title: 'Single' });
+
+      const first = await get(`/api/todos/${todo.id}`);
+      expect(first.headers.etag).toMatch(/^"1-.+"$/);
+      let response = await get(`/api/todos/${todo.id}`, { 'if-none-match': first.headers.etag });
+      expect(response.statusCode).toBe(304);
+      expect(response.headers.etag).toBe(first.headers.etag);
+      response = await get(`/api/todos/${todo.id}`, { 'if-modified-since': first.headers['last-modified'] });
+      expect(response.statusCode).toBe(304);
+
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+      response = await get(`/api/todos/${todo.id}`, { 'if-none-match': first.headers.etag });
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.etag).toMatch(/^"2-/);
+
+      // The tag a GET answered with is accepted by If-Match
+      response = await app.inject({
+        method: 'PUT',
+        url: `/api/todos/${todo.id}`,
+        payload: { title: 'Single again' },
+        headers: { 'if-match': response.headers.etag }
+      });
+      expect(response.statusCode).toBe(200);
+
+      response = await get('/api/todos/999', { 'if-none-match': '*' });
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should change a todo\'s validators when anything its response shows changes', async () => {
+      const todo = await create({ title: 'Watched', tags: ['errand'] });
+      const other = await create({ title: 'Neighbour' });
+      const list = (await app.inject({ method: 'POST', url: '/api/lists', payload: { name: 'Elsewhere' } })).json();
+      const tag = (await get('/api/tags')).json().find(candidate => candidate.name === 'errand');
+      await app.inject({ method: 'POST', url: `/api/todos/${todo.id}/toggle` });
+      const boundary = '----todo-test-boundary';
+      let attachment;
+
+      const changes = [
+        ['archive', () => app.inject({ method: 'POST', url: `/api/todos/${todo.id}/archive` })],
+        ['unarchive', () => app.inject({ method: 'POST', url: `/api/todos/${todo.id}/unarchive` })],
+        ['comment', () => app.inject({ method: 'POST', url: `/api/todos/${todo.id}/comments`, payload: { body: 'Hi' } })],
+        ['attachment upload', async () => {
+          const response = await app.inject({
+            method: 'POST',
+            url: `/api/todos/${todo.id}/attachments`,
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+            payload: `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="note.txt"\r\n` +
+              `Content-Type: text/plain\r\n\r\nhello\r\n--${boundary}--\r\n`
+          });
+          attachment = response.json();
+          return response;
+        }],
+        ['attachment delete', () => app.inject({ method: 'DELETE', url: `/api/attachments/${attachment.id}` })],
+        ['subtask', () => app.inject({ method: 'POST', url: '/api/todos', payload: { title: 'Part', parent_id: todo.id } })],
+        ['move', () => app.inject({ method: 'POST', url: `/api/todos/${todo.id}/move`, payload: { after_id: other.id } })],
+        ['list move', () => app.inject({ method: 'PUT', url: `/api/todos/${todo.id}`, payload: { title: 'Watched', list_id: list.id, tags: ['errand'] } })],
+        ['tag rename', () => app.inject({ method: 'PUT', url: `/api/tags/${tag.id}`, payload: { name: 'chore' } })]
+      ];
+      for (const [name, change] of changes) {
+        const before = await get(`/api/todos/${todo.id}?archived=true`);
+        expect([name, (await change()).statusCode]).toEqual([name, 200]);
+
+        const response = await get(`/api/todos/${todo.id}?archived=true`, { 'if-none-match': before.headers.etag });
+        expect([name, response.statusCode]).toEqual([name, 200]);
+        expect(response.json()).not.toEqual(before.json());
+        // Last-Modified only counts whole seconds, so it is checked against the change's audit event
+        const event = await db('audit_event').orderBy('id', 'desc').first();
+        expect([name, response.headers['last-modified']]).toEqual([name, new Date(event.created_at).toUTCString()]);
+      }
+    });
+
+    test('should change every validator when todos change as a side effect', async () => {
+      const list = (await app.inject({ method: 'POST', url: '/api/lists', payload: { name: 'Doomed' } })).json();
+      const listed = await create({ title: 'Listed', list_id: list.id });
+      const parent = await create({ title: 'Parent', auto_complete: true });
+      const subtask = await create({ title: 'Child', parent_id: parent.id });
+
+      const changes = [
+        ['list delete', listed, () => app.inject({ method: 'DELETE', url: `/api/lists/${list.id}` })],
+        ['auto-completion', parent, () => app.inject({ method: 'POST', url: `/api/todos/${subtask.id}/toggle` })]
+      ];
+      for (const [name, target, change] of changes) {
+        const urls = ['/api/todos', '/api/stats', `/api/todos/${target.id}`];
+        const before = await Promise.all(urls.map(url => get(url)));
+        expect([name, (await change()).statusCode]).toEqual([name, 200]);
+        const changed = await db('todo').where({ id: target.id }).first();
+        expect(changed.updated_at).not.toBe(target.updated_at);
+        // Last-Modified only counts whole seconds
+        const changedAt = Math.floor(Date.parse(changed.updated_at) / 1000) * 1000;
+
+        for (const [index, url] of urls.entries()) {
+          const response = await get(url, { 'if-none-match': before[index].headers.etag });
+          expect([name, url, response.statusCode]).toEqual([name, url, 200]);
+          expect(Date.parse(response.headers['last-modified'])).toBeGreaterThanOrEqual(changedAt);
+        }
+      }
+    });
+
+    test('should change the statistics tag when a due date passes', async () => {
+      await create({ title: 'Due later', due_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+      const first = await get('/api/stats');
+      expect(first.json().overdue).toBe(0);
+      expect((await get('/api/stats', { 'if-none-match': first.headers.etag })).statusCode).toBe(304);
+
+      // The todo falls due without being changed
+      await db('todo').update({ due_at: new Date(Date.now() - 1000).toISOString() });
+      const response = await get('/api/stats', { 'if-none-match': first.headers.etag });
+      expect(response.statusCode).toBe(200);
+      expect(response.json().overdue).toBe(1);
+    });
+  });
+
   describe('GET /api/todos/:todoId', () => {
     test('should get a specific todo', async () => {
       // Create a todo to get its ID
@@ -396,4 +2534,72 @@ describe('Todo API Tests', () => {
       expect(response.statusCode).toBe(404);
     });
   });
+
+  describe('Database migrations', () => {
+    test('should report every migration as applied after reset', async () => {
+      const migrations = await migrator.status();
+
+      expect(migrations.length).toBeGreaterThan(0);
+      expect(migrations[0].name).toBe('001_create_todo_table.js');
+      expect(migrations.every(m => m.applied)).toBe(true);
+    });
+
+    test('should revert and re-apply the latest migration', async () => {
+      const migrations = await migrator.status();
+      const lastName = migrations[migrations.length - 1].name;
+
+      const reverted = await migrator.rollback();
+      expect(reverted).toEqual([lastName]);
+
+      let status = await migrator.status();
+      expect(status.find(m => m.name === lastName).applied).toBe(false);
+
+      const applied = await migrator.latest();
+      expect(applied).toEqual([lastName]);
+
+      status = await migrator.status();
+      expect(status.every(m => m.applied)).toBe(true);
+    });
+
+    test('should drop all tables when every migration is reverted', async () => {
+      await migrator.rollback({ all: true });
+      expect(await db.schema.hasTable('todo')).toBe(false);
+
+      await migrator.latest();
+      expect(await db.schema.hasTable('todo')).toBe(true);
+    });
+
+    test('should backfill timestamps on todos created before they existed', async () => {
+      while ((await migrator.status()).find(m => m.name === '002_add_todo_timestamps.js').applied) {
+        await migrator.rollback();
+      }
+      await db('todo').insert([
+        { title: 'Legacy open', description: '', completed: false },
+        { title: 'Legacy done', description: '', completed: true }
+      ]);
+
+      await migrator.latest();
+
+      const [open, done] = await db('todo').orderBy('id');
+      expect(open.created_at).toBeTruthy();
+      expect(open.updated_at).toBe(open.created_at);
+      expect(open.completed_at).toBeNull();
+      expect(done.completed_at).toBe(done.created_at);
+    });
+
+    test('should create numbered migration files', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'migrations-'));
+      try {
+        const tempMigrator = new Migrator(db, directory);
+        await tempMigrator.make('Add due date');
+        await tempMigrator.make('add-priority');
+
+        const files = await readdir(directory);
+        expect(files.sort()).toEqual(['001_add_due_date.js', '002_add_priority.js']);
+        await expect(tempMigrator.make('')).rejects.toThrow('Migration name is required');
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
 });
\ No newline at end of file
@@ -21,16 +21,97 @@ import {
   CardHeader,
   Textarea,
   Checkbox,
+  Tooltip,
+  Select,
+  Tag,
+  TagLabel,
+  Wrap,
+  WrapItem,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  Collapse,
+  useDisclosure,
 } from "@chakra-ui/react";
-import { IoAdd, IoTrash, IoCheckmark, IoClose, IoCreate, IoLogoGithub } from "react-icons/io5";
+import {
+  IoAdd,
+  IoTrash,
+  IoCheckmark,
+  IoClose,
+  IoCreate,
+  IoLogoGithub,
+  IoFolderOpen,
+  IoChevronDown,
+  IoChevronForward,
+  IoRepeat,
+  IoTrashBin,
+  IoArchive,
+  IoChatbubbleEllipses,
+} from "react-icons/io5";
 import useTodos from "./hooks/useTodos.js";
+import useLists from "./hooks/useLists.js";
+import useUndo from "./hooks/useUndo.js";
+import useArchive from "./hooks/useArchive.js";
+import useAttachments from "./hooks/useAttachments.js";
+import useTodoFilters from "./hooks/useTodoFilters.js";
+import ListSidebar from "./components/ListSidebar.jsx";
+import SubtaskList from "./components/SubtaskList.jsx";
+import SubtaskProgress from "./components/SubtaskProgress.jsx";
+import RecurrenceEditor from "./components/RecurrenceEditor.jsx";
+import TrashDrawer from "./components/TrashDrawer.jsx";
+import ArchiveDrawer from "./components/ArchiveDrawer.jsx";
+import AttachmentChips from "./components/AttachmentChips.jsx";
+import SearchBox from "./components/SearchBox.jsx";
+import FilterBar from "./components/FilterBar.jsx";
+import BulkToolbar from "./components/BulkToolbar.jsx";
+import TodoDetailPanel from "./components/TodoDetailPanel.jsx";
+import ConflictDialog from "./components/ConflictDialog.jsx";
+import {
+  formatRelativeTime,
+  formatDateTime,
+  toDateInputValue,
+  fromDateInputValue,
+  isOverdue,
+} from "./utils/dateFormat.js";
+import { PRIORITY_OPTIONS, getPriority } from "./utils/priority.js";
+import { describeRecurrence } from "./utils/recurrence.js";
+
+/**
+ * Split a comma separated tag input into tag names
+ * @param {string} value
+ * @returns {string[]}
+ */
+const parseTagInput = (value) =>
+  value
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
 
 function App() {
   const [newTodoTitle, setNewTodoTitle] = useState("");
   const [newTodoDescription, setNewTodoDescription] = useState("");
+  const [newTodoDueDate, setNewTodoDueDate] = useState("");
+  const [newTodoPriority, setNewTodoPriority] = useState("none");
+  const [newTodoTags, setNewTodoTags] = useState("");
+  const trashDrawer = useDisclosure();
+  const archiveDrawer = useDisclosure();
   const [editingTodo, setEditingTodo] = useState(null);
   const [editTitle, setEditTitle] = useState("");
   const [editDescription, setEditDescription] = useState("");
+  const [editDueDate, setEditDueDate] = useState("");
+  const [editPriority, setEditPriority] = useState("none");
+  const [editTags, setEditTags] = useState("");
+  const [editRecurrence, setEditRecurrence] = useState(null);
+  const [editVersion, setEditVersion] = useState(null);
+  const [selectedListId, setSelectedListId] = useState(null);
+  const [expandedTodoIds, setExpandedTodoIds] = useState([]);
+  const [detailTodoId, setDetailTodoId] = useState(null);
+  const [searchedTodo, setSearchedTodo] = useState(null);
+  const [draggedTodoId, setDraggedTodoId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [fileDropTargetId, setFileDropTargetId] = useState(null);
+  const [selectedTodoIds, setSelectedTodoIds] = useState([]);
 
   const bgGradient = "linear(to-br, blue.50, gray.100, blue.100)";
   const cardBg = "white";
@@ -38,20 +119,50 @@ function App() {
   const headerBg = "white";
   const borderColor = "gray.200";
 
+  // Sort order, tag and filters, all mirrored in the page URL
+  const { filters, activeFilterCount, setFilter, clearFilters } = useTodoFilters();
+  const { sort: sortOrder, tag: tagFilter, ...todoFilters } = filters;
+  const setSortOrder = (sort) => setFilter("sort", sort);
+  const setTagFilter = (tag) => setFilter("tag", tag);
+
+  // Lists (projects); until one is picked the default list is shown
+  const { lists, defaultList, createList, deleteList, isCreating: isCreatingList } = useLists();
+  const activeListId = selectedListId ?? defaultList?.id ?? null;
+  const activeList = lists.find((list) => list.id === activeListId);
+
   // Use the custom hook for todo operations
   const {
     todos,
+    totalTodos,
+    tags,
     isLoading,
     error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
     createTodo,
     updateTodo,
     toggleTodoCompletion,
     deleteTodo,
+    moveTodo,
+    bulkAction,
+    conflict,
+    resolveConflict,
     isCreating,
     isUpdating,
     isToggling,
     isDeleting,
-  } = useTodos();
+    isBulkUpdating,
+  } = useTodos({ sort: sortOrder, tag: tagFilter, listId: activeListId, filters: todoFilters });
+
+  // Archiving completed todos; the archived todos themselves are only fetched by the drawer
+  const { archiveTodo, archiveCompleted, isArchiving } = useArchive({ enabled: false });
+
+  // Ctrl+Z and Ctrl+Shift+Z undo and redo this tab's changes on the server
+  useUndo();
+
+  // Files dropped onto a todo card are uploaded as attachments
+  const { uploadAttachment, deleteAttachment, downloadUrl } = useAttachments();
 
   // Event handlers
   const handleCreateTodo = (e) => {
@@ -61,24 +172,123 @@ function App() {
     createTodo({
       title: newTodoTitle,
       description: newTodoDescription,
+      due_at: fromDateInputValue(newTodoDueDate),
+      priority: newTodoPriority,
+      tags: parseTagInput(newTodoTags),
+      list_id: activeListId ?? undefined,
     });
 
     setNewTodoTitle("");
     setNewTodoDescription("");
+    setNewTodoDueDate("");
+    setNewTodoPriority("none");
+    setNewTodoTags("");
+  };
+
+  // Changes are made against the version on screen, so one made meanwhile by someone else is not overwritten
+  const handleToggleCompletion = (todo) => {
+    toggleTodoCompletion({ id: todo.id, version: todo.version, completed: !todo.completed });
+  };
+
+  const handleDelete = (todo) => {
+    deleteTodo({ id: todo.id, version: todo.version });
+  };
+
+  // Pending todos can be dragged into place while the list is in manual order
+  const isDraggable = (todo) => sortOrder === "position" && !todo.completed && editingTodo !== todo.id;
+
+  const handleDragStart = (e, todo) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(todo.id)); // Firefox only starts a drag with data set
+    setDraggedTodoId(todo.id);
+  };
+
+  // Files dragged in from outside the page carry the "Files" type instead of a todo ID
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes("Files");
+
+  const handleDragOver = (e, todo) => {
+    if (isFileDrag(e)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+      setFileDropTargetId(todo.id);
+      return;
+    }
+    if (draggedTodoId === null || !isDraggable(todo)) return;
+
+    e.preventDefault();
+    setDropTargetId(todo.id);
+  };
+
+  const handleDragLeave = () => {
+    setDropTargetId(null);
+    setFileDropTargetId(null);
+  };
+
+  const handleDrop = (e, todo) => {
+    e.preventDefault();
+    if (isFileDrag(e)) {
+      Array.from(e.dataTransfer.files).forEach((file) => uploadAttachment({ todoId: todo.id, file }));
+      setFileDropTargetId(null);
+      return;
+    }
+    if (draggedTodoId !== null && draggedTodoId !== todo.id) {
+      // Dropping onto a todo takes its place; the todo shifts away from where the dragged one came from
+      const fromIndex = todos.findIndex((item) => item.id === draggedTodoId);
+      const toIndex = todos.findIndex((item) => item.id === todo.id);
+      moveTodo({
+        id: draggedTodoId,
+        target: fromIndex < toIndex ? { after_id: todo.id } : { before_id: todo.id },
+      });
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTodoId(null);
+    setDropTargetId(null);
+  };
+
+  // Only todos still shown count as selected, so changing list or filters never acts on hidden todos
+  const selectedIds = selectedTodoIds.filter((id) => todos.some((todo) => todo.id === id));
+
+  const handleToggleSelected = (id) => {
+    setSelectedTodoIds((ids) => (ids.includes(id) ? ids.filter((selectedId) => selectedId !== id) : [...ids, id]));
+  };
+
+  const handleBulkAction = (action, fields) => {
+    bulkAction({ action, ids: selectedIds, fields }, { onSuccess: () => setSelectedTodoIds([]) });
   };
 
-  const handleToggleCompletion = (id) => {
-    toggleTodoCompletion(id);
+  const handleToggleExpanded = (id) => {
+    setExpandedTodoIds((ids) => (ids.includes(id) ? ids.filter((expandedId) => expandedId !== id) : [...ids, id]));
   };
 
-  const handleDelete = (id) => {
-    deleteTodo(id);
+  const handleMoveToList = (todo, listId) => {
+    updateTodo({ id: todo.id, updates: { list_id: listId }, version: todo.version });
+  };
+
+  // Jump to a search result: show its list and open its details
+  const handleSelectSearchResult = (todo) => {
+    setSelectedListId(todo.list_id);
+    setTagFilter("");
+    setSearchedTodo(todo);
+    setDetailTodoId(todo.id);
+  };
+
+  const handleDeleteList = (id) => {
+    if (id === selectedListId) setSelectedListId(null);
+    deleteList(id);
   };
 
   const handleStartEdit = (todo) => {
     setEditingTodo(todo.id);
     setEditTitle(todo.title);
     setEditDescription(todo.description);
+    setEditDueDate(toDateInputValue(todo.due_at));
+    setEditPriority(todo.priority);
+    setEditTags(todo.tags.join(", "));
+    setEditRecurrence(todo.recurrence);
+    setEditVersion(todo.version);
   };
 
   const handleSaveEdit = () => {
@@ -89,22 +299,44 @@ function App() {
       updates: {
         title: editTitle,
         description: editDescription,
+        due_at: fromDateInputValue(editDueDate),
+        priority: editPriority,
+        tags: parseTagInput(editTags),
+        recurrence: editRecurrence,
       },
+      version: editVersion,
     });
 
     setEditingTodo(null);
     setEditTitle("");
     setEditDescription("");
+    setEditDueDate("");
+    setEditPriority("none");
+    setEditTags("");
+    setEditRecurrence(null);
+    setEditVersion(null);
   };
 
   const handleCancelEdit = () => {
     setEditingTodo(null);
     setEditTitle("");
     setEditDescription("");
+    setEditDueDate("");
+    setEditPriority("none");
+    setEditTags("");
+    setEditRecurrence(null);
+    setEditVersion(null);
   };
 
+  // A picked search result may be a subtask, which the top-level list does not include
+  const detailTodo =
+    todos.find((todo) => todo.id === detailTodoId) || (searchedTodo?.id === detailTodoId ? searchedTodo : null);
   const completedTodos = todos.filter((todo) => todo.completed);
   const pendingTodos = todos.filter((todo) => !todo.completed);
+  const overdueTodos = todos.filter((todo) => isOverdue(todo));
+
+  // A due date picked in a form is overdue once its (local) day has ended
+  const isDueDateOverdue = (value) => Boolean(value) && isOverdue({ completed: false, due_at: fromDateInputValue(value) });
 
   if (error) {
     return (
@@ -134,15 +366,49 @@ function App() {
                 Manage Your Tasks
               </Text>
             </VStack>
-            <Badge colorScheme="blue" variant="outline" px={3} py={1} borderRadius="full" fontWeight="600">
-              Todo V1.0
-            </Badge>
+            <HStack spacing={3}>
+              <SearchBox onSelect={handleSelectSearchResult} />
+              <Button
+                leftIcon={<IoArchive />}
+                variant="ghost"
+                colorScheme="gray"
+                size="sm"
+                onClick={archiveDrawer.onOpen}
+                data-testid="open-archive-btn"
+              >
+                Archive
+              </Button>
+              <Button
+                leftIcon={<IoTrashBin />}
+                variant="ghost"
+                colorScheme="gray"
+                size="sm"
+                onClick={trashDrawer.onOpen}
+                data-testid="open-trash-btn"
+              >
+                Trash
+              </Button>
+              <Badge colorScheme="blue" variant="outline" px={3} py={1} borderRadius="full" fontWeight="600">
+                Todo V1.0
+              </Badge>
+            </HStack>
           </Flex>
         </Container>
       </Box>
 
       <Container maxW="7xl" py={8}>
-        <VStack spacing={8}>
+        <Flex gap={8} align="flex-start" direction={{ base: "column", lg: "row" }}>
+        <Box w={{ base: "100%", lg: "64" }} flexShrink={0}>
+          <ListSidebar
+            lists={lists}
+            activeListId={activeListId}
+            onSelect={setSelectedListId}
+            onCreate={createList}
+            onDelete={handleDeleteList}
+            isCreating={isCreatingList}
+          />
+        </Box>
+        <VStack spacing={8} flex={1} w="100%">
           {/* Create Todo Form */}
           <Card w="100%" bg={cardBg} shadow="sm" border="1px" borderColor={borderColor} borderRadius="lg">
             <CardHeader bg="gray.50" borderTopRadius="lg" borderBottom="1px" borderColor={borderColor}>
@@ -197,6 +463,76 @@ function App() {
                       rows={3}
                     />
                   </Box>
+                  <Box w="100%">
+                    <Flex align="center" gap={2} mb={2}>
+                      <Text fontSize="sm" fontWeight="600" color="gray.700">
+                        Due Date (Optional)
+                      </Text>
+                      {isDueDateOverdue(newTodoDueDate) && (
+                        <Badge colorScheme="red" variant="subtle" data-testid="todo-due-date-overdue">
+                          Overdue
+                        </Badge>
+                      )}
+                    </Flex>
+                    <Input
+                      type="date"
+                      value={newTodoDueDate}
+                      onChange={(e) => setNewTodoDueDate(e.target.value)}
+                      data-testid="todo-due-date-input"
+                      size="md"
+                      borderRadius="md"
+                      bg="white"
+                      border="2px"
+                      borderColor="gray.200"
+                      focusBorderColor="blue.500"
+                      _hover={{ borderColor: "gray.300" }}
+                      color="gray.800"
+                    />
+                  </Box>
+                  <Box w="100%">
+                    <Text fontSize="sm" fontWeight="600" color="gray.700" mb={2}>
+                      Priority
+                    </Text>
+                    <Select
+                      value={newTodoPriority}
+                      onChange={(e) => setNewTodoPriority(e.target.value)}
+                      data-testid="todo-priority-select"
+                      size="md"
+                      borderRadius="md"
+                      bg="white"
+                      border="2px"
+                      borderColor="gray.200"
+                      focusBorderColor="blue.500"
+                      _hover={{ borderColor: "gray.300" }}
+                      color="gray.800"
+                    >
+                      {PRIORITY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </Select>
+                  </Box>
+                  <Box w="100%">
+                    <Text fontSize="sm" fontWeight="600" color="gray.700" mb={2}>
+                      Tags (Optional)
+                    </Text>
+                    <Input
+                      placeholder="work, home, errands"
+                      value={newTodoTags}
+                      onChange={(e) => setNewTodoTags(e.target.value)}
+                      data-testid="todo-tags-input"
+                      size="md"
+                      borderRadius="md"
+                      bg="white"
+                      border="2px"
+                      borderColor="gray.200"
+                      focusBorderColor="blue.500"
+                      _hover={{ borderColor: "gray.300" }}
+                      color="gray.800"
+                      _placeholder={{ color: "gray.400" }}
+                    />
+                  </Box>
                   <Button
                     type="submit"
                     colorScheme="blue"
@@ -227,10 +563,27 @@ function App() {
                 <Flex align="center" gap={3}>
                   <Box w={3} h={3} bg="green.500" borderRadius="full" />
                   <Heading size="md" color="gray.700" fontWeight="600">
-                    Your Todos
+                    {activeList ? activeList.name : "Your Todos"}
                   </Heading>
                 </Flex>
                 <HStack spacing={3}>
+                  <Select
+                    value={sortOrder}
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    data-testid="todo-sort-select"
+                    size="sm"
+                    w="auto"
+                    borderRadius="md"
+                    bg="white"
+                    color="gray.700"
+                  >
+                    <option value="position">Sort: Manual</option>
+                    <option value="id">Sort: Oldest first</option>
+                    <option value="priority">Sort: Priority</option>
+                    <option value="due_at">Sort: Due date</option>
+                    <option value="-updated_at">Sort: Recently updated</option>
+                    <option value="title">Sort: Title</option>
+                  </Select>
                   <Badge
                     colorScheme="orange"
                     variant="solid"
@@ -239,15 +592,90 @@ function App() {
                     py={1}
                     fontWeight="600"
                   >
-                    {pendingTodos.length} Pending
+                    {pendingTodos.length}
+                    {hasNextPage && "+"} Pending
                   </Badge>
                   <Badge colorScheme="green" variant="solid" borderRadius="md" px={3} py={1} fontWeight="600">
-                    {completedTodos.length} Done
+                    {completedTodos.length}
+                    {hasNextPage && "+"} Done
                   </Badge>
+                  {completedTodos.length > 0 && (
+                    <Tooltip label="Archive all completed todos in this list" hasArrow>
+                      <Button
+                        leftIcon={<IoArchive />}
+                        size="sm"
+                        variant="outline"
+                        colorScheme="green"
+                        onClick={() => archiveCompleted(activeListId ? { list_id: activeListId } : {})}
+                        isLoading={isArchiving}
+                        data-testid="archive-completed-btn"
+                      >
+                        Archive done
+                      </Button>
+                    </Tooltip>
+                  )}
+                  {overdueTodos.length > 0 && (
+                    <Badge colorScheme="red" variant="solid" borderRadius="md" px={3} py={1} fontWeight="600">
+                      {overdueTodos.length} Overdue
+                    </Badge>
+                  )}
                 </HStack>
               </Flex>
             </CardHeader>
             <CardBody p={6}>
+              <FilterBar
+                filters={filters}
+                activeFilterCount={activeFilterCount}
+                onChange={setFilter}
+                onClear={clearFilters}
+              />
+              {selectedIds.length > 0 && (
+                <BulkToolbar
+                  selectedCount={selectedIds.length}
+                  visibleCount={todos.length}
+                  lists={lists}
+                  activeListId={activeListId}
+                  isLoading={isBulkUpdating}
+                  onAction={handleBulkAction}
+                  onSelectAll={() => setSelectedTodoIds(todos.map((todo) => todo.id))}
+                  onClear={() => setSelectedTodoIds([])}
+                />
+              )}
+              {tags.length > 0 && (
+                <Wrap spacing={2} mb={6} data-testid="tag-filter-bar">
+                  <WrapItem>
+                    <Tag
+                      as="button"
+                      size="md"
+                      borderRadius="full"
+                      variant={tagFilter === "" ? "solid" : "outline"}
+                      colorScheme="blue"
+                      onClick={() => setTagFilter("")}
+                      data-testid="tag-filter-all"
+                    >
+                      <TagLabel>All</TagLabel>
+                    </Tag>
+                  </WrapItem>
+                  {tags.map((tag) => (
+                    <WrapItem key={tag.id}>
+                      <Tag
+                        as="button"
+                        size="md"
+                        borderRadius="full"
+                        variant={tagFilter === tag.name ? "solid" : "outline"}
+                        colorScheme="blue"
+                        onClick={() => setTagFilter(tagFilter === tag.name ? "" : tag.name)}
+                        data-testid={`tag-filter-${tag.name}`}
+                      >
+                        <TagLabel>
+                          #{tag.name} ({tag.todo_count})
+                        </TagLabel>
+                      </Tag>
+                    </WrapItem>
+                  ))}
+                </Wrap>
+              )}
+
               {isLoading && (
                 <Flex justify="center" p={12}>
                   <VStack spacing={4}>
@@ -274,10 +702,12 @@ function App() {
                     </Box>
                     <VStack spacing={2}>
                       <Text color="gray.700" fontWeight="600" fontSize="lg">
-                        No todos yet
+                        {activeFilterCount > 0 ? "No matching todos" : "No todos yet"}
                       </Text>
                       <Text color="gray.500" fontSize="sm">
-                        Add your first todo using the form above to get started.
+                        {activeFilterCount > 0
+                          ? "Try loosening or clearing the filters."
+                          : "Add your first todo using the form above to get started."}
                       </Text>
                     </VStack>
                   </VStack>
@@ -296,8 +726,23 @@ function App() {
                       transition="all 0.2s"
                       data-testid={`todo-${todo.id}`}
                       border="2px"
-                      borderColor={todo.completed ? "green.200" : "gray.200"}
-                      opacity={todo.completed ? 0.8 : 1}
+                      borderColor={
+                        fileDropTargetId === todo.id
+                          ? "purple.400"
+                          : dropTargetId === todo.id || selectedIds.includes(todo.id)
+                            ? "blue.400"
+                            : todo.completed
+                              ? "green.200"
+                              : "gray.200"
+                      }
+                      opacity={draggedTodoId === todo.id ? 0.5 : todo.completed ? 0.8 : 1}
+                      draggable={isDraggable(todo)}
+                      cursor={isDraggable(todo) ? "grab" : "auto"}
+                      onDragStart={(e) => handleDragStart(e, todo)}
+                      onDragOver={(e) => handleDragOver(e, todo)}
+                      onDragLeave={handleDragLeave}
+                      onDrop={(e) => handleDrop(e, todo)}
+                      onDragEnd={handleDragEnd}
                     >
                       <CardBody p={5}>
                         {editingTodo === todo.id ? (
@@ -332,6 +777,68 @@ function App() {
                               _hover={{ borderColor: "blue.300" }}
                               _placeholder={{ color: "gray.400" }}
                             />
+                            <HStack spacing={2}>
+                              <Input
+                                type="date"
+                                value={editDueDate}
+                                onChange={(e) => setEditDueDate(e.target.value)}
+                                data-testid={`edit-due-date-${todo.id}`}
+                                size="md"
+                                maxW="xs"
+                                borderRadius="md"
+                                bg="white"
+                                border="2px"
+                                borderColor="blue.200"
+                                color="gray.800"
+                                focusBorderColor="blue.500"
+                                _hover={{ borderColor: "blue.300" }}
+                              />
+                              <Select
+                                value={editPriority}
+                                onChange={(e) => setEditPriority(e.target.value)}
+                                data-testid={`edit-priority-${todo.id}`}
+                                size="md"
+                                maxW="40"
+                                borderRadius="md"
+                                bg="white"
+                                border="2px"
+                                borderColor="blue.200"
+                                color="gray.800"
+                                focusBorderColor="blue.500"
+                                _hover={{ borderColor: "blue.300" }}
+                              >
+                                {PRIORITY_OPTIONS.map((option) => (
+                                  <option key={option.value} value={option.value}>
+                                    {option.label}
+                                  </option>
+                                ))}
+                              </Select>
+                              {isDueDateOverdue(editDueDate) && (
+                                <Badge colorScheme="red" variant="subtle" data-testid={`edit-due-date-overdue-${todo.id}`}>
+                                  Overdue
+                                </Badge>
+                              )}
+                            </HStack>
+                            <Input
+                              placeholder="Tags, comma separated"
+                              value={editTags}
+                              onChange={(e) => setEditTags(e.target.value)}
+                              data-testid={`edit-tags-${todo.id}`}
+                              size="md"
+                              borderRadius="md"
+                              bg="white"
+                              border="2px"
+                              borderColor="blue.200"
+                              color="gray.800"
+                              focusBorderColor="blue.500"
+                              _hover={{ borderColor: "blue.300" }}
+                              _placeholder={{ color: "gray.400" }}
+                            />
+                            <RecurrenceEditor
+                              value={editRecurrence}
+                              onChange={setEditRecurrence}
+                              testId={`edit-recurrence-${todo.id}`}
+                            />
                             <HStack spacing={2}>
                               <Button
                                 colorScheme="blue"
@@ -358,9 +865,18 @@ function App() {
                         ) : (
                           <VStack spacing={3} align="stretch">
                             <Flex align="flex-start" gap={3}>
+                              <Checkbox
+                                isChecked={selectedIds.includes(todo.id)}
+                                onChange={() => handleToggleSelected(todo.id)}
+                                aria-label={`Select "${todo.title}"`}
+                                data-testid={`select-${todo.id}`}
+                                size="sm"
+                                colorScheme="blue"
+                                mt={2}
+                              />
                               <Checkbox
                                 isChecked={todo.completed}
-                                onChange={() => handleToggleCompletion(todo.id)}
+                                onChange={() => handleToggleCompletion(todo)}
                                 data-testid={`toggle-${todo.id}`}
                                 size="lg"
                                 colorScheme="green"
@@ -390,6 +906,49 @@ function App() {
                                 >
                                   {todo.title}
                                 </Text>
+                                {todo.subtask_count > 0 && (
+                                  <Box as="span" mr={2}>
+                                    <SubtaskProgress todo={todo} />
+                                  </Box>
+                                )}
+                                {todo.priority !== "none" && (
+                                  <Badge
+                                    mt={1}
+                                    mr={2}
+                                    colorScheme={getPriority(todo.priority).colorScheme}
+                                    variant="solid"
+                                    data-testid={`priority-${todo.id}`}
+                                  >
+                                    {getPriority(todo.priority).label}
+                                  </Badge>
+                                )}
+                                {todo.due_at && (
+                                  <Tooltip label={formatDateTime(todo.due_at)} hasArrow>
+                                    <Badge
+                                      mt={1}
+                                      colorScheme={isOverdue(todo) ? "red" : "purple"}
+                                      variant="subtle"
+                                      data-testid={`due-${todo.id}`}
+                                    >
+                                      {isOverdue(todo) ? "Overdue · " : "Due "}
+                                      {formatRelativeTime(todo.due_at)}
+                                    </Badge>
+                                  </Tooltip>
+                                )}
+                                {todo.recurrence && (
+                                  <Badge
+                                    mt={1}
+                                    ml={2}
+                                    colorScheme="purple"
+                                    variant="outline"
+                                    data-testid={`recurrence-${todo.id}`}
+                                  >
+                                    <HStack as="span" spacing={1}>
+                                      <IoRepeat />
+                                      <span>{describeRecurrence(todo.recurrence)}</span>
+                                    </HStack>
+                                  </Badge>
+                                )}
                                 {todo.description && (
                                   <Text
                                     fontSize="sm"
@@ -400,8 +959,89 @@ function App() {
                                     {todo.description}
                                   </Text>
                                 )}
+                                {todo.tags.length > 0 && (
+                                  <Wrap spacing={1} mt={2} data-testid={`tags-${todo.id}`}>
+                                    {todo.tags.map((tagName) => (
+                                      <WrapItem key={tagName}>
+                                        <Tag
+                                          size="sm"
+                                          borderRadius="full"
+                                          variant="subtle"
+                                          colorScheme="blue"
+                                          cursor="pointer"
+                                          onClick={() => setTagFilter(tagName)}
+                                        >
+                                          <TagLabel>#{tagName}</TagLabel>
+                                        </Tag>
+                                      </WrapItem>
+                                    ))}
+                                  </Wrap>
+                                )}
+                                <AttachmentChips todo={todo} downloadUrl={downloadUrl} onDelete={deleteAttachment} />
+                                <HStack spacing={3} mt={2} fontSize="xs" color="gray.400" data-testid={`timestamps-${todo.id}`}>
+                                  <Tooltip label={formatDateTime(todo.created_at)} hasArrow>
+                                    <Text>Created {formatRelativeTime(todo.created_at)}</Text>
+                                  </Tooltip>
+                                  {todo.updated_at !== todo.created_at && (
+                                    <Tooltip label={formatDateTime(todo.updated_at)} hasArrow>
+                                      <Text>Updated {formatRelativeTime(todo.updated_at)}</Text>
+                                    </Tooltip>
+                                  )}
+                                  {todo.completed_at && (
+                                    <Tooltip label={formatDateTime(todo.completed_at)} hasArrow>
+                                      <Text color="green.500">Completed {formatRelativeTime(todo.completed_at)}</Text>
+                                    </Tooltip>
+                                  )}
+                                </HStack>
                               </Box>
                               <HStack spacing={2}>
+                                <Tooltip label="Details and comments" hasArrow>
+                                  <Button
+                                    leftIcon={<IoChatbubbleEllipses />}
+                                    colorScheme="gray"
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => setDetailTodoId(todo.id)}
+                                    data-testid={`comments-btn-${todo.id}`}
+                                  >
+                                    {todo.comment_count}
+                                  </Button>
+                                </Tooltip>
+                                <IconButton
+                                  icon={expandedTodoIds.includes(todo.id) ? <IoChevronDown /> : <IoChevronForward />}
+                                  colorScheme="gray"
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleToggleExpanded(todo.id)}
+                                  data-testid={`expand-${todo.id}`}
+                                  aria-label={expandedTodoIds.includes(todo.id) ? "Hide subtasks" : "Show subtasks"}
+                                />
+                                {lists.length > 1 && (
+                                  <Menu>
+                                    <MenuButton
+                                      as={IconButton}
+                                      icon={<IoFolderOpen />}
+                                      colorScheme="purple"
+                                      variant="ghost"
+                                      size="sm"
+                                      data-testid={`move-${todo.id}`}
+                                      aria-label="Move to list"
+                                    />
+                                    <MenuList>
+                                      {lists
+                                        .filter((list) => list.id !== todo.list_id)
+                                        .map((list) => (
+                                          <MenuItem
+                                            key={list.id}
+                                            onClick={() => handleMoveToList(todo, list.id)}
+                                            data-testid={`move-${todo.id}-to-${list.id}`}
+                                          >
+                                            Move to {list.name}
+                                          </MenuItem>
+                                        ))}
+                                    </MenuList>
+                                  </Menu>
+                                )}
                                 <IconButton
                                   icon={<IoCreate />}
                                   colorScheme="blue"
@@ -411,28 +1051,57 @@ function App() {
                                   data-testid={`edit-${todo.id}`}
                                   aria-label="Edit todo"
                                 />
+                                {todo.completed && (
+                                  <IconButton
+                                    icon={<IoArchive />}
+                                    colorScheme="green"
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => archiveTodo(todo.id)}
+                                    data-testid={`archive-${todo.id}`}
+                                    aria-label="Archive todo"
+                                  />
+                                )}
                                 <IconButton
                                   icon={<IoTrash />}
                                   colorScheme="red"
                                   variant="ghost"
                                   size="sm"
-                                  onClick={() => handleDelete(todo.id)}
+                                  onClick={() => handleDelete(todo)}
                                   data-testid={`delete-${todo.id}`}
                                   isLoading={isDeleting}
                                   aria-label="Delete todo"
                                 />
                               </HStack>
                             </Flex>
+                            <Collapse in={expandedTodoIds.includes(todo.id)} animateOpacity>
+                              <Box pl={9} pt={1}>
+                                {expandedTodoIds.includes(todo.id) && <SubtaskList parent={todo} />}
+                              </Box>
+                            </Collapse>
                           </VStack>
                         )}
                       </CardBody>
                     </Card>
                   ))}
+                  {hasNextPage && (
+                    <Button
+                      variant="outline"
+                      colorScheme="blue"
+                      onClick={() => fetchNextPage()}
+                      isLoading={isFetchingNextPage}
+                      loadingText="Loading"
+                      data-testid="load-more-btn"
+                    >
+                      Load more ({todos.length} of {totalTodos})
+                    </Button>
+                  )}
                 </VStack>
               )}
             </CardBody>
           </Card>
         </VStack>
+        </Flex>
       </Container>
 
       {/* Footer */}
@@ -456,6 +1125,11 @@ function App() {
           </Flex>
         </Container>
       </Box>
+
+      <TodoDetailPanel todo={detailTodo} onClose={() => setDetailTodoId(null)} />
+      <ConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <ArchiveDrawer isOpen={archiveDrawer.isOpen} onClose={archiveDrawer.onClose} />
+      <TrashDrawer isOpen={trashDrawer.isOpen} onClose={trashDrawer.onClose} />
     </Box>
   );
 }
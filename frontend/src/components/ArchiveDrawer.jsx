@@ -0,0 +1,84 @@
+import React from "react";
+import {
+  Drawer,
+  DrawerOverlay,
+  DrawerContent,
+  DrawerHeader,
+  DrawerBody,
+  DrawerCloseButton,
+  VStack,
+  HStack,
+  Box,
+  Text,
+  IconButton,
+  Spinner,
+  Tooltip,
+} from "@chakra-ui/react";
+import { IoArrowUndo } from "react-icons/io5";
+import useArchive from "../hooks/useArchive.js";
+import { formatRelativeTime, formatDateTime } from "../utils/dateFormat.js";
+
+/**
+ * Side drawer listing archived todos, each of which can be brought back
+ * @param {object} props
+ * @param {boolean} props.isOpen - Whether the drawer is open
+ * @param {Function} props.onClose - Called to close the drawer
+ */
+function ArchiveDrawer({ isOpen, onClose }) {
+  const { archived, isLoading, unarchiveTodo } = useArchive({ enabled: isOpen });
+
+  return (
+    <Drawer isOpen={isOpen} placement="right" onClose={onClose} size="md">
+      <DrawerOverlay />
+      <DrawerContent data-testid="archive-drawer">
+        <DrawerCloseButton />
+        <DrawerHeader borderBottomWidth="1px" color="gray.700">
+          Archive
+        </DrawerHeader>
+        <DrawerBody>
+          {isLoading && <Spinner color="blue.500" />}
+          {!isLoading && archived.length === 0 && (
+            <Text color="gray.500" textAlign="center" py={8} data-testid="archive-empty">
+              No archived todos
+            </Text>
+          )}
+          <VStack spacing={3} align="stretch">
+            {archived.map((todo) => (
+              <HStack
+                key={todo.id}
+                p={3}
+                border="1px"
+                borderColor="gray.200"
+                borderRadius="md"
+                data-testid={`archived-${todo.id}`}
+              >
+                <Box flex={1}>
+                  <Text fontWeight="600" color="gray.600" textDecoration="line-through">
+                    {todo.title}
+                  </Text>
+                  <Tooltip label={formatDateTime(todo.archived_at)} hasArrow>
+                    <Text fontSize="xs" color="gray.400">
+                      Completed {formatRelativeTime(todo.completed_at)}, archived{" "}
+                      {formatRelativeTime(todo.archived_at)}
+                    </Text>
+                  </Tooltip>
+                </Box>
+                <IconButton
+                  icon={<IoArrowUndo />}
+                  colorScheme="blue"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => unarchiveTodo(todo.id)}
+                  data-testid={`unarchive-${todo.id}`}
+                  aria-label="Unarchive todo"
+                />
+              </HStack>
+            ))}
+          </VStack>
+        </DrawerBody>
+      </DrawerContent>
+    </Drawer>
+  );
+}
+
+export default ArchiveDrawer;
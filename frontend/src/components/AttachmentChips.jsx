@@ -0,0 +1,46 @@
+import React from "react";
+import { Link, Tag, TagCloseButton, TagLabel, TagLeftIcon, Wrap, WrapItem } from "@chakra-ui/react";
+import { IoDocumentAttach, IoImage } from "react-icons/io5";
+
+/**
+ * Human readable file size, e.g. "12 KB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Row of chips for the files attached to a todo
+ * @param {object} props
+ * @param {object} props.todo - Todo with its attachments
+ * @param {(id: number) => string} props.downloadUrl - Builds the link for an attachment
+ * @param {(id: number) => void} props.onDelete - Called with the attachment ID to remove it
+ */
+function AttachmentChips({ todo, downloadUrl, onDelete }) {
+  if (!todo.attachments?.length) return null;
+
+  return (
+    <Wrap spacing={1} mt={2} data-testid={`attachments-${todo.id}`}>
+      {todo.attachments.map((attachment) => (
+        <WrapItem key={attachment.id}>
+          <Tag size="sm" borderRadius="full" variant="outline" colorScheme="gray">
+            <TagLeftIcon as={attachment.content_type.startsWith("image/") ? IoImage : IoDocumentAttach} />
+            <TagLabel>
+              <Link href={downloadUrl(attachment.id)} isExternal>
+                {attachment.filename}
+              </Link>{" "}
+              ({formatSize(attachment.size)})
+            </TagLabel>
+            <TagCloseButton aria-label={`Remove ${attachment.filename}`} onClick={() => onDelete(attachment.id)} />
+          </Tag>
+        </WrapItem>
+      ))}
+    </Wrap>
+  );
+}
+
+export default AttachmentChips;
@@ -0,0 +1,121 @@
+import React from "react";
+import { Button, Flex, Menu, MenuButton, MenuItem, MenuList, Spacer, Text } from "@chakra-ui/react";
+import { IoCheckmarkDone, IoChevronDown, IoClose, IoRefresh, IoTrash } from "react-icons/io5";
+import { PRIORITY_OPTIONS } from "../utils/priority.js";
+
+/**
+ * Toolbar acting on the selected todos: complete, reopen, set priority, move to a list or delete
+ * @param {object} props
+ * @param {number} props.selectedCount - Number of selected todos
+ * @param {number} props.visibleCount - Number of todos shown, to offer selecting them all
+ * @param {Array} props.lists - Lists the selection can be moved to
+ * @param {number|null} props.activeListId - List being shown, left out of the move targets
+ * @param {boolean} props.isLoading - Whether a bulk action is in flight
+ * @param {Function} props.onAction - Called with (action, fields) for the selection
+ * @param {Function} props.onSelectAll - Select every shown todo
+ * @param {Function} props.onClear - Clear the selection
+ */
+function BulkToolbar({ selectedCount, visibleCount, lists, activeListId, isLoading, onAction, onSelectAll, onClear }) {
+  return (
+    <Flex
+      wrap="wrap"
+      gap={2}
+      align="center"
+      mb={4}
+      p={3}
+      bg="blue.50"
+      borderWidth="1px"
+      borderColor="blue.200"
+      borderRadius="md"
+      data-testid="bulk-toolbar"
+    >
+      <Text fontSize="sm" fontWeight="600" color="blue.700">
+        {selectedCount} selected
+      </Text>
+      {selectedCount < visibleCount && (
+        <Button size="xs" variant="link" colorScheme="blue" onClick={onSelectAll} data-testid="bulk-select-all">
+          Select all {visibleCount}
+        </Button>
+      )}
+      <Spacer />
+      <Button
+        size="sm"
+        colorScheme="green"
+        leftIcon={<IoCheckmarkDone />}
+        onClick={() => onAction("complete")}
+        isDisabled={isLoading}
+        data-testid="bulk-complete"
+      >
+        Complete
+      </Button>
+      <Button
+        size="sm"
+        variant="outline"
+        leftIcon={<IoRefresh />}
+        onClick={() => onAction("uncomplete")}
+        isDisabled={isLoading}
+        data-testid="bulk-uncomplete"
+      >
+        Reopen
+      </Button>
+      <Menu>
+        <MenuButton
+          as={Button}
+          size="sm"
+          variant="outline"
+          rightIcon={<IoChevronDown />}
+          isDisabled={isLoading}
+          data-testid="bulk-priority"
+        >
+          Priority
+        </MenuButton>
+        <MenuList minW="40">
+          {PRIORITY_OPTIONS.map((priority) => (
+            <MenuItem key={priority.value} onClick={() => onAction("update", { priority: priority.value })}>
+              {priority.label}
+            </MenuItem>
+          ))}
+        </MenuList>
+      </Menu>
+      {lists.length > 1 && (
+        <Menu>
+          <MenuButton
+            as={Button}
+            size="sm"
+            variant="outline"
+            rightIcon={<IoChevronDown />}
+            isDisabled={isLoading}
+            data-testid="bulk-move"
+          >
+            Move to
+          </MenuButton>
+          <MenuList minW="40">
+            {lists
+              .filter((list) => list.id !== activeListId)
+              .map((list) => (
+                <MenuItem key={list.id} onClick={() => onAction("update", { list_id: list.id })}>
+                  {list.name}
+                </MenuItem>
+              ))}
+          </MenuList>
+        </Menu>
+      )}
+      <Button
+        size="sm"
+        colorScheme="red"
+        variant="outline"
+        leftIcon={<IoTrash />}
+        onClick={() => onAction("delete")}
+        isDisabled={isLoading}
+        data-testid="bulk-delete"
+      >
+        Delete
+      </Button>
+      <Button size="sm" variant="ghost" leftIcon={<IoClose />} onClick={onClear} data-testid="bulk-clear">
+        Clear
+      </Button>
+    </Flex>
+  );
+}
+
+export default BulkToolbar;
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import {
+  VStack,
+  HStack,
+  Box,
+  Text,
+  Textarea,
+  Input,
+  Button,
+  IconButton,
+  Spinner,
+  Tooltip,
+} from "@chakra-ui/react";
+import { IoCreate, IoTrash, IoCheckmark, IoClose, IoSend } from "react-icons/io5";
+import useComments from "../hooks/useComments.js";
+import { formatRelativeTime, formatDateTime } from "../utils/dateFormat.js";
+
+/**
+ * Local storage key the commenter's name is remembered under
+ */
+const AUTHOR_STORAGE_KEY = "todo.commentAuthor";
+
+/**
+ * Comment thread of a todo, with a form to post, edit and delete comments
+ * @param {object} props
+ * @param {number} props.todoId - Todo the thread belongs to
+ */
+function CommentThread({ todoId }) {
+  const { comments, isLoading, createComment, updateComment, deleteComment, isPosting } = useComments(todoId);
+  const [body, setBody] = useState("");
+  const [author, setAuthor] = useState(() => localStorage.getItem(AUTHOR_STORAGE_KEY) || "");
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    localStorage.setItem(AUTHOR_STORAGE_KEY, author.trim());
+    createComment({ body, author: author.trim() }, { onSuccess: () => setBody("") });
+  };
+
+  const handleStartEdit = (comment) => {
+    setEditingId(comment.id);
+    setEditBody(comment.body);
+  };
+
+  const handleSaveEdit = () => {
+    if (!editBody.trim()) return;
+    updateComment({ id: editingId, body: editBody });
+    setEditingId(null);
+  };
+
+  return (
+    <VStack spacing={4} align="stretch" data-testid={`comments-${todoId}`}>
+      {isLoading && <Spinner size="sm" color="blue.500" />}
+      {!isLoading && comments.length === 0 && (
+        <Text fontSize="sm" color="gray.500">
+          No comments yet
+        </Text>
+      )}
+      {comments.map((comment) => (
+        <Box key={comment.id} p={3} bg="gray.50" borderRadius="md" data-testid={`comment-${comment.id}`}>
+          <HStack justify="space-between" mb={1}>
+            <HStack spacing={2}>
+              <Text fontSize="sm" fontWeight="600" color="gray.700">
+                {comment.author || "Anonymous"}
+              </Text>
+              <Tooltip label={formatDateTime(comment.created_at)} hasArrow>
+                <Text fontSize="xs" color="gray.400">
+                  {formatRelativeTime(comment.created_at)}
+                  {comment.updated_at !== comment.created_at && " (edited)"}
+                </Text>
+              </Tooltip>
+            </HStack>
+            {editingId !== comment.id && (
+              <HStack spacing={0}>
+                <IconButton
+                  icon={<IoCreate />}
+                  size="xs"
+                  variant="ghost"
+                  colorScheme="blue"
+                  onClick={() => handleStartEdit(comment)}
+                  data-testid={`edit-comment-${comment.id}`}
+                  aria-label="Edit comment"
+                />
+                <IconButton
+                  icon={<IoTrash />}
+                  size="xs"
+                  variant="ghost"
+                  colorScheme="red"
+                  onClick={() => deleteComment(comment.id)}
+                  data-testid={`delete-comment-${comment.id}`}
+                  aria-label="Delete comment"
+                />
+              </HStack>
+            )}
+          </HStack>
+          {editingId === comment.id ? (
+            <VStack spacing={2} align="stretch">
+              <Textarea size="sm" value={editBody} onChange={(e) => setEditBody(e.target.value)} rows={3} bg="white" />
+              <HStack justify="flex-end">
+                <IconButton
+                  icon={<IoCheckmark />}
+                  size="xs"
+                  colorScheme="green"
+                  onClick={handleSaveEdit}
+                  aria-label="Save comment"
+                />
+                <IconButton icon={<IoClose />} size="xs" onClick={() => setEditingId(null)} aria-label="Cancel edit" />
+              </HStack>
+            </VStack>
+          ) : (
+            <Text fontSize="sm" color="gray.700" whiteSpace="pre-wrap">
+              {comment.body}
+            </Text>
+          )}
+        </Box>
+      ))}
+      <form onSubmit={handleSubmit}>
+        <VStack spacing={2} align="stretch">
+          <Textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Write a comment..."
+            size="sm"
+            rows={3}
+            maxLength={5000}
+            data-testid="comment-input"
+          />
+          <HStack>
+            <Input
+              value={author}
+              onChange={(e) => setAuthor(e.target.value)}
+              placeholder="Your name (optional)"
+              size="sm"
+              maxLength={100}
+              data-testid="comment-author-input"
+            />
+            <Button
+              type="submit"
+              size="sm"
+              colorScheme="blue"
+              leftIcon={<IoSend />}
+              isLoading={isPosting}
+              isDisabled={!body.trim()}
+              flexShrink={0}
+              data-testid="post-comment-btn"
+            >
+              Comment
+            </Button>
+          </HStack>
+        </VStack>
+      </form>
+    </VStack>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,146 @@
+import React, { useRef } from "react";
+import {
+  AlertDialog,
+  AlertDialogBody,
+  AlertDialogContent,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogOverlay,
+  Box,
+  Button,
+  SimpleGrid,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { getPriority } from "../utils/priority.js";
+import { describeRecurrence } from "../utils/recurrence.js";
+import { formatDateTime } from "../utils/dateFormat.js";
+
+/**
+ * Labels of the todo fields an edit can change
+ */
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  due_at: "Due",
+  priority: "Priority",
+  tags: "Tags",
+  recurrence: "Repeats",
+};
+
+/**
+ * Show a todo field value for comparison
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0)) {
+    return "none";
+  }
+  if (field === "priority") return getPriority(value).label;
+  if (field === "due_at") return formatDateTime(value);
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "tags") return value.map((tag) => `#${tag}`).join(" ");
+  return String(value);
+};
+
+/**
+ * Whether an edited value differs from the current one; dates compare by instant
+ * @param {string} field - Field name
+ * @param {*} mine - Value the user saved
+ * @param {*} theirs - Value on the server
+ * @returns {boolean}
+ */
+const differs = (field, mine, theirs) => {
+  if (field === "due_at" && mine && theirs) return new Date(mine).getTime() !== new Date(theirs).getTime();
+  return JSON.stringify(mine ?? null) !== JSON.stringify(theirs ?? null);
+};
+
+/**
+ * Dialog for a change refused because someone else changed the todo first
+ * Shows where the user's edit and the current todo disagree, and lets them keep the current todo
+ * or apply their change on top of it.
+ * @param {object} props
+ * @param {object|null} props.conflict - { action, id, updates?, completed?, current } from useTodos; closed while null
+ * @param {Function} props.onResolve - Called with true to apply the user's change anyway, false to keep the current todo
+ */
+function ConflictDialog({ conflict, onResolve }) {
+  const keepRef = useRef();
+  const current = conflict?.current;
+  const clashes =
+    conflict?.action === "update"
+      ? Object.keys(conflict.updates)
+          .filter((field) => field in FIELD_LABELS && differs(field, conflict.updates[field], current[field]))
+      : [];
+
+  const applyLabel = { update: "Save mine anyway", toggle: "Apply mine anyway", delete: "Delete anyway" };
+
+  return (
+    <AlertDialog isOpen={Boolean(conflict)} leastDestructiveRef={keepRef} onClose={() => onResolve(false)} size="lg">
+      <AlertDialogOverlay>
+        <AlertDialogContent data-testid="conflict-dialog">
+          <AlertDialogHeader fontSize="lg" color="gray.700">
+            Someone else changed this todo
+          </AlertDialogHeader>
+          {conflict && (
+            <AlertDialogBody>
+              <VStack spacing={3} align="stretch">
+                <Text fontSize="sm" color="gray.600">
+                  "{current.title}" was changed after you opened it (now version {current.version}).
+                </Text>
+                {conflict.action === "toggle" && (
+                  <Text fontSize="sm" color="gray.600">
+                    It is now {current.completed ? "completed" : "pending"}; you marked it{" "}
+                    {conflict.completed ? "completed" : "pending"}.
+                  </Text>
+                )}
+                {conflict.action === "delete" && (
+                  <Text fontSize="sm" color="gray.600">
+                    Deleting it would throw away their changes too.
+                  </Text>
+                )}
+                {clashes.length > 0 && (
+                  <SimpleGrid columns={3} spacingX={3} spacingY={2} fontSize="sm">
+                    <Box />
+                    <Text fontWeight="600" color="gray.500">
+                      Yours
+                    </Text>
+                    <Text fontWeight="600" color="gray.500">
+                      Theirs
+                    </Text>
+                    {clashes.map((field) => (
+                      <React.Fragment key={field}>
+                        <Text color="gray.500">{FIELD_LABELS[field]}</Text>
+                        <Text color="gray.700" noOfLines={3}>
+                          {formatValue(field, conflict.updates[field])}
+                        </Text>
+                        <Text color="gray.700" noOfLines={3}>
+                          {formatValue(field, current[field])}
+                        </Text>
+                      </React.Fragment>
+                    ))}
+                  </SimpleGrid>
+                )}
+              </VStack>
+            </AlertDialogBody>
+          )}
+          <AlertDialogFooter gap={3}>
+            <Button ref={keepRef} onClick={() => onResolve(false)} data-testid="conflict-keep">
+              Keep theirs
+            </Button>
+            <Button
+              colorScheme={conflict?.action === "delete" ? "red" : "blue"}
+              onClick={() => onResolve(true)}
+              data-testid="conflict-apply"
+            >
+              {applyLabel[conflict?.action] || "Apply mine anyway"}
+            </Button>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialogOverlay>
+    </AlertDialog>
+  );
+}
+
+export default ConflictDialog;
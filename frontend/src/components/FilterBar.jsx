@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from "react";
+import {
+  Button,
+  Flex,
+  Input,
+  Menu,
+  MenuButton,
+  MenuItemOption,
+  MenuList,
+  MenuOptionGroup,
+  Select,
+  Text,
+} from "@chakra-ui/react";
+import { IoChevronDown, IoClose } from "react-icons/io5";
+import { PRIORITY_OPTIONS } from "../utils/priority.js";
+
+/**
+ * Delay between the last keystroke in the text filter and applying it
+ */
+const CONTAINS_DEBOUNCE_MS = 300;
+
+/**
+ * Date range inputs for one timestamp field
+ * @param {object} props
+ * @param {string} props.label - Field label, e.g. "Created"
+ * @param {string} props.name - Filter name prefix, e.g. "created"
+ * @param {object} props.filters - Current filters
+ * @param {Function} props.onChange - Called with (key, value)
+ */
+function DateRange({ label, name, filters, onChange }) {
+  return (
+    <Flex align="center" gap={1}>
+      <Text fontSize="xs" color="gray.500" whiteSpace="nowrap">
+        {label}
+      </Text>
+      <Input
+        type="date"
+        size="xs"
+        w="auto"
+        value={filters[`${name}_after`]}
+        onChange={(e) => onChange(`${name}_after`, e.target.value)}
+        aria-label={`${label} from`}
+        data-testid={`filter-${name}-after`}
+      />
+      <Text fontSize="xs" color="gray.400">
+        –
+      </Text>
+      <Input
+        type="date"
+        size="xs"
+        w="auto"
+        value={filters[`${name}_before`]}
+        onChange={(e) => onChange(`${name}_before`, e.target.value)}
+        aria-label={`${label} before`}
+        data-testid={`filter-${name}-before`}
+      />
+    </Flex>
+  );
+}
+
+/**
+ * Row of filters for the todo list: status, text, priorities and created/updated date ranges
+ * @param {object} props
+ * @param {object} props.filters - Current filters, see useTodoFilters
+ * @param {number} props.activeFilterCount - Number of filters in use, to offer clearing them
+ * @param {Function} props.onChange - Called with (key, value) when a filter changes
+ * @param {Function} props.onClear - Called to reset every filter
+ */
+function FilterBar({ filters, activeFilterCount, onChange, onClear }) {
+  const [contains, setContains] = useState(filters.contains);
+
+  // Apply the text filter once typing pauses
+  useEffect(() => {
+    if (contains === filters.contains) return undefined;
+    const timer = setTimeout(() => onChange("contains", contains), CONTAINS_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [contains]);
+
+  // Follow outside resets, such as clearing all filters
+  useEffect(() => {
+    setContains(filters.contains);
+  }, [filters.contains]);
+
+  return (
+    <Flex wrap="wrap" gap={3} align="center" mb={6} data-testid="filter-bar">
+      <Select
+        size="sm"
+        w="auto"
+        borderRadius="md"
+        value={filters.completed}
+        onChange={(e) => onChange("completed", e.target.value)}
+        data-testid="filter-status"
+      >
+        <option value="">All statuses</option>
+        <option value="false">Pending</option>
+        <option value="true">Done</option>
+      </Select>
+      <Input
+        size="sm"
+        w="48"
+        borderRadius="md"
+        placeholder="Title or description contains..."
+        value={contains}
+        onChange={(e) => setContains(e.target.value)}
+        data-testid="filter-contains"
+      />
+      <Menu closeOnSelect={false}>
+        <MenuButton as={Button} size="sm" variant="outline" rightIcon={<IoChevronDown />} data-testid="filter-priority">
+          {filters.priority.length > 0 ? `Priority (${filters.priority.length})` : "Any priority"}
+        </MenuButton>
+        <MenuList minW="40">
+          <MenuOptionGroup type="checkbox" value={filters.priority} onChange={(value) => onChange("priority", value)}>
+            {PRIORITY_OPTIONS.map((priority) => (
+              <MenuItemOption key={priority.value} value={priority.value}>
+                {priority.label}
+              </MenuItemOption>
+            ))}
+          </MenuOptionGroup>
+        </MenuList>
+      </Menu>
+      <DateRange label="Created" name="created" filters={filters} onChange={onChange} />
+      <DateRange label="Updated" name="updated" filters={filters} onChange={onChange} />
+      {activeFilterCount > 0 && (
+        <Button size="sm" variant="ghost" leftIcon={<IoClose />} onClick={onClear} data-testid="filter-clear">
+          Clear filters ({activeFilterCount})
+        </Button>
+      )}
+    </Flex>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import {
+  Box,
+  VStack,
+  HStack,
+  Button,
+  Input,
+  Text,
+  Badge,
+  Card,
+  CardBody,
+  CardHeader,
+  Flex,
+  Heading,
+  IconButton,
+} from "@chakra-ui/react";
+import { IoAdd, IoTrash, IoList } from "react-icons/io5";
+
+/**
+ * Sidebar listing todo lists (projects), with list creation and deletion
+ * @param {object} props
+ * @param {Array} props.lists - Lists with todo counts
+ * @param {number|null} props.activeListId - Currently selected list
+ * @param {(id: number) => void} props.onSelect - Called when a list is picked
+ * @param {(name: string) => void} props.onCreate - Called with the name of a new list
+ * @param {(id: number) => void} props.onDelete - Called to delete a list
+ * @param {boolean} props.isCreating - Whether a list is being created
+ */
+function ListSidebar({ lists, activeListId, onSelect, onCreate, onDelete, isCreating }) {
+  const [newListName, setNewListName] = useState("");
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    onCreate(newListName.trim());
+    setNewListName("");
+  };
+
+  return (
+    <Card w="100%" bg="white" shadow="sm" border="1px" borderColor="gray.200" borderRadius="lg" data-testid="list-sidebar">
+      <CardHeader bg="gray.50" borderTopRadius="lg" borderBottom="1px" borderColor="gray.200">
+        <Flex align="center" gap={3}>
+          <Box w={3} h={3} bg="purple.500" borderRadius="full" />
+          <Heading size="md" color="gray.700" fontWeight="600">
+            Lists
+          </Heading>
+        </Flex>
+      </CardHeader>
+      <CardBody p={4}>
+        <VStack spacing={1} align="stretch">
+          {lists.map((list) => (
+            <HStack key={list.id} spacing={1}>
+              <Button
+                flex={1}
+                justifyContent="space-between"
+                variant={list.id === activeListId ? "solid" : "ghost"}
+                colorScheme={list.id === activeListId ? "blue" : "gray"}
+                size="sm"
+                leftIcon={<IoList />}
+                onClick={() => onSelect(list.id)}
+                data-testid={`list-${list.id}`}
+              >
+                <Text flex={1} textAlign="left" noOfLines={1}>
+                  {list.name}
+                </Text>
+                <Badge ml={2} borderRadius="full" colorScheme={list.id === activeListId ? "whiteAlpha" : "gray"}>
+                  {list.pending_count}
+                </Badge>
+              </Button>
+              {!list.is_default && (
+                <IconButton
+                  icon={<IoTrash />}
+                  colorScheme="red"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDelete(list.id)}
+                  data-testid={`delete-list-${list.id}`}
+                  aria-label={`Delete list ${list.name}`}
+                />
+              )}
+            </HStack>
+          ))}
+        </VStack>
+        <form onSubmit={handleCreate}>
+          <HStack mt={4} spacing={2}>
+            <Input
+              placeholder="New list..."
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              data-testid="new-list-input"
+              size="sm"
+              borderRadius="md"
+              bg="white"
+              border="2px"
+              borderColor="gray.200"
+              focusBorderColor="blue.500"
+              color="gray.800"
+              _placeholder={{ color: "gray.400" }}
+            />
+            <IconButton
+              type="submit"
+              icon={<IoAdd />}
+              colorScheme="blue"
+              size="sm"
+              isLoading={isCreating}
+              data-testid="create-list-btn"
+              aria-label="Create list"
+            />
+          </HStack>
+        </form>
+      </CardBody>
+    </Card>
+  );
+}
+
+export default ListSidebar;
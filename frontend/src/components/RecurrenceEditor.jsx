@@ -0,0 +1,132 @@
+import React from "react";
+import {
+  VStack,
+  HStack,
+  Select,
+  Text,
+  Button,
+  ButtonGroup,
+  NumberInput,
+  NumberInputField,
+  NumberInputStepper,
+  NumberIncrementStepper,
+  NumberDecrementStepper,
+} from "@chakra-ui/react";
+import { IoRepeat } from "react-icons/io5";
+import {
+  WEEKDAYS,
+  FREQUENCY_OPTIONS,
+  parseRecurrence,
+  buildRecurrence,
+  describeRecurrence,
+} from "../utils/recurrence.js";
+
+/**
+ * Editor for a todo's recurrence rule, with a plain-English summary
+ * @param {object} props
+ * @param {string|null} props.value - Current RRULE, or null when the todo does not repeat
+ * @param {(rule: string|null) => void} props.onChange - Called with the new RRULE
+ * @param {string} [props.testId="recurrence"] - Prefix for the data-testid attributes
+ */
+function RecurrenceEditor({ value, onChange, testId = "recurrence" }) {
+  const fields = parseRecurrence(value);
+  const update = (changes) => onChange(buildRecurrence({ ...fields, ...changes }));
+
+  const toggleDay = (code) => {
+    const byDay = fields.byDay.includes(code)
+      ? fields.byDay.filter((day) => day !== code)
+      : [...fields.byDay, code];
+    update({ byDay });
+  };
+
+  return (
+    <VStack spacing={2} align="stretch">
+      <HStack spacing={2}>
+        <Select
+          value={fields.freq}
+          onChange={(e) => update({ freq: e.target.value, byDay: [], byMonthDay: null })}
+          data-testid={`${testId}-frequency`}
+          size="md"
+          maxW="48"
+          borderRadius="md"
+          bg="white"
+          border="2px"
+          borderColor="blue.200"
+          color="gray.800"
+          focusBorderColor="blue.500"
+        >
+          {FREQUENCY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+        {fields.freq && (
+          <>
+            <Text fontSize="sm" color="gray.600">
+              every
+            </Text>
+            <NumberInput
+              value={fields.interval}
+              min={1}
+              max={365}
+              onChange={(_, interval) => update({ interval: Number.isNaN(interval) ? 1 : interval })}
+              size="md"
+              maxW="24"
+              data-testid={`${testId}-interval`}
+            >
+              <NumberInputField borderRadius="md" bg="white" color="gray.800" />
+              <NumberInputStepper>
+                <NumberIncrementStepper />
+                <NumberDecrementStepper />
+              </NumberInputStepper>
+            </NumberInput>
+          </>
+        )}
+        {fields.freq === "MONTHLY" && (
+          <Select
+            value={fields.byMonthDay ?? ""}
+            onChange={(e) => update({ byMonthDay: e.target.value ? Number(e.target.value) : null })}
+            data-testid={`${testId}-month-day`}
+            size="md"
+            maxW="40"
+            borderRadius="md"
+            bg="white"
+            color="gray.800"
+          >
+            <option value="">Same day</option>
+            {Array.from({ length: 31 }, (_, index) => index + 1).map((day) => (
+              <option key={day} value={day}>
+                Day {day}
+              </option>
+            ))}
+            <option value={-1}>Last day</option>
+          </Select>
+        )}
+      </HStack>
+      {fields.freq === "WEEKLY" && (
+        <ButtonGroup size="xs" isAttached variant="outline" data-testid={`${testId}-weekdays`}>
+          {WEEKDAYS.map((day) => (
+            <Button
+              key={day.code}
+              colorScheme={fields.byDay.includes(day.code) ? "blue" : "gray"}
+              variant={fields.byDay.includes(day.code) ? "solid" : "outline"}
+              onClick={() => toggleDay(day.code)}
+              data-testid={`${testId}-day-${day.code}`}
+            >
+              {day.short}
+            </Button>
+          ))}
+        </ButtonGroup>
+      )}
+      {value && (
+        <HStack spacing={1} color="purple.600" fontSize="sm" data-testid={`${testId}-summary`}>
+          <IoRepeat />
+          <Text>{describeRecurrence(value)}</Text>
+        </HStack>
+      )}
+    </VStack>
+  );
+}
+
+export default RecurrenceEditor;
@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { Box, Button, HStack, Spinner, Text, Tooltip, VStack } from "@chakra-ui/react";
+import { IoArrowUndo, IoGitCompare } from "react-icons/io5";
+import useRevisions, { useRevisionDiff } from "../hooks/useRevisions.js";
+import { getPriority } from "../utils/priority.js";
+import { describeRecurrence } from "../utils/recurrence.js";
+import { formatDateTime, formatRelativeTime } from "../utils/dateFormat.js";
+
+/**
+ * Labels of the fields a revision keeps
+ */
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  priority: "Priority",
+  due_at: "Due",
+  recurrence: "Repeats",
+  auto_complete: "Auto-complete",
+  tags: "Tags",
+};
+
+/**
+ * Show a field value that has no word-level diff
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatValue = (field, value) => {
+  if (value === null || (Array.isArray(value) && value.length === 0)) return "none";
+  if (field === "priority") return getPriority(value).label;
+  if (field === "due_at") return formatDateTime(value);
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "tags") return value.map((tag) => `#${tag}`).join(" ");
+  if (field === "auto_complete") return value ? "on" : "off";
+  return String(value);
+};
+
+/**
+ * What changed between a revision and the current version, text fields shown word by word
+ * @param {object} props
+ * @param {number} props.todoId - Todo the revision belongs to
+ * @param {number} props.rev - Revision number
+ */
+function RevisionChanges({ todoId, rev }) {
+  const { changes, isLoading } = useRevisionDiff(todoId, rev);
+
+  if (isLoading) return <Spinner size="xs" color="blue.500" />;
+  if (changes.length === 0) {
+    return (
+      <Text fontSize="xs" color="gray.500">
+        Same as the current version
+      </Text>
+    );
+  }
+
+  return (
+    <VStack spacing={2} align="stretch" data-testid={`revision-diff-${rev}`}>
+      {changes.map((change) => (
+        <Box key={change.field} fontSize="sm">
+          <Text fontSize="xs" fontWeight="600" color="gray.500">
+            {FIELD_LABELS[change.field] || change.field}
+          </Text>
+          {change.diff ? (
+            <Text color="gray.700" whiteSpace="pre-wrap">
+              {change.diff.map((part, index) => (
+                <Text
+                  key={index}
+                  as="span"
+                  bg={part.type === "insert" ? "green.100" : part.type === "delete" ? "red.100" : undefined}
+                  textDecoration={part.type === "delete" ? "line-through" : undefined}
+                >
+                  {part.text}
+                </Text>
+              ))}
+            </Text>
+          ) : (
+            <Text color="gray.700">
+              <Text as="span" bg="red.100" textDecoration="line-through">
+                {formatValue(change.field, change.before)}
+              </Text>{" "}
+              →{" "}
+              <Text as="span" bg="green.100">
+                {formatValue(change.field, change.after)}
+              </Text>
+            </Text>
+          )}
+        </Box>
+      ))}
+    </VStack>
+  );
+}
+
+/**
+ * Timeline of a todo's earlier versions, newest first, each comparable with the current version
+ * and restorable
+ * @param {object} props
+ * @param {number} props.todoId - Todo whose history is shown
+ */
+function RevisionTimeline({ todoId }) {
+  const { revisions, isLoading, restoreRevision, isRestoring } = useRevisions(todoId);
+  const [openRev, setOpenRev] = useState(null);
+
+  if (isLoading) return <Spinner size="sm" color="blue.500" />;
+  if (revisions.length === 0) {
+    return (
+      <Text fontSize="sm" color="gray.500">
+        No earlier versions
+      </Text>
+    );
+  }
+
+  return (
+    <VStack spacing={0} align="stretch" data-testid={`revisions-${todoId}`}>
+      {revisions.map((revision) => (
+        <Box
+          key={revision.rev}
+          pl={4}
+          pb={4}
+          borderLeftWidth="2px"
+          borderColor="gray.200"
+          position="relative"
+          data-testid={`revision-${revision.rev}`}
+        >
+          <Box position="absolute" left="-5px" top="6px" w="8px" h="8px" borderRadius="full" bg="blue.300" />
+          <HStack justify="space-between" mb={1}>
+            <HStack spacing={2}>
+              <Text fontSize="sm" fontWeight="600" color="gray.700">
+                Version {revision.rev}
+              </Text>
+              <Tooltip label={`Replaced ${formatDateTime(revision.replaced_at)}`} hasArrow>
+                <Text fontSize="xs" color="gray.400">
+                  {formatRelativeTime(revision.updated_at)}
+                </Text>
+              </Tooltip>
+            </HStack>
+            <HStack spacing={1}>
+              <Button
+                size="xs"
+                variant={openRev === revision.rev ? "solid" : "ghost"}
+                leftIcon={<IoGitCompare />}
+                onClick={() => setOpenRev(openRev === revision.rev ? null : revision.rev)}
+                data-testid={`revision-compare-${revision.rev}`}
+              >
+                Changes
+              </Button>
+              <Button
+                size="xs"
+                variant="ghost"
+                colorScheme="blue"
+                leftIcon={<IoArrowUndo />}
+                onClick={() => restoreRevision(revision.rev, { onSuccess: () => setOpenRev(null) })}
+                isDisabled={isRestoring}
+                data-testid={`revision-restore-${revision.rev}`}
+              >
+                Restore
+              </Button>
+            </HStack>
+          </HStack>
+          <Text fontSize="sm" color="gray.600" noOfLines={1}>
+            {revision.title}
+          </Text>
+          {openRev === revision.rev && (
+            <Box mt={2} p={2} bg="gray.50" borderRadius="md">
+              <RevisionChanges todoId={todoId} rev={revision.rev} />
+            </Box>
+          )}
+        </Box>
+      ))}
+    </VStack>
+  );
+}
+
+export default RevisionTimeline;
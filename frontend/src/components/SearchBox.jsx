@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Input,
+  InputGroup,
+  InputLeftElement,
+  InputRightElement,
+  List,
+  ListItem,
+  Spinner,
+  Text,
+} from "@chakra-ui/react";
+import { IoSearch } from "react-icons/io5";
+import useTodoSearch from "../hooks/useTodoSearch.js";
+
+/**
+ * Render server highlights, where matches come wrapped in <mark> tags, as text
+ * The markers are split out rather than parsed as HTML, so todo text is never injected into the page.
+ * @param {object} props
+ * @param {string} props.text - Highlighted text
+ */
+function HighlightedText({ text }) {
+  return text.split(/(<mark>.*?<\/mark>)/g).map((part, index) =>
+    part.startsWith("<mark>") ? (
+      <Box as="mark" key={index} bg="yellow.100" borderRadius="sm" px="1px">
+        {part.slice("<mark>".length, -"</mark>".length)}
+      </Box>
+    ) : (
+      part
+    )
+  );
+}
+
+/**
+ * Header search box with a dropdown of matching todos
+ * @param {object} props
+ * @param {(todo: object) => void} props.onSelect - Called with the picked todo
+ */
+function SearchBox({ onSelect }) {
+  const [text, setText] = useState("");
+  const { results, isSearching } = useTodoSearch(text);
+  const isOpen = text.trim() !== "";
+
+  const handleSelect = (todo) => {
+    setText("");
+    onSelect(todo);
+  };
+
+  return (
+    <Box position="relative" w={{ base: "48", md: "72" }}>
+      <InputGroup size="sm">
+        <InputLeftElement pointerEvents="none" color="gray.400">
+          <IoSearch />
+        </InputLeftElement>
+        <Input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setText("");
+            if (e.key === "Enter" && results.length > 0) handleSelect(results[0]);
+          }}
+          placeholder="Search todos..."
+          borderRadius="full"
+          data-testid="search-input"
+        />
+        {isSearching && (
+          <InputRightElement>
+            <Spinner size="xs" color="gray.400" />
+          </InputRightElement>
+        )}
+      </InputGroup>
+      {isOpen && (
+        <List
+          position="absolute"
+          top="100%"
+          left={0}
+          right={0}
+          mt={1}
+          zIndex="dropdown"
+          bg="white"
+          borderWidth="1px"
+          borderColor="gray.200"
+          borderRadius="md"
+          shadow="lg"
+          maxH="80"
+          overflowY="auto"
+          data-testid="search-results"
+        >
+          {results.length === 0 && !isSearching && (
+            <ListItem px={3} py={2} fontSize="sm" color="gray.500">
+              No matching todos
+            </ListItem>
+          )}
+          {results.map((todo) => (
+            <ListItem
+              key={todo.id}
+              px={3}
+              py={2}
+              cursor="pointer"
+              _hover={{ bg: "blue.50" }}
+              onClick={() => handleSelect(todo)}
+              data-testid={`search-result-${todo.id}`}
+            >
+              <Text
+                fontSize="sm"
+                fontWeight="600"
+                color={todo.completed ? "gray.400" : "gray.700"}
+                textDecoration={todo.completed ? "line-through" : "none"}
+              >
+                <HighlightedText text={todo.highlight.title} />
+              </Text>
+              {todo.highlight.description && (
+                <Text fontSize="xs" color="gray.500" noOfLines={2}>
+                  <HighlightedText text={todo.highlight.description} />
+                </Text>
+              )}
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+}
+
+export default SearchBox;
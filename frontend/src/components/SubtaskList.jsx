@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import {
+  Box,
+  VStack,
+  HStack,
+  Input,
+  Text,
+  Checkbox,
+  IconButton,
+  Switch,
+  FormControl,
+  FormLabel,
+  Collapse,
+  Spinner,
+} from "@chakra-ui/react";
+import { IoAdd, IoTrash, IoChevronDown, IoChevronForward } from "react-icons/io5";
+import useSubtasks from "../hooks/useSubtasks.js";
+import SubtaskProgress from "./SubtaskProgress.jsx";
+
+/**
+ * Deepest nesting level; matches TODO_MAX_DEPTH on the server
+ */
+const MAX_SUBTASK_DEPTH = 3;
+
+/**
+ * One subtask row with inline title editing and, below the depth limit, its own subtasks
+ * @param {object} props
+ * @param {object} props.subtask - The subtask todo
+ * @param {number} props.depth - Nesting level of the subtask (top-level todos are 1)
+ * @param {Function} props.onToggle - Called with the subtask ID to toggle completion
+ * @param {Function} props.onRename - Called with the subtask ID and new title
+ * @param {Function} props.onDelete - Called with the subtask ID to delete it
+ */
+function SubtaskItem({ subtask, depth, onToggle, onRename, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [title, setTitle] = useState(subtask.title);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const canNest = depth < MAX_SUBTASK_DEPTH;
+
+  const handleSave = () => {
+    setIsEditing(false);
+    if (title.trim() && title.trim() !== subtask.title) {
+      onRename(subtask.id, title.trim());
+    } else {
+      setTitle(subtask.title);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") handleSave();
+    if (e.key === "Escape") {
+      setTitle(subtask.title);
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <Box data-testid={`subtask-${subtask.id}`}>
+      <HStack spacing={2}>
+        {canNest ? (
+          <IconButton
+            icon={isExpanded ? <IoChevronDown /> : <IoChevronForward />}
+            variant="ghost"
+            size="xs"
+            onClick={() => setIsExpanded(!isExpanded)}
+            data-testid={`expand-subtask-${subtask.id}`}
+            aria-label={isExpanded ? "Hide subtasks" : "Show subtasks"}
+          />
+        ) : (
+          <Box w={6} />
+        )}
+        <Checkbox
+          isChecked={subtask.completed}
+          onChange={() => onToggle(subtask.id)}
+          colorScheme="green"
+          borderColor="gray.400"
+          data-testid={`toggle-subtask-${subtask.id}`}
+        />
+        {isEditing ? (
+          <Input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            onBlur={handleSave}
+            onKeyDown={handleKeyDown}
+            size="sm"
+            autoFocus
+            color="gray.800"
+            data-testid={`edit-subtask-${subtask.id}`}
+          />
+        ) : (
+          <Text
+            flex={1}
+            fontSize="sm"
+            cursor="text"
+            color={subtask.completed ? "gray.400" : "gray.700"}
+            textDecoration={subtask.completed ? "line-through" : "none"}
+            onClick={() => setIsEditing(true)}
+            data-testid={`subtask-title-${subtask.id}`}
+          >
+            {subtask.title}
+          </Text>
+        )}
+        <SubtaskProgress todo={subtask} />
+        <IconButton
+          icon={<IoTrash />}
+          colorScheme="red"
+          variant="ghost"
+          size="xs"
+          onClick={() => onDelete(subtask.id)}
+          data-testid={`delete-subtask-${subtask.id}`}
+          aria-label="Delete subtask"
+        />
+      </HStack>
+      {canNest && (
+        <Collapse in={isExpanded} animateOpacity>
+          <Box pl={8} pt={2}>
+            {isExpanded && <SubtaskList parent={subtask} depth={depth} />}
+          </Box>
+        </Collapse>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Inline checklist of a todo's subtasks with add, edit, toggle and delete
+ * @param {object} props
+ * @param {object} props.parent - The parent todo
+ * @param {number} [props.depth=1] - Nesting level of the parent (top-level todos are 1)
+ */
+function SubtaskList({ parent, depth = 1 }) {
+  const [newTitle, setNewTitle] = useState("");
+  const {
+    subtasks,
+    isLoading,
+    createSubtask,
+    updateSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    isCreating,
+  } = useSubtasks(parent.id);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    createSubtask(newTitle.trim());
+    setNewTitle("");
+  };
+
+  return (
+    <VStack spacing={2} align="stretch" data-testid={`subtasks-${parent.id}`}>
+      {isLoading && <Spinner size="sm" color="blue.500" />}
+      {subtasks.map((subtask) => (
+        <SubtaskItem
+          key={subtask.id}
+          subtask={subtask}
+          depth={depth + 1}
+          onToggle={toggleSubtask}
+          onRename={(id, title) => updateSubtask({ id, updates: { title } })}
+          onDelete={deleteSubtask}
+        />
+      ))}
+      <form onSubmit={handleCreate}>
+        <HStack spacing={2}>
+          <Input
+            placeholder="Add a subtask..."
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            size="sm"
+            borderRadius="md"
+            color="gray.800"
+            _placeholder={{ color: "gray.400" }}
+            data-testid={`new-subtask-${parent.id}`}
+          />
+          <IconButton
+            type="submit"
+            icon={<IoAdd />}
+            colorScheme="blue"
+            size="sm"
+            isLoading={isCreating}
+            data-testid={`add-subtask-${parent.id}`}
+            aria-label="Add subtask"
+          />
+        </HStack>
+      </form>
+      {subtasks.length > 0 && (
+        <FormControl display="flex" alignItems="center">
+          <Switch
+            id={`auto-complete-${parent.id}`}
+            size="sm"
+            colorScheme="green"
+            isChecked={parent.auto_complete}
+            onChange={(e) => updateSubtask({ id: parent.id, updates: { auto_complete: e.target.checked } })}
+            data-testid={`auto-complete-${parent.id}`}
+          />
+          <FormLabel htmlFor={`auto-complete-${parent.id}`} mb={0} ml={2} fontSize="xs" color="gray.500">
+            Complete automatically when all subtasks are done
+          </FormLabel>
+        </FormControl>
+      )}
+    </VStack>
+  );
+}
+
+export default SubtaskList;
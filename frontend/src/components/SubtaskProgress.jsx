@@ -0,0 +1,25 @@
+import React from "react";
+import { Badge } from "@chakra-ui/react";
+
+/**
+ * "x/y" badge showing how many of a todo's subtasks are done
+ * @param {object} props
+ * @param {object} props.todo - Todo with subtask_count and completed_subtask_count
+ */
+function SubtaskProgress({ todo }) {
+  if (!todo.subtask_count) return null;
+
+  const done = todo.completed_subtask_count === todo.subtask_count;
+  return (
+    <Badge
+      colorScheme={done ? "green" : "gray"}
+      variant="subtle"
+      borderRadius="full"
+      data-testid={`subtask-progress-${todo.id}`}
+    >
+      {todo.completed_subtask_count}/{todo.subtask_count}
+    </Badge>
+  );
+}
+
+export default SubtaskProgress;
@@ -0,0 +1,97 @@
+import React from "react";
+import {
+  Drawer,
+  DrawerOverlay,
+  DrawerContent,
+  DrawerHeader,
+  DrawerBody,
+  DrawerCloseButton,
+  VStack,
+  Text,
+  Badge,
+  Wrap,
+  WrapItem,
+  Divider,
+  Heading,
+} from "@chakra-ui/react";
+import CommentThread from "./CommentThread.jsx";
+import RevisionTimeline from "./RevisionTimeline.jsx";
+import { getPriority } from "../utils/priority.js";
+import { describeRecurrence } from "../utils/recurrence.js";
+import { formatDateTime } from "../utils/dateFormat.js";
+
+/**
+ * Side panel with the details of one todo, its comment thread and its revision history
+ * @param {object} props
+ * @param {object|null} props.todo - Todo to show; the panel is closed while null
+ * @param {Function} props.onClose - Called to close the panel
+ */
+function TodoDetailPanel({ todo, onClose }) {
+  const priority = todo ? getPriority(todo.priority) : null;
+
+  return (
+    <Drawer isOpen={Boolean(todo)} placement="right" onClose={onClose} size="md">
+      <DrawerOverlay />
+      <DrawerContent data-testid="todo-detail-panel">
+        <DrawerCloseButton />
+        {todo && (
+          <>
+            <DrawerHeader borderBottomWidth="1px" color="gray.700" pr={12}>
+              {todo.title}
+            </DrawerHeader>
+            <DrawerBody>
+              <VStack spacing={4} align="stretch" py={2}>
+                {todo.description && (
+                  <Text color="gray.600" whiteSpace="pre-wrap">
+                    {todo.description}
+                  </Text>
+                )}
+                <Wrap spacing={2}>
+                  <WrapItem>
+                    <Badge colorScheme={todo.completed ? "green" : "orange"}>
+                      {todo.completed ? "Completed" : "Pending"}
+                    </Badge>
+                  </WrapItem>
+                  {todo.priority !== "none" && (
+                    <WrapItem>
+                      <Badge colorScheme={priority.colorScheme}>{priority.label}</Badge>
+                    </WrapItem>
+                  )}
+                  {todo.recurrence && (
+                    <WrapItem>
+                      <Badge colorScheme="purple">{describeRecurrence(todo.recurrence)}</Badge>
+                    </WrapItem>
+                  )}
+                  {todo.tags.map((tag) => (
+                    <WrapItem key={tag}>
+                      <Badge variant="outline" colorScheme="blue">
+                        #{tag}
+                      </Badge>
+                    </WrapItem>
+                  ))}
+                </Wrap>
+                <VStack spacing={1} align="stretch" fontSize="xs" color="gray.500">
+                  <Text>Created {formatDateTime(todo.created_at)}</Text>
+                  {todo.due_at && <Text>Due {formatDateTime(todo.due_at)}</Text>}
+                  {todo.completed_at && <Text>Completed {formatDateTime(todo.completed_at)}</Text>}
+                </VStack>
+                <Divider />
+                <Heading as="h3" size="sm" color="gray.700">
+                  Comments ({todo.comment_count})
+                </Heading>
+                <CommentThread todoId={todo.id} />
+                <Divider />
+                <Heading as="h3" size="sm" color="gray.700">
+                  History
+                </Heading>
+                <RevisionTimeline todoId={todo.id} />
+              </VStack>
+            </DrawerBody>
+          </>
+        )}
+      </DrawerContent>
+    </Drawer>
+  );
+}
+
+export default TodoDetailPanel;
@@ -0,0 +1,108 @@
+import React from "react";
+import {
+  Drawer,
+  DrawerOverlay,
+  DrawerContent,
+  DrawerHeader,
+  DrawerBody,
+  DrawerFooter,
+  DrawerCloseButton,
+  VStack,
+  HStack,
+  Box,
+  Text,
+  Button,
+  IconButton,
+  Spinner,
+  Tooltip,
+} from "@chakra-ui/react";
+import { IoArrowUndo, IoTrash } from "react-icons/io5";
+import useTrash from "../hooks/useTrash.js";
+import { formatRelativeTime, formatDateTime } from "../utils/dateFormat.js";
+
+/**
+ * Side drawer listing deleted todos, with restore, permanent delete and empty trash
+ * @param {object} props
+ * @param {boolean} props.isOpen - Whether the drawer is open
+ * @param {Function} props.onClose - Called to close the drawer
+ */
+function TrashDrawer({ isOpen, onClose }) {
+  const { trash, isLoading, restoreTodo, deletePermanently, emptyTrash, isEmptying } = useTrash({ enabled: isOpen });
+
+  return (
+    <Drawer isOpen={isOpen} placement="right" onClose={onClose} size="md">
+      <DrawerOverlay />
+      <DrawerContent data-testid="trash-drawer">
+        <DrawerCloseButton />
+        <DrawerHeader borderBottomWidth="1px" color="gray.700">
+          Trash
+        </DrawerHeader>
+        <DrawerBody>
+          {isLoading && <Spinner color="blue.500" />}
+          {!isLoading && trash.length === 0 && (
+            <Text color="gray.500" textAlign="center" py={8} data-testid="trash-empty">
+              The trash is empty
+            </Text>
+          )}
+          <VStack spacing={3} align="stretch">
+            {trash.map((todo) => (
+              <HStack
+                key={todo.id}
+                p={3}
+                border="1px"
+                borderColor="gray.200"
+                borderRadius="md"
+                data-testid={`trash-${todo.id}`}
+              >
+                <Box flex={1}>
+                  <Text fontWeight="600" color="gray.700">
+                    {todo.title}
+                  </Text>
+                  <Tooltip label={formatDateTime(todo.deleted_at)} hasArrow>
+                    <Text fontSize="xs" color="gray.400">
+                      Deleted {formatRelativeTime(todo.deleted_at)}
+                      {todo.subtask_count > 0 && ` with ${todo.subtask_count} subtask(s)`}
+                    </Text>
+                  </Tooltip>
+                </Box>
+                <IconButton
+                  icon={<IoArrowUndo />}
+                  colorScheme="blue"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => restoreTodo(todo.id)}
+                  data-testid={`restore-${todo.id}`}
+                  aria-label="Restore todo"
+                />
+                <IconButton
+                  icon={<IoTrash />}
+                  colorScheme="red"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => deletePermanently(todo.id)}
+                  data-testid={`delete-forever-${todo.id}`}
+                  aria-label="Delete forever"
+                />
+              </HStack>
+            ))}
+          </VStack>
+        </DrawerBody>
+        <DrawerFooter borderTopWidth="1px">
+          <Button
+            colorScheme="red"
+            variant="outline"
+            size="sm"
+            onClick={() => emptyTrash()}
+            isDisabled={trash.length === 0}
+            isLoading={isEmptying}
+            data-testid="empty-trash-btn"
+          >
+            Empty trash
+          </Button>
+        </DrawerFooter>
+      </DrawerContent>
+    </Drawer>
+  );
+}
+
+export default TrashDrawer;
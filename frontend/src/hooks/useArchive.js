@@ -0,0 +1,98 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import TodoService from "../services/TodoService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for archived todos with React Query integration
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch the archived todos (only needed while they are shown)
+ */
+const useArchive = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const todoService = new TodoService();
+
+  // Query for fetching the archived todos; lives under "todos" so todo mutations refresh it
+  const archiveQuery = useQuery({
+    queryKey: ["todos", "archived"],
+    queryFn: () => todoService.fetchTodos({ archived: true, top_level: true }),
+    enabled,
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["todos"] });
+    queryClient.invalidateQueries({ queryKey: ["lists"] });
+  };
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for taking a todo out of the archive
+  const unarchiveMutation = useMutation({
+    mutationFn: (id) => todoService.unarchiveTodo(id),
+    onSuccess: refresh,
+    onError: showError,
+  });
+
+  // Mutation for archiving a single completed todo
+  const archiveMutation = useMutation({
+    mutationFn: (id) => todoService.archiveTodo(id),
+    onSuccess: (todo) => {
+      refresh();
+      styledToast({
+        title: "Todo archived",
+        description: `"${todo.title}" moved to the archive`,
+        status: "info",
+        duration: 5000,
+        isClosable: true,
+        action: {
+          label: "Undo",
+          onClick: () => unarchiveMutation.mutate(todo.id),
+        },
+      });
+    },
+    onError: showError,
+  });
+
+  // Mutation for archiving every completed todo, optionally in one list
+  const archiveCompletedMutation = useMutation({
+    mutationFn: (options) => todoService.archiveCompleted(options),
+    onSuccess: (result) => {
+      refresh();
+      styledToast({
+        title: "Completed todos archived",
+        description: result.message,
+        status: "info",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  return {
+    // Data
+    archived: archiveQuery.data || [],
+    isLoading: archiveQuery.isLoading,
+    error: archiveQuery.error,
+
+    // Mutations
+    archiveTodo: archiveMutation.mutate,
+    unarchiveTodo: unarchiveMutation.mutate,
+    archiveCompleted: archiveCompletedMutation.mutate,
+
+    // Mutation states
+    isArchiving: archiveMutation.isPending || archiveCompletedMutation.isPending,
+  };
+};
+
+export default useArchive;
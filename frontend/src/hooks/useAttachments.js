@@ -0,0 +1,66 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import AttachmentService from "../services/AttachmentService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for uploading and removing todo attachments with React Query integration
+ * Attachment lists are part of the todo payload, so every change refreshes the todos.
+ */
+const useAttachments = () => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const attachmentService = new AttachmentService();
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ["todos"] });
+  };
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for uploading a file
+  const uploadAttachmentMutation = useMutation({
+    mutationFn: ({ todoId, file }) => attachmentService.uploadAttachment(todoId, file),
+    onSuccess: (attachment) => {
+      invalidate();
+      styledToast({
+        title: "File attached",
+        description: attachment.filename,
+        status: "success",
+        duration: 2000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  // Mutation for deleting an attachment
+  const deleteAttachmentMutation = useMutation({
+    mutationFn: (id) => attachmentService.deleteAttachment(id),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  return {
+    // Mutations
+    uploadAttachment: uploadAttachmentMutation.mutate,
+    deleteAttachment: deleteAttachmentMutation.mutate,
+
+    // Helpers
+    downloadUrl: (id) => attachmentService.downloadUrl(id),
+
+    // Mutation states
+    isUploading: uploadAttachmentMutation.isPending,
+  };
+};
+
+export default useAttachments;
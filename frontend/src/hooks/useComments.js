@@ -0,0 +1,78 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import CommentService from "../services/CommentService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for the comment thread of one todo with React Query integration
+ * @param {number} todoId - Todo ID
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch only while the thread is shown
+ */
+const useComments = (todoId, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const commentService = new CommentService();
+
+  // Query for fetching the thread
+  const commentsQuery = useQuery({
+    queryKey: ["comments", todoId],
+    queryFn: () => commentService.fetchComments(todoId),
+    enabled: enabled && Boolean(todoId),
+  });
+
+  // Comment counts are part of the todo payload
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ["comments", todoId] });
+    queryClient.invalidateQueries({ queryKey: ["todos"] });
+  };
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for posting a comment
+  const createCommentMutation = useMutation({
+    mutationFn: ({ body, author }) => commentService.createComment(todoId, body, author),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  // Mutation for editing a comment
+  const updateCommentMutation = useMutation({
+    mutationFn: ({ id, body }) => commentService.updateComment(todoId, id, body),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  // Mutation for deleting a comment
+  const deleteCommentMutation = useMutation({
+    mutationFn: (id) => commentService.deleteComment(todoId, id),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  return {
+    // Data
+    comments: commentsQuery.data || [],
+    isLoading: commentsQuery.isLoading,
+    error: commentsQuery.error,
+
+    // Mutations
+    createComment: createCommentMutation.mutate,
+    updateComment: updateCommentMutation.mutate,
+    deleteComment: deleteCommentMutation.mutate,
+
+    // Mutation states
+    isPosting: createCommentMutation.isPending,
+  };
+};
+
+export default useComments;
@@ -0,0 +1,92 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import ListService from "../services/ListService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for todo list (project) operations with React Query integration
+ */
+const useLists = () => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const listService = new ListService();
+
+  // Query for fetching all lists
+  const listsQuery = useQuery({
+    queryKey: ["lists"],
+    queryFn: () => listService.fetchLists(),
+  });
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for creating a list
+  const createListMutation = useMutation({
+    mutationFn: (name) => listService.createList(name),
+    onSuccess: (list) => {
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      styledToast({
+        title: "List created",
+        description: `"${list.name}" is ready for todos`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  // Mutation for renaming a list
+  const updateListMutation = useMutation({
+    mutationFn: ({ id, name }) => listService.updateList(id, name),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+    },
+    onError: showError,
+  });
+
+  // Mutation for deleting a list
+  const deleteListMutation = useMutation({
+    mutationFn: (id) => listService.deleteList(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+      styledToast({
+        title: "List deleted",
+        description: "Its todos were moved to the default list",
+        status: "info",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  const lists = listsQuery.data || [];
+
+  return {
+    // Data
+    lists,
+    defaultList: lists.find((list) => list.is_default) || null,
+    isLoading: listsQuery.isLoading,
+    error: listsQuery.error,
+
+    // Mutations
+    createList: createListMutation.mutate,
+    updateList: updateListMutation.mutate,
+    deleteList: deleteListMutation.mutate,
+
+    // Mutation states
+    isCreating: createListMutation.isPending,
+  };
+};
+
+export default useLists;
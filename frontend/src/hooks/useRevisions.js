@@ -0,0 +1,87 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import RevisionService from "../services/RevisionService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for the revision history of one todo with React Query integration
+ * Revisions live under the todo's query key, so any todo change refreshes them.
+ * @param {number} todoId - Todo ID
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch only while the history is shown
+ */
+const useRevisions = (todoId, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const revisionService = new RevisionService();
+
+  // Query for fetching the revisions
+  const revisionsQuery = useQuery({
+    queryKey: ["todos", todoId, "revisions"],
+    queryFn: () => revisionService.fetchRevisions(todoId),
+    enabled: enabled && Boolean(todoId),
+  });
+
+  // Mutation for restoring a revision
+  const restoreRevisionMutation = useMutation({
+    mutationFn: (rev) => revisionService.restoreRevision(todoId, rev),
+    onSuccess: (todo, rev) => {
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      styledToast({
+        title: `Restored version ${rev}`,
+        description: todo.title,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: (error) => {
+      styledToast({
+        title: "Error",
+        description: error.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    },
+  });
+
+  return {
+    // Data
+    revisions: revisionsQuery.data || [],
+    isLoading: revisionsQuery.isLoading,
+    error: revisionsQuery.error,
+
+    // Mutations
+    restoreRevision: restoreRevisionMutation.mutate,
+
+    // Mutation states
+    isRestoring: restoreRevisionMutation.isPending,
+  };
+};
+
+/**
+ * Custom hook for the differences between a revision and the current version of its todo
+ * @param {number} todoId - Todo ID
+ * @param {number} rev - Revision number
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch only while the diff is shown
+ */
+export const useRevisionDiff = (todoId, rev, { enabled = true } = {}) => {
+  const revisionService = new RevisionService();
+
+  const diffQuery = useQuery({
+    queryKey: ["todos", todoId, "revisions", rev, "diff"],
+    queryFn: () => revisionService.fetchRevisionDiff(todoId, rev),
+    enabled,
+  });
+
+  return {
+    changes: diffQuery.data?.changes || [],
+    isLoading: diffQuery.isLoading,
+  };
+};
+
+export default useRevisions;
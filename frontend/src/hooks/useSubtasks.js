@@ -0,0 +1,87 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import TodoService from "../services/TodoService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for the subtasks of one todo with React Query integration
+ * Subtask queries live under the "todos" key, so any todo change refreshes them
+ * @param {number} parentId - Parent todo ID
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch only while the subtasks are shown
+ */
+const useSubtasks = (parentId, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const todoService = new TodoService();
+
+  // Query for fetching the parent's direct subtasks
+  const subtasksQuery = useQuery({
+    queryKey: ["todos", "subtasks", parentId],
+    queryFn: () => todoService.fetchSubtasks(parentId),
+    enabled,
+  });
+
+  // Parent progress, auto-completion and list counts all change with a subtask
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ["todos"] });
+    queryClient.invalidateQueries({ queryKey: ["lists"] });
+  };
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for adding a subtask
+  const createSubtaskMutation = useMutation({
+    mutationFn: (title) => todoService.createTodo(title, "", { parent_id: parentId }),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  // Mutation for updating a subtask, or the parent's auto-complete flag
+  const updateSubtaskMutation = useMutation({
+    mutationFn: ({ id, updates }) => todoService.updateTodo(id, updates),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  // Mutation for toggling subtask completion
+  const toggleSubtaskMutation = useMutation({
+    mutationFn: (id) => todoService.toggleTodoCompletion(id),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  // Mutation for deleting a subtask
+  const deleteSubtaskMutation = useMutation({
+    mutationFn: (id) => todoService.deleteTodo(id),
+    onSuccess: invalidate,
+    onError: showError,
+  });
+
+  return {
+    // Data
+    subtasks: subtasksQuery.data || [],
+    isLoading: subtasksQuery.isLoading,
+    error: subtasksQuery.error,
+
+    // Mutations
+    createSubtask: createSubtaskMutation.mutate,
+    updateSubtask: updateSubtaskMutation.mutate,
+    toggleSubtask: toggleSubtaskMutation.mutate,
+    deleteSubtask: deleteSubtaskMutation.mutate,
+
+    // Mutation states
+    isCreating: createSubtaskMutation.isPending,
+  };
+};
+
+export default useSubtasks;
@@ -0,0 +1,80 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Filters of the todo list, all empty; `sort` and `tag` live here too so the URL captures the whole view
+ */
+export const EMPTY_TODO_FILTERS = {
+  sort: "position",
+  tag: "",
+  completed: "",
+  contains: "",
+  priority: [],
+  created_after: "",
+  created_before: "",
+  updated_after: "",
+  updated_before: "",
+};
+
+/**
+ * Read the filters from the page URL, ignoring unknown parameters
+ * @returns {object} Filters shaped like EMPTY_TODO_FILTERS
+ */
+const readFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { ...EMPTY_TODO_FILTERS };
+  Object.keys(EMPTY_TODO_FILTERS).forEach((key) => {
+    if (Array.isArray(EMPTY_TODO_FILTERS[key])) {
+      filters[key] = params.getAll(key);
+    } else if (params.has(key)) {
+      filters[key] = params.get(key);
+    }
+  });
+  return filters;
+};
+
+/**
+ * Write the filters that differ from the defaults into the page URL, without adding a history entry
+ * @param {object} filters
+ */
+const writeFilters = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(filters).forEach(([key, value]) => {
+    params.delete(key);
+    if (Array.isArray(value)) {
+      value.forEach((item) => params.append(key, item));
+    } else if (value !== EMPTY_TODO_FILTERS[key]) {
+      params.set(key, value);
+    }
+  });
+  const query = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+};
+
+/**
+ * Custom hook for the todo list filters, kept in sync with the page URL so a filtered view can be
+ * bookmarked, shared and survives a reload
+ */
+const useTodoFilters = () => {
+  const [filters, setFilters] = useState(readFilters);
+
+  useEffect(() => {
+    writeFilters(filters);
+  }, [filters]);
+
+  const updateFilters = (changes) => setFilters((current) => ({ ...current, ...changes }));
+
+  // Everything but the sort and the tag, which have their own controls
+  const activeFilterCount = Object.keys(EMPTY_TODO_FILTERS)
+    .filter((key) => key !== "sort" && key !== "tag")
+    .filter((key) => (Array.isArray(filters[key]) ? filters[key].length > 0 : filters[key] !== "")).length;
+
+  return {
+    filters,
+    activeFilterCount,
+    setFilter: (key, value) => updateFilters({ [key]: value }),
+    clearFilters: () =>
+      setFilters((current) => ({ ...EMPTY_TODO_FILTERS, sort: current.sort, tag: current.tag })),
+  };
+};
+
+export default useTodoFilters;
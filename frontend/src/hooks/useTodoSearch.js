@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import TodoService from "../services/TodoService.js";
+
+/**
+ * Delay between the last keystroke and the search request
+ */
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Custom hook for full-text todo search with React Query integration
+ * The text is debounced so typing a word sends one request instead of one per key.
+ * Results live under the "todos" key, so any todo change refreshes them.
+ * @param {string} text - Search text as typed
+ */
+const useTodoSearch = (text) => {
+  const todoService = new TodoService();
+  const [debouncedText, setDebouncedText] = useState(text.trim());
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedText(text.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const searchQuery = useQuery({
+    queryKey: ["todos", "search", debouncedText],
+    queryFn: () => todoService.searchTodos(debouncedText),
+    enabled: debouncedText !== "",
+    placeholderData: keepPreviousData,
+  });
+
+  return {
+    results: debouncedText ? searchQuery.data || [] : [],
+    isSearching: searchQuery.isFetching || text.trim() !== debouncedText,
+    error: searchQuery.error,
+  };
+};
+
+export default useTodoSearch;
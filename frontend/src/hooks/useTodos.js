@@ -1,52 +1,99 @@
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { useToast } from "@chakra-ui/react";
 import TodoService from "../services/TodoService.js";
+import TagService from "../services/TagService.js";
+import { createStyledToast } from "../utils/toast.js";
 
 /**
- * Custom toast function with enhanced styling
+ * Reorder a cached todo array the way a move request will
+ * @param {Array} todos - Todos in display order
+ * @param {number} id - Moved todo ID
+ * @param {object} target - Either { before_id } or { after_id }
+ * @returns {Array} Todos in their new order
  */
-const createStyledToast =
-  (toast) =>
-  ({ title, description, status, duration = 3000, isClosable = true }) => {
-    return toast({
-      title,
-      description,
-      status,
-      duration,
-      isClosable,
-      position: "top-right",
-      variant: "subtle",
-      containerStyle: {
-        bg: "white",
-        border: "1px solid",
-        borderColor: status === "success" ? "green.200" : status === "error" ? "red.200" : "blue.200",
-        borderRadius: "lg",
-        boxShadow: "lg",
-        color: "gray.800",
-      },
-    });
+const applyMove = (todos, id, { before_id, after_id }) => {
+  const moved = todos.find((todo) => todo.id === id);
+  const rest = todos.filter((todo) => todo.id !== id);
+  const targetIndex = rest.findIndex((todo) => todo.id === (before_id ?? after_id));
+  if (!moved || targetIndex === -1) return todos;
+
+  const insertAt = before_id !== undefined ? targetIndex : targetIndex + 1;
+  return [...rest.slice(0, insertAt), moved, ...rest.slice(insertAt)];
+};
+
+/**
+ * Number of todos fetched per page
+ */
+const TODO_PAGE_SIZE = 50;
+
+/**
+ * Apply a move to cached todo pages, keeping every page its size
+ * @param {object} data - Infinite query data with pages of { items }
+ * @param {number} id - Moved todo ID
+ * @param {object} target - Either { before_id } or { after_id }
+ * @returns {object} Infinite query data in the new order
+ */
+const applyMoveToPages = (data, id, target) => {
+  const todos = applyMove(data.pages.flatMap((page) => page.items), id, target);
+  let offset = 0;
+  return {
+    ...data,
+    pages: data.pages.map((page) => {
+      const items = todos.slice(offset, offset + page.items.length);
+      offset += page.items.length;
+      return { ...page, items };
+    }),
   };
+};
 
 /**
  * Custom hook for todo operations with React Query integration
+ * @param {object} options
+ * @param {string} [options.sort] - Sort keys for the todo list, e.g. "position" or "-updated_at,title"
+ * @param {string} [options.tag] - Only show todos carrying this tag
+ * @param {number} [options.listId] - Only show todos in this list
+ * @param {object} [options.filters] - Further filters: completed, contains, priority and date bounds
  */
-const useTodos = () => {
+const useTodos = ({ sort = "position", tag = "", listId = null, filters = {} } = {}) => {
   const queryClient = useQueryClient();
   const toast = useToast();
   const styledToast = createStyledToast(toast);
   const todoService = new TodoService();
+  const tagService = new TagService();
+
+  // Query for fetching todos a page at a time; each page carries the cursor of the next
+  const todosQueryKey = ["todos", { sort, tag, listId, filters }];
+  const todosQuery = useInfiniteQuery({
+    queryKey: todosQueryKey,
+    // Subtasks are shown inside their parent's card
+    queryFn: ({ pageParam }) =>
+      todoService.fetchTodoPage({
+        sort,
+        tag,
+        list_id: listId,
+        top_level: true,
+        ...filters,
+        limit: TODO_PAGE_SIZE,
+        cursor: pageParam,
+      }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.next_cursor ?? undefined,
+  });
 
-  // Query for fetching all todos
-  const todosQuery = useQuery({
-    queryKey: ["todos"],
-    queryFn: () => todoService.fetchTodos(),
+  // Query for fetching all tags, cached separately from todos
+  const tagsQuery = useQuery({
+    queryKey: ["tags"],
+    queryFn: () => tagService.fetchTags(),
   });
 
   // Mutation for creating a todo
   const createTodoMutation = useMutation({
-    mutationFn: ({ title, description }) => todoService.createTodo(title, description),
+    mutationFn: ({ title, description, ...fields }) => todoService.createTodo(title, description, fields),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
       styledToast({
         title: "Todo created",
         description: "Todo created successfully",
@@ -66,13 +113,27 @@ const useTodos = () => {
     },
   });
 
-  // Mutation for updating a todo
+  // A change refused because someone else changed the todo first, waiting for the user to resolve it
+  const [conflict, setConflict] = useState(null);
+
+  // A 412 is held for the conflict dialog rather than reported as an error; returns whether it was one
+  const holdConflict = (error, change) => {
+    if (error.status !== 412) return false;
+    setConflict({ ...change, current: error.body.current });
+    queryClient.invalidateQueries({ queryKey: ["todos"] });
+    return true;
+  };
+
+  // Mutation for updating a todo, made against the version the user saw
   const updateTodoMutation = useMutation({
-    mutationFn: ({ id, updates }) => todoService.updateTodo(id, updates),
+    mutationFn: ({ id, updates, version }) => todoService.updateTodo(id, updates, version),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
     },
-    onError: (error) => {
+    onError: (error, { id, updates }) => {
+      if (holdConflict(error, { action: "update", id, updates })) return;
       styledToast({
         title: "Error",
         description: error.message,
@@ -83,11 +144,12 @@ const useTodos = () => {
     },
   });
 
-  // Mutation for toggling todo completion
+  // Mutation for toggling todo completion; `completed` is the state the user asked for
   const toggleCompletionMutation = useMutation({
-    mutationFn: (id) => todoService.toggleTodoCompletion(id),
+    mutationFn: ({ id, version }) => todoService.toggleTodoCompletion(id, version),
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
       styledToast({
         title: data.completed ? "Todo completed" : "Todo uncompleted",
         description: `"${data.title}" marked as ${data.completed ? "completed" : "incomplete"}`,
@@ -96,6 +158,55 @@ const useTodos = () => {
         isClosable: true,
       });
     },
+    onError: (error, { id, completed }) => {
+      if (holdConflict(error, { action: "toggle", id, completed })) return;
+      styledToast({
+        title: "Error",
+        description: error.message,
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+  });
+
+  // Mutation for moving a todo, reordering the cached list before the server answers
+  const moveTodoMutation = useMutation({
+    mutationFn: ({ id, target }) => todoService.moveTodo(id, target),
+    onMutate: async ({ id, target }) => {
+      await queryClient.cancelQueries({ queryKey: todosQueryKey });
+      const previousTodos = queryClient.getQueryData(todosQueryKey);
+      if (previousTodos) {
+        queryClient.setQueryData(todosQueryKey, applyMoveToPages(previousTodos, id, target));
+      }
+      return { previousTodos };
+    },
+    onError: (error, _, context) => {
+      if (context?.previousTodos) {
+        queryClient.setQueryData(todosQueryKey, context.previousTodos);
+      }
+      styledToast({
+        title: "Error",
+        description: error.message,
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+    },
+  });
+
+  // Mutation for restoring a deleted todo (used by the undo toast)
+  const restoreTodoMutation = useMutation({
+    mutationFn: (id) => todoService.restoreTodo(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+    },
     onError: (error) => {
       styledToast({
         title: "Error",
@@ -109,17 +220,55 @@ const useTodos = () => {
 
   // Mutation for deleting a todo
   const deleteTodoMutation = useMutation({
-    mutationFn: (id) => todoService.deleteTodo(id),
-    onSuccess: (_, deletedId) => {
+    mutationFn: ({ id, version }) => todoService.deleteTodo(id, version),
+    onSuccess: (_, { id: deletedId }) => {
       queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
       styledToast({
         title: "Todo deleted",
-        description: "Todo deleted successfully",
+        description: "Todo moved to the trash",
         status: "info",
+        duration: 5000,
+        isClosable: true,
+        action: {
+          label: "Undo",
+          onClick: () => restoreTodoMutation.mutate(deletedId),
+        },
+      });
+    },
+    onError: (error, { id }) => {
+      if (holdConflict(error, { action: "delete", id })) return;
+      styledToast({
+        title: "Error",
+        description: error.message,
+        status: "error",
         duration: 3000,
         isClosable: true,
       });
     },
+  });
+
+  // Mutation for applying one action to many todos; the server reports each todo separately
+  const bulkActionMutation = useMutation({
+    mutationFn: ({ action, ...selection }) => todoService.bulkTodos(action, selection),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+      const firstError = data.results.find((result) => !result.ok)?.error;
+      styledToast({
+        title: data.failed > 0 ? "Bulk action partly applied" : "Bulk action applied",
+        description:
+          `${data.succeeded} ${data.succeeded === 1 ? "todo" : "todos"} updated` +
+          (data.failed > 0 ? `, ${data.failed} failed: ${firstError}` : ""),
+        status: data.failed > 0 ? "warning" : "success",
+        duration: data.failed > 0 ? 5000 : 3000,
+        isClosable: true,
+      });
+    },
     onError: (error) => {
       styledToast({
         title: "Error",
@@ -131,23 +280,53 @@ const useTodos = () => {
     },
   });
 
+  // Settle the pending conflict: keep the other change, or apply ours on top of the current version
+  const resolveConflict = (overwrite) => {
+    const { action, id, updates, completed, current } = conflict;
+    setConflict(null);
+    if (!overwrite) return;
+
+    if (action === "update") {
+      updateTodoMutation.mutate({ id, updates, version: current.version });
+    } else if (action === "toggle" && current.completed !== completed) {
+      toggleCompletionMutation.mutate({ id, version: current.version, completed });
+    } else if (action === "delete") {
+      deleteTodoMutation.mutate({ id, version: current.version });
+    }
+  };
+
   return {
     // Data
-    todos: todosQuery.data || [],
+    todos: todosQuery.data?.pages.flatMap((page) => page.items) || [],
+    totalTodos: todosQuery.data?.pages[0]?.total ?? 0,
+    tags: tagsQuery.data || [],
     isLoading: todosQuery.isLoading,
     error: todosQuery.error,
 
+    // Pagination
+    fetchNextPage: todosQuery.fetchNextPage,
+    hasNextPage: todosQuery.hasNextPage,
+    isFetchingNextPage: todosQuery.isFetchingNextPage,
+
     // Mutations
     createTodo: createTodoMutation.mutate,
     updateTodo: updateTodoMutation.mutate,
     toggleTodoCompletion: toggleCompletionMutation.mutate,
     deleteTodo: deleteTodoMutation.mutate,
+    restoreTodo: restoreTodoMutation.mutate,
+    moveTodo: moveTodoMutation.mutate,
+    bulkAction: bulkActionMutation.mutate,
+
+    // Version conflicts
+    conflict,
+    resolveConflict,
 
     // Mutation states
     isCreating: createTodoMutation.isPending,
     isUpdating: updateTodoMutation.isPending,
     isToggling: toggleCompletionMutation.isPending,
     isDeleting: deleteTodoMutation.isPending,
+    isBulkUpdating: bulkActionMutation.isPending,
   };
 };
 
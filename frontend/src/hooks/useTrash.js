@@ -0,0 +1,96 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import TodoService from "../services/TodoService.js";
+import TrashService from "../services/TrashService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Custom hook for the trash with React Query integration
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Fetch only while the trash is shown
+ */
+const useTrash = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const todoService = new TodoService();
+  const trashService = new TrashService();
+
+  // Query for fetching the trashed todos
+  const trashQuery = useQuery({
+    queryKey: ["trash"],
+    queryFn: () => trashService.fetchTrash(),
+    enabled,
+  });
+
+  const showError = (error) => {
+    styledToast({
+      title: "Error",
+      description: error.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for restoring a todo
+  const restoreMutation = useMutation({
+    mutationFn: (id) => todoService.restoreTodo(id),
+    onSuccess: (todo) => {
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+      queryClient.invalidateQueries({ queryKey: ["todos"] });
+      queryClient.invalidateQueries({ queryKey: ["tags"] });
+      queryClient.invalidateQueries({ queryKey: ["lists"] });
+      styledToast({
+        title: "Todo restored",
+        description: `"${todo.title}" is back in its list`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  // Mutation for permanently deleting one todo
+  const deletePermanentlyMutation = useMutation({
+    mutationFn: (id) => trashService.deletePermanently(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+    },
+    onError: showError,
+  });
+
+  // Mutation for emptying the trash
+  const emptyTrashMutation = useMutation({
+    mutationFn: () => trashService.emptyTrash(),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+      styledToast({
+        title: "Trash emptied",
+        description: result.message,
+        status: "info",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: showError,
+  });
+
+  return {
+    // Data
+    trash: trashQuery.data || [],
+    isLoading: trashQuery.isLoading,
+    error: trashQuery.error,
+
+    // Mutations
+    restoreTodo: restoreMutation.mutate,
+    deletePermanently: deletePermanentlyMutation.mutate,
+    emptyTrash: emptyTrashMutation.mutate,
+
+    // Mutation states
+    isEmptying: emptyTrashMutation.isPending,
+  };
+};
+
+export default useTrash;
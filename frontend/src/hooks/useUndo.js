@@ -0,0 +1,105 @@
+import { useEffect } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useToast } from "@chakra-ui/react";
+import HistoryService from "../services/HistoryService.js";
+import { createStyledToast } from "../utils/toast.js";
+
+/**
+ * Whether a key press belongs to a text field, whose own undo should win
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+const isTextEditing = (event) => {
+  const target = event.target;
+  return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+};
+
+/**
+ * Custom hook for server-side undo and redo of this tab's todo changes
+ * Binds Ctrl+Z (Cmd+Z on macOS) to undo and Ctrl+Shift+Z to redo while no text field has focus.
+ */
+const useUndo = () => {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const styledToast = createStyledToast(toast);
+  const historyService = new HistoryService();
+
+  // An undo or redo can touch any todo, list, tag or the trash
+  const refresh = () => queryClient.invalidateQueries();
+
+  // "Nothing to undo" is no failure, just the bottom of the history
+  const showError = (error) => {
+    const isHistoryEnd = error.message.startsWith("Nothing to");
+    styledToast({
+      title: isHistoryEnd ? error.message : "Error",
+      description: isHistoryEnd ? "" : error.message,
+      status: isHistoryEnd ? "info" : "error",
+      duration: isHistoryEnd ? 2000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  // Mutation for redoing the latest undone change
+  const redoMutation = useMutation({
+    mutationFn: () => historyService.redo(),
+    onSuccess: (data) => {
+      refresh();
+      styledToast({
+        title: "Redone",
+        description: data.label,
+        status: "info",
+        duration: 3000,
+        isClosable: true,
+      });
+    },
+    onError: (error) => {
+      refresh();
+      showError(error);
+    },
+  });
+
+  // Mutation for undoing the latest change, offering to redo it
+  const undoMutation = useMutation({
+    mutationFn: () => historyService.undo(),
+    onSuccess: (data) => {
+      refresh();
+      styledToast({
+        title: "Undone",
+        description: data.label,
+        status: "info",
+        duration: 5000,
+        isClosable: true,
+        action: {
+          label: "Redo",
+          onClick: () => redoMutation.mutate(),
+        },
+      });
+    },
+    onError: (error) => {
+      refresh();
+      showError(error);
+    },
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z" || isTextEditing(event)) return;
+      event.preventDefault();
+      if (event.shiftKey) {
+        redoMutation.mutate();
+      } else {
+        undoMutation.mutate();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return {
+    undo: undoMutation.mutate,
+    redo: redoMutation.mutate,
+    isUndoing: undoMutation.isPending || redoMutation.isPending,
+  };
+};
+
+export default useUndo;
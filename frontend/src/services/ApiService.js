@@ -1,3 +1,60 @@
+/**
+ * Key under which this tab's session ID is kept in sessionStorage
+ */
+const SESSION_STORAGE_KEY = "todo-session-id";
+
+/**
+ * ID of this browser tab's session, created on first use
+ * The server logs changes per session, so undo and redo only ever replay this tab's own changes.
+ * @returns {string}
+ */
+const getSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+/**
+ * Key under which the comment author name is kept in localStorage, shared with CommentThread
+ * The same name is sent as the actor of every change, so the audit log shows who made it.
+ */
+const AUTHOR_STORAGE_KEY = "todo.commentAuthor";
+
+/**
+ * Times a POST is sent again after a network failure, or while the server is still processing an
+ * earlier attempt, and the pause before the first retry, doubled for each one after it
+ * Retries carry the same Idempotency-Key, so the server applies the POST at most once.
+ */
+const POST_RETRIES = 2;
+const POST_RETRY_DELAY_MS = 500;
+
+/**
+ * Bodies of GET responses that came with an ETag or Last-Modified, by URL, kept to answer 304s
+ * Shared by all service instances; beyond GET_CACHE_LIMIT entries the least recently used goes.
+ */
+const getCache = new Map();
+const GET_CACHE_LIMIT = 100;
+
+/**
+ * Error for a failed request, keeping the status and the parsed error body
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status code
+   * @param {object} body - Parsed error response, empty when it was not JSON
+   */
+  constructor(message, status, body) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
 /**
  * Base API Service class for handling HTTP requests
  */
@@ -7,28 +64,79 @@ class ApiService {
   }
 
   /**
-   * Make a GET request
+   * Headers sent with every request, merged with request-specific ones
+   * @param {object} headers
+   * @returns {object}
+   */
+  headers(headers = {}) {
+    const actor = localStorage.getItem(AUTHOR_STORAGE_KEY);
+    return { "X-Session-Id": getSessionId(), ...(actor ? { "X-Actor": actor } : {}), ...headers };
+  }
+
+  /**
+   * Build the error for a failed request from its response
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {Response} response
+   * @returns {Promise<ApiError>}
+   */
+  async toError(method, endpoint, response) {
+    const errorData = await response.json().catch(() => ({}));
+    return new ApiError(
+      errorData.message || errorData.detail || `${method} ${endpoint} failed: ${response.statusText}`,
+      response.status,
+      errorData,
+    );
+  }
+
+  /**
+   * Make a GET request, conditional when an earlier response left validators
+   * A 304 Not Modified answer returns the body cached from that earlier response.
    * @param {string} endpoint
    * @returns {Promise<any>}
    */
   async get(endpoint) {
-    const response = await fetch(`${this.baseURL}${endpoint}`);
+    const url = `${this.baseURL}${endpoint}`;
+    const cached = getCache.get(url);
+    const conditions = {};
+    if (cached?.etag) conditions["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) conditions["If-Modified-Since"] = cached.lastModified;
+
+    // The browser's own cache stays out of the way, so a 304 reaches this code
+    const response = await fetch(url, { headers: this.headers(conditions), cache: "no-store" });
+    if (response.status === 304 && cached) {
+      getCache.delete(url);
+      getCache.set(url, cached);
+      return cached.body;
+    }
     if (!response.ok) {
       throw new Error(`GET ${endpoint} failed: ${response.statusText}`);
     }
-    return response.json();
+
+    const body = await response.json();
+    const etag = response.headers.get("ETag");
+    const lastModified = response.headers.get("Last-Modified");
+    getCache.delete(url);
+    if (etag || lastModified) {
+      getCache.set(url, { etag, lastModified, body });
+      if (getCache.size > GET_CACHE_LIMIT) getCache.delete(getCache.keys().next().value);
+    }
+    return body;
   }
 
   /**
-   * Make a POST request
+   * Make a POST request under a fresh Idempotency-Key, retried with the same key if the network fails
+   * An earlier attempt still being processed answers 409 with Retry-After; that is retried too, and
+   * once the attempt has answered, the retry gets its response.
    * @param {string} endpoint
    * @param {object} data
+   * @param {object} [headers] - Request-specific headers; an Idempotency-Key given here is used as is
    * @returns {Promise<any>}
    */
-  async post(endpoint, data = null) {
+  async post(endpoint, data = null, headers = {}) {
     const options = {
       method: "POST",
-      headers: {},
+      headers: this.headers({ "Idempotency-Key": crypto.randomUUID(), ...headers }),
     };
 
     if (data) {
@@ -36,10 +144,45 @@ class ApiService {
       options.body = JSON.stringify(data);
     }
 
-    const response = await fetch(`${this.baseURL}${endpoint}`, options);
+    let response;
+    for (let attempt = 0; !response; attempt++) {
+      const backoff = POST_RETRY_DELAY_MS * 2 ** attempt;
+      try {
+        response = await fetch(`${this.baseURL}${endpoint}`, options);
+      } catch (error) {
+        // fetch only rejects when no response arrived, so the POST may or may not have been applied
+        if (attempt === POST_RETRIES) throw error;
+        await new Promise((resolve) => setTimeout(resolve, backoff));
+        continue;
+      }
+      const retryAfter = response.headers.get("Retry-After");
+      if (response.status === 409 && retryAfter !== null && attempt < POST_RETRIES) {
+        response = undefined;
+        const delay = Math.max(backoff, (Number(retryAfter) || 0) * 1000);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+    if (!response.ok) {
+      throw await this.toError("POST", endpoint, response);
+    }
+    return response.json();
+  }
+
+  /**
+   * Make a multipart POST request; the browser sets the boundary header
+   * @param {string} endpoint
+   * @param {FormData} formData
+   * @returns {Promise<any>}
+   */
+  async postForm(endpoint, formData) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method: "POST",
+      headers: this.headers(),
+      body: formData,
+    });
+
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || errorData.detail || `POST ${endpoint} failed: ${response.statusText}`);
+      throw await this.toError("POST", endpoint, response);
     }
     return response.json();
   }
@@ -48,18 +191,18 @@ class ApiService {
    * Make a PUT request
    * @param {string} endpoint
    * @param {object} data
+   * @param {object} [headers] - Request-specific headers
    * @returns {Promise<any>}
    */
-  async put(endpoint, data) {
+  async put(endpoint, data, headers = {}) {
     const response = await fetch(`${this.baseURL}${endpoint}`, {
       method: "PUT",
-      headers: { "Content-Type": "application/json" },
+      headers: this.headers({ "Content-Type": "application/json", ...headers }),
       body: JSON.stringify(data),
     });
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || errorData.detail || `PUT ${endpoint} failed: ${response.statusText}`);
+      throw await this.toError("PUT", endpoint, response);
     }
     return response.json();
   }
@@ -67,16 +210,17 @@ class ApiService {
   /**
    * Make a DELETE request
    * @param {string} endpoint
+   * @param {object} [headers] - Request-specific headers
    * @returns {Promise<any>}
    */
-  async delete(endpoint) {
+  async delete(endpoint, headers = {}) {
     const response = await fetch(`${this.baseURL}${endpoint}`, {
       method: "DELETE",
+      headers: this.headers(headers),
     });
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || errorData.detail || `DELETE ${endpoint} failed: ${response.statusText}`);
+      throw await this.toError("DELETE", endpoint, response);
     }
     return response.json();
   }
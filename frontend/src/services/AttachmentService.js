@@ -0,0 +1,43 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * Attachment Service class for files uploaded to todos
+ */
+class AttachmentService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/attachments";
+  }
+
+  /**
+   * Upload a file to a todo
+   * @param {number} todoId
+   * @param {File} file
+   * @returns {Promise<object>}
+   */
+  async uploadAttachment(todoId, file) {
+    const formData = new FormData();
+    formData.append("file", file);
+    return this.postForm(`/api/todos/${todoId}/attachments`, formData);
+  }
+
+  /**
+   * Delete an attachment and its stored file
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async deleteAttachment(id) {
+    return this.delete(`${this.basePath}/${id}`);
+  }
+
+  /**
+   * URL that streams the attachment back, for links and downloads
+   * @param {number} id
+   * @returns {string}
+   */
+  downloadUrl(id) {
+    return `${this.baseURL}${this.basePath}/${id}`;
+  }
+}
+
+export default AttachmentService;
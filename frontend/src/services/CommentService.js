@@ -0,0 +1,54 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * Comment Service class for the comment threads on todos
+ */
+class CommentService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/todos";
+  }
+
+  /**
+   * Get the comments on a todo, oldest first
+   * @param {number} todoId
+   * @returns {Promise<Array>}
+   */
+  async fetchComments(todoId) {
+    return this.get(`${this.basePath}/${todoId}/comments`);
+  }
+
+  /**
+   * Post a comment on a todo
+   * @param {number} todoId
+   * @param {string} body
+   * @param {string} [author] - Name of the commenter
+   * @returns {Promise<object>}
+   */
+  async createComment(todoId, body, author) {
+    return this.post(`${this.basePath}/${todoId}/comments`, author ? { body, author } : { body });
+  }
+
+  /**
+   * Edit the text of a comment
+   * @param {number} todoId
+   * @param {number} commentId
+   * @param {string} body
+   * @returns {Promise<object>}
+   */
+  async updateComment(todoId, commentId, body) {
+    return this.put(`${this.basePath}/${todoId}/comments/${commentId}`, { body });
+  }
+
+  /**
+   * Delete a comment
+   * @param {number} todoId
+   * @param {number} commentId
+   * @returns {Promise<object>}
+   */
+  async deleteComment(todoId, commentId) {
+    return this.delete(`${this.basePath}/${todoId}/comments/${commentId}`);
+  }
+}
+
+export default CommentService;
@@ -0,0 +1,24 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * History Service class for undoing and redoing this tab's todo changes
+ */
+class HistoryService extends ApiService {
+  /**
+   * Undo the latest change made in this tab
+   * @returns {Promise<object>} { action, operation, label, todo }
+   */
+  async undo() {
+    return this.post("/api/undo");
+  }
+
+  /**
+   * Redo the latest change undone in this tab
+   * @returns {Promise<object>} { action, operation, label, todo }
+   */
+  async redo() {
+    return this.post("/api/redo");
+  }
+}
+
+export default HistoryService;
@@ -0,0 +1,49 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * List Service class for managing todo lists (projects)
+ */
+class ListService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/lists";
+  }
+
+  /**
+   * Get all lists with their todo counts
+   * @returns {Promise<Array>}
+   */
+  async fetchLists() {
+    return this.get(this.basePath);
+  }
+
+  /**
+   * Create a new list
+   * @param {string} name
+   * @returns {Promise<object>}
+   */
+  async createList(name) {
+    return this.post(this.basePath, { name });
+  }
+
+  /**
+   * Rename a list
+   * @param {number} id
+   * @param {string} name
+   * @returns {Promise<object>}
+   */
+  async updateList(id, name) {
+    return this.put(`${this.basePath}/${id}`, { name });
+  }
+
+  /**
+   * Delete a list; its todos move to the default list
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async deleteList(id) {
+    return this.delete(`${this.basePath}/${id}`);
+  }
+}
+
+export default ListService;
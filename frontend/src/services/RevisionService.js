@@ -0,0 +1,42 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * Revision Service class for the earlier versions of todos
+ */
+class RevisionService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/todos";
+  }
+
+  /**
+   * Get the revisions of a todo, newest first
+   * @param {number} todoId
+   * @returns {Promise<Array>}
+   */
+  async fetchRevisions(todoId) {
+    return this.get(`${this.basePath}/${todoId}/revisions`);
+  }
+
+  /**
+   * Compare a revision with the current version of its todo
+   * @param {number} todoId
+   * @param {number} rev
+   * @returns {Promise<object>} { todo_id, rev, changes: [{ field, before, after, diff? }] }
+   */
+  async fetchRevisionDiff(todoId, rev) {
+    return this.get(`${this.basePath}/${todoId}/revisions/${rev}/diff`);
+  }
+
+  /**
+   * Bring a todo's content back to a revision
+   * @param {number} todoId
+   * @param {number} rev
+   * @returns {Promise<object>} The updated todo
+   */
+  async restoreRevision(todoId, rev) {
+    return this.post(`${this.basePath}/${todoId}/revisions/${rev}/restore`);
+  }
+}
+
+export default RevisionService;
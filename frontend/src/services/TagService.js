@@ -0,0 +1,49 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * Tag Service class for managing tag operations
+ */
+class TagService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/tags";
+  }
+
+  /**
+   * Get all tags with their todo counts
+   * @returns {Promise<Array>}
+   */
+  async fetchTags() {
+    return this.get(this.basePath);
+  }
+
+  /**
+   * Create a new tag
+   * @param {string} name
+   * @returns {Promise<object>}
+   */
+  async createTag(name) {
+    return this.post(this.basePath, { name });
+  }
+
+  /**
+   * Rename a tag
+   * @param {number} id
+   * @param {string} name
+   * @returns {Promise<object>}
+   */
+  async updateTag(id, name) {
+    return this.put(`${this.basePath}/${id}`, { name });
+  }
+
+  /**
+   * Delete a tag
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async deleteTag(id) {
+    return this.delete(`${this.basePath}/${id}`);
+  }
+}
+
+export default TagService;
@@ -9,12 +9,60 @@ class TodoService extends ApiService {
     this.basePath = "/api/todos";
   }
 
+  /**
+   * If-Match header making a change conditional on the version the client last saw
+   * @param {number} [version] - Todo version; the change is unconditional without one
+   * @returns {object} Headers
+   */
+  ifMatch(version) {
+    return version === undefined ? {} : { "If-Match": `"${version}"` };
+  }
+
+  /**
+   * Build a query string from params, skipping empty values; arrays repeat their key
+   * @param {object} params
+   * @returns {string} Query string including the leading "?", or ""
+   */
+  buildQuery(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        value.forEach((item) => query.append(key, item));
+      } else if (value !== undefined && value !== null && value !== "") {
+        query.set(key, value);
+      }
+    });
+    const queryString = query.toString();
+    return queryString ? `?${queryString}` : "";
+  }
+
   /**
    * Get all todos
+   * @param {object} params - Query options: sort (comma-separated keys such as "-updated_at,title"), tag, list_id,
+   *   top_level, archived and the filters completed, contains, priority and created/updated_after/before
    * @returns {Promise<Array>}
    */
-  async fetchTodos() {
-    return this.get(this.basePath);
+  async fetchTodos(params = {}) {
+    return this.get(`${this.basePath}${this.buildQuery(params)}`);
+  }
+
+  /**
+   * Get one page of todos
+   * @param {object} params - The query options of fetchTodos, plus limit and cursor (the previous page's next_cursor)
+   * @returns {Promise<{items: Array, next_cursor: string|null, total: number}>}
+   */
+  async fetchTodoPage(params = {}) {
+    return this.get(`${this.basePath}${this.buildQuery({ ...params, envelope: true })}`);
+  }
+
+  /**
+   * Full-text search over todo titles and descriptions
+   * @param {string} q - Search text; every word matches as a prefix
+   * @param {object} [params] - Optional list_id and limit
+   * @returns {Promise<Array>} Todos, best match first, each with highlight.title and highlight.description
+   */
+  async searchTodos(q, params = {}) {
+    return this.get(`${this.basePath}/search${this.buildQuery({ q, ...params })}`);
   }
 
   /**
@@ -26,42 +74,111 @@ class TodoService extends ApiService {
     return this.get(`${this.basePath}/${id}`);
   }
 
+  /**
+   * Get the direct subtasks of a todo
+   * @param {number} id - Parent todo ID
+   * @returns {Promise<Array>}
+   */
+  async fetchSubtasks(id) {
+    return this.get(`${this.basePath}/${id}/subtasks`);
+  }
+
   /**
    * Create a new todo
    * @param {string} title
    * @param {string} description
+   * @param {object} fields - Optional fields such as due_at, priority, tags, list_id, parent_id and auto_complete
    * @returns {Promise<object>}
    */
-  async createTodo(title, description = '') {
-    return this.post(this.basePath, { title, description });
+  async createTodo(title, description = '', fields = {}) {
+    return this.post(this.basePath, { title, description, ...fields });
   }
 
   /**
    * Update a todo
    * @param {number} id
-   * @param {object} updates - Object with title, description, and/or completed fields
+   * @param {object} updates - Object with title, description, completed, due_at, priority, tags, list_id, parent_id and/or auto_complete fields
+   * @param {number} [version] - Version the updates were made against; a newer todo fails with status 412
    * @returns {Promise<object>}
    */
-  async updateTodo(id, updates) {
-    return this.put(`${this.basePath}/${id}`, updates);
+  async updateTodo(id, updates, version) {
+    return this.put(`${this.basePath}/${id}`, updates, this.ifMatch(version));
   }
 
   /**
    * Toggle a todo's completion status
    * @param {number} id
+   * @param {number} [version] - Version the toggle was made against; a newer todo fails with status 412
+   * @returns {Promise<object>}
+   */
+  async toggleTodoCompletion(id, version) {
+    return this.post(`${this.basePath}/${id}/toggle`, null, this.ifMatch(version));
+  }
+
+  /**
+   * Move a todo directly before or after another todo in the manual order
+   * @param {number} id
+   * @param {object} target - Either { before_id } or { after_id }
    * @returns {Promise<object>}
    */
-  async toggleTodoCompletion(id) {
-    return this.post(`${this.basePath}/${id}/toggle`);
+  async moveTodo(id, target) {
+    return this.post(`${this.basePath}/${id}/move`, target);
   }
 
   /**
    * Delete a todo
    * @param {number} id
+   * @param {number} [version] - Version the delete was made against; a newer todo fails with status 412
    * @returns {Promise<object>}
    */
-  async deleteTodo(id) {
-    return this.delete(`${this.basePath}/${id}`);
+  async deleteTodo(id, version) {
+    return this.delete(`${this.basePath}/${id}`, this.ifMatch(version));
+  }
+
+  /**
+   * Restore a deleted todo from the trash
+   * @param {number} id
+   * @returns {Promise<object>} The restored todo
+   */
+  async restoreTodo(id) {
+    return this.post(`${this.basePath}/${id}/restore`);
+  }
+
+  /**
+   * Archive a completed todo
+   * @param {number} id
+   * @returns {Promise<object>} The archived todo
+   */
+  async archiveTodo(id) {
+    return this.post(`${this.basePath}/${id}/archive`);
+  }
+
+  /**
+   * Take a todo out of the archive
+   * @param {number} id
+   * @returns {Promise<object>} The unarchived todo
+   */
+  async unarchiveTodo(id) {
+    return this.post(`${this.basePath}/${id}/unarchive`);
+  }
+
+  /**
+   * Apply one action to many todos at once
+   * @param {string} action - "complete", "uncomplete", "delete" or "update"
+   * @param {object} selection - Either { ids } or { filter }, plus { fields } for "update"
+   * @returns {Promise<object>} { action, succeeded, failed, results }
+   */
+  async bulkTodos(action, selection) {
+    return this.post(`${this.basePath}/bulk`, { action, ...selection });
+  }
+
+  /**
+   * Archive every completed todo
+   * @param {object} options - Optional list_id and older_than_days limits
+   * @returns {Promise<object>} Message and number of archived todos
+   */
+  async archiveCompleted(options = {}) {
+    return this.post(`${this.basePath}/archive-completed`, options);
   }
 }
 
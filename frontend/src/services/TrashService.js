@@ -0,0 +1,38 @@
+import ApiService from "./ApiService.js";
+
+/**
+ * Trash Service class for soft-deleted todos
+ */
+class TrashService extends ApiService {
+  constructor() {
+    super();
+    this.basePath = "/api/trash";
+  }
+
+  /**
+   * Get the todos in the trash, most recently deleted first
+   * @returns {Promise<Array>}
+   */
+  async fetchTrash() {
+    return this.get(this.basePath);
+  }
+
+  /**
+   * Permanently delete a todo from the trash
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async deletePermanently(id) {
+    return this.delete(`${this.basePath}/${id}`);
+  }
+
+  /**
+   * Permanently delete every todo in the trash
+   * @returns {Promise<object>} Message and number of deleted todos
+   */
+  async emptyTrash() {
+    return this.delete(this.basePath);
+  }
+}
+
+export default TrashService;
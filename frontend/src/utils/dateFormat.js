@@ -0,0 +1,74 @@
+const relativeTimeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+/**
+ * Units used for relative times, largest first, with their length in seconds
+ */
+const RELATIVE_TIME_UNITS = [
+  ["year", 60 * 60 * 24 * 365],
+  ["month", 60 * 60 * 24 * 30],
+  ["week", 60 * 60 * 24 * 7],
+  ["day", 60 * 60 * 24],
+  ["hour", 60 * 60],
+  ["minute", 60],
+];
+
+/**
+ * Format an ISO timestamp relative to now, e.g. "5 minutes ago" or "in 2 days"
+ * @param {string|null} timestamp
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const formatRelativeTime = (timestamp, now = new Date()) => {
+  if (!timestamp) return "";
+
+  const seconds = Math.round((new Date(timestamp).getTime() - now.getTime()) / 1000);
+  if (Number.isNaN(seconds)) return "";
+
+  for (const [unit, unitSeconds] of RELATIVE_TIME_UNITS) {
+    if (Math.abs(seconds) >= unitSeconds) {
+      return relativeTimeFormat.format(Math.round(seconds / unitSeconds), unit);
+    }
+  }
+  return "just now";
+};
+
+/**
+ * Format an ISO timestamp as a full local date and time, for tooltips
+ * @param {string|null} timestamp
+ * @returns {string}
+ */
+export const formatDateTime = (timestamp) => {
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleString();
+};
+
+/**
+ * Convert an ISO timestamp to the local "YYYY-MM-DD" value of a date input
+ * @param {string|null} timestamp
+ * @returns {string}
+ */
+export const toDateInputValue = (timestamp) => {
+  if (!timestamp) return "";
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Convert a date input value to an ISO timestamp at the end of that local day
+ * @param {string} value - "YYYY-MM-DD" or empty
+ * @returns {string|null}
+ */
+export const fromDateInputValue = (value) => {
+  if (!value) return null;
+  return new Date(`${value}T23:59:59.999`).toISOString();
+};
+
+/**
+ * Whether an incomplete todo is past its due date
+ * @param {{ completed: boolean, due_at: string|null }} todo
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOverdue = (todo, now = new Date()) =>
+  Boolean(!todo.completed && todo.due_at && new Date(todo.due_at) < now);
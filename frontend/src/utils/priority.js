@@ -0,0 +1,18 @@
+/**
+ * Todo priority levels, highest first, with their badge color schemes
+ */
+export const PRIORITY_OPTIONS = [
+  { value: "urgent", label: "Urgent", colorScheme: "red" },
+  { value: "high", label: "High", colorScheme: "orange" },
+  { value: "medium", label: "Medium", colorScheme: "yellow" },
+  { value: "low", label: "Low", colorScheme: "blue" },
+  { value: "none", label: "None", colorScheme: "gray" },
+];
+
+/**
+ * Look up the display options for a priority value
+ * @param {string} value
+ * @returns {{ value: string, label: string, colorScheme: string }}
+ */
+export const getPriority = (value) =>
+  PRIORITY_OPTIONS.find((option) => option.value === value) || PRIORITY_OPTIONS[PRIORITY_OPTIONS.length - 1];
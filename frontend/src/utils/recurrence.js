@@ -0,0 +1,102 @@
+/**
+ * Weekdays as RRULE codes, Monday first, with display names
+ */
+export const WEEKDAYS = [
+  { code: "MO", short: "Mon", label: "Monday" },
+  { code: "TU", short: "Tue", label: "Tuesday" },
+  { code: "WE", short: "Wed", label: "Wednesday" },
+  { code: "TH", short: "Thu", label: "Thursday" },
+  { code: "FR", short: "Fri", label: "Friday" },
+  { code: "SA", short: "Sat", label: "Saturday" },
+  { code: "SU", short: "Sun", label: "Sunday" },
+];
+
+/**
+ * Recurrence frequencies offered by the editor
+ */
+export const FREQUENCY_OPTIONS = [
+  { value: "", label: "Does not repeat" },
+  { value: "DAILY", label: "Daily" },
+  { value: "WEEKLY", label: "Weekly" },
+  { value: "MONTHLY", label: "Monthly" },
+];
+
+/**
+ * Split an RRULE string into editor fields
+ * @param {string|null} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,FR"
+ * @returns {{ freq: string, interval: number, byDay: string[], byMonthDay: number|null }}
+ */
+export const parseRecurrence = (rule) => {
+  const parts = Object.fromEntries(
+    (rule || "")
+      .replace(/^RRULE:/i, "")
+      .split(";")
+      .filter(Boolean)
+      .map((part) => part.split("="))
+  );
+
+  return {
+    freq: parts.FREQ || "",
+    interval: Number(parts.INTERVAL) || 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(",") : [],
+    byMonthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : null,
+  };
+};
+
+/**
+ * Build an RRULE string from editor fields
+ * @param {{ freq: string, interval: number, byDay: string[], byMonthDay: number|null }} fields
+ * @returns {string|null} RRULE, or null when the todo does not repeat
+ */
+export const buildRecurrence = ({ freq, interval, byDay, byMonthDay }) => {
+  if (!freq) return null;
+
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (freq === "WEEKLY" && byDay.length > 0) {
+    const ordered = WEEKDAYS.map((day) => day.code).filter((code) => byDay.includes(code));
+    parts.push(`BYDAY=${ordered.join(",")}`);
+  }
+  if (freq === "MONTHLY" && byMonthDay) parts.push(`BYMONTHDAY=${byMonthDay}`);
+  return parts.join(";");
+};
+
+/**
+ * Join words as "a", "a and b" or "a, b and c"
+ * @param {string[]} words
+ * @returns {string}
+ */
+const joinWords = (words) =>
+  words.length > 1 ? `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}` : words.join("");
+
+/**
+ * English ordinal for a day of the month, e.g. 1 -> "1st", 22 -> "22nd"
+ * @param {number} day
+ * @returns {string}
+ */
+const ordinal = (day) => {
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[day % 10] || "th";
+  return `${day}${suffix}`;
+};
+
+/**
+ * Describe an RRULE in plain English, e.g. "Every 2 weeks on Monday and Friday"
+ * @param {string|null} rule
+ * @returns {string} Summary, or "" when the todo does not repeat
+ */
+export const describeRecurrence = (rule) => {
+  const { freq, interval, byDay, byMonthDay } = parseRecurrence(rule);
+  const units = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" };
+  if (!units[freq]) return "";
+
+  const every = interval > 1 ? `Every ${interval} ${units[freq]}s` : `Every ${units[freq]}`;
+
+  if (freq === "WEEKLY" && byDay.length > 0) {
+    const names = WEEKDAYS.filter((day) => byDay.includes(day.code)).map((day) => day.label);
+    return `${every} on ${joinWords(names)}`;
+  }
+  if (freq === "MONTHLY" && byMonthDay) {
+    return `${every} on the ${byMonthDay === -1 ? "last day" : ordinal(byMonthDay)}`;
+  }
+  return every;
+};
@@ -0,0 +1,39 @@
+import React from "react";
+import { Button, HStack, Text } from "@chakra-ui/react";
+
+/**
+ * Custom toast function with enhanced styling
+ * An optional `action` ({ label, onClick }) renders a button next to the description.
+ */
+export const createStyledToast =
+  (toast) =>
+  ({ title, description, status, duration = 3000, isClosable = true, action }) => {
+    return toast({
+      title,
+      description: action
+        ? React.createElement(
+            HStack,
+            { spacing: 3 },
+            React.createElement(Text, null, description),
+            React.createElement(
+              Button,
+              { size: "xs", colorScheme: "blue", variant: "outline", onClick: action.onClick },
+              action.label
+            )
+          )
+        : description,
+      status,
+      duration,
+      isClosable,
+      position: "top-right",
+      variant: "subtle",
+      containerStyle: {
+        bg: "white",
+        border: "1px solid",
+        borderColor: status === "success" ? "green.200" : status === "error" ? "red.200" : "blue.200",
+        borderRadius: "lg",
+        boxShadow: "lg",
+        color: "gray.800",
+      },
+    });
+  };